@@ -1,9 +1,14 @@
 /* Video Downloader Extension - Background Service Worker
    
    PRIVACY NOTE:
-   This extension does NOT store any data permanently.
+   By default this extension does NOT store any data permanently.
    Detected videos are kept only in memory (RAM) and are deleted
-   when the tab is closed. No databases, no external servers.*/
+   when the tab is closed. No external servers, ever.
+   Two opt-in settings (both off by default) keep more:
+   - rememberDetections: detected videos also go to chrome.storage.session,
+     so they survive service worker restarts until the browser closes.
+   - keepHistory: completed downloads are logged in chrome.storage.local
+     until the user wipes them from the popup. */
 
 /**
  * Storage for detected videos per tab
@@ -11,81 +16,193 @@
  */
 const detectedVideos = new Map();
 
-/* 1. Configuration */
+/**
+ * MIME types of MediaSource streams seen per tab
+ * @type {Map<number, Set<string>>}
+ */
+const detectedMediaSources = new Map();
 
-// URL patterns that indicate video content
-const VIDEO_URL_PATTERNS = [
-  /\.mp4(\?|$|#)/i,
-  /\.webm(\?|$|#)/i,
-  /\.m3u8(\?|$|#)/i,
-  /\.mpd(\?|$|#)/i,
-  /\.mov(\?|$|#)/i,
-  /\.avi(\?|$|#)/i,
-  /\.mkv(\?|$|#)/i,
-  /\.flv(\?|$|#)/i,
-  /\/video\//i,
-  /videoplayback/i,
-  /\.ts(\?|$|#)/i,
-  /media.*segment/i,
-  /chunk.*video/i
-];
-
-// Content types that indicate video
-const VIDEO_CONTENT_TYPES = [
-  'video/mp4',
-  'video/webm',
-  'video/ogg',
-  'video/x-flv',
-  'video/quicktime',
-  'video/x-msvideo',
-  'video/x-matroska',
-  'application/vnd.apple.mpegurl',
-  'application/x-mpegurl',
-  'application/dash+xml'
-];
+/**
+ * MediaSource recordings kept by the content scripts (summaries, the
+ * bytes stay in the page), per tab and frame
+ * @type {Map<number, Map<number, {pageUrl: string, titles: Object, recordings: Array<Object>}>>}
+ */
+const detectedRecordings = new Map();
 
-/* 2. Network Request Listeners */
+/**
+ * blob: URLs created by the offscreen document, per download ID
+ * @type {Map<number, string>}
+ */
+const offscreenBlobUrls = new Map();
 
 /**
- * Check if URL matches video patterns
- * @param {string} url - URL to check
- * @returns {boolean}
+ * Download jobs (direct files and HLS/DASH streams) by job ID
+ * @type {Map<string, Object>}
  */
-function isVideoUrl(url) {
-  // Ignore data URLs and blobs
-  if (url.startsWith('data:') || url.startsWith('blob:')) {
-    return false;
-  }
+const downloadJobs = new Map();
 
-  // Ignore very short or very long URLs
-  if (url.length < 10 || url.length > 5000) {
-    return false;
-  }
+/**
+ * Batches of jobs started together ("download selected"), by batch ID
+ * @type {Map<string, Object>}
+ */
+const downloadBatches = new Map();
 
-  // ===== FILTERS TO AVOID JUNK =====
-  
-  // Ignore video segments/chunks (partial files)
-  if (url.includes('range=')) {
-    return false;
-  }
+/**
+ * Open popup connections that receive live updates, with the tab each
+ * one shows (null until the popup says)
+ * @type {Map<chrome.runtime.Port, number|null>}
+ */
+const popupPorts = new Map();
 
-  // Ignore Vimeo thumbnails and images
-  if (url.includes('i.vimeocdn.com')) {
-    return false;
-  }
+/**
+ * Probe results (real container and size) by URL
+ * @type {Map<string, Promise<Object>>}
+ */
+const probeResults = new Map();
 
-  // Ignore very small image previews
-  if (url.includes('mw=80') || url.includes('w=640')) {
-    return false;
-  }
+/**
+ * Segments learned from the playlists of each tab's manifests: URL
+ * (without query) and folder of a segment → manifest URL, and the
+ * segments already folded
+ * @type {Map<number, {segments: Map<string, string>, folders: Map<string, string>, folded: Set<string>}>}
+ */
+const streamSegments = new Map();
 
-  // Ignore segment files from HLS/DASH
-  if (/segment|chunk|frag/i.test(url) && /range|bytes/i.test(url)) {
-    return false;
+/**
+ * Previews (poster, duration, resolution) read by the offscreen document, by URL
+ * @type {Map<string, Promise<Object>>}
+ */
+const mediaMetadata = new Map();
+
+/**
+ * Request headers (Referer, Origin, User-Agent, Cookie) each tab sent for
+ * its media URLs, for exports. Memory only, like the detections, and
+ * never written to the registry.
+ * @type {Map<number, Map<string, Object>>}
+ */
+const requestHeaders = new Map();
+
+/**
+ * Headers of requests still waiting for their response, by request ID
+ * @type {Map<string, Object>}
+ */
+const sentHeaders = new Map();
+
+/**
+ * declarativeNetRequest session rule replaying a page's headers, by job ID
+ * @type {Map<string, number>}
+ */
+const headerRules = new Map();
+
+/**
+ * Subtitle files seen on the network before any video of their frame,
+ * per tab (attached to the next video detected there)
+ * @type {Map<number, Array<{frameId: number, subtitle: Object}>>}
+ */
+const pendingSubtitles = new Map();
+
+/* 1. Configuration */
+
+// Shared detection rules, settings, filename templates, download history,
+// media probe and signed-URL expiry
+importScripts('lib/settings.js', 'lib/detect.js', 'lib/filename.js', 'lib/history.js', 'lib/probe.js', 'lib/signed-url.js');
+
+const {
+  applySettings,
+  isVideoUrl,
+  isSegmentUrl,
+  getSubtitleFormat,
+  isBelowMinSize,
+  isVideoContentType,
+  getVideoType,
+  getTypeFromContentType,
+  generateFilename,
+  detectQuality,
+  mergeMetadata,
+  mergeSubtitles
+} = self.VideoDetection;
+
+// Key of the detection registry in chrome.storage.session
+const REGISTRY_KEY = 'registry';
+
+// Largest registry saved: chrome.storage.session holds 10 MB in all
+const MAX_REGISTRY_BYTES = 9 * 1024 * 1024;
+
+// Subtitle sources: single files, HLS renditions, DASH text tracks
+const SUBTITLE_FORMATS = ['vtt', 'srt', 'ttml', 'hls', 'dash'];
+
+// Subtitle tracks kept per video, and network ones waiting for a video
+const MAX_SUBTITLES_PER_VIDEO = 50;
+const MAX_PENDING_SUBTITLES = 20;
+
+// Old signed links remembered per video, never switched back to
+const MAX_REPLACED_URLS = 10;
+
+// Request headers kept for replay, and requests waiting for a response
+const CAPTURED_HEADERS = ['referer', 'origin', 'user-agent', 'cookie'];
+const MAX_REQUEST_HEADERS = 100;
+const MAX_SENT_HEADERS = 200;
+
+// Captured headers a download sends again (the browser sets User-Agent itself)
+const REPLAYED_HEADERS = ['referer', 'origin', 'cookie'];
+
+// Time allowed to check why a download failed (ms)
+const STATUS_CHECK_TIMEOUT = 10000;
+
+// Current settings (defaults until loaded)
+let settings = { ...ExtensionSettings.DEFAULT_SETTINGS };
+
+// Pending write of the registry
+let registrySaveTimer = null;
+
+// Settings loaded and, if enabled, the registry restored
+const registryReady = restoreRegistry();
+
+// Header rules of a previous worker belong to jobs that are gone
+const headerRulesCleared = clearHeaderRules();
+
+// Next header rule ID (session rules need unique integers)
+let nextHeaderRuleId = 1;
+
+ExtensionSettings.onSettingsChanged((newSettings) => {
+  const wasRemembering = settings.rememberDetections;
+  settings = newSettings;
+  applySettings(settings);
+
+  if (settings.rememberDetections && !wasRemembering) {
+    saveRegistry();
+  } else if (!settings.rememberDetections && wasRemembering) {
+    chrome.storage.session.remove(REGISTRY_KEY);
   }
 
-  return VIDEO_URL_PATTERNS.some(pattern => pattern.test(url));
-}
+  // A higher download limit frees slots at once
+  pumpQueue();
+});
+
+/* 2. Network Request Listeners */
+
+/**
+ * Keep the headers of media and fetch/XHR requests until their response
+ * says whether they are a video ("extraHeaders" exposes Referer and Cookie)
+ */
+chrome.webRequest.onSendHeaders.addListener(
+  (details) => {
+    if (details.tabId < 0) return;
+
+    const headers = {};
+    (details.requestHeaders || []).forEach(({ name, value }) => {
+      const key = name.toLowerCase();
+      if (CAPTURED_HEADERS.includes(key) && value) headers[key] = value.substring(0, 4000);
+    });
+
+    sentHeaders.set(details.requestId, headers);
+    if (sentHeaders.size > MAX_SENT_HEADERS) {
+      sentHeaders.delete(sentHeaders.keys().next().value);
+    }
+  },
+  { urls: ['<all_urls>'], types: ['media', 'xmlhttprequest', 'other'] },
+  ['requestHeaders', 'extraHeaders']
+);
 
 /**
  * listen for response headers to detect video content types
@@ -93,28 +210,53 @@ function isVideoUrl(url) {
 
 chrome.webRequest.onHeadersReceived.addListener(
   (details) => {
-    const { tabId, url, responseHeaders } = details;
+    const { tabId, frameId, url, responseHeaders, initiator } = details;
     
     if (tabId < 0) return;
 
+    const sent = sentHeaders.get(details.requestId);
+    sentHeaders.delete(details.requestId);
+
     // Find content-type header
     const contentTypeHeader = responseHeaders?.find(
       header => header.name.toLowerCase() === 'content-type'
     );
+    const contentType = (contentTypeHeader?.value || '').toLowerCase();
 
-    if (contentTypeHeader) {
-      const contentType = contentTypeHeader.value.toLowerCase();
-      
-      // Check if content type indicates video
-      if (VIDEO_CONTENT_TYPES.some(vct => contentType.includes(vct))) {
-        addVideoToTab(tabId, {
-          url: url,
-          type: getTypeFromContentType(contentType),
-          filename: generateFilename(url),
-          quality: detectQuality(url),
-          timestamp: Date.now()
-        });
-      }
+    // Subtitle files go with the video they belong to
+    const subtitleFormat = getSubtitleFormat(url, contentType);
+    if (subtitleFormat) {
+      addSubtitleToTab(tabId, frameId, { url: url, trackId: null, language: null, label: null, format: subtitleFormat });
+      rememberRequestHeaders(tabId, url, sent);
+      return;
+    }
+
+    // How the page requested its media (segments would crowd manifests out)
+    if (sent && !isSegmentUrl(url) && (isVideoContentType(contentType) || isVideoUrl(url, { pageUrl: initiator }))) {
+      rememberRequestHeaders(tabId, url, sent);
+    }
+
+    if (contentType) {
+      // Check if content type indicates video (and the user's filters allow it)
+      if (!isVideoContentType(contentType)) return;
+      if (!isVideoUrl(url, { videoResponse: true, pageUrl: initiator })) return;
+      if (isBelowMinSize(getResponseSize(responseHeaders), url, initiator)) return;
+
+      const type = getTypeFromContentType(contentType);
+
+      addVideoToTab(tabId, {
+        url: url,
+        type: type,
+        filename: generateFilename(url),
+        quality: detectQuality(url),
+        // A manifest's own size says nothing about the stream
+        size: type === 'HLS' || type === 'DASH' ? null : getResponseSize(responseHeaders),
+        source: 'network',
+        // Requests of an embedded frame: only its origin is known here
+        frameId: frameId,
+        frameUrl: frameId > 0 ? initiator : null,
+        timestamp: Date.now()
+      });
     }
   },
   { urls: ["<all_urls>"] },
@@ -128,6 +270,12 @@ chrome.webRequest.onHeadersReceived.addListener(
  */
 chrome.tabs.onRemoved.addListener((tabId) => {
   detectedVideos.delete(tabId);
+  detectedMediaSources.delete(tabId);
+  detectedRecordings.delete(tabId);
+  streamSegments.delete(tabId);
+  pendingSubtitles.delete(tabId);
+  requestHeaders.delete(tabId);
+  saveRegistry();
 });
 
 /**
@@ -137,166 +285,1862 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.status === 'loading') {
     detectedVideos.delete(tabId);
+    detectedMediaSources.delete(tabId);
+    detectedRecordings.delete(tabId);
+    streamSegments.delete(tabId);
+    pendingSubtitles.delete(tabId);
+    requestHeaders.delete(tabId);
+    saveRegistry();
   }
 });
 
 /* 4. Message Handling */
 
-/** Handle messages from popup */
+/**
+ * Keep open popups up to date through a long-lived connection
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'popup') return;
+
+  popupPorts.set(port, null);
+  port.postMessage({ type: 'jobs', jobs: getJobList(), batches: getBatchList() });
+
+  port.onMessage.addListener((message) => {
+    if (message.action === 'controlJob') {
+      controlJob(message.jobId, message.command);
+    } else if (message.action === 'watchTab') {
+      // New detections of this tab are pushed to the popup
+      popupPorts.set(port, message.tabId);
+    } else if (message.action === 'retryBatch') {
+      retryBatch(message.batchId);
+    } else if (message.action === 'clearFinishedJobs') {
+      clearFinishedJobs();
+    }
+  });
+
+  port.onDisconnect.addListener(() => popupPorts.delete(port));
+});
+
+/** Handle messages from popup and content scripts */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'videoFound') {
+    handleVideoFound(message, sender);
+    return false;
+  }
+
+  if (message.action === 'mediaSourceFound') {
+    handleMediaSourceFound(message, sender);
+    return false;
+  }
+
+  if (message.action === 'getMediaSources') {
+    registryReady.then(() => {
+      sendResponse(Array.from(detectedMediaSources.get(message.tabId) || []));
+    });
+    return true;
+  }
+
+  if (message.action === 'recordingsUpdated') {
+    handleRecordingsUpdated(message, sender);
+    return false;
+  }
+
+  if (message.action === 'getRecordings') {
+    sendResponse(getTabRecordings(message.tabId));
+    return false;
+  }
+
+  if (message.action === 'startDownload') {
+    const job = enqueueDownload(message.request);
+    sendResponse({ ok: true, jobId: job.id });
+    return false;
+  }
+
+  if (message.action === 'startBatch') {
+    if (!Array.isArray(message.requests) || message.requests.length === 0) {
+      sendResponse({ ok: false, error: 'Nothing selected' });
+      return false;
+    }
+    const batch = enqueueBatch(message.requests, message.name);
+    sendResponse({ ok: true, batchId: batch.id, jobIds: batch.jobIds });
+    return false;
+  }
+
+  if (message.action === 'probeVideo') {
+    probeVideo(message.url, message.tabId)
+      .then(result => sendResponse({ ok: true, ...result }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'getMetadata') {
+    getVideoMetadata(message.url, message.type, message.tabId, message.hint)
+      .then(meta => sendResponse({ ok: true, meta }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'jobProgress') {
+    handleJobProgress(message);
+    return false;
+  }
+
+  if (message.action === 'getRequestHeaders') {
+    const tabHeaders = requestHeaders.get(message.tabId);
+    const headers = {};
+    (message.urls || []).forEach(url => {
+      if (tabHeaders?.has(url)) headers[url] = tabHeaders.get(url);
+    });
+    sendResponse(headers);
+    return false;
+  }
+
   if (message.action === 'getVideos') {
-    const videos = detectedVideos.get(message.tabId) || [];
-    
-    // Remove duplicates and sort by timestamp (newest first)
-    const uniqueVideos = Array.from(
-      new Map(videos.map(v => [v.url, v])).values()
-    ).sort((a, b) => b.timestamp - a.timestamp);
-    
-    sendResponse(uniqueVideos);
+    registryReady.then(() => {
+      const videos = detectedVideos.get(message.tabId) || [];
+
+      // Remove duplicates and sort by timestamp (newest first)
+      const uniqueVideos = Array.from(
+        new Map(videos.map(v => [v.url, v])).values()
+      ).sort((a, b) => b.timestamp - a.timestamp);
+
+      sendResponse(uniqueVideos);
+    });
   }
   
   // Keep message channel open for async response
   return true;
 });
 
-/*  5. Helper Functions */
+/**
+ * Register a video reported by the content script (of any frame)
+ * @param {Object} message - { url, pageUrl, source, mediaElement, titles, meta, subtitles }
+ *   pageUrl is the URL of the reporting frame
+ * @param {chrome.runtime.MessageSender} sender - Message sender
+ */
+function handleVideoFound(message, sender) {
+  const tabId = sender.tab?.id;
+  const { url, pageUrl, source } = message;
+  const frameId = sender.frameId || 0;
+
+  if (tabId === undefined || tabId < 0) return;
+  if (!isVideoUrl(url, { mediaElement: message.mediaElement === true, pageUrl })) return;
+
+  addVideoToTab(tabId, {
+    url: url,
+    type: getVideoType(url),
+    filename: generateFilename(url),
+    quality: detectQuality(url),
+    source: source || 'dom',
+    // Filenames and history use the page, not the embedded player
+    pageUrl: frameId > 0 ? sender.tab.url || pageUrl : pageUrl,
+    frameId: frameId,
+    frameUrl: frameId > 0 ? pageUrl : null,
+    titles: getTitles(message.titles),
+    meta: getMetadataFields(message.meta),
+    subtitles: getSubtitleFields(message.subtitles),
+    timestamp: Date.now()
+  });
+}
 
 /**
- * Check if URL matches video patterns
- * @param {string} url - URL to check
- * @returns {boolean}
+ * Remember a MediaSource stream reported by the content script
+ * @param {Object} message - { mimeType }
+ * @param {chrome.runtime.MessageSender} sender - Message sender
  */
-function isVideoUrl(url) {
-  // Ignore data URLs and blobs
-  if (url.startsWith('data:') || url.startsWith('blob:')) {
-    return false;
+function handleMediaSourceFound(message, sender) {
+  const tabId = sender.tab?.id;
+  if (tabId === undefined || tabId < 0 || typeof message.mimeType !== 'string') return;
+
+  if (!detectedMediaSources.has(tabId)) {
+    detectedMediaSources.set(tabId, new Set());
   }
+  detectedMediaSources.get(tabId).add(message.mimeType.substring(0, 100));
+  saveRegistry();
+}
 
-  // Ignore very short or very long URLs
-  if (url.length < 10 || url.length > 5000) {
-    return false;
+/**
+ * Keep the summary of a frame's MediaSource recordings and show it in
+ * popups open on the tab
+ * @param {Object} message - { pageUrl, titles, recordings }
+ * @param {chrome.runtime.MessageSender} sender - Message sender
+ */
+function handleRecordingsUpdated(message, sender) {
+  const tabId = sender.tab?.id;
+  if (tabId === undefined || tabId < 0 || !Array.isArray(message.recordings)) return;
+
+  if (!detectedRecordings.has(tabId)) {
+    detectedRecordings.set(tabId, new Map());
+  }
+  const frames = detectedRecordings.get(tabId);
+  if (message.recordings.length > 0) {
+    frames.set(sender.frameId || 0, {
+      pageUrl: message.pageUrl || sender.url,
+      titles: message.titles || {},
+      recordings: message.recordings
+    });
+  } else {
+    frames.delete(sender.frameId || 0);
   }
 
-  return VIDEO_URL_PATTERNS.some(pattern => pattern.test(url));
+  const recordings = getTabRecordings(tabId);
+  popupPorts.forEach((watchedTabId, port) => {
+    if (watchedTabId === tabId) port.postMessage({ type: 'recordings', recordings });
+  });
 }
 
 /**
- * Add a video to the tab's detected videos
+ * MediaSource recordings of a tab, newest first
  * @param {number} tabId - Tab ID
- * @param {Object} videoInfo - Video information
+ * @returns {Array<Object>} { frameId, id, state, startedAt, tracks, pageUrl, titles }
  */
-function addVideoToTab(tabId, videoInfo) {
-  if (!detectedVideos.has(tabId)) {
-    detectedVideos.set(tabId, []);
+function getTabRecordings(tabId) {
+  const frames = detectedRecordings.get(tabId) || new Map();
+  return Array.from(frames.entries())
+    .flatMap(([frameId, frame]) => frame.recordings.map(recording => ({
+      ...recording,
+      frameId,
+      pageUrl: frame.pageUrl,
+      titles: frame.titles
+    })))
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Load the settings and, if enabled, the registry of a previous worker
+ * @returns {Promise<void>}
+ */
+async function restoreRegistry() {
+  try {
+    settings = await ExtensionSettings.getSettings();
+    applySettings(settings);
+    if (!settings.rememberDetections) return;
+
+    const stored = await chrome.storage.session.get(REGISTRY_KEY);
+    const registry = stored[REGISTRY_KEY];
+    if (!registry) return;
+
+    // Detections made while restoring are kept after the restored ones
+    registry.videos.forEach(([tabId, videos]) => {
+      const current = detectedVideos.get(tabId) || [];
+      const restoredUrls = new Set(videos.map(video => video.url));
+      detectedVideos.set(tabId, [...videos, ...current.filter(video => !restoredUrls.has(video.url))]);
+    });
+    registry.mediaSources.forEach(([tabId, mimeTypes]) => {
+      const current = detectedMediaSources.get(tabId) || new Set();
+      detectedMediaSources.set(tabId, new Set([...mimeTypes, ...current]));
+    });
+  } catch (error) {
+    console.error('Could not restore detected videos:', error);
   }
+}
 
-  const tabVideos = detectedVideos.get(tabId);
-  
-  // Avoid exact duplicates
-  const isDuplicate = tabVideos.some(v => v.url === videoInfo.url);
-  if (!isDuplicate) {
-    tabVideos.push(videoInfo);
-    
-    // Keep only the last 50 videos per tab (memory management)
-    if (tabVideos.length > 50) {
-      tabVideos.shift();
-    }
+/**
+ * Write the registry to chrome.storage.session (if enabled), batched
+ */
+function saveRegistry() {
+  if (!settings.rememberDetections || registrySaveTimer) return;
 
-    // Update badge to show video count
-    updateBadge(tabId, tabVideos.length);
+  registrySaveTimer = setTimeout(() => {
+    registrySaveTimer = null;
+    if (!settings.rememberDetections) return;
+
+    const registry = fitRegistry({
+      videos: Array.from(detectedVideos.entries()),
+      mediaSources: Array.from(detectedMediaSources.entries(), ([tabId, mimeTypes]) => [tabId, Array.from(mimeTypes)])
+    });
+    chrome.storage.session.set({ [REGISTRY_KEY]: registry })
+      .catch(error => console.warn('Could not save detected videos:', error));
+  }, 500);
+}
+
+/**
+ * Shrink a registry to fit in storage: posters go first (decoded frames
+ * are the largest part), then the tabs detected first
+ * @param {Object} registry - { videos, mediaSources } as saved
+ * @returns {Object} The registry, or a smaller copy
+ */
+function fitRegistry(registry) {
+  const size = () => new TextEncoder().encode(JSON.stringify(registry)).length;
+  if (size() <= MAX_REGISTRY_BYTES) return registry;
+
+  registry = {
+    ...registry,
+    videos: registry.videos.map(([tabId, videos]) => [tabId, videos.map(video => (
+      video.meta?.poster ? { ...video, meta: { ...video.meta, poster: null } } : video
+    ))])
+  };
+  while (registry.videos.length > 0 && size() > MAX_REGISTRY_BYTES) {
+    const [tabId] = registry.videos[0];
+    registry.videos = registry.videos.slice(1);
+    registry.mediaSources = registry.mediaSources.filter(([id]) => id !== tabId);
   }
+  return registry;
 }
 
+/* 5. Media Probe */
+
+// Probes running at the same time; the rest wait
+const MAX_ACTIVE_PROBES = 3;
+
+// Results kept for this many URLs
+const MAX_PROBE_RESULTS = 200;
+
+const probeLimiter = createLimiter(MAX_ACTIVE_PROBES);
+
 /**
- * Update the extension badge with video count
- * @param {number} tabId - Tab ID
- * @param {number} count - Number of videos
+ * Find the real container and size of a video, and record them on the
+ * tab's detected video
+ * @param {string} url - Video URL
+ * @param {number} [tabId] - Tab whose detected video is updated
+ * @returns {Promise<Object>} { type, extension, mimeType, size, status }
  */
-function updateBadge(tabId, count) {
-  if (count > 0) {
-    chrome.action.setBadgeText({ text: count.toString(), tabId });
-    chrome.action.setBadgeBackgroundColor({ color: '#e94560', tabId });
-  } else {
-    chrome.action.setBadgeText({ text: '', tabId });
+async function probeVideo(url, tabId) {
+  if (!isVideoUrl(url, { mediaElement: true })) {
+    throw new Error('Not a video URL');
+  }
+
+  if (!probeResults.has(url)) {
+    probeResults.set(url, probeLimiter(() => runProbe(url)));
+
+    // Forget the oldest results (Map keeps insertion order)
+    if (probeResults.size > MAX_PROBE_RESULTS) {
+      probeResults.delete(probeResults.keys().next().value);
+    }
+  }
+
+  let result;
+  try {
+    result = await probeResults.get(url);
+  } catch (error) {
+    // Let a later request try again
+    probeResults.delete(url);
+    throw error;
+  }
+
+  const video = (detectedVideos.get(tabId) || []).find(v => v.url === url);
+  if (video) {
+    // A manifest served without its extension
+    if (isManifestType(result.type) && !isManifestType(video.type)) {
+      learnStreamSegments(tabId, url, result.type);
+    }
+    video.type = result.type || video.type;
+    video.extension = result.extension || video.extension;
+    video.size = result.size || video.size;
+    saveRegistry();
   }
+  return result;
 }
 
 /**
- * Get video type from URL
+ * Probe a URL
  * @param {string} url - Video URL
- * @returns {string} Video type
+ * @returns {Promise<Object>} { type, extension, mimeType, size, status }
  */
-function getVideoType(url) {
-  if (/\.m3u8/i.test(url)) return 'HLS';
-  if (/\.mpd/i.test(url)) return 'DASH';
-  if (/\.webm/i.test(url)) return 'WebM';
-  if (/\.mov/i.test(url)) return 'MOV';
-  if (/\.mkv/i.test(url)) return 'MKV';
-  if (/\.flv/i.test(url)) return 'FLV';
-  if (/\.avi/i.test(url)) return 'AVI';
-  if (/\.ts/i.test(url)) return 'TS';
-  return 'MP4';
+async function runProbe(url) {
+  const { container, size, contentType, status } = await MediaProbe.probe(url);
+
+  // Unknown bytes: fall back to what the server says it is
+  const type = container?.type ||
+    (isVideoContentType(contentType) ? getTypeFromContentType(contentType) : null);
+
+  return {
+    type: type,
+    extension: container?.extension || null,
+    mimeType: container?.mimeType || contentType,
+    // A manifest's own size says nothing about the stream
+    size: type === 'HLS' || type === 'DASH' ? null : size,
+    status: status
+  };
 }
 
+/* 6. Media Metadata */
+
+// Videos the offscreen document opens at the same time
+const MAX_ACTIVE_EXTRACTIONS = 2;
+
+// Previews kept for this many URLs (frames are small JPEG data: URLs)
+const MAX_METADATA_RESULTS = 200;
+
+const extractionLimiter = createLimiter(MAX_ACTIVE_EXTRACTIONS);
+
 /**
- * Get video type from content type header
- * @param {string} contentType - Content-Type header value
- * @returns {string} Video type
+ * Get the poster, duration and resolution of a video, and record them on
+ * the tab's detected video so a reopened popup shows them at once
+ * @param {string} url - Video URL
+ * @param {string} type - Video type (HLS and DASH are read from their manifest)
+ * @param {number} [tabId] - Tab whose detected video is updated
+ * @param {Object} [hint] - What the page's element already told
+ * @returns {Promise<Object>} { poster, duration, width, height } (unknown ones are null)
  */
-function getTypeFromContentType(contentType) {
-  if (contentType.includes('mpegurl')) return 'HLS';
-  if (contentType.includes('dash')) return 'DASH';
-  if (contentType.includes('webm')) return 'WebM';
-  if (contentType.includes('quicktime')) return 'MOV';
-  if (contentType.includes('flv')) return 'FLV';
-  if (contentType.includes('matroska')) return 'MKV';
-  return 'MP4';
+async function getVideoMetadata(url, type, tabId, hint) {
+  if (!isVideoUrl(url, { mediaElement: true })) {
+    throw new Error('Not a video URL');
+  }
+
+  const video = (detectedVideos.get(tabId) || []).find(v => v.url === url);
+  let meta = mergeMetadata(getMetadataFields(hint), video?.meta);
+
+  if (!meta?.poster || !meta.duration || !meta.height) {
+    if (!mediaMetadata.has(url)) {
+      mediaMetadata.set(url, extractionLimiter(() => extractMetadata(url, type)));
+
+      // Forget the oldest previews (Map keeps insertion order)
+      if (mediaMetadata.size > MAX_METADATA_RESULTS) {
+        mediaMetadata.delete(mediaMetadata.keys().next().value);
+      }
+    }
+
+    try {
+      // The page's poster wins over a decoded frame
+      meta = mergeMetadata(meta, await mediaMetadata.get(url));
+    } catch (error) {
+      // Let a later request try again
+      mediaMetadata.delete(url);
+      if (!meta) throw error;
+    }
+  }
+
+  if (video && meta) {
+    video.meta = meta;
+    saveRegistry();
+  }
+  return meta;
 }
 
 /**
- * Generate a filename from URL
+ * Read a video's preview in the offscreen document
  * @param {string} url - Video URL
- * @returns {string} Generated filename
+ * @param {string} type - Video type
+ * @returns {Promise<Object>} { poster, duration, width, height }
+ */
+async function extractMetadata(url, type) {
+  await ensureOffscreenDocument();
+
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'extractMetadata',
+    url: url,
+    type: type
+  });
+  if (!response?.ok) {
+    throw new Error(response?.error || 'Could not read the video');
+  }
+  return getMetadataFields(response.meta);
+}
+
+/* 7. Stream Segments */
+
+// Manifests read at the same time to learn their segments
+const MAX_ACTIVE_SEGMENT_LISTS = 2;
+
+const segmentListLimiter = createLimiter(MAX_ACTIVE_SEGMENT_LISTS);
+
+/**
+ * Learn the segments and subtitle tracks of a detected manifest from its
+ * playlists, then fold the tab's entries that turn out to be its segments
+ * @param {number} tabId - Tab ID
+ * @param {string} manifestUrl - HLS or DASH manifest URL
+ * @param {string} type - 'HLS' or 'DASH'
  */
-function generateFilename(url) {
+async function learnStreamSegments(tabId, manifestUrl, type) {
+  let stream;
   try {
-    const urlObj = new URL(url);
-    const pathname = urlObj.pathname;
-    const parts = pathname.split('/').filter(p => p && !p.includes('?'));
-    let filename = parts[parts.length - 1] || 'video';
-    
-    // Clean the filename
-    filename = filename.replace(/\.[^.]+$/, ''); // Remove extension
-    filename = filename.replace(/[^a-zA-Z0-9_-]/g, '_'); // Clean special chars
-    
-    // If filename is too short or generic, use timestamp
-    if (filename.length < 3 || filename === 'video' || filename === 'media') {
-      filename = `video_${Date.now()}`;
+    stream = await segmentListLimiter(async () => {
+      await ensureOffscreenDocument();
+      const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'listSegments',
+        url: manifestUrl,
+        type: type
+      });
+      if (!response?.ok) {
+        throw new Error(response?.error || 'Could not read the manifest');
+      }
+      return response;
+    });
+  } catch (error) {
+    // Its segments stay listed; eviction drops them first
+    return;
+  }
+
+  // The tab may have been closed meanwhile
+  const tabVideos = detectedVideos.get(tabId);
+  if (!tabVideos) return;
+
+  if (!streamSegments.has(tabId)) {
+    streamSegments.set(tabId, { segments: new Map(), folders: new Map(), folded: new Set() });
+  }
+  const known = streamSegments.get(tabId);
+  stream.urls.forEach(url => {
+    const key = getSegmentKey(url);
+    known.segments.set(key, manifestUrl);
+    known.folders.set(key.substring(0, key.lastIndexOf('/') + 1), manifestUrl);
+  });
+
+  const manifest = tabVideos.find(video => video.url === manifestUrl);
+  if (manifest) {
+    manifest.subtitles = mergeSubtitles(manifest.subtitles, getSubtitleFields(stream.subtitles));
+  }
+
+  // Segments of its subtitle tracks taken for subtitle files
+  tabVideos.forEach(video => {
+    if (video.subtitles) {
+      video.subtitles = video.subtitles.filter(track => !isStreamSegment(tabId, track));
     }
+  });
+  if (pendingSubtitles.has(tabId)) {
+    pendingSubtitles.set(tabId, pendingSubtitles.get(tabId).filter(({ subtitle }) => !isStreamSegment(tabId, subtitle)));
+  }
 
-    return filename.substring(0, 50); // Limit length
-  } catch {
-    return `video_${Date.now()}`;
+  // Segments recorded before the manifest was read
+  const kept = tabVideos.filter(video => isManifestType(video.type) || !foldSegment(tabId, video.url));
+  if (kept.length < tabVideos.length) {
+    tabVideos.splice(0, tabVideos.length, ...kept);
+    updateBadge(tabId, tabVideos.length);
   }
+  saveRegistry();
 }
 
 /**
- * Detect video quality from URL
- * @param {string} url - Video URL
- * @returns {string|null} Quality string or null
+ * Count a URL on the manifest it is a segment of
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Detected URL
+ * @returns {boolean} true if it is a segment of a known manifest (not to be listed)
  */
-function detectQuality(url) {
-  const urlLower = url.toLowerCase();
-  
-  if (/4k|2160p|uhd/i.test(urlLower)) return '4K';
-  if (/1080p|fullhd|fhd/i.test(urlLower)) return '1080p';
-  if (/720p|hd(?!d)/i.test(urlLower)) return '720p';
-  if (/480p|sd/i.test(urlLower)) return '480p';
-  if (/360p/i.test(urlLower)) return '360p';
-  if (/240p/i.test(urlLower)) return '240p';
-  if (/144p/i.test(urlLower)) return '144p';
-  
-  return null;
+function foldSegment(tabId, url) {
+  const known = streamSegments.get(tabId);
+  if (!known) return false;
+
+  const key = getSegmentKey(url);
+  const folder = key.substring(0, key.lastIndexOf('/') + 1);
+
+  // Listed in a playlist, or a segment-looking URL next to those
+  // (live playlists keep adding new ones)
+  const manifestUrl = known.segments.get(key) || (isSegmentUrl(url) ? known.folders.get(folder) : null);
+  if (!manifestUrl) return false;
+
+  const manifest = (detectedVideos.get(tabId) || []).find(video => video.url === manifestUrl);
+  if (manifest && !known.folded.has(key)) {
+    manifest.segmentCount = (manifest.segmentCount || 0) + 1;
+  }
+  known.folded.add(key);
+  return true;
+}
+
+/**
+ * Check if a subtitle file is a segment of a known manifest's subtitle
+ * track (listed in its playlists, or in the same folder)
+ * @param {number} tabId - Tab ID
+ * @param {Object} track - Subtitle track { url, format }
+ * @returns {boolean}
+ */
+function isStreamSegment(tabId, track) {
+  const known = streamSegments.get(tabId);
+  if (!known || !['vtt', 'srt', 'ttml'].includes(track.format)) return false;
+
+  const key = getSegmentKey(track.url);
+  return known.segments.has(key) || known.folders.has(key.substring(0, key.lastIndexOf('/') + 1));
+}
+
+/**
+ * Index of the entry to drop when a tab has too many: segments first,
+ * then whole files, manifests last, the oldest of each
+ * @param {Array} tabVideos - The tab's videos, oldest first
+ * @returns {number}
+ */
+function getEvictionIndex(tabVideos) {
+  const rank = (video) => {
+    if (isManifestType(video.type)) return 2;
+    return isSegmentUrl(video.url) ? 0 : 1;
+  };
+
+  let index = 0;
+  tabVideos.forEach((video, i) => {
+    if (rank(video) < rank(tabVideos[index])) index = i;
+  });
+  return index;
+}
+
+/* 8. Download Queue */
+
+// States of a job that occupies a queue slot
+const ACTIVE_JOB_STATES = ['running', 'paused', 'saving'];
+
+// Pending offscreen document creation (only one may exist)
+let offscreenCreating = null;
+
+// Timer that polls chrome.downloads for direct download progress
+let progressTimer = null;
+
+/**
+ * Add a download to the queue
+ * @param {Object} request - { kind: 'direct' | 'hls' | 'dash' | 'subtitles' | 'audio', url, filename, saveAs, tabId, ... }
+ *   saveAs: false saves without asking (batches); range: { start, end } in seconds clips an HLS/DASH stream;
+ *   tabId: tab whose request headers the download replays
+ * @param {string} [batchId] - Batch the job belongs to
+ * @returns {Object} The new job
+ */
+function enqueueDownload(request, batchId = null) {
+  const job = {
+    id: crypto.randomUUID(),
+    request: request,
+    batchId: batchId,
+    state: 'queued',
+    createdAt: Date.now()
+  };
+  resetJobProgress(job);
+
+  downloadJobs.set(job.id, job);
+  pumpQueue();
+  broadcastJobs();
+  return job;
+}
+
+/**
+ * Queue several downloads as one batch, saved without dialogs
+ * @param {Array<Object>} requests - Download requests (filenames already in the batch folder)
+ * @param {string} [name] - Batch name shown in the summary
+ * @returns {Object} The new batch { id, name, jobIds, createdAt }
+ */
+function enqueueBatch(requests, name) {
+  const batch = {
+    id: crypto.randomUUID(),
+    name: String(name || 'Videos').substring(0, 200),
+    jobIds: [],
+    createdAt: Date.now()
+  };
+  downloadBatches.set(batch.id, batch);
+
+  requests.forEach(request => {
+    batch.jobIds.push(enqueueDownload({ ...request, saveAs: false }, batch.id).id);
+  });
+  return batch;
+}
+
+/**
+ * Queue the failed and cancelled jobs of a batch again
+ * @param {string} batchId - Batch ID
+ */
+function retryBatch(batchId) {
+  downloadBatches.get(batchId)?.jobIds.forEach(jobId => controlJob(jobId, 'retry'));
+}
+
+/**
+ * Start queued jobs while there are free slots
+ */
+function pumpQueue() {
+  const jobs = Array.from(downloadJobs.values());
+  let active = jobs.filter(job => ACTIVE_JOB_STATES.includes(job.state)).length;
+
+  jobs
+    .filter(job => job.state === 'queued')
+    .forEach(job => {
+      if (active >= settings.maxConcurrentDownloads) return;
+      active++;
+      startJob(job);
+    });
+}
+
+/**
+ * Run a job
+ * @param {Object} job - Queued job
+ */
+function startJob(job) {
+  job.state = 'running';
+  job.startedAt = Date.now();
+
+  // Each attempt has its own ID in the offscreen document, so a retry
+  // is never mistaken for the attempt it replaces
+  const runId = crypto.randomUUID();
+  job.runId = runId;
+
+  // A queued or retried job takes the page's latest link to its file
+  const fresh = findFresherLink(job.request.tabId, job.request.url);
+  if (fresh) job.request.url = fresh;
+
+  const run = job.request.kind === 'direct' ? runDirectJob : runStreamJob;
+
+  // The page's Referer/Origin/Cookie go with the download's requests
+  addHeaderRule(job)
+    .catch(error => console.warn('Could not replay the request headers:', error))
+    .then(() => run(job))
+    .catch(error => {
+      if (job.runId === runId) finishJob(job, 'failed', error.message);
+    });
+}
+
+/**
+ * Download a direct file through chrome.downloads
+ * @param {Object} job - Running job
+ */
+async function runDirectJob(job) {
+  const { url, filename } = job.request;
+
+  // Server errors show up later, in downloads.onChanged
+  const downloadId = await chrome.downloads.download({
+    url: url,
+    filename: filename,
+    saveAs: job.request.saveAs !== false
+  });
+  job.downloadIds.push(downloadId);
+  startProgressPolling();
+}
+
+/**
+ * Download an HLS/DASH stream, a subtitle track or the audio of a video
+ * in the offscreen document, then save it
+ * @param {Object} job - Running job
+ */
+async function runStreamJob(job) {
+  const { kind, url, filename } = job.request;
+  const runId = job.runId;
+  const actions = { hls: 'downloadHls', dash: 'downloadDash', subtitles: 'downloadSubtitles', audio: 'downloadAudio' };
+
+  if (!actions[kind]) {
+    throw new Error(`Unknown download kind: ${kind}`);
+  }
+
+  await ensureOffscreenDocument();
+
+  const result = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: actions[kind],
+    jobId: runId,
+    url: url,
+    type: job.request.type,
+    remux: Boolean(job.request.remux),
+    trackIds: job.request.trackIds,
+    mux: Boolean(job.request.mux),
+    range: job.request.range || null,
+    // Subtitles: where the cues come from and the file to write
+    source: job.request.source,
+    output: job.request.output
+  });
+
+  // Cancelled (or cancelled and retried) while the segments were downloading
+  if (isStaleRun(job, runId)) {
+    if (result?.ok) (result.files || [result]).forEach(file => revokeOffscreenBlob(file.blobUrl));
+    return;
+  }
+
+  if (!result?.ok) {
+    // "HTTP 403 for <url>" from the offscreen fetches
+    const status = Number(/\bHTTP (\d{3})\b/.exec(result?.error || '')?.[1]);
+    throw new Error(describeHttpFailure(status, url) || result?.error || 'Stream download failed');
+  }
+
+  // HLS gives one file, DASH one per track (or one when muxed)
+  const files = result.files || [result];
+
+  job.state = 'saving';
+  broadcastJobs();
+
+  for (const [index, file] of files.entries()) {
+    const suffix = file.contentType ? `.${file.contentType}` : '';
+    const downloadId = await saveOffscreenFile(file.blobUrl, `${filename}${suffix}.${file.extension}`, job.request.saveAs !== false);
+
+    // Cancelled during the save dialog: drop this download and the files left
+    if (isStaleRun(job, runId)) {
+      chrome.downloads.cancel(downloadId);
+      files.slice(index + 1).forEach(rest => revokeOffscreenBlob(rest.blobUrl));
+      return;
+    }
+    job.downloadIds.push(downloadId);
+  }
+}
+
+/**
+ * Check if a job attempt was cancelled or replaced by a retry
+ * @param {Object} job - Job
+ * @param {string} runId - ID of the attempt
+ * @returns {boolean}
+ */
+function isStaleRun(job, runId) {
+  return job.state === 'cancelled' || job.runId !== runId;
+}
+
+/**
+ * Make sure the offscreen document that assembles streams exists
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT']
+  });
+  if (contexts.length > 0) return;
+
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['BLOBS', 'CLIPBOARD'],
+      justification: 'Join downloaded stream segments into a single file, read video previews and copy URLs from the context menu'
+    }).finally(() => {
+      offscreenCreating = null;
+    });
+  }
+  await offscreenCreating;
+}
+
+/**
+ * Save a blob: URL created by the offscreen document
+ * @param {string} blobUrl - Offscreen blob: URL
+ * @param {string} filename - Filename with extension
+ * @param {boolean} saveAs - Ask where to save it
+ * @returns {Promise<number>} Download ID
+ */
+async function saveOffscreenFile(blobUrl, filename, saveAs) {
+  const downloadId = await chrome.downloads.download({
+    url: blobUrl,
+    filename: filename,
+    saveAs: saveAs
+  });
+  offscreenBlobUrls.set(downloadId, blobUrl);
+  return downloadId;
+}
+
+/**
+ * Free a file the offscreen document holds for a download
+ * @param {string} blobUrl - Offscreen blob: URL
+ */
+function revokeOffscreenBlob(blobUrl) {
+  chrome.runtime.sendMessage({ target: 'offscreen', action: 'revokeBlobUrl', blobUrl });
+}
+
+/**
+ * Pause, resume, cancel or retry a job
+ * @param {string} jobId - Job ID
+ * @param {string} command - 'pause' | 'resume' | 'cancel' | 'retry'
+ */
+function controlJob(jobId, command) {
+  const job = downloadJobs.get(jobId);
+  if (!job) return;
+
+  const isDirect = job.request.kind === 'direct';
+
+  if (command === 'pause' && job.state === 'running') {
+    job.state = 'paused';
+    if (isDirect) {
+      job.downloadIds.forEach(id => chrome.downloads.pause(id));
+    } else {
+      chrome.runtime.sendMessage({ target: 'offscreen', action: 'pauseJob', jobId: job.runId });
+    }
+  } else if (command === 'resume' && job.state === 'paused') {
+    job.state = 'running';
+    if (isDirect) {
+      job.downloadIds.forEach(id => chrome.downloads.resume(id));
+    } else {
+      chrome.runtime.sendMessage({ target: 'offscreen', action: 'resumeJob', jobId: job.runId });
+    }
+  } else if (command === 'cancel' && (job.state === 'queued' || ACTIVE_JOB_STATES.includes(job.state))) {
+    if (job.downloadIds.length > 0) {
+      job.downloadIds.forEach(id => chrome.downloads.cancel(id));
+    } else if (!isDirect && job.state !== 'queued') {
+      chrome.runtime.sendMessage({ target: 'offscreen', action: 'cancelJob', jobId: job.runId });
+    }
+    finishJob(job, 'cancelled');
+    return;
+  } else if (command === 'retry' && (job.state === 'failed' || job.state === 'cancelled')) {
+    job.state = 'queued';
+    resetJobProgress(job);
+    pumpQueue();
+  }
+
+  broadcastJobs();
+}
+
+/**
+ * Remove completed, failed and cancelled jobs (and emptied batches) from the list
+ */
+function clearFinishedJobs() {
+  downloadJobs.forEach((job, id) => {
+    if (!ACTIVE_JOB_STATES.includes(job.state) && job.state !== 'queued') {
+      downloadJobs.delete(id);
+    }
+  });
+  downloadBatches.forEach((batch, id) => {
+    if (!batch.jobIds.some(jobId => downloadJobs.has(jobId))) {
+      downloadBatches.delete(id);
+    }
+  });
+  broadcastJobs();
+}
+
+/**
+ * Move a job to a final state and free its queue slot
+ * @param {Object} job - Job
+ * @param {string} state - 'complete' | 'failed' | 'cancelled'
+ * @param {string} [error] - Failure reason
+ */
+function finishJob(job, state, error = null) {
+  if (job.state === 'complete' || job.state === 'cancelled') return;
+
+  job.state = state;
+  job.error = error;
+  job.speed = 0;
+  job.eta = null;
+
+  if (state === 'complete') {
+    recordHistory(job);
+  }
+  removeHeaderRule(job);
+
+  pumpQueue();
+  broadcastJobs();
+}
+
+/**
+ * Log a completed job in the download history (if enabled)
+ * @param {Object} job - Completed job
+ */
+async function recordHistory(job) {
+  if (!settings.keepHistory) return;
+
+  // The saved files (the user may have renamed them in the dialog)
+  const items = (await Promise.all(job.downloadIds.map(id => chrome.downloads.search({ id }))))
+    .flat();
+  const filenames = items.map(item => item.filename.split(/[\\/]/).pop());
+  const size = items.reduce((total, item) => total + (item.fileSize || 0), 0);
+
+  DownloadHistory.addEntry({
+    url: job.request.url,
+    pageUrl: job.request.pageUrl,
+    filename: filenames.join(', ') || job.request.filename,
+    size: size || job.totalBytes || job.bytesReceived
+  });
+}
+
+/**
+ * Record progress reported by the offscreen segment engine
+ * @param {Object} message - { jobId, bytesReceived, segmentsDone, segmentsTotal }
+ */
+function handleJobProgress(message) {
+  // Offscreen progress is reported per attempt
+  const job = Array.from(downloadJobs.values()).find(candidate => candidate.runId === message.jobId);
+  if (!job || job.state !== 'running') return;
+
+  job.segmentsDone = message.segmentsDone;
+  job.segmentsTotal = message.segmentsTotal;
+
+  // A single file reports its size; streams are estimated from the average segment size
+  const totalBytes = message.totalBytes || (message.segmentsDone > 0
+    ? Math.round(message.bytesReceived / message.segmentsDone * message.segmentsTotal)
+    : null);
+
+  updateJobBytes(job, message.bytesReceived, totalBytes);
+  broadcastJobs();
+}
+
+/**
+ * Track direct and saving downloads through chrome.downloads
+ */
+chrome.downloads.onChanged.addListener((delta) => {
+  const state = delta.state?.current;
+
+  // Free the offscreen blob once its download has finished
+  if (offscreenBlobUrls.has(delta.id) && (state === 'complete' || state === 'interrupted')) {
+    revokeOffscreenBlob(offscreenBlobUrls.get(delta.id));
+    offscreenBlobUrls.delete(delta.id);
+  }
+
+  const job = Array.from(downloadJobs.values()).find(candidate => candidate.downloadIds.includes(delta.id));
+  if (!job) return;
+
+  if (state === 'interrupted') {
+    const reason = delta.error?.current;
+    if (reason === 'USER_CANCELED') {
+      finishJob(job, 'cancelled');
+    } else {
+      explainDownloadFailure(job.request.url, reason).then(message => finishJob(job, 'failed', message));
+    }
+  } else if (state === 'complete') {
+    job.completedIds = [...(job.completedIds || []), delta.id];
+    if (job.completedIds.length === job.downloadIds.length) {
+      finishJob(job, 'complete');
+    }
+  } else if (delta.paused && job.request.kind === 'direct') {
+    job.state = delta.paused.current ? 'paused' : 'running';
+    broadcastJobs();
+  }
+});
+
+/**
+ * Poll byte counts of running direct downloads (onChanged has none)
+ */
+function startProgressPolling() {
+  if (progressTimer) return;
+
+  progressTimer = setInterval(async () => {
+    const directJobs = Array.from(downloadJobs.values())
+      .filter(job => job.request.kind === 'direct' && job.state === 'running' && job.downloadIds.length > 0);
+
+    if (directJobs.length === 0) {
+      clearInterval(progressTimer);
+      progressTimer = null;
+      return;
+    }
+
+    for (const job of directJobs) {
+      const [item] = await chrome.downloads.search({ id: job.downloadIds[0] });
+      if (item) {
+        updateJobBytes(job, item.bytesReceived, item.totalBytes > 0 ? item.totalBytes : null);
+      }
+    }
+    broadcastJobs();
+  }, 1000);
+}
+
+/**
+ * Update byte counters, speed and ETA of a job
+ * @param {Object} job - Job
+ * @param {number} bytesReceived - Bytes downloaded so far
+ * @param {number|null} totalBytes - Expected size, if known
+ */
+function updateJobBytes(job, bytesReceived, totalBytes) {
+  const now = Date.now();
+
+  if (job.lastSample) {
+    const seconds = (now - job.lastSample.time) / 1000;
+    if (seconds > 0) {
+      const instantSpeed = Math.max(0, bytesReceived - job.lastSample.bytes) / seconds;
+      // Smooth the speed so the ETA doesn't jump around
+      job.speed = job.speed ? job.speed * 0.7 + instantSpeed * 0.3 : instantSpeed;
+    }
+  }
+  job.lastSample = { time: now, bytes: bytesReceived };
+
+  job.bytesReceived = bytesReceived;
+  job.totalBytes = totalBytes;
+  job.eta = totalBytes && job.speed > 0 ? Math.max(0, (totalBytes - bytesReceived) / job.speed) : null;
+}
+
+/**
+ * Clear the progress of a job (new or retried)
+ * @param {Object} job - Job
+ */
+function resetJobProgress(job) {
+  Object.assign(job, {
+    bytesReceived: 0,
+    totalBytes: null,
+    speed: 0,
+    eta: null,
+    segmentsDone: 0,
+    segmentsTotal: 0,
+    downloadIds: [],
+    completedIds: [],
+    lastSample: null,
+    error: null
+  });
+}
+
+/**
+ * Jobs as sent to the popup (newest first)
+ * @returns {Array<Object>}
+ */
+function getJobList() {
+  return Array.from(downloadJobs.values())
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(job => ({
+      id: job.id,
+      batchId: job.batchId,
+      kind: job.request.kind,
+      filename: job.request.filename,
+      url: job.request.url,
+      state: job.state,
+      bytesReceived: job.bytesReceived,
+      totalBytes: job.totalBytes,
+      speed: job.speed,
+      eta: job.eta,
+      segmentsDone: job.segmentsDone,
+      segmentsTotal: job.segmentsTotal,
+      error: job.error
+    }));
+}
+
+/**
+ * Progress of each batch, with the failures once it has finished (newest first)
+ * @returns {Array<Object>} { id, name, total, complete, cancelled, failed: [{ filename, error }], finished }
+ */
+function getBatchList() {
+  return Array.from(downloadBatches.values())
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(batch => {
+      const jobs = batch.jobIds.map(jobId => downloadJobs.get(jobId)).filter(Boolean);
+      const inState = (state) => jobs.filter(job => job.state === state);
+
+      return {
+        id: batch.id,
+        name: batch.name,
+        total: jobs.length,
+        complete: inState('complete').length,
+        cancelled: inState('cancelled').length,
+        failed: inState('failed').map(job => ({ filename: job.request.filename, error: job.error })),
+        finished: jobs.every(job => job.state !== 'queued' && !ACTIVE_JOB_STATES.includes(job.state))
+      };
+    });
+}
+
+/**
+ * Send the job list to every open popup
+ */
+function broadcastJobs() {
+  const jobs = getJobList();
+  const batches = getBatchList();
+  popupPorts.forEach((tabId, port) => port.postMessage({ type: 'jobs', jobs, batches }));
+}
+
+/* 8b. Request Header Replay */
+
+/**
+ * Remove the header rules a previous worker left (session rules outlive it)
+ * @returns {Promise<void>}
+ */
+async function clearHeaderRules() {
+  try {
+    const rules = await chrome.declarativeNetRequest.getSessionRules();
+    if (rules.length > 0) {
+      await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: rules.map(rule => rule.id) });
+    }
+  } catch (error) {
+    console.warn('Could not clear header rules:', error);
+  }
+}
+
+/**
+ * Make the requests of a job send the headers its page sent
+ * CDNs that check Referer/Origin reject chrome.downloads and offscreen
+ * fetches without them, and neither can set them. The rule only matches
+ * requests made outside tabs to the job's own URLs: the file's URL for a
+ * direct download; for a stream, the folders its page fetched segments
+ * from (or its server when they are not known yet), so jobs of other
+ * streams on the same server keep their own headers.
+ * @param {Object} job - Job about to start
+ * @returns {Promise<void>}
+ */
+async function addHeaderRule(job) {
+  const headers = getReplayHeaders(job.request);
+  if (!headers) return;
+
+  await headerRulesCleared;
+  removeHeaderRule(job);
+
+  const regexFilter = await pickHeaderRuleFilter(getHeaderRuleFilters(job.request));
+  if (!regexFilter) {
+    throw new Error('URL too long for a header rule');
+  }
+
+  const resourceTypes = job.request.kind === 'direct' ? ['other', 'media', 'xmlhttprequest'] : ['xmlhttprequest'];
+  const id = nextHeaderRuleId++;
+  await chrome.declarativeNetRequest.updateSessionRules({
+    addRules: [{
+      id: id,
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders: Object.entries(headers).map(([header, value]) => ({ header, operation: 'set', value }))
+      },
+      condition: { regexFilter, resourceTypes, tabIds: [chrome.tabs.TAB_ID_NONE] }
+    }]
+  });
+  headerRules.set(job.id, id);
+}
+
+/**
+ * URL patterns a job's header rule may use, the narrowest first
+ * @param {Object} request - Download request (url, kind, tabId)
+ * @returns {Array<string>} Regular expressions
+ */
+function getHeaderRuleFilters(request) {
+  const url = new URL(request.url);
+  url.hash = '';
+
+  if (request.kind === 'direct') {
+    // The exact URL, or else the file whatever its query
+    return [
+      `^${escapeRegExp(url.href)}$`,
+      `^${escapeRegExp(`${url.origin}${url.pathname}`)}(?:\\?|$)`
+    ];
+  }
+
+  // Folders of the manifest and of the segments listed in its playlists
+  const resourceKey = SignedUrl.getResourceKey(url.href);
+  const folders = [];
+  streamSegments.get(request.tabId)?.folders.forEach((manifestUrl, folder) => {
+    if (SignedUrl.getResourceKey(manifestUrl) === resourceKey) folders.push(folder);
+  });
+
+  const server = `^${escapeRegExp(`${url.origin}/`)}`;
+  if (folders.length === 0) return [server];
+
+  const manifestFolder = `${url.origin}${url.pathname.substring(0, url.pathname.lastIndexOf('/') + 1)}`;
+  const prefixes = Array.from(new Set([manifestFolder, ...folders]), escapeRegExp);
+  return [`^(?:${prefixes.join('|')})`, server];
+}
+
+/**
+ * First pattern Chrome accepts for a rule (long ones go over its size limit)
+ * @param {Array<string>} filters - Regular expressions, the narrowest first
+ * @returns {Promise<string|null>}
+ */
+async function pickHeaderRuleFilter(filters) {
+  for (const regex of filters) {
+    const { isSupported } = await chrome.declarativeNetRequest.isRegexSupported({ regex });
+    if (isSupported) return regex;
+  }
+  return null;
+}
+
+/**
+ * Remove the header rule of a finished job
+ * @param {Object} job - Job
+ */
+function removeHeaderRule(job) {
+  const id = headerRules.get(job.id);
+  if (id === undefined) return;
+
+  headerRules.delete(job.id);
+  chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [id] }).catch(() => {});
+}
+
+/**
+ * Headers to replay for a request: those its tab sent for the URL, or
+ * else the page as Referer
+ * @param {Object} request - Download request (url, tabId, pageUrl)
+ * @returns {Object|null} Lowercase header names → values
+ */
+function getReplayHeaders(request) {
+  if (!/^https?:/i.test(request.url || '')) return null;
+
+  const captured = requestHeaders.get(request.tabId)?.get(request.url);
+  const headers = {};
+  REPLAYED_HEADERS.forEach(name => {
+    if (captured?.[name]) headers[name] = captured[name];
+  });
+
+  if (!captured && /^https?:/i.test(request.pageUrl || '')) {
+    headers.referer = request.pageUrl;
+  }
+  return Object.keys(headers).length > 0 ? headers : null;
+}
+
+/**
+ * Latest signed link a tab has for the same file as a URL
+ * @param {number} [tabId] - Tab the download came from
+ * @param {string} [url] - URL to download
+ * @returns {string|null} Another URL, null if there is none
+ */
+function findFresherLink(tabId, url) {
+  if (tabId === undefined || !url || !SignedUrl.isSignedUrl(url)) return null;
+
+  const resourceKey = SignedUrl.getResourceKey(url);
+  const video = (detectedVideos.get(tabId) || []).find(v => v.resourceKey === resourceKey && v.url !== url);
+  return video && isFresherLink(video, { expiresAt: SignedUrl.getExpiry(url) }) ? video.url : null;
+}
+
+/**
+ * Explain why chrome.downloads gave up on a file
+ * Its reasons don't tell a refused request from an expired link, so the
+ * URL is requested once more (with the same headers) to read the status.
+ * @param {string} url - File URL
+ * @param {string} [reason] - downloads InterruptReason
+ * @returns {Promise<string>}
+ */
+async function explainDownloadFailure(url, reason) {
+  if (!/^(?:SERVER|NETWORK)_/.test(reason || '')) {
+    return reason || 'Download interrupted';
+  }
+
+  const status = await checkUrlStatus(url);
+  return describeHttpFailure(status, url) || reason;
+}
+
+/**
+ * HTTP status of a URL, reading only its first byte
+ * @param {string} url - URL
+ * @returns {Promise<number|null>} null if the server can't be reached
+ */
+async function checkUrlStatus(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), STATUS_CHECK_TIMEOUT);
+
+  try {
+    const response = await fetch(url, {
+      headers: { Range: 'bytes=0-0' },
+      credentials: 'include',
+      signal: controller.signal
+    });
+    response.body?.cancel().catch(() => {});
+    return response.status;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * What an HTTP error status means for a download
+ * @param {number} status - HTTP status
+ * @param {string} [url] - Downloaded URL, to tell when its signature expired
+ * @returns {string|null} Explanation, null for statuses without one
+ */
+function describeHttpFailure(status, url) {
+  const expiresAt = url ? SignedUrl.getExpiry(url) : null;
+  if ([401, 403, 410].includes(status) && expiresAt && expiresAt <= Date.now()) {
+    return `The link expired at ${new Date(expiresAt).toLocaleString()} (HTTP ${status}). Play the video again: the page gets a fresh link, the list switches to it, and a retry uses it.`;
+  }
+  if (status === 401 || status === 403) {
+    return `The server refused the download (HTTP ${status}): it only serves the page's own player, or the link's signature has expired. Play the video again and retry.`;
+  }
+  if (status === 410) {
+    return 'The link has expired (HTTP 410): its signature is no longer valid. Play the video again so the page gets a fresh link, then download that one.';
+  }
+  if (status === 404) {
+    return 'The file is no longer on the server (HTTP 404).';
+  }
+  if (status === 429) {
+    return 'The server is limiting requests (HTTP 429). Wait a moment and retry.';
+  }
+  if (status >= 500 && status < 600) {
+    return `The server failed (HTTP ${status}). Try again later.`;
+  }
+  return null;
+}
+
+/* 9. Context Menus and Shortcuts */
+
+// Audio files are not "the video" of a page
+const AUDIO_TYPES = ['MP3', 'M4A'];
+
+// Picture heights of the quality labels from detectQuality
+const QUALITY_HEIGHTS = { '4K': 2160, '1440p': 1440, '1080p': 1080, '720p': 720, '480p': 480, '360p': 360, '240p': 240, '144p': 144 };
+
+// Links worth a "Download this video" entry
+const VIDEO_LINK_PATTERNS = ['mp4', 'm4v', 'webm', 'mkv', 'mov', 'm3u8', 'mpd']
+  .flatMap(extension => [`*://*/*.${extension}`, `*://*/*.${extension}?*`]);
+
+// Time the content scripts of every frame get to report after a rescan (ms)
+const SCAN_SETTLE_TIME = 500;
+
+/**
+ * Create the context menu entries (they persist across worker restarts)
+ */
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: 'downloadVideo', title: 'Download this video', contexts: ['video'] });
+    chrome.contextMenus.create({ id: 'downloadLink', title: 'Download this video', contexts: ['link'], targetUrlPatterns: VIDEO_LINK_PATTERNS });
+    chrome.contextMenus.create({ id: 'copyStreamUrl', title: 'Copy best stream URL', contexts: ['page', 'video', 'link'] });
+    chrome.contextMenus.create({ id: 'scanPage', title: 'Scan this page', contexts: ['page', 'video', 'link'] });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab?.id || tab.id < 0) return;
+
+  runShortcut(tab, () => {
+    if (info.menuItemId === 'downloadVideo') return downloadVideoAt(tab, info.frameId || 0, info.srcUrl);
+    if (info.menuItemId === 'downloadLink') return downloadVideoAt(tab, info.frameId || 0, info.linkUrl);
+    if (info.menuItemId === 'copyStreamUrl') return copyBestStreamUrl(tab, info.frameId);
+    if (info.menuItemId === 'scanPage') return scanPage(tab);
+  });
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== 'downloadBest' || !tab?.id || tab.id < 0) return;
+  runShortcut(tab, () => downloadBestVideo(tab));
+});
+
+/**
+ * Run a menu or keyboard action; with no popup open, failures show on
+ * the toolbar icon (badge "!" and the reason as tooltip)
+ * @param {chrome.tabs.Tab} tab - Tab the action is for
+ * @param {function(): Promise} action - Action
+ */
+async function runShortcut(tab, action) {
+  try {
+    await registryReady;
+    await action();
+    chrome.action.setTitle({ tabId: tab.id, title: '' });
+    updateBadge(tab.id, (detectedVideos.get(tab.id) || []).length);
+  } catch (error) {
+    chrome.action.setBadgeText({ text: '!', tabId: tab.id });
+    chrome.action.setBadgeBackgroundColor({ color: '#e94560', tabId: tab.id });
+    chrome.action.setTitle({ tabId: tab.id, title: `Video Downloader: ${error.message}` });
+  }
+}
+
+/**
+ * Download the video under the pointer: its own URL, or the best video
+ * its frame detected when it plays from a blob: (MediaSource) URL
+ * @param {chrome.tabs.Tab} tab - Tab
+ * @param {number} frameId - Frame of the element or link
+ * @param {string} [url] - Element source or link URL
+ */
+async function downloadVideoAt(tab, frameId, url) {
+  if (url && /^https?:/i.test(url) && isVideoUrl(url, { mediaElement: true, pageUrl: tab.url })) {
+    const known = (detectedVideos.get(tab.id) || []).find(video => video.url === url);
+    const video = known || {
+      url: url,
+      type: getVideoType(url),
+      filename: generateFilename(url),
+      quality: detectQuality(url),
+      pageUrl: tab.url
+    };
+    enqueueDownload(await createShortcutRequest(video, tab));
+    return;
+  }
+
+  const video = pickBestVideo(getTabVideos(tab.id, frameId));
+  if (!video) {
+    throw new Error('No downloadable video found for this element');
+  }
+  enqueueDownload(await createShortcutRequest(video, tab));
+}
+
+/**
+ * Scan the page, then save its best video without asking (keyboard shortcut)
+ * @param {chrome.tabs.Tab} tab - Active tab
+ */
+async function downloadBestVideo(tab) {
+  await rescanTab(tab.id);
+
+  const video = pickBestVideo(getTabVideos(tab.id));
+  if (!video) {
+    throw new Error('No downloadable video found on this page');
+  }
+  enqueueDownload({ ...await createShortcutRequest(video, tab), saveAs: false });
+}
+
+/**
+ * Copy the URL of the best HLS/DASH stream (or else the best video) of a page
+ * @param {chrome.tabs.Tab} tab - Tab
+ * @param {number} [frameId] - Frame clicked; its videos come first
+ */
+async function copyBestStreamUrl(tab, frameId) {
+  const videos = getTabVideos(tab.id);
+  const own = frameId === undefined ? [] : getTabVideos(tab.id, frameId);
+
+  const video = pickBestVideo(own.filter(v => isManifestType(v.type))) ||
+    pickBestVideo(videos.filter(v => isManifestType(v.type))) ||
+    pickBestVideo(own) ||
+    pickBestVideo(videos);
+  if (!video) {
+    throw new Error('No video detected on this page yet');
+  }
+
+  // Service workers have no clipboard: the offscreen document copies
+  await ensureOffscreenDocument();
+  const result = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'copyText', text: video.url });
+  if (!result?.ok) {
+    throw new Error(result?.error || 'Could not copy the URL');
+  }
+}
+
+/**
+ * Scan the page again and show the results in the popup
+ * @param {chrome.tabs.Tab} tab - Tab
+ */
+async function scanPage(tab) {
+  await rescanTab(tab.id);
+
+  // The popup scans on its own when it opens (Chrome 127+)
+  await chrome.action.openPopup?.({ windowId: tab.windowId }).catch(() => {});
+}
+
+/**
+ * Ask the content scripts of every frame to look for videos again and
+ * give them a moment to report
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+async function rescanTab(tabId) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { action: 'scanPage' });
+  } catch {
+    // No content script (page opened before the extension, or restricted):
+    // what the network showed is all there is
+    return;
+  }
+  await new Promise(resolve => setTimeout(resolve, SCAN_SETTLE_TIME));
+}
+
+/**
+ * Downloadable videos a tab detected, optionally of one frame only
+ * @param {number} tabId - Tab ID
+ * @param {number} [frameId] - Frame ID
+ * @returns {Array<Object>}
+ */
+function getTabVideos(tabId, frameId) {
+  return (detectedVideos.get(tabId) || []).filter(video =>
+    !AUDIO_TYPES.includes(video.type) &&
+    !isSegmentUrl(video.url) &&
+    (frameId === undefined || (video.frameId || 0) === frameId));
+}
+
+/**
+ * Pick the highest-quality video: streams first (they download their best
+ * variant), then by picture height, size and newest
+ * @param {Array<Object>} videos - Detected videos
+ * @returns {Object|null}
+ */
+function pickBestVideo(videos) {
+  const rank = (video) => [
+    isManifestType(video.type) ? 1 : 0,
+    video.meta?.height || QUALITY_HEIGHTS[video.quality] || 0,
+    video.size || 0,
+    video.timestamp || 0
+  ];
+
+  return videos.reduce((best, video) => {
+    if (!best) return video;
+    const a = rank(video);
+    const b = rank(best);
+    const index = a.findIndex((value, i) => value !== b[i]);
+    return index !== -1 && a[index] > b[index] ? video : best;
+  }, null);
+}
+
+/**
+ * Build the download request of a video for the queue, as the popup's
+ * MP4 (streams) or Download (files) button would
+ * @param {Object} video - Detected video
+ * @param {chrome.tabs.Tab} tab - Its tab
+ * @returns {Promise<Object>} Download request
+ */
+async function createShortcutRequest(video, tab) {
+  let extension = video.extension;
+  if (!isManifestType(video.type) && !extension) {
+    const probe = await probeVideo(video.url, tab.id).catch(() => null);
+    extension = probe?.extension || VideoDetection.getExtension(video.url) || 'mp4';
+  }
+
+  // Network detections carry no titles: the tab's stands in
+  const named = {
+    ...video,
+    pageUrl: video.pageUrl || tab.url,
+    titles: { ...video.titles, pageTitle: video.titles?.pageTitle || tab.title || null }
+  };
+  const template = VideoDetection.getSiteRule(video.url, named.pageUrl)?.filenameTemplate || settings.filenameTemplate;
+  const filename = FilenameTemplate.buildPath(template, FilenameTemplate.getFields(named, extension || 'mp4')) ||
+    FilenameTemplate.sanitizeName(video.filename) ||
+    'video';
+
+  const request = { url: video.url, pageUrl: named.pageUrl, tabId: tab.id, filename };
+  if (video.type === 'HLS') return { ...request, kind: 'hls', remux: true };
+  // No track IDs: the offscreen document takes the best video and audio tracks
+  if (video.type === 'DASH') return { ...request, kind: 'dash', mux: true };
+  return { ...request, kind: 'direct', filename: `${filename}.${extension}` };
+}
+
+/* 10. Helper Functions */
+
+/**
+ * Keep only the expected title fields of a message, as short strings
+ * @param {Object} [titles] - { pageTitle, ogTitle, ldName, elementTitle }
+ * @returns {Object|null}
+ */
+function getTitles(titles) {
+  if (!titles || typeof titles !== 'object') return null;
+
+  const result = {};
+  ['pageTitle', 'ogTitle', 'ldName', 'elementTitle'].forEach(key => {
+    if (typeof titles[key] === 'string') result[key] = titles[key].substring(0, 300);
+  });
+  return result;
+}
+
+/**
+ * Keep only valid preview fields of a message
+ * @param {Object} [meta] - { poster, duration, width, height }
+ * @returns {Object|null}
+ */
+function getMetadataFields(meta) {
+  if (!meta || typeof meta !== 'object') return null;
+
+  const number = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+  // Page posters are web URLs; decoded frames are small JPEG data: URLs
+  const poster = typeof meta.poster === 'string' &&
+    (/^https?:/i.test(meta.poster) ? meta.poster.length <= 2000 : /^data:image\/jpeg;/.test(meta.poster) && meta.poster.length <= 50000)
+    ? meta.poster
+    : null;
+
+  return {
+    poster: poster,
+    duration: number(meta.duration),
+    width: number(meta.width) && Math.round(meta.width),
+    height: number(meta.height) && Math.round(meta.height)
+  };
+}
+
+/**
+ * Keep only valid subtitle tracks of a message
+ * @param {Array<Object>} [subtitles] - { url, trackId, language, label, format }
+ * @returns {Array<Object>}
+ */
+function getSubtitleFields(subtitles) {
+  if (!Array.isArray(subtitles)) return [];
+
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim().substring(0, 100) : null);
+
+  return subtitles
+    .filter(track => track && typeof track.url === 'string' && /^https?:/i.test(track.url) && track.url.length <= 2000)
+    .filter(track => SUBTITLE_FORMATS.includes(track.format))
+    .slice(0, MAX_SUBTITLES_PER_VIDEO)
+    .map(track => ({
+      url: track.url,
+      trackId: text(track.trackId),
+      language: text(track.language),
+      label: text(track.label),
+      format: track.format
+    }));
+}
+
+/**
+ * Check if a video type is a streaming manifest
+ * @param {string} type - Video type
+ * @returns {boolean}
+ */
+function isManifestType(type) {
+  return type === 'HLS' || type === 'DASH';
+}
+
+/**
+ * Remember the request headers a tab sent for a media URL (newest kept)
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Media URL
+ * @param {Object} [headers] - Captured headers (lowercase names)
+ */
+function rememberRequestHeaders(tabId, url, headers) {
+  if (!headers || Object.keys(headers).length === 0) return;
+
+  if (!requestHeaders.has(tabId)) {
+    requestHeaders.set(tabId, new Map());
+  }
+  const tabHeaders = requestHeaders.get(tabId);
+  tabHeaders.delete(url);
+  tabHeaders.set(url, headers);
+  if (tabHeaders.size > MAX_REQUEST_HEADERS) {
+    tabHeaders.delete(tabHeaders.keys().next().value);
+  }
+}
+
+/**
+ * URL of a segment without query and hash (signed tokens change)
+ * @param {string} url - Segment URL
+ * @returns {string}
+ */
+function getSegmentKey(url) {
+  return url.split(/[?#]/)[0];
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Limit how many tasks run at the same time
+ * @param {number} max - Tasks running at once; the rest wait in order
+ * @returns {function(Function): Promise} Runs an async task once a slot is free
+ */
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  return async (task) => {
+    if (active >= max) {
+      await new Promise(resolve => waiting.push(resolve));
+    }
+    active++;
+
+    try {
+      return await task();
+    } finally {
+      active--;
+      waiting.shift()?.();
+    }
+  };
+}
+
+/**
+ * Full size of a response, from Content-Range (partial) or Content-Length
+ * @param {Array} responseHeaders - webRequest response headers
+ * @returns {number|null} Size in bytes, or null if unknown
+ */
+function getResponseSize(responseHeaders = []) {
+  const header = (name) => responseHeaders.find(h => h.name.toLowerCase() === name)?.value;
+
+  const total = /\/(\d+)$/.exec(header('content-range') || '');
+  const size = parseInt(total ? total[1] : header('content-length'), 10);
+  return size > 0 ? size : null;
+}
+
+/**
+ * Add a video to the tab's detected videos
+ * @param {number} tabId - Tab ID
+ * @param {Object} videoInfo - Video information
+ */
+function addVideoToTab(tabId, videoInfo) {
+  if (!detectedVideos.has(tabId)) {
+    detectedVideos.set(tabId, []);
+  }
+
+  const tabVideos = detectedVideos.get(tabId);
+
+  // Signed links: when they stop working, and the file they point at
+  // (the same file signed again is not a new video)
+  videoInfo.expiresAt = SignedUrl.getExpiry(videoInfo.url);
+  videoInfo.resourceKey = SignedUrl.isSignedUrl(videoInfo.url) ? SignedUrl.getResourceKey(videoInfo.url) : null;
+
+  // Avoid exact duplicates (but keep titles a later report brings)
+  const existing = tabVideos.find(v => v.url === videoInfo.url) ||
+    (videoInfo.resourceKey && tabVideos.find(v => v.resourceKey === videoInfo.resourceKey));
+  if (existing) {
+    existing.titles = existing.titles || videoInfo.titles;
+    existing.meta = mergeMetadata(existing.meta, videoInfo.meta);
+    existing.subtitles = mergeSubtitles(existing.subtitles, videoInfo.subtitles).slice(0, MAX_SUBTITLES_PER_VIDEO);
+    // The content script knows the full frame URL, the network only its origin
+    if (videoInfo.frameUrl && videoInfo.frameUrl.length > (existing.frameUrl?.length || 0)) {
+      existing.frameId = videoInfo.frameId;
+      existing.frameUrl = videoInfo.frameUrl;
+    }
+    if (existing.url !== videoInfo.url && isFresherLink(videoInfo, existing)) {
+      refreshVideoUrl(tabId, existing, videoInfo);
+    }
+  } else {
+    // Segments of a known manifest are counted on it, not listed
+    if (!isManifestType(videoInfo.type) && foldSegment(tabId, videoInfo.url)) return;
+
+    // Subtitle files its frame loaded first
+    const pending = pendingSubtitles.get(tabId);
+    if (pending && !isSegmentUrl(videoInfo.url)) {
+      const frameId = videoInfo.frameId || 0;
+      const own = pending.filter(entry => entry.frameId === frameId).map(entry => entry.subtitle);
+      videoInfo.subtitles = mergeSubtitles(videoInfo.subtitles, own).slice(0, MAX_SUBTITLES_PER_VIDEO);
+      pendingSubtitles.set(tabId, pending.filter(entry => entry.frameId !== frameId));
+    }
+
+    tabVideos.push(videoInfo);
+    
+    // Keep only the last videos per tab (memory management), giving up
+    // segments before whole files and manifests
+    while (tabVideos.length > settings.maxVideosPerTab) {
+      tabVideos.splice(getEvictionIndex(tabVideos), 1);
+    }
+
+    // Update badge to show video count
+    updateBadge(tabId, tabVideos.length);
+    saveRegistry();
+
+    // A full list can give up the new entry itself (a segment among files):
+    // nothing to learn from it or to show
+    if (!tabVideos.includes(videoInfo)) return;
+
+    if (isManifestType(videoInfo.type)) {
+      learnStreamSegments(tabId, videoInfo.url, videoInfo.type);
+    }
+
+    // Show it in popups open on this tab
+    popupPorts.forEach((watchedTabId, port) => {
+      if (watchedTabId === tabId) port.postMessage({ type: 'videoAdded', video: videoInfo });
+    });
+  }
+}
+
+/**
+ * Check if a signed link outlives another one of the same file
+ * Without a readable expiry the link seen last is taken as the fresher,
+ * unless the listed video already switched away from it (a page that
+ * reports its old link again must not swap it back).
+ * @param {Object} candidate - New detection { url, expiresAt }
+ * @param {Object} current - Listed video { expiresAt, replacedUrls }
+ * @returns {boolean}
+ */
+function isFresherLink(candidate, current) {
+  if (current.replacedUrls?.includes(candidate.url)) {
+    return false;
+  }
+  if (candidate.expiresAt && current.expiresAt) {
+    return candidate.expiresAt > current.expiresAt;
+  }
+  return true;
+}
+
+/**
+ * Switch a listed video to a fresher signed link of the same file
+ * The entry keeps its place, titles and previews; popups open on the tab
+ * replace its item.
+ * @param {number} tabId - Tab ID
+ * @param {Object} video - Listed video
+ * @param {Object} fresh - Detection with the new link { url, expiresAt }
+ */
+function refreshVideoUrl(tabId, video, fresh) {
+  const oldUrl = video.url;
+  video.replacedUrls = [...(video.replacedUrls || []), oldUrl].slice(-MAX_REPLACED_URLS);
+  video.url = fresh.url;
+  video.expiresAt = fresh.expiresAt;
+  video.refreshedAt = Date.now();
+
+  // Segments learned from the old manifest link count on the new one
+  const known = streamSegments.get(tabId);
+  if (known) {
+    [known.segments, known.folders].forEach(map => map.forEach((manifestUrl, key) => {
+      if (manifestUrl === oldUrl) map.set(key, fresh.url);
+    }));
+  }
+  saveRegistry();
+
+  popupPorts.forEach((watchedTabId, port) => {
+    if (watchedTabId === tabId) port.postMessage({ type: 'videoRefreshed', oldUrl, video });
+  });
+}
+
+/**
+ * Attach a subtitle file seen on the network to its video: the newest
+ * one of the same frame, or the next one detected there
+ * @param {number} tabId - Tab ID
+ * @param {number} frameId - Frame that loaded the file
+ * @param {Object} subtitle - { url, trackId, language, label, format }
+ */
+function addSubtitleToTab(tabId, frameId, subtitle) {
+  // Segments of a stream's subtitle track are downloaded through the manifest
+  if (isSegmentUrl(subtitle.url) || isStreamSegment(tabId, subtitle)) return;
+
+  const video = (detectedVideos.get(tabId) || [])
+    .filter(v => (v.frameId || 0) === frameId && !isSegmentUrl(v.url))
+    .pop();
+
+  if (video) {
+    video.subtitles = mergeSubtitles(video.subtitles, [subtitle]).slice(0, MAX_SUBTITLES_PER_VIDEO);
+    saveRegistry();
+    return;
+  }
+
+  if (!pendingSubtitles.has(tabId)) {
+    pendingSubtitles.set(tabId, []);
+  }
+  const pending = pendingSubtitles.get(tabId);
+  if (!pending.some(entry => entry.subtitle.url === subtitle.url)) {
+    pending.push({ frameId, subtitle });
+    if (pending.length > MAX_PENDING_SUBTITLES) pending.shift();
+  }
+}
+
+/**
+ * Update the extension badge with video count
+ * @param {number} tabId - Tab ID
+ * @param {number} count - Number of videos
+ */
+function updateBadge(tabId, count) {
+  if (count > 0) {
+    chrome.action.setBadgeText({ text: count.toString(), tabId });
+    chrome.action.setBadgeBackgroundColor({ color: '#e94560', tabId });
+  } else {
+    chrome.action.setBadgeText({ text: '', tabId });
+  }
 }
 
 // Log to confirm script is loaded
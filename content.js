@@ -11,48 +11,63 @@
 
   /* 1. Configuration */
 
-  const VIDEO_PATTERNS = [
-    /\.mp4/i,
-    /\.webm/i,
-    /\.m3u8/i,
-    /\.mpd/i,
-    /\.mov/i,
-    /\.avi/i,
-    /\.mkv/i,
-    /\.flv/i,
-    /video/i,
-    /stream/i,
-    /media.*segment/i
-  ];
-
-  /* 2. Network Interception */
+  // Shared detection rules, loaded just before this script (lib/detect.js)
+  const { getElementMetadata, getElementSubtitles } = self.VideoDetection;
+
+  // MediaSource recorder: bytes kept in this frame before it stops
+  const MAX_RECORDED_BYTES = 256 * 1024 * 1024;
+  // Shortest time between two reports of the recorded sizes
+  const RECORDING_REPORT_INTERVAL = 1000;
+
+  /* 2. Main World Relay */
 
   /**
-   * Intercept XMLHttpRequest to detect dynamically loaded videos
+   * fetch/XHR/MediaSource hooks live in inject.js, which runs in the
+   * page's world. Open a private channel to it: the handshake carries a
+   * random nonce and one port of a MessageChannel, and every message
+   * coming back must repeat the nonce.
    */
-  const originalXHROpen = XMLHttpRequest.prototype.open;
-  
-  XMLHttpRequest.prototype.open = function(method, url) {
-    if (isVideoUrl(url)) {
-      notifyVideoFound(url);
+  const HANDSHAKE_TYPE = '__videoDownloaderHandshake';
+  const channelNonce = crypto.randomUUID();
+  const channel = new MessageChannel();
+
+  channel.port1.onmessage = (event) => {
+    const data = event.data;
+    if (!data || data.nonce !== channelNonce) return;
+
+    const context = { mediaElement: data.mediaElement === true };
+
+    if (data.kind === 'url' && isVideoUrl(data.url, context)) {
+      notifyVideoFound(data.url, 'hook', context);
+    } else if (data.kind === 'mediasource' && typeof data.mimeType === 'string') {
+      notifyMediaSourceFound(data.mimeType);
+    } else if (data.kind === 'recording' && data.data instanceof ArrayBuffer) {
+      recordChunk(data);
+    } else if (data.kind === 'encryptedMedia') {
+      stopRecordings('encrypted');
     }
-    return originalXHROpen.apply(this, arguments);
   };
 
+  window.postMessage(
+    { type: HANDSHAKE_TYPE, nonce: channelNonce },
+    window.location.origin === 'null' ? '*' : window.location.origin,
+    [channel.port2]
+  );
+
   /**
-   * Intercept fetch API to detect dynamically loaded videos
+   * Apply the user's detection settings here and in inject.js
+   * @param {Object} settings - Settings from lib/settings.js
    */
-  const originalFetch = window.fetch;
-  
-  window.fetch = function(resource, options) {
-    const url = typeof resource === 'string' ? resource : resource.url;
-    
-    if (url && isVideoUrl(url)) {
-      notifyVideoFound(url);
-    }
-    
-    return originalFetch.apply(this, arguments);
-  };
+  function useSettings(settings) {
+    // Looked up each time, like isVideoUrl: the rules hold the settings
+    self.VideoDetection.applySettings(settings);
+    channel.port1.postMessage({ kind: 'settings', settings });
+  }
+
+  ExtensionSettings.getSettings().then(useSettings).catch(() => {
+    // Extension context invalidated: keep the defaults
+  });
+  ExtensionSettings.onSettingsChanged(useSettings);
 
   /* 3. DOM Observation */
 
@@ -91,8 +106,8 @@
     });
   });
 
-  // Start observing the document
-  observer.observe(document.documentElement, {
+  // Start observing the document (this script runs at document_start)
+  observer.observe(document, {
     childList: true,
     subtree: true
   });
@@ -111,56 +126,252 @@
     });
   }
 
-  // Run initial scan
-  initialScan();
+  // Run initial scan once the page has been parsed
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialScan, { once: true });
+  } else {
+    initialScan();
+  }
+
+  // Scan again when the background asks (context menu, keyboard shortcut),
+  // save or discard a recording when the popup asks
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'scanPage') {
+      initialScan();
+      sendResponse({ ok: true });
+    } else if (message.action === 'saveRecording') {
+      sendResponse(saveRecordedTrack(message.recordingId, message.trackId, message.filename));
+    } else if (message.action === 'discardRecording') {
+      discardRecording(message.recordingId);
+      sendResponse({ ok: true });
+    }
+    return false;
+  });
 
-  /* 5. Helper Functions */
+  /* 5. MediaSource Recorder */
 
   /**
-   * Check a video element for valid sources
-   * @param {HTMLVideoElement} video - Video element to check
+   * What inject.js copied from this frame's SourceBuffers, by recording
+   * (MediaSource) ID. The bytes stay in this frame's memory: they would
+   * not fit in extension messages, and go away with the page.
+   * @type {Map<number, {id: number, state: string, startedAt: number,
+   *   tracks: Map<number, {id: number, mimeType: string, chunks: Array<ArrayBuffer>, bytes: number}>}>}
    */
-  function checkVideoElement(video) {
-    // Check direct src
-    if (video.src && !video.src.startsWith('blob:')) {
-      notifyVideoFound(video.src);
+  const recordings = new Map();
+  let recordedBytes = 0;
+  // 'recording', 'full' (memory limit reached) or 'encrypted' (the page uses EME)
+  let recorderState = 'recording';
+  // Recordings that take no more bytes (cut by the memory limit, or
+  // discarded): what their buffers append next has no init segment
+  const closedRecordings = new Set();
+  let reportTimer = null;
+
+  /**
+   * Keep bytes appended to a SourceBuffer
+   * @param {Object} data - { recordingId, trackId, mimeType, data } from inject.js
+   */
+  function recordChunk(data) {
+    if (recorderState !== 'recording') return;
+    if (!Number.isInteger(data.recordingId) || !Number.isInteger(data.trackId) || typeof data.mimeType !== 'string') return;
+    if (closedRecordings.has(data.recordingId)) return;
+
+    if (recordedBytes + data.data.byteLength > MAX_RECORDED_BYTES) {
+      stopRecordings('full');
+      return;
     }
-    
-    // Check currentSrc (actual playing source)
-    if (video.currentSrc && !video.currentSrc.startsWith('blob:')) {
-      notifyVideoFound(video.currentSrc);
+
+    if (!recordings.has(data.recordingId)) {
+      recordings.set(data.recordingId, { id: data.recordingId, tracks: new Map(), startedAt: Date.now() });
+    }
+    const tracks = recordings.get(data.recordingId).tracks;
+    if (!tracks.has(data.trackId)) {
+      tracks.set(data.trackId, { id: data.trackId, mimeType: data.mimeType.substring(0, 100), chunks: [], bytes: 0 });
     }
 
-    // Check source children
-    video.querySelectorAll('source').forEach(source => {
-      if (source.src && !source.src.startsWith('blob:')) {
-        notifyVideoFound(source.src);
-      }
+    const track = tracks.get(data.trackId);
+    track.chunks.push(data.data);
+    track.bytes += data.data.byteLength;
+    recordedBytes += data.data.byteLength;
+    scheduleRecordingReport();
+  }
+
+  /**
+   * Stop recording in this frame
+   * What was recorded is kept when memory runs out, and dropped when the
+   * page turns out to use EME (it could not be played).
+   * @param {string} state - 'full' or 'encrypted'
+   */
+  function stopRecordings(state) {
+    if (recorderState === 'encrypted') return;
+    recorderState = state;
+    channel.port1.postMessage({ kind: 'stopRecording' });
+
+    recordings.forEach(recording => {
+      recording.state = state;
+      closedRecordings.add(recording.id);
     });
+
+    if (state === 'encrypted') {
+      recordings.forEach(recording => recording.tracks.forEach(track => {
+        track.chunks = [];
+        track.bytes = 0;
+      }));
+      recordedBytes = 0;
+    }
+    if (recordings.size > 0) reportRecordings();
   }
 
   /**
-   * Check if URL is a video URL
+   * Save a recorded track as a file
+   * The page's document starts the download: a blob: URL of this frame
+   * can not be handed to the downloads API.
+   * @param {number} recordingId - Recording ID
+   * @param {number} trackId - Track ID
+   * @param {string} filename - File name with extension
+   * @returns {{ok: boolean, error?: string}}
+   */
+  function saveRecordedTrack(recordingId, trackId, filename) {
+    const track = recordings.get(recordingId)?.tracks.get(trackId);
+    if (!track || track.bytes === 0) {
+      return { ok: false, error: 'Nothing recorded for this track' };
+    }
+
+    // Init segment and media segments in the order the player appended them
+    const blob = new Blob(track.chunks, { type: track.mimeType.split(';')[0].trim() });
+    const url = URL.createObjectURL(blob);
+
+    // A link outside the document: page listeners never see the click
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = String(filename || 'recording');
+    link.click();
+
+    // The download reads the blob after the click returns
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    return { ok: true };
+  }
+
+  /**
+   * Drop a recording and free its memory
+   * A recorder stopped by the memory limit starts again, for the
+   * MediaSources the page creates from then on.
+   * @param {number} recordingId - Recording ID
+   */
+  function discardRecording(recordingId) {
+    const recording = recordings.get(recordingId);
+    if (!recording) return;
+
+    recording.tracks.forEach(track => {
+      recordedBytes -= track.bytes;
+    });
+    recordings.delete(recordingId);
+    closedRecordings.add(recordingId);
+
+    if (recorderState === 'full') {
+      recorderState = 'recording';
+      channel.port1.postMessage({ kind: 'resumeRecording' });
+    }
+    reportRecordings();
+  }
+
+  /**
+   * Report the recorded sizes to the background, at most once per interval
+   */
+  function scheduleRecordingReport() {
+    if (reportTimer) return;
+    reportTimer = setTimeout(() => {
+      reportTimer = null;
+      reportRecordings();
+    }, RECORDING_REPORT_INTERVAL);
+  }
+
+  /**
+   * Send the background a summary of this frame's recordings (no bytes)
+   */
+  function reportRecordings() {
+    try {
+      chrome.runtime?.sendMessage?.({
+        action: 'recordingsUpdated',
+        pageUrl: window.location.href,
+        titles: FilenameTemplate.getPageTitles(document),
+        recordings: Array.from(recordings.values(), recording => ({
+          id: recording.id,
+          state: recording.state || recorderState,
+          startedAt: recording.startedAt,
+          tracks: Array.from(recording.tracks.values(), track => ({
+            id: track.id,
+            mimeType: track.mimeType,
+            bytes: track.bytes,
+            segments: track.chunks.length
+          }))
+        }))
+      });
+    } catch (error) {
+      // Silently ignore communication errors
+    }
+  }
+
+  /* 6. Helper Functions */
+
+  /**
+   * Check if URL is a video URL (shared rules, with this page for site rules)
    * @param {string} url - URL to check
+   * @param {Object} [context] - { mediaElement }
    * @returns {boolean}
    */
-  function isVideoUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    if (url.startsWith('data:') || url.startsWith('blob:')) return false;
-    
-    return VIDEO_PATTERNS.some(pattern => pattern.test(url));
+  function isVideoUrl(url, context = {}) {
+    return self.VideoDetection.isVideoUrl(url, { ...context, pageUrl: window.location.href });
+  }
+
+  // Video elements waiting for their metadata (one listener each)
+  const watchedVideos = new WeakSet();
+
+  /**
+   * Check a video element for valid sources
+   * @param {HTMLVideoElement} video - Video element to check
+   */
+  function checkVideoElement(video) {
+    const context = { mediaElement: true };
+    const urls = [
+      video.src, // Direct src
+      video.currentSrc, // Actual playing source
+      ...Array.from(video.querySelectorAll('source'), source => source.src) // Source children
+    ];
+
+    new Set(urls).forEach(url => {
+      if (isVideoUrl(url, context)) {
+        notifyVideoFound(url, 'dom', { ...context, element: video });
+      }
+    });
+
+    // Duration and picture size are only known once metadata has loaded
+    if (video.readyState < HTMLMediaElement.HAVE_METADATA && !watchedVideos.has(video)) {
+      watchedVideos.add(video);
+      video.addEventListener('loadedmetadata', () => {
+        watchedVideos.delete(video);
+        checkVideoElement(video);
+      }, { once: true });
+    }
   }
 
   /**
    * Notify background script about found video
    * @param {string} url - Video URL
+   * @param {string} [source='dom'] - Detector that found it ('dom' or 'hook')
+   * @param {Object} [context] - Detection context ({ mediaElement, element })
    */
-  function notifyVideoFound(url) {
+  function notifyVideoFound(url, source = 'dom', context = {}) {
     try {
       chrome.runtime?.sendMessage?.({
         action: 'videoFound',
         url: url,
-        pageUrl: window.location.href
+        source: source,
+        mediaElement: context.mediaElement === true,
+        pageUrl: window.location.href,
+        // Titles for the filename template, preview and <track> subtitles of the element
+        titles: FilenameTemplate.getPageTitles(document, context.element),
+        meta: getElementMetadata(context.element),
+        subtitles: getElementSubtitles(context.element)
       });
     } catch (error) {
       // Silently ignore communication errors
@@ -168,6 +379,21 @@
     }
   }
 
+  /**
+   * Notify background script about a MediaSource stream
+   * @param {string} mimeType - SourceBuffer MIME type
+   */
+  function notifyMediaSourceFound(mimeType) {
+    try {
+      chrome.runtime?.sendMessage?.({
+        action: 'mediaSourceFound',
+        mimeType: mimeType
+      });
+    } catch (error) {
+      // Silently ignore communication errors
+    }
+  }
+
   // Log to confirm script is loaded (only in development)
   console.log('🎬 Video Downloader: Content script loaded');
 
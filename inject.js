@@ -0,0 +1,265 @@
+/* Video Downloader Extension - Main World Hooks
+
+   This script runs in the page's own JavaScript world (world: "MAIN")
+   at document_start, before any page script. Content scripts live in an
+   isolated world and never see the page's fetch/XHR calls, so the hooks
+   have to be installed here.
+
+   Findings are relayed to content.js over a private MessageChannel:
+   content.js posts a handshake carrying a nonce and one port of the
+   channel, this script takes it in a capture listener registered before
+   any page script and stops it from propagating, and every message sent
+   back is tagged with the nonce. Pages never get a reference to the port.
+
+   PRIVACY NOTE:
+   Nothing leaves the browser; findings only go to the extension. */
+
+(function() {
+  'use strict';
+
+  /* 1. Configuration */
+
+  const HANDSHAKE_TYPE = '__videoDownloaderHandshake';
+
+  // Shared detection rules, loaded just before this script (lib/settings.js,
+  // lib/detect.js). Keep private references and remove the globals from the
+  // page's world. User settings arrive later over the private channel.
+  const { isVideoUrl, applySettings } = self.VideoDetection;
+  delete self.VideoDetection;
+  delete self.ExtensionSettings;
+
+  // Findings made before the handshake arrives
+  const pending = [];
+  let port = null;
+  let nonce = null;
+
+  // MediaSource recorder (recordMediaSource setting): on for this frame,
+  // stopped by content.js (memory limit) until a recording is discarded,
+  // or off for good because the page uses Encrypted Media Extensions
+  let recordingEnabled = false;
+  let recordingStopped = false;
+  let encryptedMedia = false;
+
+  /* 2. Private Channel */
+
+  /**
+   * Accept the first handshake from content.js and hide it from the page
+   * @param {MessageEvent} event - Window message event
+   */
+  function onHandshake(event) {
+    const data = event.data;
+    if (event.source !== window || !data || data.type !== HANDSHAKE_TYPE) return;
+    if (typeof data.nonce !== 'string' || !event.ports[0]) return;
+
+    event.stopImmediatePropagation();
+    window.removeEventListener('message', onHandshake, true);
+
+    port = event.ports[0];
+    nonce = data.nonce;
+
+    // content.js sends the user's detection settings through the port,
+    // and stops the recorder when it holds too much
+    port.onmessage = (message) => {
+      if (message.data?.kind === 'settings') {
+        applySettings(message.data.settings);
+        recordingEnabled = message.data.settings.recordMediaSource === true;
+      } else if (message.data?.kind === 'stopRecording') {
+        recordingStopped = true;
+      } else if (message.data?.kind === 'resumeRecording') {
+        recordingStopped = false;
+      }
+    };
+
+    pending.splice(0).forEach(send);
+  }
+
+  window.addEventListener('message', onHandshake, true);
+
+  /**
+   * Send a finding to content.js, or queue it until the channel is open
+   * @param {Object} finding - { kind, url?, mimeType? }
+   */
+  function send(finding) {
+    if (!port) {
+      // Cap the queue in case content.js never answers
+      if (pending.length < 200) pending.push(finding);
+      return;
+    }
+    port.postMessage({ nonce, ...finding });
+  }
+
+  /* 3. Network Hooks */
+
+  /**
+   * Hook fetch to detect dynamically loaded videos
+   */
+  const originalFetch = window.fetch;
+
+  window.fetch = function(resource) {
+    try {
+      const url = resource instanceof Request ? resource.url : String(resource);
+      reportUrl(url);
+    } catch {
+      // Never break the page's own request
+    }
+    return originalFetch.apply(this, arguments);
+  };
+
+  /**
+   * Hook XMLHttpRequest to detect dynamically loaded videos
+   */
+  const originalXHROpen = XMLHttpRequest.prototype.open;
+
+  XMLHttpRequest.prototype.open = function(method, url) {
+    try {
+      reportUrl(String(url));
+    } catch {
+      // Never break the page's own request
+    }
+    return originalXHROpen.apply(this, arguments);
+  };
+
+  /* 4. Media Hooks */
+
+  /**
+   * Hook MediaSource to detect streams fed through SourceBuffers, and
+   * record what is appended to them when the recorder is on
+   */
+  if (window.MediaSource) {
+    const originalAddSourceBuffer = MediaSource.prototype.addSourceBuffer;
+    const originalAppendBuffer = SourceBuffer.prototype.appendBuffer;
+    const bufferTypes = new WeakMap();
+    // Recorder IDs: one recording per MediaSource, one track per SourceBuffer
+    const sourceIds = new WeakMap();
+    const bufferTracks = new WeakMap();
+    let nextRecorderId = 1;
+
+    MediaSource.prototype.addSourceBuffer = function(mimeType) {
+      const sourceBuffer = originalAddSourceBuffer.apply(this, arguments);
+      bufferTypes.set(sourceBuffer, String(mimeType));
+      if (!sourceIds.has(this)) sourceIds.set(this, nextRecorderId++);
+      bufferTracks.set(sourceBuffer, {
+        recordingId: sourceIds.get(this),
+        trackId: nextRecorderId++,
+        mimeType: String(mimeType),
+        // Decided at the first append
+        recorded: null
+      });
+      send({ kind: 'mediasource', mimeType: String(mimeType) });
+      return sourceBuffer;
+    };
+
+    SourceBuffer.prototype.appendBuffer = function(data) {
+      const mimeType = bufferTypes.get(this);
+      if (mimeType) {
+        // Only the first append of each buffer is interesting here
+        bufferTypes.delete(this);
+        send({ kind: 'mediasource', mimeType, appended: data?.byteLength || 0 });
+      }
+      // Appends that throw (full buffer, wrong state) are retried by the player
+      const result = originalAppendBuffer.apply(this, arguments);
+      try {
+        recordAppend(bufferTracks.get(this), data);
+      } catch {
+        // Never break the page's player
+      }
+      return result;
+    };
+  }
+
+  /**
+   * Hook Encrypted Media Extensions: once a page sets media keys (or a
+   * stream announces encryption) the recorder stops for good, since the
+   * recorded segments could not be played without the keys. Pages that
+   * only ask which key systems exist are not affected.
+   */
+  const originalSetMediaKeys = HTMLMediaElement.prototype.setMediaKeys;
+
+  if (originalSetMediaKeys) {
+    HTMLMediaElement.prototype.setMediaKeys = function(mediaKeys) {
+      if (mediaKeys) stopForEncryptedMedia();
+      return originalSetMediaKeys.apply(this, arguments);
+    };
+  }
+
+  // "encrypted" does not bubble, but capture listeners still see it
+  document.addEventListener('encrypted', stopForEncryptedMedia, true);
+
+  /**
+   * Hook the src setter of media elements: <video> sources are reported
+   * as such, <audio> ones are not videos
+   */
+  const srcDescriptor = Object.getOwnPropertyDescriptor(HTMLMediaElement.prototype, 'src');
+
+  if (srcDescriptor?.set) {
+    Object.defineProperty(HTMLMediaElement.prototype, 'src', {
+      ...srcDescriptor,
+      set(value) {
+        try {
+          if (this instanceof HTMLVideoElement) reportUrl(String(value), true);
+        } catch {
+          // Never break the page's player
+        }
+        return srcDescriptor.set.call(this, value);
+      }
+    });
+  }
+
+  /* 5. MediaSource Recorder */
+
+  /**
+   * Send a copy of appended bytes to content.js
+   * A buffer is recorded from its first append (the init segment) or not
+   * at all: without it the rest could not be played.
+   * @param {Object} [track] - { recordingId, trackId, mimeType, recorded } of the SourceBuffer
+   * @param {ArrayBuffer|ArrayBufferView} data - Appended bytes
+   */
+  function recordAppend(track, data) {
+    if (!track || !data) return;
+
+    const recording = recordingEnabled && !recordingStopped && !encryptedMedia && port !== null;
+    if (track.recorded === null) track.recorded = recording;
+    if (!track.recorded || !recording) return;
+
+    // The page may reuse its buffer: send a copy, transferred without another one
+    const view = ArrayBuffer.isView(data)
+      ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+    const bytes = view.slice().buffer;
+
+    port.postMessage({
+      nonce,
+      kind: 'recording',
+      recordingId: track.recordingId,
+      trackId: track.trackId,
+      mimeType: track.mimeType,
+      data: bytes
+    }, [bytes]);
+  }
+
+  /**
+   * Stop the recorder for good: the page plays encrypted media
+   */
+  function stopForEncryptedMedia() {
+    if (encryptedMedia) return;
+    encryptedMedia = true;
+    send({ kind: 'encryptedMedia' });
+  }
+
+  /* 6. Helper Functions */
+
+  /**
+   * Report a URL if it looks like a video
+   * @param {string} url - Raw URL (may be relative)
+   * @param {boolean} [isMediaSrc=false] - Assigned to a media element's src
+   */
+  function reportUrl(url, isMediaSrc = false) {
+    if (!url || url.startsWith('data:') || url.startsWith('blob:')) return;
+
+    const absoluteUrl = new URL(url, location.href).href;
+    if (!isVideoUrl(absoluteUrl, { mediaElement: isMediaSrc, pageUrl: location.href })) return;
+
+    send({ kind: 'url', url: absoluteUrl, mediaElement: isMediaSrc });
+  }
+
+})();
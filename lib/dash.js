@@ -0,0 +1,436 @@
+/* Video Downloader Extension - MPEG-DASH Manifest Parser
+
+   Parses static MPD manifests into periods, representations and the
+   list of segment URLs of each representation. Supports SegmentTemplate
+   ($Number$ / $Time$, with or without SegmentTimeline), SegmentList and
+   SegmentBase. Needs DOMParser, so it runs in the popup and the
+   offscreen document (not in the service worker). */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Parsing */
+
+  /**
+   * Parse an MPD manifest
+   * @param {string} text - Manifest XML
+   * @param {string} manifestUrl - URL the manifest was loaded from
+   * @returns {Object} { duration, periods: [{ start, duration, representations }] }
+   */
+  function parseMpd(text, manifestUrl) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const mpd = doc.documentElement;
+
+    if (!mpd || mpd.localName !== 'MPD') {
+      throw new Error('Not a DASH manifest');
+    }
+    if (mpd.getAttribute('type') === 'dynamic') {
+      throw new Error('Live DASH streams are not supported');
+    }
+
+    const duration = parseDuration(mpd.getAttribute('mediaPresentationDuration'));
+    const mpdBase = resolveBaseUrl(mpd, manifestUrl);
+    const periodElements = children(mpd, 'Period');
+
+    const periods = periodElements.map((periodEl, index) => {
+      const start = parseDuration(periodEl.getAttribute('start')) ?? 0;
+      const nextStart = periodElements[index + 1]
+        ? parseDuration(periodElements[index + 1].getAttribute('start'))
+        : null;
+      const periodDuration = parseDuration(periodEl.getAttribute('duration')) ??
+        (nextStart !== null ? nextStart - start : (duration ?? 0) - start);
+
+      return parsePeriod(periodEl, resolveBaseUrl(periodEl, mpdBase), start, periodDuration);
+    });
+
+    return { duration, periods };
+  }
+
+  /**
+   * Parse a Period element
+   * @param {Element} periodEl - Period
+   * @param {string} baseUrl - Resolved base URL
+   * @param {number} start - Period start (seconds)
+   * @param {number} duration - Period duration (seconds)
+   * @returns {Object} { start, duration, representations }
+   */
+  function parsePeriod(periodEl, baseUrl, start, duration) {
+    const representations = [];
+
+    children(periodEl, 'AdaptationSet').forEach(setEl => {
+      const setBase = resolveBaseUrl(setEl, baseUrl);
+
+      children(setEl, 'Representation').forEach(repEl => {
+        const mimeType = attr(repEl, setEl, 'mimeType') || '';
+        const representation = {
+          id: repEl.getAttribute('id'),
+          contentType: setEl.getAttribute('contentType') || mimeType.split('/')[0] || null,
+          mimeType: mimeType,
+          codecs: attr(repEl, setEl, 'codecs'),
+          bandwidth: parseInt(repEl.getAttribute('bandwidth'), 10) || 0,
+          width: parseInt(attr(repEl, setEl, 'width'), 10) || null,
+          height: parseInt(attr(repEl, setEl, 'height'), 10) || null,
+          language: setEl.getAttribute('lang'),
+          label: child(setEl, 'Label')?.textContent.trim() || null
+        };
+
+        const repBase = resolveBaseUrl(repEl, setBase);
+        Object.assign(representation, parseSegments(repEl, setEl, periodEl, repBase, representation, duration));
+        representations.push(representation);
+      });
+    });
+
+    return { start, duration, representations };
+  }
+
+  /**
+   * Build the init segment and media segments of a representation
+   * @param {Element} repEl - Representation
+   * @param {Element} setEl - Parent AdaptationSet
+   * @param {Element} periodEl - Parent Period
+   * @param {string} baseUrl - Representation base URL
+   * @param {Object} representation - Parsed representation attributes
+   * @param {number} periodDuration - Period duration (seconds)
+   * @returns {{init: Object|null, segments: Array}}
+   */
+  function parseSegments(repEl, setEl, periodEl, baseUrl, representation, periodDuration) {
+    const template = mergeElements('SegmentTemplate', repEl, setEl, periodEl);
+    if (template) {
+      return parseSegmentTemplate(template, baseUrl, representation, periodDuration);
+    }
+
+    const list = child(repEl, 'SegmentList') || child(setEl, 'SegmentList');
+    if (list) {
+      return parseSegmentList(list, baseUrl);
+    }
+
+    // SegmentBase (or nothing): the representation is one self-contained file
+    return {
+      init: null,
+      segments: [{ url: baseUrl, byteRange: null }]
+    };
+  }
+
+  /**
+   * Expand a SegmentTemplate into segment URLs
+   * @param {Object<string, string>} template - Merged template attributes (+ timeline)
+   * @param {string} baseUrl - Representation base URL
+   * @param {Object} representation - Parsed representation attributes
+   * @param {number} periodDuration - Period duration (seconds)
+   * @returns {{init: Object|null, segments: Array}}
+   */
+  function parseSegmentTemplate(template, baseUrl, representation, periodDuration) {
+    const timescale = parseInt(template.timescale, 10) || 1;
+    const presentationTimeOffset = Number(template.presentationTimeOffset) || 0;
+    const startNumber = parseInt(template.startNumber, 10);
+    const firstNumber = Number.isNaN(startNumber) ? 1 : startNumber;
+    const segments = [];
+
+    const buildUrl = (pattern, number, time) =>
+      new URL(fillTemplate(pattern, {
+        RepresentationID: representation.id,
+        Bandwidth: representation.bandwidth,
+        Number: number,
+        Time: time
+      }), baseUrl).href;
+
+    if (template.timeline) {
+      let number = firstNumber;
+      let time = 0;
+
+      template.timeline.forEach((entry, index) => {
+        if (entry.t !== null) time = entry.t;
+
+        let repeat = entry.r;
+        if (repeat < 0) {
+          // Repeat until the next entry's start or the end of the period
+          const next = template.timeline[index + 1];
+          const end = next?.t ?? Math.ceil(periodDuration * timescale);
+          repeat = Math.max(0, Math.ceil((end - time) / entry.d) - 1);
+        }
+
+        for (let i = 0; i <= repeat; i++) {
+          segments.push({
+            url: buildUrl(template.media, number, time),
+            byteRange: null,
+            // Start within the period
+            time: (time - presentationTimeOffset) / timescale,
+            duration: entry.d / timescale
+          });
+          number++;
+          time += entry.d;
+        }
+      });
+    } else if (template.duration) {
+      const durationUnits = parseInt(template.duration, 10);
+      const segmentDuration = durationUnits / timescale;
+      const count = Math.ceil(periodDuration / segmentDuration);
+
+      for (let i = 0; i < count; i++) {
+        segments.push({
+          url: buildUrl(template.media, firstNumber + i, i * durationUnits),
+          byteRange: null,
+          time: i * segmentDuration,
+          duration: segmentDuration
+        });
+      }
+    }
+
+    return {
+      init: template.initialization
+        ? { url: buildUrl(template.initialization, null, null), byteRange: null }
+        : null,
+      segments
+    };
+  }
+
+  /**
+   * Read a SegmentList
+   * @param {Element} listEl - SegmentList
+   * @param {string} baseUrl - Representation base URL
+   * @returns {{init: Object|null, segments: Array}}
+   */
+  function parseSegmentList(listEl, baseUrl) {
+    const timescale = parseInt(listEl.getAttribute('timescale'), 10) || 1;
+    const segmentDuration = parseInt(listEl.getAttribute('duration'), 10) / timescale || null;
+    const initEl = child(listEl, 'Initialization');
+    const init = initEl ? {
+      url: new URL(initEl.getAttribute('sourceURL') || '', baseUrl).href,
+      byteRange: parseRange(initEl.getAttribute('range'))
+    } : null;
+
+    // Timing is only known when the list gives a segment duration
+    const segments = children(listEl, 'SegmentURL').map((segmentEl, index) => ({
+      url: new URL(segmentEl.getAttribute('media') || '', baseUrl).href,
+      byteRange: parseRange(segmentEl.getAttribute('mediaRange')),
+      ...(segmentDuration ? { time: index * segmentDuration, duration: segmentDuration } : {})
+    }));
+
+    return { init, segments };
+  }
+
+  /* 2. Tracks */
+
+  /**
+   * List the downloadable video, audio and text tracks (from the first period)
+   * @param {Object} mpd - Parsed manifest
+   * @returns {{video: Array, audio: Array, text: Array}} Tracks sorted by bandwidth (best first)
+   */
+  function listTracks(mpd) {
+    const representations = mpd.periods[0]?.representations || [];
+    const byBandwidth = (a, b) => b.bandwidth - a.bandwidth;
+    const describe = rep => ({
+      id: rep.id,
+      contentType: rep.contentType,
+      mimeType: rep.mimeType,
+      bandwidth: rep.bandwidth,
+      width: rep.width,
+      height: rep.height,
+      codecs: rep.codecs,
+      language: rep.language,
+      label: rep.label
+    });
+
+    return {
+      video: representations.filter(rep => rep.contentType === 'video').sort(byBandwidth).map(describe),
+      audio: representations.filter(rep => rep.contentType === 'audio').sort(byBandwidth).map(describe),
+      text: representations.filter(rep => rep.contentType === 'text').map(describe)
+    };
+  }
+
+  /**
+   * Collect the parts to download for a track across all periods
+   * @param {Object} mpd - Parsed manifest
+   * @param {string} trackId - Representation ID from listTracks
+   * @param {{start: number, end: number|null}} [range] - Only the segments covering
+   *   this time range (seconds from the start; end null: to the end)
+   * @returns {Array<{url: string, byteRange: Object|null}>} Init and media segments in order
+   */
+  function getTrackParts(mpd, trackId, range = null) {
+    const first = mpd.periods[0]?.representations.find(rep => rep.id === trackId);
+    if (!first) {
+      throw new Error(`Unknown DASH track: ${trackId}`);
+    }
+
+    const parts = [];
+    let lastInit = null;
+
+    mpd.periods.forEach(period => {
+      const rep = findMatchingRepresentation(period.representations, first);
+      if (!rep) return;
+
+      const segments = range ? getSegmentsInRange(rep.segments, period.start, range) : rep.segments;
+      if (segments.length === 0) return;
+
+      // Only repeat the init segment when it changes between periods
+      const initKey = rep.init ? `${rep.init.url}#${JSON.stringify(rep.init.byteRange)}` : null;
+      if (rep.init && initKey !== lastInit) {
+        parts.push(rep.init);
+        lastInit = initKey;
+      }
+      parts.push(...segments);
+    });
+
+    return parts;
+  }
+
+  /**
+   * Keep the segments of a period that cover a time range
+   * @param {Array} segments - Representation segments
+   * @param {number} periodStart - Period start (seconds)
+   * @param {{start: number, end: number|null}} range - Time range (seconds)
+   * @returns {Array}
+   */
+  function getSegmentsInRange(segments, periodStart, range) {
+    // A single file (SegmentBase) or a list without durations can't be cut
+    if (segments.some(segment => segment.time === undefined)) {
+      throw new Error('This stream has no segment timing: it can not be clipped');
+    }
+
+    const end = range.end ?? Infinity;
+    return segments.filter(segment => {
+      const start = periodStart + segment.time;
+      return start < end && start + segment.duration > range.start;
+    });
+  }
+
+  /**
+   * Find the representation of a later period that continues a track
+   * @param {Array} representations - Period representations
+   * @param {Object} track - Representation from the first period
+   * @returns {Object|null}
+   */
+  function findMatchingRepresentation(representations, track) {
+    const sameType = representations.filter(rep => rep.contentType === track.contentType);
+    return sameType.find(rep => rep.id === track.id) ||
+      sameType.reduce((closest, rep) => (
+        !closest || Math.abs(rep.bandwidth - track.bandwidth) < Math.abs(closest.bandwidth - track.bandwidth)
+          ? rep
+          : closest
+      ), null);
+  }
+
+  /* 3. Helper Functions */
+
+  /**
+   * Direct children of an element with a given local name
+   * @param {Element} el - Parent
+   * @param {string} name - Local name
+   * @returns {Array<Element>}
+   */
+  function children(el, name) {
+    return Array.from(el.children).filter(childEl => childEl.localName === name);
+  }
+
+  /**
+   * First direct child with a given local name
+   * @param {Element} el - Parent
+   * @param {string} name - Local name
+   * @returns {Element|null}
+   */
+  function child(el, name) {
+    return children(el, name)[0] || null;
+  }
+
+  /**
+   * Read an attribute from a Representation, falling back to its AdaptationSet
+   * @param {Element} repEl - Representation
+   * @param {Element} setEl - AdaptationSet
+   * @param {string} name - Attribute name
+   * @returns {string|null}
+   */
+  function attr(repEl, setEl, name) {
+    return repEl.getAttribute(name) ?? setEl.getAttribute(name);
+  }
+
+  /**
+   * Merge SegmentTemplate attributes inherited from outer levels
+   * @param {string} name - Element name
+   * @param {...Element} levels - Innermost level first
+   * @returns {Object|null} Attributes plus a parsed `timeline`, or null
+   */
+  function mergeElements(name, ...levels) {
+    const elements = levels.map(level => child(level, name)).filter(Boolean);
+    if (elements.length === 0) return null;
+
+    const merged = {};
+    elements.reverse().forEach(el => {
+      Array.from(el.attributes).forEach(({ name: key, value }) => {
+        merged[key] = value;
+      });
+
+      const timelineEl = child(el, 'SegmentTimeline');
+      if (timelineEl) {
+        merged.timeline = children(timelineEl, 'S').map(s => ({
+          t: s.hasAttribute('t') ? Number(s.getAttribute('t')) : null,
+          d: Number(s.getAttribute('d')),
+          r: parseInt(s.getAttribute('r'), 10) || 0
+        }));
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Resolve the BaseURL of an element against its parent's base
+   * @param {Element} el - MPD, Period, AdaptationSet or Representation
+   * @param {string} parentBase - Parent base URL
+   * @returns {string}
+   */
+  function resolveBaseUrl(el, parentBase) {
+    const baseEl = child(el, 'BaseURL');
+    const value = baseEl?.textContent.trim();
+    return value ? new URL(value, parentBase).href : parentBase;
+  }
+
+  /**
+   * Replace $Identifier$ / $Identifier%0Nd$ placeholders
+   * @param {string} pattern - Template string
+   * @param {Object} values - Identifier values
+   * @returns {string}
+   */
+  function fillTemplate(pattern, values) {
+    return pattern.replace(/\$(\w*)(?:%0(\d+)d)?\$/g, (match, name, width) => {
+      if (name === '') return '$';
+
+      const value = values[name];
+      if (value === null || value === undefined) return match;
+
+      return width ? String(value).padStart(parseInt(width, 10), '0') : String(value);
+    });
+  }
+
+  /**
+   * Parse an ISO 8601 duration (PT1H2M3.5S)
+   * @param {string|null} value - Duration
+   * @returns {number|null} Seconds
+   */
+  function parseDuration(value) {
+    const match = /^P(?:(\d+)D)?(?:T(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?)?$/.exec(value || '');
+    if (!match) return null;
+
+    const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  }
+
+  /**
+   * Parse a "start-end" byte range
+   * @param {string|null} value - Range attribute
+   * @returns {{offset: number, length: number}|null}
+   */
+  function parseRange(value) {
+    const match = /^(\d+)-(\d+)$/.exec(value || '');
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    return { offset: start, length: parseInt(match[2], 10) - start + 1 };
+  }
+
+  global.DashManifest = {
+    parseMpd,
+    listTracks,
+    getTrackParts
+  };
+
+})(self);
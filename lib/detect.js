@@ -0,0 +1,514 @@
+/* Video Downloader Extension - Video Detection Rules
+
+   The one place that decides whether a URL is a video and what kind.
+   Loaded by the service worker (importScripts), both content scripts
+   (page world and isolated world) and the popup's page scanner, so every
+   context gives the same verdict. Only depends on standard web APIs.
+   User filters and site rules come from lib/settings.js: load it first. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Configuration */
+
+  // User rules; each context calls applySettings() once it has read them.
+  // Until then, the defaults of lib/settings.js (loaded before this file).
+  let rules = compileRules(global.ExtensionSettings?.DEFAULT_SETTINGS || {});
+
+  // URL patterns that indicate video content
+  const VIDEO_URL_PATTERNS = [
+    /\.mp4(\?|$|#)/i,
+    /\.m4v(\?|$|#)/i,
+    /\.webm(\?|$|#)/i,
+    /\.m3u8(\?|$|#)/i,
+    /\.mpd(\?|$|#)/i,
+    /\.mov(\?|$|#)/i,
+    /\.avi(\?|$|#)/i,
+    /\.mkv(\?|$|#)/i,
+    /\.flv(\?|$|#)/i,
+    /\.ogv(\?|$|#)/i,
+    /\.3gp(\?|$|#)/i,
+    /\.ts(\?|$|#)/i,
+    /\/video\//i,
+    /videoplayback/i,
+    /media.*segment/i,
+    /chunk.*video/i
+  ];
+
+  // URLs that match the patterns above but are never a downloadable video.
+  // Site-specific junk lives in the user's exclude patterns instead.
+  const JUNK_URL_PATTERNS = [
+    // Page scripts and styles that happen to live under /video/
+    /\.(?:js|css|json|png|jpe?g|gif|svg|webp|ico|woff2?)(\?|$|#)/i
+  ];
+
+  // HLS/DASH segment requests addressed by byte range
+  const SEGMENT_PATTERN = /segment|chunk|frag/i;
+  const BYTE_RANGE_PATTERN = /range|bytes/i;
+
+  // URLs that look like one piece of a stream rather than a whole file
+  const SEGMENT_URL_PATTERNS = [
+    /\.(?:ts|m4s|m4f|cmfv|cmfa)(\?|$|#)/i,
+    /media.*segment/i,
+    /chunk.*video/i,
+    /(?:^|[/_-])(?:seg|segment|chunk|frag(?:ment)?)[-_]?\d+/i
+  ];
+
+  // Content types that indicate video
+  const VIDEO_CONTENT_TYPES = [
+    'video/mp4',
+    'video/webm',
+    'video/ogg',
+    'video/x-flv',
+    'video/quicktime',
+    'video/x-msvideo',
+    'video/x-matroska',
+    'video/mp2t',
+    'video/3gpp',
+    'application/vnd.apple.mpegurl',
+    'application/x-mpegurl',
+    'application/dash+xml'
+  ];
+
+  // Type label per file extension
+  const EXTENSION_TYPES = {
+    'm3u8': 'HLS',
+    'mpd': 'DASH',
+    'mp4': 'MP4',
+    'm4v': 'MP4',
+    'webm': 'WebM',
+    'mov': 'MOV',
+    'mkv': 'MKV',
+    'flv': 'FLV',
+    'avi': 'AVI',
+    'ogv': 'OGG',
+    '3gp': '3GP',
+    'ts': 'TS'
+  };
+
+  // Subtitle formats by Content-Type and by file extension
+  const SUBTITLE_CONTENT_TYPES = {
+    'text/vtt': 'vtt',
+    'application/x-subrip': 'srt',
+    'text/srt': 'srt',
+    'application/ttml+xml': 'ttml'
+  };
+  const SUBTITLE_EXTENSIONS = {
+    'vtt': 'vtt',
+    'webvtt': 'vtt',
+    'srt': 'srt',
+    'ttml': 'ttml',
+    'dfxp': 'ttml'
+  };
+
+  // "undefined" as a whole path segment or parameter value, written by a
+  // broken player template ("/undefined/", "?src=undefined")
+  const UNDEFINED_VALUE_PATTERN = /(^|[/=])undefined($|[/?&#])/;
+
+  // WebVTT files players use for seek-bar previews, not subtitles
+  const THUMBNAIL_TRACK_PATTERN = /thumb|sprite|storyboard|preview/i;
+
+  // Absolute video URLs written in page markup or inline scripts
+  const EMBEDDED_URL_PATTERN = /https?:\/\/[^\s"'<>]+?\.(?:mp4|webm|m3u8|mpd)(?:[?#][^\s"'<>]*)?(?=[\s"'<>]|$)/gi;
+
+  /* 2. Classification */
+
+  /**
+   * Check if URL is a video URL
+   * @param {string} url - URL to check
+   * @param {Object} [context] - Where the URL was found
+   * @param {boolean} [context.mediaElement=false] - Set as the source of a
+   *   <video>/<audio> element, which is enough evidence without a video pattern
+   * @param {boolean} [context.videoResponse=false] - Served with a video
+   *   Content-Type, which is also enough evidence
+   * @param {string} [context.pageUrl] - Page the URL was found on (for site rules)
+   * @returns {boolean}
+   */
+  function isVideoUrl(url, context = {}) {
+    if (typeof url !== 'string') return false;
+
+    // Ignore data URLs and blobs
+    if (url.startsWith('data:') || url.startsWith('blob:')) {
+      return false;
+    }
+
+    // Ignore very short or very long URLs
+    if (url.length < 10 || url.length > 5000) {
+      return false;
+    }
+
+    // Only real web addresses (no "undefined" from broken templates)
+    if (!/^https?:\/\//i.test(url) || UNDEFINED_VALUE_PATTERN.test(url)) {
+      return false;
+    }
+
+    // Site rules, then the user's include/exclude patterns
+    const siteRule = getSiteRule(url, context.pageUrl);
+    if (siteRule?.action === 'ignore') return false;
+    if (matchesAny(url, rules.includePatterns)) return true;
+
+    const alwaysInclude = siteRule?.action === 'include';
+    if (!alwaysInclude && matchesAny(url, rules.excludePatterns)) {
+      return false;
+    }
+
+    if (JUNK_URL_PATTERNS.some(pattern => pattern.test(url))) {
+      return false;
+    }
+
+    // Ignore segment files from HLS/DASH
+    if (!alwaysInclude && SEGMENT_PATTERN.test(url) && BYTE_RANGE_PATTERN.test(url)) {
+      return false;
+    }
+
+    return context.mediaElement === true ||
+      context.videoResponse === true ||
+      VIDEO_URL_PATTERNS.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * Check if a URL looks like an HLS/DASH segment (not a whole file)
+   * @param {string} url - Video URL
+   * @returns {boolean}
+   */
+  function isSegmentUrl(url) {
+    return SEGMENT_URL_PATTERNS.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * Subtitle format of a URL or response
+   * @param {string} url - URL
+   * @param {string} [contentType] - Content-Type header value
+   * @returns {string|null} 'vtt', 'srt', 'ttml', or null if it is not a subtitle file
+   */
+  function getSubtitleFormat(url, contentType = '') {
+    const mimeType = String(contentType).split(';')[0].trim().toLowerCase();
+    const format = SUBTITLE_CONTENT_TYPES[mimeType] || SUBTITLE_EXTENSIONS[getExtension(url)] || null;
+    return format && !THUMBNAIL_TRACK_PATTERN.test(generateFilename(url)) ? format : null;
+  }
+
+  /**
+   * Check if a Content-Type header indicates video
+   * @param {string} contentType - Content-Type header value
+   * @returns {boolean}
+   */
+  function isVideoContentType(contentType) {
+    const value = String(contentType || '').toLowerCase();
+    return VIDEO_CONTENT_TYPES.some(type => value.includes(type));
+  }
+
+  /**
+   * Get video type from URL
+   * @param {string} url - Video URL
+   * @returns {string} Video type
+   */
+  function getVideoType(url) {
+    const extension = getExtension(url);
+    if (EXTENSION_TYPES[extension]) return EXTENSION_TYPES[extension];
+
+    // Streams served without an extension (e.g. "manifest?format=m3u8")
+    if (/m3u8|mpegurl/i.test(url)) return 'HLS';
+    if (/(?:^|[^a-z])(?:mpd|dash)(?![a-z])/i.test(url)) return 'DASH';
+    return 'MP4';
+  }
+
+  /**
+   * Get video type from content type header
+   * @param {string} contentType - Content-Type header value
+   * @returns {string} Video type
+   */
+  function getTypeFromContentType(contentType) {
+    const value = String(contentType || '').toLowerCase();
+
+    if (value.includes('mpegurl')) return 'HLS';
+    if (value.includes('dash')) return 'DASH';
+    if (value.includes('webm')) return 'WebM';
+    if (value.includes('quicktime')) return 'MOV';
+    if (value.includes('flv')) return 'FLV';
+    if (value.includes('matroska')) return 'MKV';
+    if (value.includes('msvideo')) return 'AVI';
+    if (value.includes('mp2t')) return 'TS';
+    if (value.includes('ogg')) return 'OGG';
+    if (value.includes('3gpp')) return '3GP';
+    return 'MP4';
+  }
+
+  /**
+   * Detect video quality from URL
+   * @param {string} url - Video URL
+   * @returns {string|null} Quality string or null
+   */
+  function detectQuality(url) {
+    const urlLower = String(url).toLowerCase();
+
+    // Whole tokens only: "hd"/"sd" inside words gave false positives
+    const token = (pattern) => new RegExp(`(?:^|[^a-z0-9])(?:${pattern})(?![a-z0-9])`).test(urlLower);
+
+    if (token('4k|2160p|uhd')) return '4K';
+    if (token('1440p|2k')) return '1440p';
+    if (token('1080p|fullhd|fhd')) return '1080p';
+    if (token('720p')) return '720p';
+    if (token('480p')) return '480p';
+    if (token('360p')) return '360p';
+    if (token('240p')) return '240p';
+    if (token('144p')) return '144p';
+
+    return null;
+  }
+
+  /**
+   * Check a known file size against the user's minimum
+   * @param {number|null} size - Size in bytes, null if unknown
+   * @param {string} url - Video URL (sites set to "always include" skip the check)
+   * @param {string} [pageUrl] - Page the URL was found on
+   * @returns {boolean} True if the file is too small to list
+   */
+  function isBelowMinSize(size, url, pageUrl) {
+    if (!size || !rules.minFileSize) return false;
+    if (getSiteRule(url, pageUrl)?.action === 'include') return false;
+    return size < rules.minFileSize;
+  }
+
+  /**
+   * Generate a filename from URL
+   * Keeps Unicode; the download path itself comes from the user's filename
+   * template (lib/filename.js), which may use this as {name}.
+   * @param {string} url - Video URL
+   * @returns {string} Generated filename (without extension)
+   */
+  function generateFilename(url) {
+    try {
+      const parts = new URL(url).pathname.split('/').filter(Boolean);
+      let filename = parts[parts.length - 1] || 'video';
+
+      try {
+        filename = decodeURIComponent(filename);
+      } catch {
+        // Malformed escape: keep it as is
+      }
+
+      // Clean the filename
+      filename = filename.replace(/\.[^.]+$/, ''); // Remove extension
+      filename = filename.replace(/[<>:"/\\|?*\u0000-\u001f\u007f]/g, '_').trim(); // Characters invalid in files
+
+      // If filename is too short or generic, use timestamp
+      if (filename.length < 3 || filename === 'video' || filename === 'media') {
+        filename = `video_${Date.now()}`;
+      }
+
+      return Array.from(filename).slice(0, 80).join(''); // Limit length
+    } catch {
+      return `video_${Date.now()}`;
+    }
+  }
+
+  /**
+   * Find video URLs written in a text (page markup, inline scripts)
+   * @param {string} text - Text to search
+   * @returns {Array<string>} Unique URLs that pass isVideoUrl
+   */
+  function extractVideoUrls(text) {
+    // JSON in inline scripts escapes slashes ("https:\/\/...")
+    const matches = String(text).replace(/\\\//g, '/').match(EMBEDDED_URL_PATTERN) || [];
+    const urls = matches.map(url => url.replace(/['"\\]/g, '').replace(/&amp;/g, '&'));
+
+    return Array.from(new Set(urls)).filter(url => isVideoUrl(url));
+  }
+
+  /**
+   * Preview information a media element already has
+   * @param {HTMLMediaElement} [element] - Element playing the URL
+   * @returns {Object|null} { poster, duration, width, height } (unknown ones are null)
+   */
+  function getElementMetadata(element) {
+    if (!element) return null;
+
+    return {
+      poster: element.poster || null,
+      duration: Number.isFinite(element.duration) && element.duration > 0 ? element.duration : null,
+      width: element.videoWidth || null,
+      height: element.videoHeight || null
+    };
+  }
+
+  /**
+   * Subtitle and caption tracks of a media element (<track> children)
+   * @param {HTMLMediaElement} [element] - Media element
+   * @returns {Array<Object>} { url, language, label, format }
+   */
+  function getElementSubtitles(element) {
+    if (!element?.querySelectorAll) return [];
+
+    return Array.from(element.querySelectorAll('track'))
+      // A <track> without kind holds subtitles
+      .filter(track => ['subtitles', 'captions'].includes((track.getAttribute('kind') || 'subtitles').toLowerCase()))
+      .filter(track => /^https?:\/\//i.test(track.src))
+      .map(track => ({
+        url: track.src,
+        language: track.srclang || null,
+        label: track.label || null,
+        // <track> is WebVTT, unless a player script reads SRT itself
+        format: getSubtitleFormat(track.src) || 'vtt'
+      }));
+  }
+
+  /**
+   * Combine two previews of the same video, the first one winning
+   * (a page's own poster beats a decoded frame)
+   * @param {Object} [first] - { poster, duration, width, height }
+   * @param {Object} [second] - Preview filling what the first lacks
+   * @returns {Object|null}
+   */
+  function mergeMetadata(first, second) {
+    if (!first || !second) return first || second || null;
+
+    return {
+      poster: first.poster || second.poster || null,
+      duration: first.duration || second.duration || null,
+      width: first.width && first.height ? first.width : second.width || null,
+      height: first.width && first.height ? first.height : second.height || null
+    };
+  }
+
+  /**
+   * Combine two subtitle lists of the same video, without repeating a track
+   * @param {Array<Object>} [first] - { url, trackId, language, label, format }
+   * @param {Array<Object>} [second] - Tracks to add
+   * @returns {Array<Object>}
+   */
+  function mergeSubtitles(first, second) {
+    const tracks = new Map();
+    [...(first || []), ...(second || [])].forEach(track => {
+      const key = `${track.url}#${track.trackId || ''}`;
+      if (!tracks.has(key)) tracks.set(key, track);
+    });
+    return Array.from(tracks.values());
+  }
+
+  /* 3. User Rules */
+
+  /**
+   * Use the user's detection settings in this context
+   * @param {Object} settings - Settings from lib/settings.js
+   */
+  function applySettings(settings) {
+    rules = compileRules(settings || {});
+  }
+
+  /**
+   * Prepare settings for matching
+   * @param {Object} settings - { includePatterns, excludePatterns, minFileSize, siteRules }
+   * @returns {Object} Compiled rules
+   */
+  function compileRules(settings) {
+    return {
+      includePatterns: (settings.includePatterns || []).map(compilePattern).filter(Boolean),
+      excludePatterns: (settings.excludePatterns || []).map(compilePattern).filter(Boolean),
+      minFileSize: settings.minFileSize || 0,
+      siteRules: (settings.siteRules || [])
+        .filter(rule => rule && rule.domain)
+        .map(rule => ({ ...rule, domain: rule.domain.trim().toLowerCase().replace(/^\*?\./, '') }))
+    };
+  }
+
+  /**
+   * Turn a user pattern into a RegExp
+   * "/regex/flags" is a regular expression (without the g and y flags,
+   * which would make test() carry on from its last match); anything else
+   * matches as case-insensitive text where "*" stands for any characters.
+   * @param {string} pattern - User pattern
+   * @returns {RegExp|null} Null if the pattern is empty or invalid
+   */
+  function compilePattern(pattern) {
+    const text = String(pattern || '').trim();
+    if (!text) return null;
+
+    try {
+      const regex = /^\/(.+)\/([a-z]*)$/.exec(text);
+      if (regex) {
+        return new RegExp(regex[1], regex[2] ? regex[2].replace(/[gy]/g, '') : 'i');
+      }
+
+      const escaped = text.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      return new RegExp(escaped, 'i');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Find the site rule for a video URL or the page it was found on
+   * @param {string} url - Video URL
+   * @param {string} [pageUrl] - Page URL
+   * @returns {Object|null} { domain, action, filenameTemplate }
+   */
+  function getSiteRule(url, pageUrl) {
+    if (rules.siteRules.length === 0) return null;
+
+    const hosts = [getHostname(url), getHostname(pageUrl)].filter(Boolean);
+    return rules.siteRules.find(rule =>
+      hosts.some(host => host === rule.domain || host.endsWith(`.${rule.domain}`))
+    ) || null;
+  }
+
+  /* 4. Helper Functions */
+
+  /**
+   * Check a URL against compiled patterns
+   * @param {string} url - URL
+   * @param {Array<RegExp>} patterns - Compiled patterns
+   * @returns {boolean}
+   */
+  function matchesAny(url, patterns) {
+    return patterns.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * Get the lowercase hostname of a URL
+   * @param {string} [url] - URL
+   * @returns {string} Hostname, or '' if there is none
+   */
+  function getHostname(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Get the lowercase file extension of a URL's path
+   * @param {string} url - URL
+   * @returns {string} Extension without the dot, or '' if there is none
+   */
+  function getExtension(url) {
+    try {
+      const match = /\.([a-z0-9]{1,6})$/i.exec(new URL(url).pathname);
+      return match ? match[1].toLowerCase() : '';
+    } catch {
+      return '';
+    }
+  }
+
+  global.VideoDetection = {
+    applySettings,
+    compilePattern,
+    getSiteRule,
+    isVideoUrl,
+    isSegmentUrl,
+    getSubtitleFormat,
+    isBelowMinSize,
+    isVideoContentType,
+    getVideoType,
+    getTypeFromContentType,
+    detectQuality,
+    generateFilename,
+    extractVideoUrls,
+    getElementMetadata,
+    getElementSubtitles,
+    mergeMetadata,
+    mergeSubtitles,
+    getExtension
+  };
+
+})(self);
@@ -0,0 +1,233 @@
+/* Video Downloader Extension - Exports
+
+   Turns detected videos into files other tools read: shell scripts of
+   yt-dlp or ffmpeg commands, an aria2c input file, an M3U playlist or
+   JSON. Each video carries the Referer / User-Agent / Cookie headers its
+   page sent, so servers that check them accept the requests. Loaded by
+   the popup; only depends on standard web APIs. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Configuration */
+
+  // Export formats: menu label, file extension and MIME type
+  const FORMATS = {
+    ytdlp: { label: 'yt-dlp commands', extension: 'sh', mimeType: 'text/x-shellscript' },
+    aria2: { label: 'aria2c input file', extension: 'txt', mimeType: 'text/plain' },
+    ffmpeg: { label: 'ffmpeg commands', extension: 'sh', mimeType: 'text/x-shellscript' },
+    m3u: { label: 'M3U playlist', extension: 'm3u', mimeType: 'audio/x-mpegurl' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+  };
+
+  // Header names as tools expect them
+  const HEADER_NAMES = {
+    referer: 'Referer',
+    origin: 'Origin',
+    'user-agent': 'User-Agent',
+    cookie: 'Cookie'
+  };
+
+  /* 2. Export */
+
+  /**
+   * Build an export of videos
+   * @param {string} format - Key of FORMATS
+   * @param {Array<Object>} videos - { url, filename (without extension), extension,
+   *   type, headers: { referer, origin, 'user-agent', cookie } }
+   * @returns {string} File contents
+   */
+  function buildExport(format, videos) {
+    const builders = { ytdlp: toYtDlp, aria2: toAria2, ffmpeg: toFfmpeg, m3u: toM3u, json: toJson };
+    if (!builders[format]) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    return builders[format](videos);
+  }
+
+  /**
+   * yt-dlp command for every video
+   * @param {Array<Object>} videos - Videos
+   * @returns {string}
+   */
+  function toYtDlp(videos) {
+    return script(videos.map(buildYtDlpCommand));
+  }
+
+  /**
+   * yt-dlp command line of one video
+   * @param {Object} video - Video (as for buildExport)
+   * @returns {string}
+   */
+  function buildYtDlpCommand(video) {
+    const headers = getHeaders(video);
+    const options = [
+      headers.Referer && `--referer ${quote(headers.Referer)}`,
+      headers['User-Agent'] && `--user-agent ${quote(headers['User-Agent'])}`,
+      ...['Origin', 'Cookie']
+        .filter(name => headers[name])
+        .map(name => `--add-header ${quote(`${name}:${headers[name]}`)}`),
+      // yt-dlp knows the real extension; -o is a template, where "%" is "%%"
+      `-o ${quote(`${video.filename.replace(/%/g, '%%')}.%(ext)s`)}`
+    ].filter(Boolean);
+
+    return `yt-dlp ${options.join(' ')} ${quote(video.url)}`;
+  }
+
+  /**
+   * aria2c input file (streams left out: aria2c downloads single files)
+   * @param {Array<Object>} videos - Videos
+   * @returns {string}
+   */
+  function toAria2(videos) {
+    const blocks = videos.map(video => {
+      if (isStream(video)) {
+        return `# Skipped (${video.type} stream, use yt-dlp or ffmpeg): ${video.url}`;
+      }
+
+      const options = [
+        `out=${video.filename}.${video.extension || 'mp4'}`,
+        ...Object.entries(getHeaders(video)).map(([name, value]) => `header=${name}: ${value}`)
+      ];
+      // Options go on indented lines after their URL
+      return [video.url, ...options.map(option => `  ${option.replace(/[\r\n]+/g, ' ')}`)].join('\n');
+    });
+    return `${blocks.join('\n')}\n`;
+  }
+
+  /**
+   * ffmpeg command for every video, copying the streams into MP4 (or the
+   * file's own container)
+   * @param {Array<Object>} videos - Videos
+   * @returns {string}
+   */
+  function toFfmpeg(videos) {
+    const lines = videos.map(video => {
+      const { 'User-Agent': userAgent, ...headers } = getHeaders(video);
+      // ffmpeg takes extra headers as one CRLF-separated string
+      const headerText = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+      const extension = isStream(video) ? 'mp4' : video.extension || 'mp4';
+
+      const options = [
+        userAgent && `-user_agent ${quote(userAgent)}`,
+        headerText && `-headers ${quoteAnsi(headerText)}`,
+        `-i ${quote(video.url)}`,
+        '-c copy',
+        // "./": a name starting with "-" would be read as an option
+        quote(`./${video.filename}.${extension}`)
+      ].filter(Boolean);
+
+      // -nostdin: ffmpeg would otherwise read the next lines of the script
+      return `ffmpeg -nostdin ${options.join(' ')}`;
+    });
+    return script(lines);
+  }
+
+  /**
+   * M3U playlist, with the headers as VLC options
+   * @param {Array<Object>} videos - Videos
+   * @returns {string}
+   */
+  function toM3u(videos) {
+    const entries = videos.map(video => {
+      const headers = getHeaders(video);
+      return [
+        `#EXTINF:-1,${oneLine(video.filename)}`,
+        headers.Referer && `#EXTVLCOPT:http-referrer=${oneLine(headers.Referer)}`,
+        headers['User-Agent'] && `#EXTVLCOPT:http-user-agent=${oneLine(headers['User-Agent'])}`,
+        video.url
+      ].filter(Boolean).join('\n');
+    });
+    return `#EXTM3U\n${entries.join('\n')}\n`;
+  }
+
+  /**
+   * JSON array of the videos and their headers
+   * @param {Array<Object>} videos - Videos
+   * @returns {string}
+   */
+  function toJson(videos) {
+    const entries = videos.map(video => ({
+      url: video.url,
+      type: video.type || null,
+      filename: video.filename,
+      extension: video.extension || null,
+      pageUrl: video.pageUrl || null,
+      headers: getHeaders(video)
+    }));
+    return `${JSON.stringify(entries, null, 2)}\n`;
+  }
+
+  /* 3. Helper Functions */
+
+  /**
+   * Headers of a video with the names tools expect, empty ones left out
+   * @param {Object} video - Video
+   * @returns {Object<string, string>}
+   */
+  function getHeaders(video) {
+    const headers = {};
+    Object.entries(video.headers || {}).forEach(([name, value]) => {
+      const key = HEADER_NAMES[name.toLowerCase()];
+      if (key && value) headers[key] = String(value);
+    });
+    return headers;
+  }
+
+  /**
+   * Check if a video is an HLS/DASH manifest
+   * @param {Object} video - Video
+   * @returns {boolean}
+   */
+  function isStream(video) {
+    return video.type === 'HLS' || video.type === 'DASH';
+  }
+
+  /**
+   * Shell script of commands, one per line
+   * @param {Array<string>} lines - Commands
+   * @returns {string}
+   */
+  function script(lines) {
+    return `#!/usr/bin/env bash\nset -u\n\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Quote a value for a POSIX shell
+   * @param {string} value - Value
+   * @returns {string} e.g. 'it'\''s'
+   */
+  function quote(value) {
+    return `'${oneLine(value).replace(/'/g, "'\\''")}'`;
+  }
+
+  /**
+   * Quote a value with escapes for bash ($'...'), keeping CR and LF
+   * @param {string} value - Value
+   * @returns {string}
+   */
+  function quoteAnsi(value) {
+    const escaped = String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\r/g, '\\r')
+      .replace(/\n/g, '\\n');
+    return `$'${escaped}'`;
+  }
+
+  /**
+   * Remove line breaks (a header or URL never needs one)
+   * @param {string} value - Value
+   * @returns {string}
+   */
+  function oneLine(value) {
+    return String(value).replace(/[\r\n]+/g, ' ');
+  }
+
+  global.ExportFormats = {
+    FORMATS,
+    buildExport,
+    buildYtDlpCommand
+  };
+
+})(self);
@@ -0,0 +1,238 @@
+/* Video Downloader Extension - Filename Templates
+
+   Builds download paths from a template such as
+   "{site}/{pageTitle} - {quality}.{ext}" and gathers the titles a page
+   gives its videos. Names keep their Unicode characters; only what is
+   invalid on Windows, macOS or Linux is replaced. Loaded by the popup,
+   the content script and the popup's page scanner. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Configuration */
+
+  // Placeholders a template may use
+  const PLACEHOLDERS = ['title', 'pageTitle', 'name', 'site', 'quality', 'type', 'ext', 'date'];
+
+  // Names that say nothing about the video (HLS/DASH manifests, players)
+  const GENERIC_NAMES = /^(?:master|index|playlist|manifest|chunklist|stream|video|media|main|default|output|source)(?:[_-]?\w{0,4})?$/i;
+
+  // Characters invalid in a file or folder name on some filesystem, and
+  // what replaces them (titles like "Capítulo 3: El final | Canal" stay readable)
+  const INVALID_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+  const REPLACEMENTS = {
+    ':': ' - ',
+    '|': ' - ',
+    '/': ' - ',
+    '\\': ' - ',
+    '"': "'",
+    '<': '(',
+    '>': ')'
+  };
+
+  // Names Windows reserves for devices
+  const RESERVED_NAMES = /^(?:con|prn|aux|nul|com[0-9]|lpt[0-9])$/i;
+
+  // Longest file or folder name, in UTF-8 bytes (255 on most filesystems,
+  // with room left for an extension and a " (1)" from uniquify)
+  const MAX_SEGMENT_BYTES = 200;
+
+  /* 2. Templates */
+
+  /**
+   * Build a download path from a template
+   * The extension is not part of the result: the downloader adds the real
+   * one, so a trailing ".{ext}" in the template is dropped.
+   * @param {string} template - e.g. "{site}/{title}"; "/" makes subfolders
+   * @param {Object<string, string>} fields - Values for the placeholders
+   * @returns {string} Relative path without extension ('' if nothing is left)
+   */
+  function buildPath(template, fields) {
+    const body = String(template || '').trim().replace(/\.\{ext\}$/i, '');
+
+    return body
+      .split('/')
+      .map(segment => segment.replace(/\{(\w+)\}/g, (placeholder, key) => sanitizeName(fields[key] ?? '')))
+      .map(tidySegment)
+      .map(sanitizeName)
+      .filter(Boolean)
+      .join('/');
+  }
+
+  /**
+   * Fields for a video, from its URL, detection info and page titles
+   * @param {Object} video - { url, filename, quality, type, pageUrl, titles }
+   * @param {string} extension - File extension
+   * @returns {Object<string, string>} Values for every placeholder
+   */
+  function getFields(video, extension) {
+    const titles = video.titles || {};
+    const name = isGenericName(video.filename) ? '' : video.filename;
+
+    // Most specific title first
+    const title = [titles.ldName, titles.elementTitle, titles.ogTitle, titles.pageTitle, name]
+      .find(candidate => candidate && candidate.trim()) || '';
+
+    return {
+      title: title,
+      pageTitle: titles.pageTitle || title,
+      name: name || title,
+      site: getSite(video.pageUrl || video.url),
+      quality: video.quality || '',
+      type: video.type || '',
+      ext: extension || '',
+      date: new Date().toISOString().slice(0, 10)
+    };
+  }
+
+  /**
+   * Make text safe as a file or folder name, keeping Unicode
+   * @param {string} text - Raw name
+   * @returns {string} Safe name ('' if nothing is left)
+   */
+  function sanitizeName(text) {
+    let name = String(text)
+      .normalize('NFC')
+      .replace(INVALID_CHARACTERS, char => REPLACEMENTS[char] ?? ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/(\s-)+\s/g, ' - ')
+      .trim()
+      // Windows drops trailing dots and spaces; leading dots hide files
+      .replace(/^[.\s]+|[.\s]+$/g, '');
+
+    if (RESERVED_NAMES.test(name.replace(/\..*$/, ''))) {
+      name = `_${name}`;
+    }
+    return truncateBytes(name, MAX_SEGMENT_BYTES);
+  }
+
+  /**
+   * Check if a name from a URL says nothing about the video
+   * @param {string} name - Filename without extension
+   * @returns {boolean}
+   */
+  function isGenericName(name) {
+    return !name || GENERIC_NAMES.test(name) || /^video_\d+$/.test(name);
+  }
+
+  /* 3. Page Titles */
+
+  /**
+   * Gather the titles a page gives a video
+   * In an embedded player (iframe) the document title names the video, not
+   * the page around it: it is given as elementTitle and pageTitle is left
+   * to the top page.
+   * @param {Document} doc - Page or frame document
+   * @param {Element} [element] - The <video> element, if known
+   * @returns {Object} { pageTitle, ogTitle, ldName, elementTitle } (missing ones are null)
+   */
+  function getPageTitles(doc, element = null) {
+    const meta = (selector) => doc.querySelector(selector)?.getAttribute('content')?.trim() || null;
+    const documentTitle = doc.title?.trim() || null;
+    const inFrame = doc.defaultView && doc.defaultView !== doc.defaultView.top;
+
+    const elementTitle = element
+      ? (element.getAttribute('title') || element.getAttribute('aria-label') || '').trim() || null
+      : null;
+
+    return {
+      pageTitle: inFrame ? null : documentTitle,
+      ogTitle: meta('meta[property="og:title"]') || meta('meta[name="twitter:title"]'),
+      ldName: getJsonLdVideoName(doc),
+      elementTitle: elementTitle || (inFrame ? documentTitle : null)
+    };
+  }
+
+  /**
+   * Name of the first JSON-LD VideoObject of a page
+   * @param {Document} doc - Page document
+   * @returns {string|null}
+   */
+  function getJsonLdVideoName(doc) {
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const video = findVideoObject(JSON.parse(script.textContent));
+        if (video?.name) return String(video.name).trim();
+      } catch {
+        // Invalid JSON-LD: try the next block
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find a VideoObject in parsed JSON-LD (arrays, @graph, nested values)
+   * @param {*} node - JSON-LD value
+   * @param {number} [depth=0] - Current depth
+   * @returns {Object|null}
+   */
+  function findVideoObject(node, depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 5) return null;
+
+    const types = [].concat(node['@type'] || []);
+    if (types.includes('VideoObject')) return node;
+
+    for (const value of Array.isArray(node) ? node : Object.values(node)) {
+      const found = findVideoObject(value, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /* 4. Helper Functions */
+
+  /**
+   * Remove what empty placeholders leave behind ("a -  - b", "()")
+   * @param {string} segment - Filled template segment
+   * @returns {string}
+   */
+  function tidySegment(segment) {
+    return segment
+      .replace(/\(\s*\)|\[\s*\]/g, '')
+      .replace(/(\s*[-–|]\s*){2,}/g, ' - ')
+      .replace(/^[\s\-–|_]+|[\s\-–|_]+$/g, '');
+  }
+
+  /**
+   * Site name of a URL, without "www."
+   * @param {string} url - URL
+   * @returns {string}
+   */
+  function getSite(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Cut text to a number of UTF-8 bytes without splitting a character
+   * @param {string} text - Text
+   * @param {number} maxBytes - Byte limit
+   * @returns {string}
+   */
+  function truncateBytes(text, maxBytes) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(text).length <= maxBytes) return text;
+
+    let result = '';
+    let bytes = 0;
+    for (const char of text) {
+      bytes += encoder.encode(char).length;
+      if (bytes > maxBytes) break;
+      result += char;
+    }
+    return result.trim();
+  }
+
+  global.FilenameTemplate = {
+    PLACEHOLDERS,
+    buildPath,
+    getFields,
+    sanitizeName,
+    isGenericName,
+    getPageTitles
+  };
+
+})(self);
@@ -0,0 +1,86 @@
+/* Video Downloader Extension - Download History
+
+   Log of completed downloads in chrome.storage.local. Only written when
+   the user turns on "keepHistory"; the service worker adds entries and
+   the popup searches, exports and wipes them. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Configuration */
+
+  const STORAGE_KEY = 'downloadHistory';
+
+  // Oldest entries are dropped past this count
+  const MAX_ENTRIES = 1000;
+
+  // Pending write; additions run one after another so none is lost
+  let writeQueue = Promise.resolve();
+
+  /* 2. Storage */
+
+  /**
+   * Add a completed download
+   * @param {Object} entry - { url, pageUrl, filename, size }
+   * @returns {Promise<void>}
+   */
+  function addEntry(entry) {
+    writeQueue = writeQueue
+      .then(() => appendEntry(entry))
+      .catch(error => console.error('History write failed:', error));
+    return writeQueue;
+  }
+
+  /**
+   * Read, prepend and write back (only through addEntry)
+   * @param {Object} entry - { url, pageUrl, filename, size }
+   * @returns {Promise<void>}
+   */
+  async function appendEntry(entry) {
+    const entries = await getEntries();
+
+    entries.unshift({
+      id: crypto.randomUUID(),
+      url: entry.url,
+      pageUrl: entry.pageUrl || null,
+      filename: entry.filename,
+      size: entry.size || null,
+      date: Date.now()
+    });
+
+    await chrome.storage.local.set({ [STORAGE_KEY]: entries.slice(0, MAX_ENTRIES) });
+  }
+
+  /**
+   * Read the history, newest first
+   * @param {string} [query] - Words that must all appear in the filename or URLs
+   * @returns {Promise<Array>} Matching entries
+   */
+  async function getEntries(query = '') {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    const entries = stored[STORAGE_KEY] || [];
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (words.length === 0) return entries;
+
+    return entries.filter(entry => {
+      const text = [entry.filename, entry.url, entry.pageUrl].join(' ').toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  }
+
+  /**
+   * Delete the whole history
+   * @returns {Promise<void>}
+   */
+  function clearEntries() {
+    return chrome.storage.local.remove(STORAGE_KEY);
+  }
+
+  global.DownloadHistory = {
+    addEntry,
+    getEntries,
+    clearEntries
+  };
+
+})(self);
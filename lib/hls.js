@@ -0,0 +1,249 @@
+/* Video Downloader Extension - HLS Playlist Parser
+
+   Parses HLS master and media playlists (RFC 8216) into plain objects.
+   Loaded by the service worker (importScripts), the offscreen document
+   and the popup, so it only depends on standard web APIs. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Parsing */
+
+  /**
+   * Parse an HLS playlist
+   * @param {string} text - Playlist body
+   * @param {string} baseUrl - URL the playlist was loaded from
+   * @returns {Object} Master ({ type: 'master' }) or media ({ type: 'media' }) playlist
+   */
+  function parsePlaylist(text, baseUrl) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    if (lines[0] !== '#EXTM3U') {
+      throw new Error('Not an HLS playlist');
+    }
+
+    const isMaster = lines.some(line => line.startsWith('#EXT-X-STREAM-INF:'));
+    return isMaster ? parseMaster(lines, baseUrl) : parseMedia(lines, baseUrl);
+  }
+
+  /**
+   * Parse a master playlist
+   * @param {Array<string>} lines - Non-empty playlist lines
+   * @param {string} baseUrl - Playlist URL
+   * @returns {Object} { type, variants, renditions }
+   */
+  function parseMaster(lines, baseUrl) {
+    const variants = [];
+    const renditions = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (line.startsWith('#EXT-X-STREAM-INF:')) {
+        const attrs = parseAttributes(line.substring(18));
+        const uri = lines.slice(i + 1).find(next => !next.startsWith('#'));
+        if (!uri) continue;
+
+        variants.push({
+          url: resolveUrl(uri, baseUrl),
+          bandwidth: parseInt(attrs.BANDWIDTH, 10) || 0,
+          resolution: parseResolution(attrs.RESOLUTION),
+          codecs: attrs.CODECS || null,
+          frameRate: parseFloat(attrs['FRAME-RATE']) || null,
+          audio: attrs.AUDIO || null,
+          subtitles: attrs.SUBTITLES || null
+        });
+      } else if (line.startsWith('#EXT-X-MEDIA:')) {
+        const attrs = parseAttributes(line.substring(13));
+
+        renditions.push({
+          type: attrs.TYPE,
+          groupId: attrs['GROUP-ID'],
+          name: attrs.NAME || null,
+          language: attrs.LANGUAGE || null,
+          url: attrs.URI ? resolveUrl(attrs.URI, baseUrl) : null,
+          isDefault: attrs.DEFAULT === 'YES'
+        });
+      }
+    }
+
+    return { type: 'master', variants, renditions };
+  }
+
+  /**
+   * Parse a media playlist
+   * @param {Array<string>} lines - Non-empty playlist lines
+   * @param {string} baseUrl - Playlist URL
+   * @returns {Object} { type, targetDuration, mediaSequence, endList, segments }
+   *   (segments: { url, duration, time (start in the playlist, seconds), sequence, key, map, byteRange })
+   */
+  function parseMedia(lines, baseUrl) {
+    const playlist = {
+      type: 'media',
+      targetDuration: 0,
+      mediaSequence: 0,
+      endList: false,
+      segments: []
+    };
+
+    let key = null;
+    let map = null;
+    let duration = 0;
+    let time = 0;
+    let byteRange = null;
+    let nextRangeStart = 0;
+
+    lines.forEach(line => {
+      if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+        playlist.targetDuration = parseFloat(line.substring(22)) || 0;
+      } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+        playlist.mediaSequence = parseInt(line.substring(22), 10) || 0;
+      } else if (line === '#EXT-X-ENDLIST') {
+        playlist.endList = true;
+      } else if (line.startsWith('#EXT-X-KEY:')) {
+        const attrs = parseAttributes(line.substring(11));
+        key = attrs.METHOD === 'NONE' ? null : {
+          method: attrs.METHOD,
+          url: attrs.URI ? resolveUrl(attrs.URI, baseUrl) : null,
+          iv: attrs.IV ? parseHexBytes(attrs.IV) : null
+        };
+      } else if (line.startsWith('#EXT-X-MAP:')) {
+        const attrs = parseAttributes(line.substring(11));
+        map = {
+          url: resolveUrl(attrs.URI, baseUrl),
+          byteRange: attrs.BYTERANGE ? parseByteRange(attrs.BYTERANGE, 0) : null
+        };
+      } else if (line.startsWith('#EXTINF:')) {
+        duration = parseFloat(line.substring(8)) || 0;
+      } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+        byteRange = parseByteRange(line.substring(17), nextRangeStart);
+      } else if (!line.startsWith('#')) {
+        playlist.segments.push({
+          url: resolveUrl(line, baseUrl),
+          duration: duration,
+          time: time,
+          sequence: playlist.mediaSequence + playlist.segments.length,
+          key: key,
+          map: map,
+          byteRange: byteRange
+        });
+
+        nextRangeStart = byteRange ? byteRange.offset + byteRange.length : 0;
+        time += duration;
+        duration = 0;
+        byteRange = null;
+      }
+    });
+
+    return playlist;
+  }
+
+  /* 2. Helper Functions */
+
+  /**
+   * Parse an attribute list (KEY=VALUE,KEY="VALUE")
+   * @param {string} text - Attribute list
+   * @returns {Object<string, string>} Attributes with quotes removed
+   */
+  function parseAttributes(text) {
+    const attrs = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      attrs[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attrs;
+  }
+
+  /**
+   * Parse a RESOLUTION attribute
+   * @param {string} value - e.g. "1920x1080"
+   * @returns {{width: number, height: number}|null}
+   */
+  function parseResolution(value) {
+    const match = /^(\d+)x(\d+)$/.exec(value || '');
+    return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+  }
+
+  /**
+   * Parse a BYTERANGE value ("length[@offset]")
+   * @param {string} value - Byte range
+   * @param {number} defaultOffset - Offset when none is given
+   * @returns {{length: number, offset: number}}
+   */
+  function parseByteRange(value, defaultOffset) {
+    const [length, offset] = value.split('@');
+    return {
+      length: parseInt(length, 10),
+      offset: offset !== undefined ? parseInt(offset, 10) : defaultOffset
+    };
+  }
+
+  /**
+   * Parse a hexadecimal IV (0x...) into 16 bytes
+   * @param {string} value - Hex string
+   * @returns {Uint8Array}
+   */
+  function parseHexBytes(value) {
+    const hex = value.replace(/^0x/i, '').padStart(32, '0');
+    const bytes = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  /**
+   * Build the default IV for a segment (its media sequence number)
+   * @param {number} sequence - Media sequence number
+   * @returns {Uint8Array}
+   */
+  function sequenceToIv(sequence) {
+    const iv = new Uint8Array(16);
+    new DataView(iv.buffer).setUint32(12, sequence);
+    return iv;
+  }
+
+  /**
+   * Resolve a playlist URI against the playlist URL
+   * @param {string} uri - Relative or absolute URI
+   * @param {string} baseUrl - Playlist URL
+   * @returns {string} Absolute URL
+   */
+  function resolveUrl(uri, baseUrl) {
+    return new URL(uri, baseUrl).href;
+  }
+
+  /**
+   * Pick the variant with the highest bandwidth
+   * @param {Array} variants - Master playlist variants
+   * @returns {Object|null}
+   */
+  function pickBestVariant(variants) {
+    return variants.reduce(
+      (best, variant) => (!best || variant.bandwidth > best.bandwidth ? variant : best),
+      null
+    );
+  }
+
+  /**
+   * Keep the segments of a media playlist that cover a time range
+   * @param {Array} segments - Media playlist segments
+   * @param {{start: number, end: number|null}} range - Seconds from the start (end null: to the end)
+   * @returns {Array} Segments overlapping the range, in order
+   */
+  function getSegmentsInRange(segments, range) {
+    const end = range.end ?? Infinity;
+    return segments.filter(segment => segment.time < end && segment.time + segment.duration > range.start);
+  }
+
+  global.HlsPlaylist = {
+    parsePlaylist,
+    parseAttributes,
+    sequenceToIv,
+    pickBestVariant,
+    getSegmentsInRange
+  };
+
+})(self);
@@ -0,0 +1,715 @@
+/* Video Downloader Extension - MP4 Boxes
+
+   Minimal ISO BMFF (MP4) toolkit used by the remuxers:
+   - writing a fragmented MP4 init segment (ftyp + moov) and fragments
+     (moof + mdat) for H.264 video and AAC audio
+   - reading boxes, and muxing a separate fragmented video file and
+     audio file (DASH tracks) into one playable MP4
+   - keeping only the audio track of a progressive MP4 file
+   - making decode times of a clipped fragmented stream start at zero. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Box Writing */
+
+  /**
+   * Build a box
+   * @param {string} type - Four-character code
+   * @param {...Uint8Array} payloads - Box contents
+   * @returns {Uint8Array}
+   */
+  function box(type, ...payloads) {
+    const size = payloads.reduce((sum, payload) => sum + payload.byteLength, 8);
+    const out = new Uint8Array(size);
+
+    new DataView(out.buffer).setUint32(0, size);
+    out.set(fourCC(type), 4);
+
+    let offset = 8;
+    payloads.forEach(payload => {
+      out.set(payload, offset);
+      offset += payload.byteLength;
+    });
+    return out;
+  }
+
+  /**
+   * Build a full box (box with version and flags)
+   * @param {string} type - Four-character code
+   * @param {number} version - Box version
+   * @param {number} flags - 24-bit flags
+   * @param {...Uint8Array} payloads - Box contents
+   * @returns {Uint8Array}
+   */
+  function fullBox(type, version, flags, ...payloads) {
+    return box(type, new Uint8Array([version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff]), ...payloads);
+  }
+
+  /**
+   * Encode unsigned 32-bit big-endian integers
+   * @param {...number} values - Values
+   * @returns {Uint8Array}
+   */
+  function u32(...values) {
+    const out = new Uint8Array(values.length * 4);
+    const view = new DataView(out.buffer);
+    values.forEach((value, i) => view.setUint32(i * 4, value >>> 0));
+    return out;
+  }
+
+  /**
+   * Encode unsigned 16-bit big-endian integers
+   * @param {...number} values - Values
+   * @returns {Uint8Array}
+   */
+  function u16(...values) {
+    const out = new Uint8Array(values.length * 2);
+    const view = new DataView(out.buffer);
+    values.forEach((value, i) => view.setUint16(i * 2, value));
+    return out;
+  }
+
+  /**
+   * Encode an unsigned 64-bit big-endian integer
+   * @param {number} value - Value (up to Number.MAX_SAFE_INTEGER)
+   * @returns {Uint8Array}
+   */
+  function u64(value) {
+    return u32(Math.floor(value / 0x100000000), value % 0x100000000);
+  }
+
+  /**
+   * Encode a four-character code
+   * @param {string} type - e.g. "moov"
+   * @returns {Uint8Array}
+   */
+  function fourCC(type) {
+    return new Uint8Array([0, 1, 2, 3].map(i => type.charCodeAt(i)));
+  }
+
+  /* 2. Init Segment */
+
+  // Identity transformation matrix used by mvhd and tkhd
+  const MATRIX = u32(0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000);
+
+  /**
+   * Build a fragmented MP4 init segment (ftyp + moov)
+   * @param {Array<Object>} tracks - Video tracks { id, type: 'video', timescale,
+   *   width, height, sps, pps } and audio tracks { id, type: 'audio',
+   *   timescale, channels, sampleRate, config }
+   * @returns {Uint8Array}
+   */
+  function createInitSegment(tracks) {
+    const ftyp = box('ftyp', fourCC('isom'), u32(0x200), fourCC('isom'), fourCC('iso6'), fourCC('avc1'), fourCC('mp41'));
+
+    const mvhd = fullBox('mvhd', 0, 0,
+      u32(0, 0, 1000, 0, 0x00010000),
+      u16(0x0100, 0),
+      u32(0, 0),
+      MATRIX,
+      u32(0, 0, 0, 0, 0, 0),
+      u32(Math.max(...tracks.map(track => track.id)) + 1)
+    );
+
+    const mvex = box('mvex', ...tracks.map(track => fullBox('trex', 0, 0, u32(track.id, 1, 0, 0, 0))));
+    const moov = box('moov', mvhd, ...tracks.map(createTrak), mvex);
+
+    return concat([ftyp, moov]);
+  }
+
+  /**
+   * Build the trak box of a track
+   * @param {Object} track - Track description
+   * @returns {Uint8Array}
+   */
+  function createTrak(track) {
+    const isVideo = track.type === 'video';
+
+    const tkhd = fullBox('tkhd', 0, 3,
+      u32(0, 0, track.id, 0, 0, 0, 0),
+      u16(0, 0, isVideo ? 0 : 0x0100, 0),
+      MATRIX,
+      u32(isVideo ? track.width << 16 : 0, isVideo ? track.height << 16 : 0)
+    );
+
+    const mdhd = fullBox('mdhd', 0, 0, u32(0, 0, track.timescale, 0), u16(0x55c4, 0));
+    const hdlr = fullBox('hdlr', 0, 0,
+      u32(0), fourCC(isVideo ? 'vide' : 'soun'), u32(0, 0, 0),
+      new TextEncoder().encode(isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+    );
+
+    const mediaHeader = isVideo
+      ? fullBox('vmhd', 0, 1, u16(0, 0, 0, 0))
+      : fullBox('smhd', 0, 0, u16(0, 0));
+    const dinf = box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1)));
+
+    const stbl = box('stbl',
+      fullBox('stsd', 0, 0, u32(1), isVideo ? createAvc1(track) : createMp4a(track)),
+      fullBox('stts', 0, 0, u32(0)),
+      fullBox('stsc', 0, 0, u32(0)),
+      fullBox('stsz', 0, 0, u32(0, 0)),
+      fullBox('stco', 0, 0, u32(0))
+    );
+
+    return box('trak', tkhd, box('mdia', mdhd, hdlr, box('minf', mediaHeader, dinf, stbl)));
+  }
+
+  /**
+   * Build an H.264 sample entry (avc1 + avcC)
+   * @param {Object} track - Video track with sps/pps NAL units
+   * @returns {Uint8Array}
+   */
+  function createAvc1(track) {
+    const { sps, pps } = track;
+    const avcC = box('avcC',
+      new Uint8Array([1, sps[1], sps[2], sps[3], 0xff, 0xe1]),
+      u16(sps.byteLength), sps,
+      new Uint8Array([1]),
+      u16(pps.byteLength), pps
+    );
+
+    return box('avc1',
+      u32(0), u16(0, 1),
+      u32(0, 0, 0, 0),
+      u16(track.width, track.height),
+      u32(0x00480000, 0x00480000, 0),
+      u16(1),
+      new Uint8Array(32),
+      u16(0x0018, 0xffff),
+      avcC
+    );
+  }
+
+  /**
+   * Build an AAC sample entry (mp4a + esds)
+   * @param {Object} track - Audio track with its AudioSpecificConfig
+   * @returns {Uint8Array}
+   */
+  function createMp4a(track) {
+    const config = track.config;
+    const decoderSpecificInfo = new Uint8Array([0x05, config.byteLength, ...config]);
+    const decoderConfig = new Uint8Array([
+      0x04, 13 + decoderSpecificInfo.byteLength,
+      0x40, 0x15, 0, 0, 0,
+      0, 0, 0, 0,
+      0, 0, 0, 0,
+      ...decoderSpecificInfo
+    ]);
+    const esDescriptor = new Uint8Array([
+      0x03, 3 + decoderConfig.byteLength + 3,
+      0, track.id, 0,
+      ...decoderConfig,
+      0x06, 1, 0x02
+    ]);
+
+    return box('mp4a',
+      u32(0), u16(0, 1),
+      u32(0, 0),
+      u16(track.channels, 16, 0, 0),
+      u32(track.sampleRate << 16),
+      fullBox('esds', 0, 0, esDescriptor)
+    );
+  }
+
+  /* 3. Fragments */
+
+  // Sample flags: sync sample / sample that depends on others
+  const SYNC_SAMPLE_FLAGS = 0x02000000;
+  const NON_SYNC_SAMPLE_FLAGS = 0x01010000;
+
+  /**
+   * Build one fragment (moof + mdat)
+   * @param {number} sequence - Fragment sequence number (from 1)
+   * @param {Array<Object>} trackFragments - { id, baseMediaDecodeTime,
+   *   samples: [{ data, duration, cts, isSync }] }
+   * @returns {Uint8Array}
+   */
+  function createFragment(sequence, trackFragments) {
+    const buildMoof = (dataStart) => {
+      let dataOffset = dataStart;
+
+      const trafs = trackFragments.map(fragment => {
+        const traf = createTraf(fragment, dataOffset);
+        dataOffset += fragment.samples.reduce((sum, sample) => sum + sample.data.byteLength, 0);
+        return traf;
+      });
+      return box('moof', fullBox('mfhd', 0, 0, u32(sequence)), ...trafs);
+    };
+
+    // Data offsets are relative to the moof start, so measure it first
+    const moofSize = buildMoof(0).byteLength;
+    const moof = buildMoof(moofSize + 8);
+    const mdat = box('mdat', ...trackFragments.flatMap(fragment => fragment.samples.map(sample => sample.data)));
+
+    return concat([moof, mdat]);
+  }
+
+  /**
+   * Build the traf box of a track fragment
+   * @param {Object} fragment - Track fragment
+   * @param {number} dataOffset - Offset of its first sample from the moof start
+   * @returns {Uint8Array}
+   */
+  function createTraf(fragment, dataOffset) {
+    const tfhd = fullBox('tfhd', 0, 0x020000, u32(fragment.id));
+    const tfdt = fullBox('tfdt', 1, 0, u64(fragment.baseMediaDecodeTime));
+    const trun = fullBox('trun', 1, 0x000f01,
+      u32(fragment.samples.length, dataOffset),
+      ...fragment.samples.map(sample => u32(
+        sample.duration,
+        sample.data.byteLength,
+        sample.isSync ? SYNC_SAMPLE_FLAGS : NON_SYNC_SAMPLE_FLAGS,
+        sample.cts || 0
+      ))
+    );
+
+    return box('traf', tfhd, tfdt, trun);
+  }
+
+  /* 4. Box Reading */
+
+  /**
+   * List the boxes between two offsets
+   * @param {Uint8Array} bytes - File or box contents
+   * @param {number} [start=0] - First byte
+   * @param {number} [end=bytes.byteLength] - Last byte (exclusive)
+   * @returns {Array<{type: string, start: number, size: number, headerSize: number}>}
+   */
+  function readBoxes(bytes, start = 0, end = bytes.byteLength) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+      let size = view.getUint32(offset);
+      let headerSize = 8;
+
+      if (size === 1) {
+        size = view.getUint32(offset + 8) * 0x100000000 + view.getUint32(offset + 12);
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+
+      if (size < headerSize || offset + size > end) break;
+
+      boxes.push({
+        type: String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)),
+        start: offset,
+        size: size,
+        headerSize: headerSize
+      });
+      offset += size;
+    }
+    return boxes;
+  }
+
+  /**
+   * Find the direct child boxes of a box
+   * @param {Uint8Array} bytes - File bytes
+   * @param {Object} parent - Box from readBoxes
+   * @param {string} type - Child type
+   * @returns {Array<Object>}
+   */
+  function childBoxes(bytes, parent, type) {
+    return readBoxes(bytes, parent.start + parent.headerSize, parent.start + parent.size)
+      .filter(child => child.type === type);
+  }
+
+  /* 5. Track Muxing */
+
+  /**
+   * Mux a fragmented video file and a fragmented audio file into one MP4
+   * @param {Uint8Array} videoBytes - Video track (init + fragments)
+   * @param {Uint8Array} audioBytes - Audio track (init + fragments)
+   * @returns {Array<Uint8Array>} Parts of the output file, in order
+   */
+  function muxFragmentedTracks(videoBytes, audioBytes) {
+    const inputs = [videoBytes, audioBytes].map((bytes, index) => readFragmentedFile(bytes, index + 1));
+
+    const parts = [
+      box('ftyp', fourCC('isom'), u32(0x200), fourCC('isom'), fourCC('iso6'), fourCC('mp41')),
+      createMergedMoov(inputs)
+    ];
+
+    // Interleave fragments by decode time so players can stream the file
+    const fragments = inputs
+      .flatMap(input => input.fragments)
+      .sort((a, b) => a.decodeTime - b.decodeTime);
+
+    let position = parts.reduce((sum, part) => sum + part.byteLength, 0);
+
+    fragments.forEach((fragment, index) => {
+      const bytes = fragment.bytes.slice();
+      patchFragment(bytes, fragment, index + 1, position);
+      parts.push(bytes);
+      position += bytes.byteLength;
+    });
+
+    return parts;
+  }
+
+  /**
+   * Read the moov and fragments of a single-track fragmented MP4
+   * @param {Uint8Array} bytes - File bytes
+   * @param {number} trackId - Track ID to use in the output
+   * @returns {Object} { bytes, trackId, moov, fragments }
+   */
+  function readFragmentedFile(bytes, trackId) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const boxes = readBoxes(bytes);
+    const moov = boxes.find(entry => entry.type === 'moov');
+
+    if (!moov) {
+      throw new Error('Track has no moov box');
+    }
+
+    const trak = childBoxes(bytes, moov, 'trak')[0];
+    const mdia = trak && childBoxes(bytes, trak, 'mdia')[0];
+    const mdhd = mdia && childBoxes(bytes, mdia, 'mdhd')[0];
+    if (!mdhd) {
+      throw new Error('Track has no mdhd box');
+    }
+
+    const mdhdVersion = bytes[mdhd.start + 8];
+    const timescale = view.getUint32(mdhd.start + (mdhdVersion === 1 ? 28 : 20));
+    const fragments = [];
+
+    boxes.forEach((entry, index) => {
+      if (entry.type !== 'moof') return;
+
+      // The fragment is the moof and the mdat boxes that follow it
+      let end = entry.start + entry.size;
+      for (let next = index + 1; next < boxes.length && boxes[next].type === 'mdat'; next++) {
+        end = boxes[next].start + boxes[next].size;
+      }
+
+      const fragmentBytes = bytes.subarray(entry.start, end);
+      fragments.push({
+        bytes: fragmentBytes,
+        sourceStart: entry.start,
+        decodeTime: readDecodeTime(fragmentBytes) / timescale,
+        trackId: trackId
+      });
+    });
+
+    return { bytes, trackId, moov, trak, fragments };
+  }
+
+  /**
+   * Read the tfdt decode time of a fragment
+   * @param {Uint8Array} bytes - Fragment bytes (moof first)
+   * @returns {number}
+   */
+  function readDecodeTime(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const moof = readBoxes(bytes)[0];
+    const traf = childBoxes(bytes, moof, 'traf')[0];
+    const tfdt = traf && childBoxes(bytes, traf, 'tfdt')[0];
+    if (!tfdt) return 0;
+
+    return bytes[tfdt.start + 8] === 1
+      ? view.getUint32(tfdt.start + 12) * 0x100000000 + view.getUint32(tfdt.start + 16)
+      : view.getUint32(tfdt.start + 12);
+  }
+
+  /**
+   * Build a moov holding the tracks of every input
+   * @param {Array<Object>} inputs - Results of readFragmentedFile
+   * @returns {Uint8Array}
+   */
+  function createMergedMoov(inputs) {
+    const first = inputs[0];
+    const mvhd = childBoxes(first.bytes, first.moov, 'mvhd')[0];
+    const mvhdBytes = first.bytes.slice(mvhd.start, mvhd.start + mvhd.size);
+
+    // next_track_ID is the last field of mvhd
+    new DataView(mvhdBytes.buffer).setUint32(mvhdBytes.byteLength - 4, inputs.length + 1);
+
+    const traks = inputs.map(input => {
+      const trakBytes = input.bytes.slice(input.trak.start, input.trak.start + input.trak.size);
+      const tkhd = childBoxes(trakBytes, readBoxes(trakBytes)[0], 'tkhd')[0];
+      const trackIdOffset = tkhd.start + (trakBytes[tkhd.start + 8] === 1 ? 28 : 20);
+
+      new DataView(trakBytes.buffer).setUint32(trackIdOffset, input.trackId);
+      return trakBytes;
+    });
+
+    const trexes = inputs.map(input => {
+      const mvex = childBoxes(input.bytes, input.moov, 'mvex')[0];
+      const trex = mvex && childBoxes(input.bytes, mvex, 'trex')[0];
+      const trexBytes = trex
+        ? input.bytes.slice(trex.start, trex.start + trex.size)
+        : fullBox('trex', 0, 0, u32(0, 1, 0, 0, 0));
+
+      new DataView(trexBytes.buffer).setUint32(12, input.trackId);
+      return trexBytes;
+    });
+
+    return box('moov', mvhdBytes, ...traks, box('mvex', ...trexes));
+  }
+
+  /**
+   * Renumber a copied fragment for its place in the output file
+   * @param {Uint8Array} bytes - Copy of the fragment
+   * @param {Object} fragment - Fragment from readFragmentedFile
+   * @param {number} sequence - New sequence number
+   * @param {number} position - Offset of the fragment in the output file
+   */
+  function patchFragment(bytes, fragment, sequence, position) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const moof = readBoxes(bytes)[0];
+
+    childBoxes(bytes, moof, 'mfhd').forEach(mfhd => view.setUint32(mfhd.start + 12, sequence));
+
+    childBoxes(bytes, moof, 'traf').forEach(traf => {
+      childBoxes(bytes, traf, 'tfhd').forEach(tfhd => {
+        view.setUint32(tfhd.start + 12, fragment.trackId);
+
+        // An explicit base-data-offset points into the source file: move it
+        const flags = view.getUint32(tfhd.start + 8) & 0xffffff;
+        if (flags & 0x000001) {
+          const high = view.getUint32(tfhd.start + 16);
+          const low = view.getUint32(tfhd.start + 20);
+          const moved = high * 0x100000000 + low - fragment.sourceStart + position;
+          view.setUint32(tfhd.start + 16, Math.floor(moved / 0x100000000));
+          view.setUint32(tfhd.start + 20, moved % 0x100000000);
+        }
+      });
+    });
+  }
+
+  /* 6. Audio Extraction */
+
+  // Audio samples per fragment of an extracted track
+  const AUDIO_FRAGMENT_SAMPLES = 1000;
+
+  /**
+   * Keep only the audio track of a progressive (non-fragmented) MP4 file
+   * The track's sample entry is copied as is, so whatever codec it holds
+   * (AAC, Opus, AC-3, ...) comes out unchanged, as a fragmented MP4.
+   * @param {Uint8Array} bytes - Whole file
+   * @returns {Array<Uint8Array>} Parts of the output file, in order
+   */
+  function extractAudioTrack(bytes) {
+    const moov = readBoxes(bytes).find(entry => entry.type === 'moov');
+    if (!moov) {
+      throw new Error('No moov box: the file is incomplete or not an MP4');
+    }
+
+    const trak = childBoxes(bytes, moov, 'trak').find(candidate => getHandlerType(bytes, candidate) === 'soun');
+    if (!trak) {
+      throw new Error('The file has no audio track');
+    }
+
+    const mdia = childBoxes(bytes, trak, 'mdia')[0];
+    const minf = childBoxes(bytes, mdia, 'minf')[0];
+    const stbl = minf && childBoxes(bytes, minf, 'stbl')[0];
+    const samples = stbl ? readSamples(bytes, stbl) : [];
+
+    // Fragmented files keep their samples in moof boxes, not in the sample table
+    if (samples.length === 0) {
+      throw new Error('The audio track has no samples (fragmented MP4 files are not supported)');
+    }
+    if (samples.some(sample => sample.offset + sample.size > bytes.byteLength)) {
+      throw new Error('The file is incomplete');
+    }
+
+    const copy = (entry) => bytes.slice(entry.start, entry.start + entry.size);
+
+    // next_track_ID is the last field of mvhd; the track becomes number 1
+    const mvhd = copy(childBoxes(bytes, moov, 'mvhd')[0]);
+    new DataView(mvhd.buffer).setUint32(mvhd.byteLength - 4, 2);
+    const tkhd = copy(childBoxes(bytes, trak, 'tkhd')[0]);
+    new DataView(tkhd.buffer).setUint32(tkhd[8] === 1 ? 28 : 20, 1);
+
+    const smhd = childBoxes(bytes, minf, 'smhd')[0];
+    const dinf = childBoxes(bytes, minf, 'dinf')[0];
+    const emptyStbl = box('stbl',
+      copy(childBoxes(bytes, stbl, 'stsd')[0]),
+      fullBox('stts', 0, 0, u32(0)),
+      fullBox('stsc', 0, 0, u32(0)),
+      fullBox('stsz', 0, 0, u32(0, 0)),
+      fullBox('stco', 0, 0, u32(0))
+    );
+    const audioMinf = box('minf',
+      smhd ? copy(smhd) : fullBox('smhd', 0, 0, u16(0, 0)),
+      dinf ? copy(dinf) : box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+      emptyStbl
+    );
+    const audioMdia = box('mdia', copy(childBoxes(bytes, mdia, 'mdhd')[0]), copy(childBoxes(bytes, mdia, 'hdlr')[0]), audioMinf);
+
+    const parts = [
+      box('ftyp', fourCC('M4A '), u32(0x200), fourCC('M4A '), fourCC('isom'), fourCC('iso6'), fourCC('mp41')),
+      box('moov', mvhd, box('trak', tkhd, audioMdia), box('mvex', fullBox('trex', 0, 0, u32(1, 1, 0, 0, 0))))
+    ];
+
+    let decodeTime = 0;
+    for (let i = 0; i < samples.length; i += AUDIO_FRAGMENT_SAMPLES) {
+      const taken = samples.slice(i, i + AUDIO_FRAGMENT_SAMPLES);
+      parts.push(createFragment(parts.length - 1, [{
+        id: 1,
+        baseMediaDecodeTime: decodeTime,
+        samples: taken.map(sample => ({
+          data: bytes.subarray(sample.offset, sample.offset + sample.size),
+          duration: sample.duration,
+          cts: 0,
+          isSync: true
+        }))
+      }]));
+      decodeTime += taken.reduce((sum, sample) => sum + sample.duration, 0);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Handler type of a track ('vide', 'soun', ...)
+   * @param {Uint8Array} bytes - File bytes
+   * @param {Object} trak - trak box
+   * @returns {string|null}
+   */
+  function getHandlerType(bytes, trak) {
+    const mdia = childBoxes(bytes, trak, 'mdia')[0];
+    const hdlr = mdia && childBoxes(bytes, mdia, 'hdlr')[0];
+    if (!hdlr) return null;
+
+    // After version/flags and pre_defined
+    const start = hdlr.start + hdlr.headerSize + 8;
+    return String.fromCharCode(...bytes.subarray(start, start + 4));
+  }
+
+  /**
+   * Read the position, size and duration of every sample of a track
+   * @param {Uint8Array} bytes - File bytes
+   * @param {Object} stbl - stbl box
+   * @returns {Array<{offset: number, size: number, duration: number}>}
+   */
+  function readSamples(bytes, stbl) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const table = (type) => childBoxes(bytes, stbl, type)[0];
+    // First byte after the version and flags of a full box
+    const body = (entry) => entry.start + entry.headerSize + 4;
+
+    const stsz = table('stsz');
+    const stsc = table('stsc');
+    const stts = table('stts');
+    const chunks = table('stco') || table('co64');
+    if (!stsz || !stsc || !stts || !chunks) return [];
+
+    const uniformSize = view.getUint32(body(stsz));
+    const count = view.getUint32(body(stsz) + 4);
+    const sizeAt = (index) => uniformSize || view.getUint32(body(stsz) + 8 + index * 4);
+
+    const chunkCount = view.getUint32(body(chunks));
+    const chunkAt = (index) => (chunks.type === 'co64'
+      ? view.getUint32(body(chunks) + 4 + index * 8) * 0x100000000 + view.getUint32(body(chunks) + 8 + index * 8)
+      : view.getUint32(body(chunks) + 4 + index * 4));
+
+    // Durations come in runs of (sample count, delta)
+    const durations = [];
+    const runs = view.getUint32(body(stts));
+    for (let run = 0; run < runs && durations.length < count; run++) {
+      const entry = body(stts) + 4 + run * 8;
+      const delta = view.getUint32(entry + 4);
+      for (let n = view.getUint32(entry); n > 0 && durations.length < count; n--) {
+        durations.push(delta);
+      }
+    }
+
+    // Chunks hold runs of consecutive samples (sample-to-chunk entries)
+    const samples = [];
+    const entries = view.getUint32(body(stsc));
+    for (let e = 0; e < entries && samples.length < count; e++) {
+      const entry = body(stsc) + 4 + e * 12;
+      const firstChunk = view.getUint32(entry) - 1;
+      const lastChunk = Math.min(e + 1 < entries ? view.getUint32(entry + 12) - 1 : chunkCount, chunkCount);
+      const perChunk = view.getUint32(entry + 4);
+
+      for (let chunk = firstChunk; chunk < lastChunk && samples.length < count; chunk++) {
+        let offset = chunkAt(chunk);
+        for (let s = 0; s < perChunk && samples.length < count; s++) {
+          const index = samples.length;
+          const size = sizeAt(index);
+          samples.push({ offset, size, duration: durations[index] ?? durations[durations.length - 1] ?? 0 });
+          offset += size;
+        }
+      }
+    }
+    return samples;
+  }
+
+  /* 7. Clipping */
+
+  /**
+   * Make decode times start at zero in a clip cut from a fragmented stream
+   * The returned function takes the parts of one file in order (init
+   * segment, then media segments) and rewrites every tfdt relative to the
+   * first decode time seen for its track; other boxes are left as they are.
+   * @returns {function(Uint8Array): Uint8Array} Patches a part in place and returns it
+   */
+  function createDecodeTimeRebaser() {
+    const firstTimes = new Map();
+
+    return (bytes) => {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+      readBoxes(bytes).filter(entry => entry.type === 'moof').forEach(moof => {
+        childBoxes(bytes, moof, 'traf').forEach(traf => {
+          const tfhd = childBoxes(bytes, traf, 'tfhd')[0];
+          const tfdt = childBoxes(bytes, traf, 'tfdt')[0];
+          if (!tfhd || !tfdt) return;
+
+          const trackId = view.getUint32(tfhd.start + 12);
+          const isLong = bytes[tfdt.start + 8] === 1;
+          const time = isLong
+            ? view.getUint32(tfdt.start + 12) * 0x100000000 + view.getUint32(tfdt.start + 16)
+            : view.getUint32(tfdt.start + 12);
+
+          if (!firstTimes.has(trackId)) {
+            firstTimes.set(trackId, time);
+          }
+          const rebased = Math.max(0, time - firstTimes.get(trackId));
+
+          if (isLong) {
+            view.setUint32(tfdt.start + 12, Math.floor(rebased / 0x100000000));
+            view.setUint32(tfdt.start + 16, rebased % 0x100000000);
+          } else {
+            view.setUint32(tfdt.start + 12, rebased);
+          }
+        });
+      });
+
+      return bytes;
+    };
+  }
+
+  /* 8. Helper Functions */
+
+  /**
+   * Join byte arrays
+   * @param {Array<Uint8Array>} arrays - Parts
+   * @returns {Uint8Array}
+   */
+  function concat(arrays) {
+    const out = new Uint8Array(arrays.reduce((sum, array) => sum + array.byteLength, 0));
+    let offset = 0;
+    arrays.forEach(array => {
+      out.set(array, offset);
+      offset += array.byteLength;
+    });
+    return out;
+  }
+
+  global.Mp4 = {
+    createInitSegment,
+    createFragment,
+    readBoxes,
+    muxFragmentedTracks,
+    extractAudioTrack,
+    createDecodeTimeRebaser,
+    concat
+  };
+
+})(self);
@@ -0,0 +1,212 @@
+/* Video Downloader Extension - Media Probe
+
+   Finds the real container and size of a URL: a small ranged request
+   (bytes 0-4095) whose first bytes are matched against known signatures
+   (ftyp, EBML, FLV, MPEG-TS, #EXTM3U, <MPD, ...), with a HEAD request as
+   fallback for the size. Loaded by the service worker (importScripts)
+   and the offscreen document, which sniffs downloaded files with it. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Configuration */
+
+  // Bytes read from the start of the file
+  const SNIFF_BYTES = 4096;
+
+  // Give up on servers that do not answer
+  const PROBE_TIMEOUT = 10000;
+
+  // Containers: type label, file extension and MIME type
+  const CONTAINERS = {
+    mp4: { type: 'MP4', extension: 'mp4', mimeType: 'video/mp4' },
+    m4v: { type: 'MP4', extension: 'm4v', mimeType: 'video/x-m4v' },
+    m4a: { type: 'M4A', extension: 'm4a', mimeType: 'audio/mp4' },
+    mov: { type: 'MOV', extension: 'mov', mimeType: 'video/quicktime' },
+    '3gp': { type: '3GP', extension: '3gp', mimeType: 'video/3gpp' },
+    webm: { type: 'WebM', extension: 'webm', mimeType: 'video/webm' },
+    mkv: { type: 'MKV', extension: 'mkv', mimeType: 'video/x-matroska' },
+    flv: { type: 'FLV', extension: 'flv', mimeType: 'video/x-flv' },
+    ts: { type: 'TS', extension: 'ts', mimeType: 'video/mp2t' },
+    avi: { type: 'AVI', extension: 'avi', mimeType: 'video/x-msvideo' },
+    ogg: { type: 'OGG', extension: 'ogv', mimeType: 'video/ogg' },
+    mp3: { type: 'MP3', extension: 'mp3', mimeType: 'audio/mpeg' },
+    hls: { type: 'HLS', extension: 'm3u8', mimeType: 'application/vnd.apple.mpegurl' },
+    dash: { type: 'DASH', extension: 'mpd', mimeType: 'application/dash+xml' }
+  };
+
+  /* 2. Sniffing */
+
+  /**
+   * Identify a container from the first bytes of a file
+   * @param {Uint8Array} bytes - Start of the file
+   * @returns {Object|null} { type, extension, mimeType }, null if unknown
+   */
+  function sniffContainer(bytes) {
+    const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+    // ISO base media (MP4, MOV, 3GP, M4A): a box type at offset 4
+    if (bytes.length >= 12 && ascii(4, 4) === 'ftyp') {
+      return CONTAINERS[getFtypContainer(ascii(8, 4))];
+    }
+    if (bytes.length >= 8 && ['moov', 'mdat', 'free', 'wide', 'skip'].includes(ascii(4, 4))) {
+      return CONTAINERS.mov;
+    }
+
+    // EBML header: WebM or Matroska, told apart by the DocType
+    if (startsWith(bytes, [0x1a, 0x45, 0xdf, 0xa3])) {
+      return ascii(0, Math.min(bytes.length, 64)).includes('webm') ? CONTAINERS.webm : CONTAINERS.mkv;
+    }
+
+    if (ascii(0, 3) === 'FLV') return CONTAINERS.flv;
+    if (ascii(0, 4) === 'OggS') return CONTAINERS.ogg;
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'AVI ') return CONTAINERS.avi;
+
+    // MPEG-TS: a sync byte every 188 bytes
+    if (bytes[0] === 0x47 && (bytes.length < 189 || bytes[188] === 0x47) && (bytes.length < 377 || bytes[376] === 0x47)) {
+      return CONTAINERS.ts;
+    }
+
+    // Text manifests (may start with a BOM or whitespace)
+    const text = new TextDecoder().decode(bytes.subarray(0, 1024)).replace(/^\uFEFF/, '').trimStart();
+    if (text.startsWith('#EXTM3U')) return CONTAINERS.hls;
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<MPD[\s>]/.test(text)) return CONTAINERS.dash;
+
+    // MP3: ID3 tag or an MPEG audio frame header
+    if (ascii(0, 3) === 'ID3' || (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0)) {
+      return CONTAINERS.mp3;
+    }
+
+    return null;
+  }
+
+  /**
+   * Container of an ISO base media file from its major brand
+   * @param {string} brand - Four-character brand
+   * @returns {string} Key of CONTAINERS
+   */
+  function getFtypContainer(brand) {
+    if (brand === 'qt  ') return 'mov';
+    if (brand === 'M4A ' || brand === 'M4B ') return 'm4a';
+    if (brand === 'M4V ' || brand === 'M4VH' || brand === 'M4VP') return 'm4v';
+    if (brand.startsWith('3g')) return '3gp';
+    return 'mp4';
+  }
+
+  /* 3. Probing */
+
+  /**
+   * Probe a URL for its container and size
+   * @param {string} url - Media URL
+   * @param {Object} [options] - { headers } extra request headers
+   * @returns {Promise<Object>} { container, size, contentType, status }
+   *   container is null when the bytes are not recognized
+   */
+  async function probe(url, options = {}) {
+    const response = await fetchWithTimeout(url, {
+      headers: { ...options.headers, 'Range': `bytes=0-${SNIFF_BYTES - 1}` },
+      credentials: 'include'
+    });
+
+    let size = getSize(response.headers, response.status === 206);
+    let bytes = new Uint8Array(0);
+
+    if (response.ok) {
+      bytes = await readStart(response, SNIFF_BYTES);
+    }
+
+    // Servers that do not report it on GET may still do on HEAD
+    if (!size) {
+      try {
+        const head = await fetchWithTimeout(url, { method: 'HEAD', headers: options.headers, credentials: 'include' });
+        if (head.ok) size = getSize(head.headers, false);
+      } catch {
+        // No size then
+      }
+    }
+
+    return {
+      container: bytes.length > 0 ? sniffContainer(bytes) : null,
+      size: size,
+      contentType: response.headers.get('content-type'),
+      status: response.status
+    };
+  }
+
+  /* 4. Helper Functions */
+
+  /**
+   * Fetch with a timeout
+   * @param {string} url - URL
+   * @param {RequestInit} init - Request options
+   * @returns {Promise<Response>}
+   */
+  async function fetchWithTimeout(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Read the first bytes of a response body, then stop the transfer
+   * @param {Response} response - Response
+   * @param {number} maxBytes - Bytes wanted
+   * @returns {Promise<Uint8Array>}
+   */
+  async function readStart(response, maxBytes) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+
+    while (length < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+    reader.cancel().catch(() => {});
+
+    const bytes = new Uint8Array(Math.min(length, maxBytes));
+    let offset = 0;
+    for (const chunk of chunks) {
+      const part = chunk.subarray(0, bytes.length - offset);
+      bytes.set(part, offset);
+      offset += part.length;
+    }
+    return bytes;
+  }
+
+  /**
+   * Full size of a file from Content-Range (partial) or Content-Length
+   * @param {Headers} headers - Response headers
+   * @param {boolean} isPartial - 206 response: Content-Length is only the range
+   * @returns {number|null} Size in bytes, or null if unknown
+   */
+  function getSize(headers, isPartial) {
+    const total = /\/(\d+)$/.exec(headers.get('content-range') || '');
+    const size = parseInt(total ? total[1] : (isPartial ? null : headers.get('content-length')), 10);
+    return size > 0 ? size : null;
+  }
+
+  /**
+   * Check if bytes start with a signature
+   * @param {Uint8Array} bytes - Bytes
+   * @param {Array<number>} signature - Expected bytes
+   * @returns {boolean}
+   */
+  function startsWith(bytes, signature) {
+    return signature.every((byte, i) => bytes[i] === byte);
+  }
+
+  global.MediaProbe = {
+    CONTAINERS,
+    sniffContainer,
+    probe
+  };
+
+})(self);
@@ -0,0 +1,90 @@
+/* Video Downloader Extension - User Settings
+
+   Reads and writes the user's preferences in chrome.storage.sync.
+   Loaded by the service worker (importScripts) and the extension pages.
+   Every setting has a default here, so a missing key never changes
+   behaviour. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Configuration */
+
+  const STORAGE_KEY = 'settings';
+
+  // Everything that keeps data is off by default
+  const DEFAULT_SETTINGS = {
+    // Keep detected videos in chrome.storage.session (until the browser closes)
+    rememberDetections: false,
+    // Log completed downloads in chrome.storage.local
+    keepHistory: false,
+    // Copy what unencrypted MediaSource players append to their
+    // SourceBuffers (kept in the page's memory until saved or discarded)
+    recordMediaSource: false,
+
+    // Detection filters (lib/detect.js). Patterns are text with "*"
+    // wildcards, or "/regex/flags".
+    // URLs always listed as videos
+    includePatterns: [],
+    // URLs never listed: byte-range chunks, Vimeo thumbnails, small previews
+    excludePatterns: [
+      '/[?&]range=/',
+      'i.vimeocdn.com/',
+      '/[?&](mw=80|w=640)(&|#|$)/'
+    ],
+    // Files smaller than this (bytes) are not listed when their size is known
+    minFileSize: 0,
+    // Detected videos kept per tab (oldest dropped first)
+    maxVideosPerTab: 50,
+    // Per-domain rules: { domain, action: 'ignore' | 'include' | 'default', filenameTemplate }
+    siteRules: [],
+
+    // Download path (lib/filename.js); "/" makes subfolders
+    filenameTemplate: '{title}',
+
+    // Downloads running at the same time; the rest wait in the queue
+    maxConcurrentDownloads: 2
+  };
+
+  /* 2. Storage */
+
+  /**
+   * Read the settings
+   * @returns {Promise<Object>} Stored settings over the defaults
+   */
+  async function getSettings() {
+    const stored = await chrome.storage.sync.get(STORAGE_KEY);
+    return { ...DEFAULT_SETTINGS, ...stored[STORAGE_KEY] };
+  }
+
+  /**
+   * Change some settings
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object>} Settings after the change
+   */
+  async function updateSettings(changes) {
+    const settings = { ...await getSettings(), ...changes };
+    await chrome.storage.sync.set({ [STORAGE_KEY]: settings });
+    return settings;
+  }
+
+  /**
+   * Call back whenever the settings change (in any context)
+   * @param {Function} callback - Receives the new settings
+   */
+  function onSettingsChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes[STORAGE_KEY]) {
+        callback({ ...DEFAULT_SETTINGS, ...changes[STORAGE_KEY].newValue });
+      }
+    });
+  }
+
+  global.ExtensionSettings = {
+    DEFAULT_SETTINGS,
+    getSettings,
+    updateSettings,
+    onSettingsChanged
+  };
+
+})(self);
@@ -0,0 +1,230 @@
+/* Video Downloader Extension - Signed URLs
+
+   CDNs sign media links with an expiry time and a token in the query
+   (CloudFront, S3 and Google Cloud Storage, Azure SAS, Akamai tokens,
+   JWTs, ...). Reads when such a link stops working, and which resource
+   it points at once the signature is left out, so a fresher link of the
+   same video can replace an expired one. Loaded by the service worker
+   and the popup; only depends on standard web APIs. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Configuration */
+
+  // Parameters holding an expiry as a Unix time (seconds or milliseconds)
+  const EXPIRY_PARAMS = ['expires', 'expire', 'expiry', 'expiration', 'exp', 'validto', 'valid_to'];
+
+  // Akamai-style tokens: "exp=1700000000~acl=/*~hmac=..."
+  const TOKEN_EXPIRY_PARAMS = ['hdnts', 'hdnea', '__token__'];
+
+  // Parameters that only sign a link: left out of its resource key
+  const SIGNING_PARAMS = new Set([
+    ...EXPIRY_PARAMS,
+    ...TOKEN_EXPIRY_PARAMS,
+    'signature', 'sig', 'policy', 'key-pair-id', 'token', 'hmac', 'hash', 'md5', 'auth', 'authkey', 'auth_key', 'acl'
+  ]);
+  const SIGNING_PREFIXES = ['x-amz-', 'x-goog-'];
+
+  // Azure shared access signatures: short names other links use for
+  // their own purposes ("st" start time, "sp" speed, ...), so only left
+  // out of a link that carries a SAS (sv and sig)
+  const AZURE_SAS_PARAMS = new Set(['sv', 'ss', 'srt', 'sp', 'st', 'se', 'spr', 'sr', 'skoid', 'sktid', 'skt', 'ske', 'sks', 'skv']);
+
+  // Parameters that make a link signed even without a readable expiry
+  const TOKEN_PARAMS = ['signature', 'sig', 'policy', 'token', 'hmac', 'auth', 'authkey', 'auth_key', 'x-amz-signature', 'x-goog-signature', ...TOKEN_EXPIRY_PARAMS];
+
+  // Plausible expiry times (2001 to 2100): other numbers are not one
+  const MIN_TIME = Date.UTC(2001, 0, 1);
+  const MAX_TIME = Date.UTC(2100, 0, 1);
+
+  /* 2. Expiry */
+
+  /**
+   * When a signed URL stops working
+   * @param {string} url - URL
+   * @returns {number|null} Expiry (ms since the epoch), null if the URL does not say
+   */
+  function getExpiry(url) {
+    const params = getParams(url);
+    if (!params) return null;
+
+    // S3 / Google Cloud Storage: signing time plus a lifetime in seconds
+    for (const prefix of ['x-amz-', 'x-goog-']) {
+      const signedAt = parseCompactDate(params.get(`${prefix}date`));
+      const lifetime = Number(params.get(`${prefix}expires`));
+      if (signedAt && lifetime > 0) return signedAt + lifetime * 1000;
+    }
+
+    // Azure SAS: ISO 8601 end time
+    if (params.has('se') && params.has('sig')) {
+      const end = checkTime(Date.parse(params.get('se')));
+      if (end) return end;
+    }
+
+    for (const name of EXPIRY_PARAMS) {
+      const expiry = parseUnixTime(params.get(name));
+      if (expiry) return expiry;
+    }
+
+    for (const name of TOKEN_EXPIRY_PARAMS) {
+      const match = /(?:^|~)exp=(\d+)/.exec(params.get(name) || '');
+      const expiry = match && parseUnixTime(match[1]);
+      if (expiry) return expiry;
+    }
+
+    // JWT access tokens carry an "exp" claim
+    for (const value of params.values()) {
+      const expiry = getJwtExpiry(value);
+      if (expiry) return expiry;
+    }
+    return null;
+  }
+
+  /**
+   * Check if a URL carries a signature or token
+   * @param {string} url - URL
+   * @returns {boolean}
+   */
+  function isSignedUrl(url) {
+    const params = getParams(url);
+    if (!params) return false;
+
+    return TOKEN_PARAMS.some(name => params.has(name)) || getExpiry(url) !== null;
+  }
+
+  /* 3. Resources */
+
+  /**
+   * The resource a URL points at, without its signature: two links with
+   * the same key are the same file signed at different times
+   * @param {string} url - URL
+   * @returns {string} Origin, path and the other query parameters (sorted)
+   */
+  function getResourceKey(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return url;
+    }
+
+    const names = new Set(Array.from(parsed.searchParams.keys(), name => name.toLowerCase()));
+    const isAzureSas = names.has('sv') && names.has('sig');
+
+    const kept = Array.from(parsed.searchParams.entries())
+      .filter(([name]) => !isSigningParam(name.toLowerCase(), isAzureSas))
+      .map(([name, value]) => `${name}=${value}`)
+      .sort();
+
+    return `${parsed.origin}${parsed.pathname}${kept.length > 0 ? `?${kept.join('&')}` : ''}`;
+  }
+
+  /**
+   * Check if two URLs are links to the same resource signed differently
+   * @param {string} first - URL
+   * @param {string} second - URL
+   * @returns {boolean}
+   */
+  function isSameResource(first, second) {
+    return first !== second &&
+      isSignedUrl(first) && isSignedUrl(second) &&
+      getResourceKey(first) === getResourceKey(second);
+  }
+
+  /* 4. Helper Functions */
+
+  /**
+   * Query parameters of a URL, with lowercase names (first value kept)
+   * @param {string} url - URL
+   * @returns {Map<string, string>|null} null for an invalid URL
+   */
+  function getParams(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    const params = new Map();
+    parsed.searchParams.forEach((value, name) => {
+      const key = name.toLowerCase();
+      if (!params.has(key)) params.set(key, value);
+    });
+    return params;
+  }
+
+  /**
+   * Check if a parameter only signs the link
+   * @param {string} name - Lowercase parameter name
+   * @param {boolean} isAzureSas - The link carries an Azure SAS
+   * @returns {boolean}
+   */
+  function isSigningParam(name, isAzureSas) {
+    return SIGNING_PARAMS.has(name) ||
+      SIGNING_PREFIXES.some(prefix => name.startsWith(prefix)) ||
+      (isAzureSas && AZURE_SAS_PARAMS.has(name));
+  }
+
+  /**
+   * Read a Unix time in seconds or milliseconds
+   * @param {string} [value] - Parameter value
+   * @returns {number|null} Milliseconds
+   */
+  function parseUnixTime(value) {
+    if (!/^\d{9,13}$/.test(value || '')) return null;
+
+    const number = Number(value);
+    return checkTime(number > 1e11 ? number : number * 1000);
+  }
+
+  /**
+   * Read an ISO 8601 basic date, e.g. "20240131T120000Z" (X-Amz-Date)
+   * @param {string} [value] - Parameter value
+   * @returns {number|null} Milliseconds
+   */
+  function parseCompactDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    return checkTime(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  }
+
+  /**
+   * Expiry of a JSON Web Token
+   * @param {string} value - Parameter value
+   * @returns {number|null} Milliseconds
+   */
+  function getJwtExpiry(value) {
+    const match = /^[\w-]+\.([\w-]+)\.[\w-]*$/.exec(value);
+    if (!match) return null;
+
+    try {
+      const base64 = match[1].replace(/-/g, '+').replace(/_/g, '/');
+      const claims = JSON.parse(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+      return typeof claims?.exp === 'number' ? checkTime(claims.exp * 1000) : null;
+    } catch {
+      // Not a JWT after all
+      return null;
+    }
+  }
+
+  /**
+   * Keep only plausible times
+   * @param {number} time - Milliseconds
+   * @returns {number|null}
+   */
+  function checkTime(time) {
+    return Number.isFinite(time) && time >= MIN_TIME && time <= MAX_TIME ? time : null;
+  }
+
+  global.SignedUrl = {
+    getExpiry,
+    isSignedUrl,
+    getResourceKey,
+    isSameResource
+  };
+
+})(self);
@@ -0,0 +1,388 @@
+/* Video Downloader Extension - Subtitles
+
+   Reads WebVTT, SubRip (SRT) and TTML subtitles, joins segmented WebVTT
+   (HLS subtitle renditions, DASH text tracks) into one list of cues and
+   writes it back as WebVTT or SRT. Also lists the subtitle tracks a parsed HLS
+   or DASH manifest offers. Loaded by the offscreen document and the
+   popup; only depends on standard web APIs. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Configuration */
+
+  // Clock of the MPEGTS value in X-TIMESTAMP-MAP (90 kHz)
+  const MPEG_TS_CLOCK = 90000;
+
+  // "00:01:02.500 --> 00:01:04.000 align:start" (hours optional, "," in SRT)
+  const TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})(.*)$/;
+
+  // WebVTT markup SRT players don't know (<c.red>, <v Bob>, <00:00:01.000>, ...)
+  const VTT_ONLY_TAGS = /<\/?(?:c|v|lang|ruby|rt)(?:[.\s][^>]*)?>|<\d+:\d{2}[:.\d]*>/g;
+
+  // TTML time expressions: "00:01:02.5", "00:01:02:12" (frames), "62.5s", "625000000t", ...
+  const TTML_CLOCK_TIME = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?$/;
+  const TTML_OFFSET_TIME = /^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/;
+
+  // DASH text tracks that can be downloaded as plain files
+  const DASH_TEXT_MIME_TYPES = ['text/vtt', 'application/ttml+xml'];
+
+  // TTML frame rate when the document gives none
+  const TTML_DEFAULT_FRAME_RATE = 30;
+
+  /* 2. Parsing */
+
+  /**
+   * Parse a WebVTT file
+   * @param {string} text - File body
+   * @returns {{cues: Array<Object>, offset: number|null}} Cues ({ start, end, text, settings },
+   *   in seconds) and the X-TIMESTAMP-MAP offset (seconds) of an HLS segment, if any
+   */
+  function parseVtt(text) {
+    const body = normalizeText(text);
+    if (!/^WEBVTT(?:[ \t]|\n|$)/.test(body)) {
+      throw new Error('Not a WebVTT file');
+    }
+
+    // X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000 (in the header)
+    const header = body.split('\n\n')[0];
+    const map = /X-TIMESTAMP-MAP=([^\n]+)/.exec(header);
+    let offset = null;
+    if (map) {
+      const mpegts = parseInt(/MPEGTS:(\d+)/.exec(map[1])?.[1], 10) || 0;
+      const local = /LOCAL:([\d:.]+)/.exec(map[1]);
+      offset = mpegts / MPEG_TS_CLOCK - (local ? parseTimestamp(local[1]) : 0);
+    }
+
+    return { cues: parseCues(body), offset };
+  }
+
+  /**
+   * Parse a SubRip (SRT) file
+   * @param {string} text - File body
+   * @returns {Array<Object>} Cues { start, end, text, settings }
+   */
+  function parseSrt(text) {
+    return parseCues(normalizeText(text));
+  }
+
+  /**
+   * Parse a TTML (DFXP) file
+   * Timing of the <body>, <div> and <p> levels adds up; styling and
+   * regions are dropped.
+   * @param {string} text - File body
+   * @returns {Array<Object>} Cues { start, end, text, settings }
+   */
+  function parseTtml(text) {
+    const doc = new DOMParser().parseFromString(normalizeText(text), 'application/xml');
+    const tt = doc.documentElement;
+
+    if (!tt || tt.localName !== 'tt') {
+      throw new Error('Not a TTML file');
+    }
+
+    // Parameters are read by their usual "ttp:" prefix
+    const frameRate = (parseFloat(tt.getAttribute('ttp:frameRate')) || TTML_DEFAULT_FRAME_RATE) *
+      parseFrameRateMultiplier(tt.getAttribute('ttp:frameRateMultiplier'));
+    const rates = {
+      frameRate: frameRate,
+      tickRate: parseFloat(tt.getAttribute('ttp:tickRate')) ||
+        (tt.getAttribute('ttp:frameRate') ? frameRate * (parseFloat(tt.getAttribute('ttp:subFrameRate')) || 1) : 1)
+    };
+
+    const cues = [];
+    const body = Array.from(tt.children).find(el => el.localName === 'body');
+    if (!body) return cues;
+
+    const walk = (el, parentStart, parentEnd) => {
+      const { start, end } = getTtmlInterval(el, parentStart, parentEnd, rates);
+
+      if (el.localName !== 'p') {
+        Array.from(el.children).forEach(childEl => walk(childEl, start, end));
+        return;
+      }
+
+      const cueText = getTtmlText(el).split('\n').map(line => line.trim()).join('\n').trim();
+      if (cueText && Number.isFinite(end) && end > start) {
+        cues.push({ start, end, text: cueText, settings: '' });
+      }
+    };
+    walk(body, 0, Infinity);
+
+    return cues.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Read the cue blocks of WebVTT or SRT text
+   * Blocks without a timing line (header, NOTE, STYLE, REGION) are skipped.
+   * @param {string} body - Text with "\n" line ends
+   * @returns {Array<Object>}
+   */
+  function parseCues(body) {
+    const cues = [];
+
+    body.split(/\n{2,}/).forEach(block => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) return;
+
+      const match = TIMING_PATTERN.exec(lines[timingIndex].trim());
+      if (!match) return;
+
+      const textLines = lines.slice(timingIndex + 1);
+      if (textLines.every(line => !line.trim())) return;
+
+      cues.push({
+        start: parseTimestamp(match[1]),
+        end: parseTimestamp(match[2]),
+        text: textLines.join('\n').trim(),
+        settings: match[3].trim()
+      });
+    });
+
+    return cues;
+  }
+
+  /* 3. Joining */
+
+  /**
+   * Join the WebVTT segments of a stream into one list of cues
+   * Segments are aligned with their X-TIMESTAMP-MAP, relative to the
+   * first one; cues repeated at segment boundaries are kept once.
+   * @param {Array<string>} texts - Segment bodies in order
+   * @returns {Array<Object>} Cues sorted by start time
+   */
+  function joinVttSegments(texts) {
+    const cues = [];
+    let baseline = null;
+
+    texts.forEach(text => {
+      const segment = parseVtt(text);
+
+      if (segment.offset !== null && baseline === null) {
+        baseline = segment.offset;
+      }
+      const shift = segment.offset !== null ? segment.offset - baseline : 0;
+
+      segment.cues.forEach(cue => {
+        cues.push({
+          ...cue,
+          start: Math.max(0, cue.start + shift),
+          end: Math.max(0, cue.end + shift)
+        });
+      });
+    });
+
+    return uniqueCues(cues);
+  }
+
+  /**
+   * Join the TTML segments of a DASH text track into one list of cues
+   * Their times are already on the track's timeline.
+   * @param {Array<string>} texts - Segment bodies in order
+   * @returns {Array<Object>} Cues sorted by start time
+   */
+  function joinTtmlSegments(texts) {
+    return uniqueCues(texts.flatMap(parseTtml));
+  }
+
+  /**
+   * Keep cues repeated at segment boundaries once, sorted by start time
+   * @param {Array<Object>} cues - Cues in segment order
+   * @returns {Array<Object>}
+   */
+  function uniqueCues(cues) {
+    const seen = new Set();
+    const unique = cues.filter(cue => {
+      const key = `${cue.start.toFixed(3)}|${cue.end.toFixed(3)}|${cue.text}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    // Array.prototype.sort is stable: cues starting together keep their order
+    return unique.sort((a, b) => a.start - b.start);
+  }
+
+  /* 4. Writing */
+
+  /**
+   * Write cues as a WebVTT file
+   * @param {Array<Object>} cues - Cues
+   * @returns {string}
+   */
+  function toVtt(cues) {
+    const blocks = cues.map(cue => {
+      const timing = `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`;
+      return `${timing}${cue.settings ? ` ${cue.settings}` : ''}\n${cue.text}`;
+    });
+    return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+  }
+
+  /**
+   * Write cues as a SubRip (SRT) file
+   * @param {Array<Object>} cues - Cues
+   * @returns {string}
+   */
+  function toSrt(cues) {
+    const blocks = cues.map((cue, index) => {
+      const timing = `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`;
+      const text = cue.text.replace(VTT_ONLY_TAGS, '');
+      return `${index + 1}\n${timing}\n${text}`;
+    });
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  /* 5. Manifests */
+
+  /**
+   * Subtitle renditions of a parsed HLS master playlist
+   * @param {Object} playlist - From HlsPlaylist.parsePlaylist
+   * @returns {Array<Object>} { url, language, label, format: 'hls' }
+   */
+  function getHlsSubtitles(playlist) {
+    return (playlist.renditions || [])
+      .filter(rendition => rendition.type === 'SUBTITLES' && rendition.url)
+      .map(rendition => ({
+        url: rendition.url,
+        language: rendition.language,
+        label: rendition.name,
+        format: 'hls'
+      }));
+  }
+
+  /**
+   * WebVTT and TTML text tracks of a parsed DASH manifest
+   * (TTML inside MP4 segments, "stpp", is not read)
+   * @param {Array<Object>} textTracks - DashManifest.listTracks(mpd).text
+   * @param {string} manifestUrl - MPD URL
+   * @returns {Array<Object>} { url, trackId, language, label, format: 'dash' }
+   */
+  function getDashSubtitles(textTracks, manifestUrl) {
+    return (textTracks || [])
+      .filter(track => DASH_TEXT_MIME_TYPES.includes(track.mimeType))
+      .map(track => ({
+        url: manifestUrl,
+        trackId: track.id,
+        language: track.language,
+        label: track.label || null,
+        format: 'dash'
+      }));
+  }
+
+  /* 6. Helper Functions */
+
+  /**
+   * Remove a byte order mark and unify line ends
+   * @param {string} text - Raw text
+   * @returns {string}
+   */
+  function normalizeText(text) {
+    return String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+  }
+
+  /**
+   * Start and end (seconds) of a TTML element inside its parent's interval
+   * @param {Element} el - Timed element
+   * @param {number} parentStart - Parent start
+   * @param {number} parentEnd - Parent end (Infinity if open)
+   * @param {Object} rates - { frameRate, tickRate }
+   * @returns {{start: number, end: number}}
+   */
+  function getTtmlInterval(el, parentStart, parentEnd, rates) {
+    const begin = parseTtmlTime(el.getAttribute('begin'), rates);
+    const end = parseTtmlTime(el.getAttribute('end'), rates);
+    const dur = parseTtmlTime(el.getAttribute('dur'), rates);
+
+    const start = parentStart + (begin ?? 0);
+    let stop = parentEnd;
+    if (end !== null) stop = Math.min(stop, parentStart + end);
+    else if (dur !== null) stop = Math.min(stop, start + dur);
+    return { start, end: stop };
+  }
+
+  /**
+   * Seconds of a TTML time expression
+   * @param {string|null} value - Clock time or offset time
+   * @param {Object} rates - { frameRate, tickRate }
+   * @returns {number|null}
+   */
+  function parseTtmlTime(value, rates) {
+    const text = (value || '').trim();
+
+    const clock = TTML_CLOCK_TIME.exec(text);
+    if (clock) {
+      const frames = clock[4] ? parseFloat(clock[4]) / rates.frameRate : 0;
+      return Number(clock[1]) * 3600 + Number(clock[2]) * 60 + parseFloat(clock[3]) + frames;
+    }
+
+    const offset = TTML_OFFSET_TIME.exec(text);
+    if (!offset) return null;
+
+    const amount = parseFloat(offset[1]);
+    const divisors = { h: 1 / 3600, m: 1 / 60, s: 1, ms: 1000, f: rates.frameRate, t: rates.tickRate };
+    return amount / divisors[offset[2]];
+  }
+
+  /**
+   * Ratio of a ttp:frameRateMultiplier ("1000 1001"), 1 if absent
+   * @param {string|null} value - Attribute value
+   * @returns {number}
+   */
+  function parseFrameRateMultiplier(value) {
+    const [numerator, denominator] = (value || '').trim().split(/\s+/).map(Number);
+    return numerator > 0 && denominator > 0 ? numerator / denominator : 1;
+  }
+
+  /**
+   * Text of a TTML paragraph: <br/> breaks lines, spans are flattened
+   * @param {Element} el - <p> or <span>
+   * @returns {string}
+   */
+  function getTtmlText(el) {
+    return Array.from(el.childNodes).map(node => {
+      if (node.nodeType === 3) return node.nodeValue.replace(/\s+/g, ' ');
+      if (node.nodeType !== 1) return '';
+      return node.localName === 'br' ? '\n' : getTtmlText(node);
+    }).join('');
+  }
+
+  /**
+   * Seconds of a "hh:mm:ss.mmm" / "mm:ss.mmm" / "hh:mm:ss,mmm" timestamp
+   * @param {string} value - Timestamp
+   * @returns {number}
+   */
+  function parseTimestamp(value) {
+    const parts = value.replace(',', '.').split(':').map(Number);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  /**
+   * Format seconds as "hh:mm:ss.mmm" (or "," as decimal separator for SRT)
+   * @param {number} seconds - Time
+   * @param {string} separator - '.' or ','
+   * @returns {string}
+   */
+  function formatTimestamp(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    const h = Math.floor(totalMs / 3600000);
+    const m = Math.floor(totalMs / 60000) % 60;
+    const s = Math.floor(totalMs / 1000) % 60;
+    return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(totalMs % 1000, 3)}`;
+  }
+
+  global.Subtitles = {
+    parseVtt,
+    parseSrt,
+    parseTtml,
+    joinVttSegments,
+    joinTtmlSegments,
+    toVtt,
+    toSrt,
+    getHlsSubtitles,
+    getDashSubtitles
+  };
+
+})(self);
@@ -0,0 +1,610 @@
+/* Video Downloader Extension - MPEG-TS to MP4 Remuxer
+
+   Turns MPEG-TS (H.264 video + AAC audio, as used by HLS) into a
+   fragmented MP4 without re-encoding. Segments are pushed one by one
+   and each push returns the MP4 bytes ready so far, so a long stream
+   never has to be held in memory twice. Needs lib/mp4.js. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Configuration */
+
+  const PACKET_SIZE = 188;
+  const SYNC_BYTE = 0x47;
+
+  // PMT stream types
+  const STREAM_TYPE_H264 = 0x1b;
+  const STREAM_TYPE_AAC = 0x0f;
+
+  // H.264 NAL unit types
+  const NAL_IDR = 5;
+  const NAL_SPS = 7;
+  const NAL_PPS = 8;
+  const NAL_AUD = 9;
+
+  // MPEG-TS clock (90 kHz) and its 33-bit wrap
+  const TS_TIMESCALE = 90000;
+  const TS_WRAP = 2 ** 33;
+
+  // AAC frames always hold 1024 samples
+  const AAC_FRAME_SAMPLES = 1024;
+
+  const AAC_SAMPLE_RATES = [
+    96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350
+  ];
+
+  /* 2. Remuxer */
+
+  /**
+   * Create a remuxer for one MPEG-TS stream
+   * @param {Object} [options] - { audioOnly: leave the video out }
+   * @returns {{push: function(Uint8Array): Array<Uint8Array>, flush: function(): Array<Uint8Array>}}
+   *   push() takes the next segment, flush() ends the stream; both return MP4 parts
+   */
+  function createTsRemuxer(options = {}) {
+    const state = {
+      audioOnly: Boolean(options.audioOnly),
+      pmtPid: null,
+      videoPid: null,
+      audioPid: null,
+      pes: new Map(),
+      video: { sps: null, pps: null, width: 0, height: 0, samples: [], lastDts: null },
+      audio: { config: null, sampleRate: 0, channels: 0, samples: [], lastPts: null, nextDecodeTime: null },
+      baseTime: null,
+      initSent: false,
+      sequence: 1
+    };
+
+    return {
+      push(bytes) {
+        readPackets(state, bytes);
+        return drain(state, false);
+      },
+      flush() {
+        state.pes.forEach((pes, pid) => finishPes(state, pid));
+
+        // A stream listed in the PMT may never carry any data
+        if (!state.initSent) {
+          if (!state.video.sps) state.videoPid = null;
+          if (!state.audio.config) state.audioPid = null;
+        }
+        return drain(state, true);
+      }
+    };
+  }
+
+  /* 3. Transport Stream */
+
+  /**
+   * Read the TS packets of a segment
+   * @param {Object} state - Remuxer state
+   * @param {Uint8Array} bytes - Segment bytes
+   */
+  function readPackets(state, bytes) {
+    let offset = bytes.indexOf(SYNC_BYTE);
+    if (offset < 0) {
+      throw new Error('Not an MPEG-TS segment');
+    }
+
+    for (; offset + PACKET_SIZE <= bytes.byteLength; offset += PACKET_SIZE) {
+      if (bytes[offset] !== SYNC_BYTE) {
+        throw new Error('Lost MPEG-TS sync');
+      }
+
+      const packet = bytes.subarray(offset, offset + PACKET_SIZE);
+      const pid = ((packet[1] & 0x1f) << 8) | packet[2];
+      const unitStart = (packet[1] & 0x40) !== 0;
+      const adaptationControl = (packet[3] >> 4) & 0x3;
+
+      if (!(adaptationControl & 0x1)) continue;
+
+      const payloadStart = adaptationControl & 0x2 ? 5 + packet[4] : 4;
+      if (payloadStart >= PACKET_SIZE) continue;
+      const payload = packet.subarray(payloadStart);
+
+      if (pid === 0) {
+        if (unitStart) readPat(state, payload);
+      } else if (pid === state.pmtPid) {
+        if (unitStart) readPmt(state, payload);
+      } else if (pid === state.videoPid || pid === state.audioPid) {
+        if (unitStart) {
+          finishPes(state, pid);
+          state.pes.set(pid, []);
+        }
+        state.pes.get(pid)?.push(payload.slice());
+      }
+    }
+  }
+
+  /**
+   * Read the Program Association Table
+   * @param {Object} state - Remuxer state
+   * @param {Uint8Array} payload - Packet payload
+   */
+  function readPat(state, payload) {
+    const section = payload.subarray(1 + payload[0]);
+    const sectionLength = ((section[1] & 0x0f) << 8) | section[2];
+    const end = 3 + sectionLength - 4;
+
+    for (let i = 8; i + 4 <= end; i += 4) {
+      const programNumber = (section[i] << 8) | section[i + 1];
+      if (programNumber !== 0) {
+        state.pmtPid = ((section[i + 2] & 0x1f) << 8) | section[i + 3];
+        return;
+      }
+    }
+  }
+
+  /**
+   * Read the Program Map Table
+   * @param {Object} state - Remuxer state
+   * @param {Uint8Array} payload - Packet payload
+   */
+  function readPmt(state, payload) {
+    const section = payload.subarray(1 + payload[0]);
+    const sectionLength = ((section[1] & 0x0f) << 8) | section[2];
+    const programInfoLength = ((section[10] & 0x0f) << 8) | section[11];
+    const end = 3 + sectionLength - 4;
+
+    for (let i = 12 + programInfoLength; i + 5 <= end;) {
+      const streamType = section[i];
+      const pid = ((section[i + 1] & 0x1f) << 8) | section[i + 2];
+      const infoLength = ((section[i + 3] & 0x0f) << 8) | section[i + 4];
+
+      if (streamType === STREAM_TYPE_H264 && state.videoPid === null && !state.audioOnly) {
+        state.videoPid = pid;
+      } else if (streamType === STREAM_TYPE_AAC && state.audioPid === null) {
+        state.audioPid = pid;
+      }
+      i += 5 + infoLength;
+    }
+
+    if (state.audioOnly && state.audioPid === null) {
+      throw new Error('No AAC audio found in the stream');
+    }
+    if (state.videoPid === null && state.audioPid === null) {
+      throw new Error('Only H.264 video and AAC audio can be converted to MP4');
+    }
+  }
+
+  /**
+   * Parse a complete PES packet into samples
+   * @param {Object} state - Remuxer state
+   * @param {number} pid - Elementary stream PID
+   */
+  function finishPes(state, pid) {
+    const chunks = state.pes.get(pid);
+    state.pes.delete(pid);
+    if (!chunks || chunks.length === 0) return;
+
+    const pes = concatBytes(chunks);
+    if (pes[0] !== 0 || pes[1] !== 0 || pes[2] !== 1) return;
+
+    const ptsDtsFlags = pes[7] >> 6;
+    const payload = pes.subarray(9 + pes[8]);
+    if (!(ptsDtsFlags & 0x2)) return;
+
+    const pts = readTimestamp(pes, 9);
+    const dts = ptsDtsFlags === 0x3 ? readTimestamp(pes, 14) : pts;
+
+    if (pid === state.videoPid) {
+      addVideoSample(state.video, payload, pts, dts);
+    } else {
+      addAudioFrames(state.audio, payload, pts);
+    }
+  }
+
+  /* 4. Elementary Streams */
+
+  /**
+   * Turn an H.264 access unit into an MP4 sample
+   * @param {Object} video - Video state
+   * @param {Uint8Array} payload - Annex B byte stream
+   * @param {number} pts - Presentation time (90 kHz)
+   * @param {number} dts - Decode time (90 kHz)
+   */
+  function addVideoSample(video, payload, pts, dts) {
+    const units = [];
+    let isSync = false;
+
+    splitNalUnits(payload).forEach(nal => {
+      const type = nal[0] & 0x1f;
+
+      if (type === NAL_SPS) {
+        if (!video.sps) {
+          video.sps = nal.slice();
+          Object.assign(video, parseSps(nal));
+        }
+      } else if (type === NAL_PPS) {
+        if (!video.pps) video.pps = nal.slice();
+      } else if (type !== NAL_AUD) {
+        if (type === NAL_IDR) isSync = true;
+        units.push(nal);
+      }
+    });
+
+    // Playback has to start on a keyframe
+    if (units.length === 0 || (video.samples.length === 0 && video.lastDts === null && !isSync)) return;
+
+    // MP4 samples use 4-byte length prefixes instead of start codes
+    const data = new Uint8Array(units.reduce((sum, nal) => sum + 4 + nal.byteLength, 0));
+    const view = new DataView(data.buffer);
+    let offset = 0;
+    units.forEach(nal => {
+      view.setUint32(offset, nal.byteLength);
+      data.set(nal, offset + 4);
+      offset += 4 + nal.byteLength;
+    });
+
+    dts = unwrapTimestamp(dts, video.lastDts ?? dts);
+    pts = unwrapTimestamp(pts, dts);
+    video.lastDts = dts;
+    video.samples.push({ data, pts, dts, isSync });
+  }
+
+  /**
+   * Split ADTS AAC frames into MP4 samples
+   * @param {Object} audio - Audio state
+   * @param {Uint8Array} payload - ADTS stream
+   * @param {number} pts - Presentation time of the first frame (90 kHz)
+   */
+  function addAudioFrames(audio, payload, pts) {
+    let offset = 0;
+    let frameIndex = 0;
+
+    while (offset + 7 <= payload.byteLength) {
+      if (payload[offset] !== 0xff || (payload[offset + 1] & 0xf0) !== 0xf0) {
+        offset++;
+        continue;
+      }
+
+      const headerLength = payload[offset + 1] & 0x01 ? 7 : 9;
+      const frameLength = ((payload[offset + 3] & 0x03) << 11) |
+        (payload[offset + 4] << 3) | (payload[offset + 5] >> 5);
+      if (frameLength < headerLength || offset + frameLength > payload.byteLength) break;
+
+      if (!audio.config) {
+        const objectType = (payload[offset + 2] >> 6) + 1;
+        const rateIndex = (payload[offset + 2] >> 2) & 0x0f;
+        const channels = ((payload[offset + 2] & 0x01) << 2) | (payload[offset + 3] >> 6);
+
+        audio.sampleRate = AAC_SAMPLE_RATES[rateIndex] || 44100;
+        audio.channels = channels || 2;
+        audio.config = new Uint8Array([
+          (objectType << 3) | (rateIndex >> 1),
+          ((rateIndex & 0x01) << 7) | (audio.channels << 3)
+        ]);
+      }
+
+      const framePts = unwrapTimestamp(
+        pts + Math.round(frameIndex * AAC_FRAME_SAMPLES * TS_TIMESCALE / audio.sampleRate),
+        audio.lastPts ?? pts
+      );
+      audio.lastPts = framePts;
+      audio.samples.push({
+        data: payload.slice(offset + headerLength, offset + frameLength),
+        pts: framePts
+      });
+
+      offset += frameLength;
+      frameIndex++;
+    }
+  }
+
+  /* 5. MP4 Output */
+
+  /**
+   * Write the samples collected so far as an MP4 fragment
+   * @param {Object} state - Remuxer state
+   * @param {boolean} isLast - No more data will follow
+   * @returns {Array<Uint8Array>} MP4 parts (init segment first, once)
+   */
+  function drain(state, isLast) {
+    const { video, audio } = state;
+    const hasVideo = state.videoPid !== null;
+    const hasAudio = state.audioPid !== null;
+    const output = [];
+
+    if (!hasVideo && !hasAudio) {
+      throw new Error('No H.264 video or AAC audio found in the stream');
+    }
+
+    // Wait until the codec configuration of every track is known
+    if ((hasVideo && !(video.sps && video.pps)) || (hasAudio && !audio.config)) {
+      if (isLast) throw new Error('Stream ended before its codec configuration');
+      return output;
+    }
+
+    const tracks = [];
+    if (hasVideo) {
+      tracks.push({ id: 1, type: 'video', timescale: TS_TIMESCALE, width: video.width, height: video.height, sps: video.sps, pps: video.pps });
+    }
+    if (hasAudio) {
+      tracks.push({ id: tracks.length + 1, type: 'audio', timescale: audio.sampleRate, sampleRate: audio.sampleRate, channels: audio.channels, config: audio.config });
+    }
+
+    if (state.baseTime === null) {
+      const starts = [video.samples[0]?.dts, audio.samples[0]?.pts].filter(time => time !== undefined);
+      if (starts.length === 0) return output;
+      state.baseTime = Math.min(...starts);
+    }
+
+    if (!state.initSent) {
+      output.push(Mp4.createInitSegment(tracks));
+      state.initSent = true;
+    }
+
+    const fragments = [];
+    if (hasVideo) {
+      const fragment = takeVideoFragment(state, isLast);
+      if (fragment) fragments.push({ id: 1, ...fragment });
+    }
+    if (hasAudio) {
+      const fragment = takeAudioFragment(state);
+      if (fragment) fragments.push({ id: tracks[tracks.length - 1].id, ...fragment });
+    }
+
+    if (fragments.length > 0) {
+      output.push(Mp4.createFragment(state.sequence++, fragments));
+    }
+    return output;
+  }
+
+  /**
+   * Take the video samples whose duration is known
+   * @param {Object} state - Remuxer state
+   * @param {boolean} isLast - Also take the very last sample
+   * @returns {Object|null} { baseMediaDecodeTime, samples }
+   */
+  function takeVideoFragment(state, isLast) {
+    const samples = state.video.samples;
+
+    // The last sample's duration comes from the next one, so keep it back
+    const count = isLast ? samples.length : samples.length - 1;
+    if (count <= 0) return null;
+
+    const taken = samples.splice(0, count);
+    const next = samples[0];
+
+    return {
+      baseMediaDecodeTime: Math.max(0, taken[0].dts - state.baseTime),
+      samples: taken.map((sample, i) => {
+        const following = taken[i + 1] || next;
+        const previousDuration = i > 0 ? sample.dts - taken[i - 1].dts : 3000;
+
+        return {
+          data: sample.data,
+          duration: following ? following.dts - sample.dts : previousDuration,
+          cts: sample.pts - sample.dts,
+          isSync: sample.isSync
+        };
+      })
+    };
+  }
+
+  /**
+   * Take all collected audio frames
+   * @param {Object} state - Remuxer state
+   * @returns {Object|null} { baseMediaDecodeTime, samples }
+   */
+  function takeAudioFragment(state) {
+    const audio = state.audio;
+    if (audio.samples.length === 0) return null;
+
+    const taken = audio.samples.splice(0);
+
+    // Frames have a fixed length, so decode times are simply cumulative
+    if (audio.nextDecodeTime === null) {
+      audio.nextDecodeTime = Math.max(0, Math.round((taken[0].pts - state.baseTime) * audio.sampleRate / TS_TIMESCALE));
+    }
+
+    const baseMediaDecodeTime = audio.nextDecodeTime;
+    audio.nextDecodeTime += taken.length * AAC_FRAME_SAMPLES;
+
+    return {
+      baseMediaDecodeTime,
+      samples: taken.map(sample => ({
+        data: sample.data,
+        duration: AAC_FRAME_SAMPLES,
+        cts: 0,
+        isSync: true
+      }))
+    };
+  }
+
+  /* 6. Helper Functions */
+
+  /**
+   * Read a 33-bit PES timestamp
+   * @param {Uint8Array} bytes - PES packet
+   * @param {number} offset - First of its 5 bytes
+   * @returns {number}
+   */
+  function readTimestamp(bytes, offset) {
+    return (bytes[offset] & 0x0e) * 536870912 +
+      bytes[offset + 1] * 4194304 +
+      (bytes[offset + 2] & 0xfe) * 16384 +
+      bytes[offset + 3] * 128 +
+      (bytes[offset + 4] & 0xfe) / 2;
+  }
+
+  /**
+   * Bring a timestamp next to a reference across 33-bit wraps
+   * @param {number} value - Timestamp
+   * @param {number} reference - Nearby timestamp
+   * @returns {number}
+   */
+  function unwrapTimestamp(value, reference) {
+    while (value - reference > TS_WRAP / 2) value -= TS_WRAP;
+    while (reference - value > TS_WRAP / 2) value += TS_WRAP;
+    return value;
+  }
+
+  /**
+   * Split an Annex B byte stream into NAL units
+   * @param {Uint8Array} bytes - Byte stream
+   * @returns {Array<Uint8Array>} NAL units without start codes
+   */
+  function splitNalUnits(bytes) {
+    const units = [];
+    let start = -1;
+
+    for (let i = 0; i + 2 < bytes.byteLength; i++) {
+      if (bytes[i] !== 0 || bytes[i + 1] !== 0 || bytes[i + 2] !== 1) continue;
+
+      if (start >= 0) {
+        // A 4-byte start code leaves a trailing zero on the previous unit
+        const end = bytes[i - 1] === 0 ? i - 1 : i;
+        if (end > start) units.push(bytes.subarray(start, end));
+      }
+      start = i + 3;
+      i += 2;
+    }
+
+    if (start >= 0 && start < bytes.byteLength) {
+      units.push(bytes.subarray(start));
+    }
+    return units;
+  }
+
+  /**
+   * Read the picture size from a sequence parameter set
+   * @param {Uint8Array} nal - SPS NAL unit
+   * @returns {{width: number, height: number}}
+   */
+  function parseSps(nal) {
+    const reader = createBitReader(removeEmulationPrevention(nal.subarray(1)));
+    const profileIdc = reader.bits(8);
+    reader.bits(16);
+    reader.ue();
+
+    let chromaFormatIdc = 1;
+    if ([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135].includes(profileIdc)) {
+      chromaFormatIdc = reader.ue();
+      if (chromaFormatIdc === 3) reader.bits(1);
+      reader.ue();
+      reader.ue();
+      reader.bits(1);
+
+      if (reader.bits(1)) {
+        const listCount = chromaFormatIdc === 3 ? 12 : 8;
+        for (let i = 0; i < listCount; i++) {
+          if (reader.bits(1)) skipScalingList(reader, i < 6 ? 16 : 64);
+        }
+      }
+    }
+
+    reader.ue();
+    const pocType = reader.ue();
+    if (pocType === 0) {
+      reader.ue();
+    } else if (pocType === 1) {
+      reader.bits(1);
+      reader.se();
+      reader.se();
+      const cycleLength = reader.ue();
+      for (let i = 0; i < cycleLength; i++) reader.se();
+    }
+
+    reader.ue();
+    reader.bits(1);
+
+    const widthInMbs = reader.ue() + 1;
+    const heightInMapUnits = reader.ue() + 1;
+    const frameMbsOnly = reader.bits(1);
+    if (!frameMbsOnly) reader.bits(1);
+    reader.bits(1);
+
+    let crop = [0, 0, 0, 0];
+    if (reader.bits(1)) {
+      crop = [reader.ue(), reader.ue(), reader.ue(), reader.ue()];
+    }
+
+    const cropUnitX = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+    const cropUnitY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+
+    return {
+      width: widthInMbs * 16 - cropUnitX * (crop[0] + crop[1]),
+      height: (2 - frameMbsOnly) * heightInMapUnits * 16 - cropUnitY * (crop[2] + crop[3])
+    };
+  }
+
+  /**
+   * Skip a scaling list in an SPS
+   * @param {Object} reader - Bit reader
+   * @param {number} size - 16 or 64 entries
+   */
+  function skipScalingList(reader, size) {
+    let last = 8;
+    let next = 8;
+    for (let i = 0; i < size; i++) {
+      if (next !== 0) {
+        next = (last + reader.se() + 256) % 256;
+      }
+      last = next === 0 ? last : next;
+    }
+  }
+
+  /**
+   * Remove emulation prevention bytes (00 00 03) from a NAL unit
+   * @param {Uint8Array} bytes - NAL payload
+   * @returns {Uint8Array} RBSP
+   */
+  function removeEmulationPrevention(bytes) {
+    const out = [];
+    for (let i = 0; i < bytes.byteLength; i++) {
+      if (i >= 2 && bytes[i] === 3 && bytes[i - 1] === 0 && bytes[i - 2] === 0) continue;
+      out.push(bytes[i]);
+    }
+    return new Uint8Array(out);
+  }
+
+  /**
+   * Create an Exp-Golomb bit reader
+   * @param {Uint8Array} bytes - Data
+   * @returns {{bits: function(number): number, ue: function(): number, se: function(): number}}
+   */
+  function createBitReader(bytes) {
+    let position = 0;
+
+    const bit = () => {
+      const value = (bytes[position >> 3] >> (7 - (position & 7))) & 1;
+      position++;
+      return value;
+    };
+
+    const bits = (count) => {
+      let value = 0;
+      for (let i = 0; i < count; i++) value = value * 2 + bit();
+      return value;
+    };
+
+    const ue = () => {
+      let zeros = 0;
+      while (bit() === 0 && zeros < 32) zeros++;
+      return 2 ** zeros - 1 + bits(zeros);
+    };
+
+    const se = () => {
+      const value = ue();
+      return value & 1 ? (value + 1) / 2 : -value / 2;
+    };
+
+    return { bits, ue, se };
+  }
+
+  /**
+   * Join byte arrays
+   * @param {Array<Uint8Array>} arrays - Parts
+   * @returns {Uint8Array}
+   */
+  function concatBytes(arrays) {
+    return arrays.length === 1 ? arrays[0] : Mp4.concat(arrays);
+  }
+
+  global.TsRemux = {
+    createTsRemuxer
+  };
+
+})(self);
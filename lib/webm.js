@@ -0,0 +1,289 @@
+/* Video Downloader Extension - WebM / Matroska
+
+   Minimal EBML reader used to keep only the audio track of a WebM or
+   Matroska file: Tracks and Clusters are written again without the
+   other tracks' blocks, Info is copied as is, the rest (SeekHead, Cues,
+   Tags, ...) is left out since its offsets would be wrong. Loaded by the
+   offscreen document; only depends on standard web APIs. */
+
+(function(global) {
+  'use strict';
+
+  /* 1. Configuration */
+
+  // Element IDs (with their length marker, as written in files)
+  const ID = {
+    EBML: 0x1a45dfa3,
+    DOC_TYPE: 0x4282,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114d9b74,
+    INFO: 0x1549a966,
+    TRACKS: 0x1654ae6b,
+    TRACK_ENTRY: 0xae,
+    TRACK_NUMBER: 0xd7,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    CLUSTER: 0x1f43b675,
+    TIMECODE: 0xe7,
+    SIMPLE_BLOCK: 0xa3,
+    BLOCK_GROUP: 0xa0,
+    BLOCK: 0xa1,
+    CUES: 0x1c53bb6b,
+    CHAPTERS: 0x1043a770,
+    TAGS: 0x1254c367,
+    ATTACHMENTS: 0x1941a469
+  };
+
+  // Children of Segment: a Cluster of unknown size ends where one starts
+  const SEGMENT_CHILDREN = new Set([
+    ID.SEEK_HEAD, ID.INFO, ID.TRACKS, ID.CLUSTER, ID.CUES, ID.CHAPTERS, ID.TAGS, ID.ATTACHMENTS
+  ]);
+
+  // Matroska TrackType of audio tracks
+  const TRACK_TYPE_AUDIO = 2;
+
+  /* 2. Reading */
+
+  /**
+   * Read an EBML variable-length integer
+   * @param {Uint8Array} bytes - File bytes
+   * @param {number} offset - First byte
+   * @param {boolean} keepMarker - Element IDs keep their length marker, sizes don't
+   * @returns {{value: number, length: number, unknown: boolean}|null} null past the end
+   */
+  function readVint(bytes, offset, keepMarker) {
+    if (offset >= bytes.length) return null;
+
+    const first = bytes[offset];
+    let length = 1;
+    let mask = 0x80;
+    while (length <= 8 && !(first & mask)) {
+      length++;
+      mask >>= 1;
+    }
+    if (length > 8 || offset + length > bytes.length) return null;
+
+    // A size with every value bit set means "unknown" (live streams)
+    let allOnes = (first & (mask - 1)) === mask - 1;
+    let value = keepMarker ? first : first & (mask - 1);
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + bytes[offset + i];
+      if (bytes[offset + i] !== 0xff) allOnes = false;
+    }
+
+    return { value, length, unknown: !keepMarker && allOnes };
+  }
+
+  /**
+   * Read the header of the element at an offset
+   * @param {Uint8Array} bytes - File bytes
+   * @param {number} offset - Element start
+   * @returns {Object|null} { id, start, dataStart, size, unknown }
+   */
+  function readElementHeader(bytes, offset) {
+    const id = readVint(bytes, offset, true);
+    const size = id && readVint(bytes, offset + id.length, false);
+    if (!size) return null;
+
+    return {
+      id: id.value,
+      start: offset,
+      dataStart: offset + id.length + size.length,
+      size: size.value,
+      unknown: size.unknown
+    };
+  }
+
+  /**
+   * List the elements between two offsets
+   * A truncated last element ends at the end of the bytes (its end is then
+   * before dataStart + size).
+   * @param {Uint8Array} bytes - File bytes
+   * @param {number} start - First byte
+   * @param {number} end - Last byte (exclusive)
+   * @returns {Array<Object>} { id, start, dataStart, size, unknown, end }
+   */
+  function readElements(bytes, start, end) {
+    const elements = [];
+    let offset = start;
+
+    while (offset < end) {
+      const element = readElementHeader(bytes, offset);
+      if (!element) break;
+
+      if (!element.unknown) {
+        element.end = Math.min(element.dataStart + element.size, end);
+      } else if (element.id === ID.SEGMENT) {
+        element.end = end;
+      } else {
+        element.end = findUnknownEnd(bytes, element.dataStart, end);
+      }
+
+      elements.push(element);
+      offset = element.end;
+    }
+    return elements;
+  }
+
+  /**
+   * End of an element of unknown size: the next Segment child
+   * @param {Uint8Array} bytes - File bytes
+   * @param {number} start - First byte of its data
+   * @param {number} end - End of the parent
+   * @returns {number}
+   */
+  function findUnknownEnd(bytes, start, end) {
+    let offset = start;
+
+    while (offset < end) {
+      const child = readElementHeader(bytes, offset);
+      if (!child || child.unknown || SEGMENT_CHILDREN.has(child.id)) break;
+      offset = child.dataStart + child.size;
+    }
+    return Math.min(offset, end);
+  }
+
+  /**
+   * Read an unsigned integer element
+   * @param {Uint8Array} bytes - File bytes
+   * @param {Object} [element] - Element from readElements
+   * @returns {number|null}
+   */
+  function readUint(bytes, element) {
+    if (!element) return null;
+    return bytes.subarray(element.dataStart, element.end).reduce((value, byte) => value * 256 + byte, 0);
+  }
+
+  /**
+   * Read a string element
+   * @param {Uint8Array} bytes - File bytes
+   * @param {Object} [element] - Element from readElements
+   * @returns {string|null}
+   */
+  function readString(bytes, element) {
+    if (!element) return null;
+    return new TextDecoder().decode(bytes.subarray(element.dataStart, element.end)).replace(/\0+$/, '');
+  }
+
+  /* 3. Audio Extraction */
+
+  /**
+   * Keep only the (first) audio track of a WebM or Matroska file
+   * @param {Uint8Array} bytes - Whole file
+   * @returns {{parts: Array<Uint8Array>, extension: string, mimeType: string, codecId: string|null}}
+   *   parts of the output file in order; .webm for WebM files, .mka for Matroska
+   */
+  function extractAudioTrack(bytes) {
+    const top = readElements(bytes, 0, bytes.length);
+    const header = top.find(element => element.id === ID.EBML);
+    const segment = top.find(element => element.id === ID.SEGMENT);
+    if (!header || !segment) {
+      throw new Error('Not a WebM or Matroska file');
+    }
+
+    const children = readElements(bytes, segment.dataStart, segment.end);
+    const tracks = children.find(element => element.id === ID.TRACKS);
+    if (!tracks) {
+      throw new Error('The file has no track list');
+    }
+
+    const audio = readElements(bytes, tracks.dataStart, tracks.end)
+      .filter(element => element.id === ID.TRACK_ENTRY)
+      .map(entry => ({ entry, fields: readElements(bytes, entry.dataStart, entry.end) }))
+      .find(({ fields }) => readUint(bytes, fields.find(field => field.id === ID.TRACK_TYPE)) === TRACK_TYPE_AUDIO);
+    if (!audio) {
+      throw new Error('The file has no audio track');
+    }
+
+    const trackNumber = readUint(bytes, audio.fields.find(field => field.id === ID.TRACK_NUMBER));
+    const codecId = readString(bytes, audio.fields.find(field => field.id === ID.CODEC_ID));
+    const raw = (element) => bytes.subarray(element.start, element.end);
+
+    const body = [];
+    let clusters = 0;
+    children.forEach(child => {
+      if (child.id === ID.INFO) {
+        body.push(raw(child));
+      } else if (child.id === ID.TRACKS) {
+        body.push(...writeElement(ID.TRACKS, [raw(audio.entry)]));
+      } else if (child.id === ID.CLUSTER) {
+        const cluster = filterCluster(bytes, child, trackNumber);
+        if (cluster) {
+          body.push(...cluster);
+          clusters++;
+        }
+      }
+    });
+
+    if (clusters === 0) {
+      throw new Error('The audio track has no data');
+    }
+
+    const docType = readString(bytes, readElements(bytes, header.dataStart, header.end).find(element => element.id === ID.DOC_TYPE));
+    const isWebm = docType === 'webm';
+
+    return {
+      parts: [raw(header), ...writeElement(ID.SEGMENT, body)],
+      extension: isWebm ? 'webm' : 'mka',
+      mimeType: isWebm ? 'audio/webm' : 'audio/x-matroska',
+      codecId: codecId
+    };
+  }
+
+  /**
+   * Write a Cluster again with only the blocks of one track
+   * @param {Uint8Array} bytes - File bytes
+   * @param {Object} cluster - Cluster element
+   * @param {number} trackNumber - Track to keep
+   * @returns {Array<Uint8Array>|null} Parts of the new Cluster, null if it has no such block
+   */
+  function filterCluster(bytes, cluster, trackNumber) {
+    const blockTrack = (element) => readVint(bytes, element.dataStart, false)?.value;
+
+    const kept = readElements(bytes, cluster.dataStart, cluster.end).filter(child => {
+      // Blocks cut off by the end of the file are dropped
+      if (child.unknown || child.end !== child.dataStart + child.size) return false;
+
+      if (child.id === ID.TIMECODE) return true;
+      if (child.id === ID.SIMPLE_BLOCK) return blockTrack(child) === trackNumber;
+      if (child.id === ID.BLOCK_GROUP) {
+        const block = readElements(bytes, child.dataStart, child.end).find(element => element.id === ID.BLOCK);
+        return Boolean(block) && blockTrack(block) === trackNumber;
+      }
+      return false;
+    });
+
+    if (!kept.some(child => child.id !== ID.TIMECODE)) return null;
+    return writeElement(ID.CLUSTER, kept.map(child => bytes.subarray(child.start, child.end)));
+  }
+
+  /* 4. Writing */
+
+  /**
+   * Write an element around its contents
+   * @param {number} id - Element ID
+   * @param {Array<Uint8Array>} parts - Contents
+   * @returns {Array<Uint8Array>} Header followed by the contents
+   */
+  function writeElement(id, parts) {
+    const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+    const idLength = id > 0xffffff ? 4 : id > 0xffff ? 3 : id > 0xff ? 2 : 1;
+
+    // Sizes are always written on 8 bytes: no need to measure them first
+    const header = new Uint8Array(idLength + 8);
+    for (let i = 0; i < idLength; i++) {
+      header[i] = Math.floor(id / 256 ** (idLength - 1 - i)) & 0xff;
+    }
+    header[idLength] = 0x01;
+    for (let i = 1; i < 8; i++) {
+      header[idLength + i] = Math.floor(size / 256 ** (7 - i)) & 0xff;
+    }
+
+    return [header, ...parts];
+  }
+
+  global.Webm = {
+    extractAudioTrack
+  };
+
+})(self);
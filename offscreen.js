@@ -0,0 +1,1104 @@
+/* Video Downloader Extension - Offscreen Document
+
+   Service workers can't create blob: URLs (nor parse XML), so segmented
+   streams (HLS, DASH) are downloaded and joined here. The resulting
+   blob: URL is handed back to background.js, which starts the real
+   chrome.downloads download and asks us to revoke the URL once it is
+   finished. Streams can also be remuxed into a single MP4 here
+   (lib/ts-remux.js, lib/mp4.js), without re-encoding, and the audio of a
+   video saved on its own (lib/mp4.js, lib/webm.js). Video previews
+   (duration, resolution and a frame as thumbnail), the segment URLs and
+   subtitle tracks of detected manifests are read here too, and subtitles
+   are joined and converted (lib/subtitles.js).
+
+   PRIVACY NOTE:
+   Segments are only kept in memory until the file has been saved. */
+
+/* 1. Configuration */
+
+// Segments downloaded at the same time
+const SEGMENT_CONCURRENCY = 4;
+
+// Extra attempts for a failed segment
+const SEGMENT_RETRIES = 3;
+
+// Minimum time between two progress reports (ms)
+const PROGRESS_INTERVAL = 500;
+
+// Give up on videos whose metadata does not load (ms)
+const METADATA_TIMEOUT = 15000;
+
+// Width of decoded thumbnails (px)
+const THUMBNAIL_WIDTH = 160;
+
+// HLS variant playlists read to learn a stream's segments
+const MAX_LISTED_VARIANTS = 8;
+
+// Segment URLs reported per stream
+const MAX_LISTED_SEGMENTS = 5000;
+
+// Packed audio segments of HLS audio renditions (no TS, no fMP4)
+const PACKED_AUDIO_TYPES = {
+  aac: 'audio/aac',
+  mp3: 'audio/mpeg',
+  ac3: 'audio/ac3',
+  ec3: 'audio/eac3'
+};
+
+/**
+ * Pause/cancel flags and counters of running jobs
+ * @type {Map<string, Object>}
+ */
+const jobControls = new Map();
+
+/* 2. Message Handling */
+
+/** Handle requests from the background service worker */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+
+  if (message.action === 'downloadHls') {
+    withJobControl(message.jobId, control => downloadHls(message.url, control, { remux: message.remux, range: message.range }))
+      .then(result => sendResponse({ ok: true, ...result }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'downloadDash') {
+    withJobControl(message.jobId, control => downloadDash(message.url, message.trackIds, control, { mux: message.mux, range: message.range }))
+      .then(files => sendResponse({ ok: true, files }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'downloadAudio') {
+    withJobControl(message.jobId, control => downloadAudio(message.url, message.type, control, { trackId: message.trackIds?.[0] }))
+      .then(result => sendResponse({ ok: true, ...result }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'extractMetadata') {
+    extractMetadata(message.url, message.type)
+      .then(meta => sendResponse({ ok: true, meta }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'downloadSubtitles') {
+    withJobControl(message.jobId, control => downloadSubtitles(message.url, message.source, message.output, control))
+      .then(result => sendResponse({ ok: true, ...result }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'listSegments') {
+    listStreamSegments(message.url, message.type)
+      .then(result => sendResponse({ ok: true, ...result }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'copyText') {
+    sendResponse(copyText(message.text));
+    return false;
+  }
+
+  if (message.action === 'revokeBlobUrl') {
+    URL.revokeObjectURL(message.blobUrl);
+  }
+
+  const control = jobControls.get(message.jobId);
+  if (control && message.action === 'pauseJob') {
+    pauseJob(control);
+  } else if (control && (message.action === 'resumeJob' || message.action === 'cancelJob')) {
+    resumeJob(control, message.action === 'cancelJob');
+  }
+
+  return false;
+});
+
+/* 3. HLS */
+
+/**
+ * Download every segment of an HLS stream and join them into one file
+ * A variant whose audio is a separate rendition gets it muxed in (as MP4).
+ * @param {string} url - Master or media playlist URL
+ * @param {Object} control - Job control from withJobControl
+ * @param {Object} [options] - { remux: convert MPEG-TS to MP4, range: only the
+ *   segments covering { start, end } (seconds; end null: to the end) }
+ * @returns {Promise<{blobUrl: string, extension: string, size: number}>}
+ */
+async function downloadHls(url, control, options = {}) {
+  let playlistUrl = url;
+  let playlist = HlsPlaylist.parsePlaylist(await fetchText(url), url);
+  let audio = null;
+
+  // Master playlist: follow the best variant, and its audio rendition
+  if (playlist.type === 'master') {
+    const variant = HlsPlaylist.pickBestVariant(playlist.variants);
+    if (!variant) {
+      throw new Error('Master playlist has no variants');
+    }
+    const rendition = findAudioRendition(playlist, variant);
+    if (rendition) {
+      audio = { playlistUrl: rendition.url };
+      audio.playlist = clipPlaylist(HlsPlaylist.parsePlaylist(await fetchText(rendition.url), rendition.url), options.range);
+    }
+    playlistUrl = variant.url;
+    playlist = HlsPlaylist.parsePlaylist(await fetchText(playlistUrl), playlistUrl);
+  }
+
+  playlist = clipPlaylist(playlist, options.range);
+  control.total = playlist.segments.length + (audio ? audio.playlist.segments.length : 0);
+
+  let parts = await fetchHlsSegments(playlist, playlistUrl, control);
+  const map = playlist.segments[0].map;
+
+  if (audio) {
+    const audioParts = await fetchHlsSegments(audio.playlist, audio.playlistUrl, control);
+    const blob = await muxHlsAudio(parts, audioParts, playlist, audio.playlist, options);
+    return { blobUrl: URL.createObjectURL(blob), extension: 'mp4', size: blob.size };
+  }
+
+  // A clip of an fMP4 stream starts where its first segment does; MPEG-TS
+  // timestamps are rebased by the remuxer (or by the player for .ts files)
+  if (options.range && map) {
+    parts = await rebaseClipParts(parts);
+  }
+
+  // fMP4 segments are already MP4; only MPEG-TS needs remuxing
+  const isMp4 = Boolean(map) || options.remux;
+  const blob = map || !options.remux
+    ? new Blob(parts, { type: map ? 'video/mp4' : 'video/mp2t' })
+    : await remuxTsParts(parts);
+
+  return {
+    blobUrl: URL.createObjectURL(blob),
+    extension: isMp4 ? 'mp4' : 'ts',
+    size: blob.size
+  };
+}
+
+/**
+ * Keep the segments of a media playlist that cover a clip range
+ * @param {Object} playlist - Parsed media playlist
+ * @param {Object|null} [range] - { start, end } (seconds; end null: to the end)
+ * @returns {Object} The playlist, or a copy with fewer segments
+ */
+function clipPlaylist(playlist, range) {
+  if (!range) return playlist;
+
+  const segments = HlsPlaylist.getSegmentsInRange(playlist.segments, range);
+  if (segments.length === 0) {
+    throw new Error('No segments in this time range');
+  }
+  return { ...playlist, segments };
+}
+
+/**
+ * Audio rendition (EXT-X-MEDIA) a variant plays alongside its own
+ * segments, the default of its group first
+ * @param {Object} master - Parsed master playlist
+ * @param {Object} variant - Variant to download
+ * @returns {Object|null} null if the variant carries its own audio
+ */
+function findAudioRendition(master, variant) {
+  if (!variant.audio) return null;
+
+  const group = master.renditions.filter(rendition =>
+    rendition.type === 'AUDIO' && rendition.groupId === variant.audio && rendition.url);
+  return group.find(rendition => rendition.isDefault) || group[0] || null;
+}
+
+/**
+ * Mux the video segments of an HLS variant with those of its audio
+ * rendition into one MP4; each is MPEG-TS or fMP4
+ * @param {Array<Blob>} videoParts - Video segments (init segment first for fMP4)
+ * @param {Array<Blob>} audioParts - Audio segments (init segment first for fMP4)
+ * @param {Object} videoPlaylist - Video media playlist
+ * @param {Object} audioPlaylist - Audio media playlist
+ * @param {Object} options - downloadHls options
+ * @returns {Promise<Blob>}
+ */
+async function muxHlsAudio(videoParts, audioParts, videoPlaylist, audioPlaylist, options) {
+  // The audio first: it is the one that may not convert
+  const audio = await toFragmentedMp4(audioParts, audioPlaylist, options, true);
+  const video = await toFragmentedMp4(videoParts, videoPlaylist, options, false);
+
+  const parts = Mp4.muxFragmentedTracks(
+    new Uint8Array(await video.arrayBuffer()),
+    new Uint8Array(await audio.arrayBuffer())
+  );
+  return new Blob(parts, { type: 'video/mp4' });
+}
+
+/**
+ * Turn the segments of one HLS track into a fragmented MP4
+ * @param {Array<Blob>} parts - Segments (init segment first for fMP4)
+ * @param {Object} playlist - Its media playlist
+ * @param {Object} options - downloadHls options
+ * @param {boolean} audioOnly - An audio rendition
+ * @returns {Promise<Blob>}
+ */
+async function toFragmentedMp4(parts, playlist, options, audioOnly) {
+  if (playlist.segments[0].map) {
+    return new Blob(options.range ? await rebaseClipParts(parts) : parts);
+  }
+
+  const start = new Uint8Array(await parts[0].slice(0, 1024).arrayBuffer());
+  if (MediaProbe.sniffContainer(start)?.type !== 'TS') {
+    throw new Error('The audio of this stream is in a format that can not be merged with its video: save the audio separately');
+  }
+  return remuxTsParts(parts, { audioOnly });
+}
+
+/**
+ * Download every segment of a media playlist, in order
+ * @param {Object} playlist - Parsed media playlist
+ * @param {string} playlistUrl - Media playlist URL
+ * @param {Object} control - Job control from withJobControl
+ * @returns {Promise<Array<Blob>>} Segments, after the fMP4 init segment (EXT-X-MAP) if any
+ */
+async function fetchHlsSegments(playlist, playlistUrl, control) {
+  if (playlist.segments.length === 0) {
+    throw new Error('Playlist has no segments');
+  }
+
+  const keys = new Map();
+
+  const parts = await runPool(playlist.segments, SEGMENT_CONCURRENCY, async segment => {
+    await checkpoint(control);
+    const part = await fetchSegment(segment, playlistUrl, keys);
+    countPart(control, part.size);
+    return part;
+  });
+
+  // fMP4 streams need their init segment first
+  const map = playlist.segments[0].map;
+  if (map) {
+    parts.unshift(new Blob([await fetchBytes(map.url, map.byteRange)]));
+  }
+  return parts;
+}
+
+/**
+ * Download (and decrypt if needed) one segment
+ * @param {Object} segment - Parsed media playlist segment
+ * @param {string} playlistUrl - Media playlist URL
+ * @param {Map<string, Promise<CryptoKey>>} keys - Key cache
+ * @returns {Promise<Blob>}
+ */
+async function fetchSegment(segment, playlistUrl, keys) {
+  const bytes = await fetchBytes(segment.url, segment.byteRange);
+
+  if (!segment.key) {
+    return new Blob([bytes]);
+  }
+
+  const cryptoKey = await getKey(segment.key, playlistUrl, keys);
+  const iv = segment.key.iv || HlsPlaylist.sequenceToIv(segment.sequence);
+  const decrypted = await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, bytes);
+
+  return new Blob([decrypted]);
+}
+
+/**
+ * Load an AES-128 key, only from the playlist's own origin
+ * @param {Object} key - Parsed #EXT-X-KEY
+ * @param {string} playlistUrl - Media playlist URL
+ * @param {Map<string, Promise<CryptoKey>>} keys - Key cache
+ * @returns {Promise<CryptoKey>}
+ */
+function getKey(key, playlistUrl, keys) {
+  if (key.method !== 'AES-128') {
+    throw new Error(`Unsupported encryption: ${key.method}`);
+  }
+
+  if (!key.url || new URL(key.url).origin !== new URL(playlistUrl).origin) {
+    throw new Error('Encryption key is not served by the playlist origin');
+  }
+
+  if (!keys.has(key.url)) {
+    keys.set(key.url, fetchBytes(key.url).then(raw =>
+      crypto.subtle.importKey('raw', raw, 'AES-CBC', false, ['decrypt'])
+    ));
+  }
+  return keys.get(key.url);
+}
+
+/* 4. DASH */
+
+/**
+ * Download the chosen tracks of a DASH stream, one fragmented MP4 per track
+ * @param {string} url - MPD manifest URL
+ * @param {Array<string>} [trackIds] - Representation IDs (video and/or audio); none: the best of each
+ * @param {Object} control - Job control from withJobControl
+ * @param {Object} [options] - { mux: merge video and audio into one MP4, range: only the
+ *   segments covering { start, end } (seconds; end null: to the end) }
+ * @returns {Promise<Array<{blobUrl: string, extension: string, contentType: string|null, size: number}>>}
+ *   contentType is null for a merged file
+ */
+async function downloadDash(url, trackIds, control, options = {}) {
+  const mpd = DashManifest.parseMpd(await fetchText(url), url);
+  const tracks = DashManifest.listTracks(mpd);
+  const allTracks = [...tracks.video, ...tracks.audio];
+  const files = [];
+
+  // No choice (keyboard shortcut, context menu): the best video and audio tracks
+  const chosenIds = trackIds?.length > 0
+    ? trackIds
+    : [tracks.video[0], tracks.audio[0]].filter(Boolean).map(track => track.id);
+
+  const selected = chosenIds.map(trackId => {
+    const track = allTracks.find(candidate => candidate.id === trackId);
+    if (!track) {
+      throw new Error(`Unknown DASH track: ${trackId}`);
+    }
+    const parts = DashManifest.getTrackParts(mpd, trackId, options.range);
+    if (parts.length === 0) {
+      throw new Error('No segments in this time range');
+    }
+    return { track, parts };
+  });
+  control.total = selected.reduce((sum, { parts }) => sum + parts.length, 0);
+
+  // One track at a time keeps memory and connection use bounded
+  for (const { track, parts: trackParts } of selected) {
+    let parts = await runPool(trackParts, SEGMENT_CONCURRENCY, async part => {
+      await checkpoint(control);
+      const blob = new Blob([await fetchBytes(part.url, part.byteRange)]);
+      countPart(control, blob.size);
+      return blob;
+    });
+
+    if (options.range && !/webm/i.test(track.mimeType)) {
+      parts = await rebaseClipParts(parts);
+    }
+
+    files.push({
+      blob: new Blob(parts, { type: track.mimeType || `${track.contentType}/mp4` }),
+      track: track
+    });
+  }
+
+  if (options.mux && files.length === 2) {
+    const blob = await muxTracks(files);
+    return [{ blobUrl: URL.createObjectURL(blob), extension: 'mp4', contentType: null, size: blob.size }];
+  }
+
+  return files.map(({ blob, track }) => ({
+    blobUrl: URL.createObjectURL(blob),
+    extension: getTrackExtension(track),
+    contentType: track.contentType,
+    size: blob.size
+  }));
+}
+
+/**
+ * File extension for a DASH track
+ * @param {Object} track - Track from DashManifest.listTracks
+ * @returns {string}
+ */
+function getTrackExtension(track) {
+  if (/webm/i.test(track.mimeType)) return 'webm';
+  return track.contentType === 'audio' ? 'm4a' : 'mp4';
+}
+
+/* 5. Remux */
+
+/**
+ * Remux downloaded MPEG-TS segments into one fragmented MP4
+ * @param {Array<Blob>} parts - Segments in order
+ * @param {Object} [options] - { audioOnly: leave the video out }
+ * @returns {Promise<Blob>}
+ */
+async function remuxTsParts(parts, options = {}) {
+  const remuxer = TsRemux.createTsRemuxer(options);
+  const output = [];
+
+  // One segment at a time: the output parts are the only full copy
+  for (const part of parts) {
+    output.push(...remuxer.push(new Uint8Array(await part.arrayBuffer())));
+  }
+  output.push(...remuxer.flush());
+
+  return new Blob(output, { type: options.audioOnly ? 'audio/mp4' : 'video/mp4' });
+}
+
+/**
+ * Mux a downloaded DASH video track and audio track into one MP4
+ * @param {Array<{blob: Blob, track: Object}>} files - Downloaded tracks
+ * @returns {Promise<Blob>}
+ */
+async function muxTracks(files) {
+  const video = files.find(file => file.track.contentType === 'video');
+  const audio = files.find(file => file.track.contentType === 'audio');
+
+  if (!video || !audio) {
+    throw new Error('Choose one video and one audio track to save as MP4');
+  }
+  if (files.some(file => getTrackExtension(file.track) === 'webm')) {
+    throw new Error('WebM tracks can not be saved as MP4');
+  }
+
+  const parts = Mp4.muxFragmentedTracks(
+    new Uint8Array(await video.blob.arrayBuffer()),
+    new Uint8Array(await audio.blob.arrayBuffer())
+  );
+  return new Blob(parts, { type: 'video/mp4' });
+}
+
+/**
+ * Make the decode times of a clipped fragmented MP4 start at zero
+ * Without this, players show the clip after a gap as long as the skipped part.
+ * @param {Array<Blob>} parts - Init segment and media segments of one file, in order
+ * @returns {Promise<Array<Blob>>}
+ */
+async function rebaseClipParts(parts) {
+  const rebase = Mp4.createDecodeTimeRebaser();
+  const output = [];
+
+  for (const part of parts) {
+    output.push(new Blob([rebase(new Uint8Array(await part.arrayBuffer()))]));
+  }
+  return output;
+}
+
+/* 5b. Audio */
+
+/**
+ * Save only the audio of a video: the audio rendition or track of an HLS
+ * or DASH stream, or the audio track demuxed from a progressive file
+ * @param {string} url - Video or manifest URL
+ * @param {string} type - Video type ('HLS', 'DASH' or a file type)
+ * @param {Object} control - Job control from withJobControl
+ * @param {Object} [options] - { trackId: DASH audio track chosen in the popup }
+ * @returns {Promise<{blobUrl: string, extension: string, size: number}>}
+ */
+async function downloadAudio(url, type, control, options = {}) {
+  if (type === 'DASH') {
+    const mpd = DashManifest.parseMpd(await fetchText(url), url);
+    const audioTracks = DashManifest.listTracks(mpd).audio;
+    const track = audioTracks.find(candidate => candidate.id === options.trackId) || audioTracks[0];
+    if (!track) {
+      throw new Error('The stream has no audio track');
+    }
+
+    const [file] = await downloadDash(url, [track.id], control);
+    return { blobUrl: file.blobUrl, extension: file.extension, size: file.size };
+  }
+
+  const { blob, extension } = type === 'HLS'
+    ? await downloadHlsAudio(url, control)
+    : await demuxFileAudio(url, control);
+
+  return {
+    blobUrl: URL.createObjectURL(blob),
+    extension: extension,
+    size: blob.size
+  };
+}
+
+/**
+ * Download the audio of an HLS stream
+ * @param {string} url - Master or media playlist URL
+ * @param {Object} control - Job control from withJobControl
+ * @returns {Promise<{blob: Blob, extension: string}>}
+ */
+async function downloadHlsAudio(url, control) {
+  let playlistUrl = url;
+  let playlist = HlsPlaylist.parsePlaylist(await fetchText(url), url);
+  let audioOnly = false;
+
+  if (playlist.type === 'master') {
+    ({ url: playlistUrl, audioOnly } = pickHlsAudioPlaylist(playlist));
+    playlist = HlsPlaylist.parsePlaylist(await fetchText(playlistUrl), playlistUrl);
+  }
+
+  // fMP4 audio is saved as is; fMP4 video+audio can't be split here
+  const map = playlist.segments[0]?.map;
+  if (map && !audioOnly) {
+    throw new Error('This stream has no separate audio: save it as MP4 instead');
+  }
+
+  control.total = playlist.segments.length;
+  const parts = await fetchHlsSegments(playlist, playlistUrl, control);
+  if (map) {
+    return { blob: new Blob(parts, { type: 'audio/mp4' }), extension: 'm4a' };
+  }
+
+  const start = new Uint8Array(await parts[0].slice(0, 1024).arrayBuffer());
+  if (MediaProbe.sniffContainer(start)?.type === 'TS') {
+    return { blob: await remuxTsParts(parts, { audioOnly: true }), extension: 'm4a' };
+  }
+
+  // Packed audio (.aac, .mp3, ...): the segments simply follow each other
+  const extension = /\.(aac|mp3|ac3|ec3)$/i.exec(new URL(playlist.segments[0].url).pathname)?.[1].toLowerCase() || 'aac';
+  return { blob: new Blob(parts, { type: PACKED_AUDIO_TYPES[extension] }), extension: extension };
+}
+
+/**
+ * Choose the playlist to take the audio of an HLS stream from
+ * @param {Object} master - Parsed master playlist
+ * @returns {{url: string, audioOnly: boolean}} audioOnly: the playlist has no video
+ */
+function pickHlsAudioPlaylist(master) {
+  // An audio rendition of the group the best variant plays, the default first
+  const best = HlsPlaylist.pickBestVariant(master.variants);
+  const renditions = master.renditions.filter(rendition => rendition.type === 'AUDIO' && rendition.url);
+  const group = renditions.filter(rendition => !best?.audio || rendition.groupId === best.audio);
+  const rendition = group.find(candidate => candidate.isDefault) || group[0] || renditions[0];
+  if (rendition) {
+    return { url: rendition.url, audioOnly: true };
+  }
+
+  // A variant without video codecs or resolution
+  const audioVariant = master.variants
+    .filter(variant => variant.codecs && !variant.resolution && !/avc|hvc|hev|vp0?9|av01/i.test(variant.codecs))
+    .sort((a, b) => b.bandwidth - a.bandwidth)[0];
+  if (audioVariant) {
+    return { url: audioVariant.url, audioOnly: true };
+  }
+
+  // Muxed variants usually share one audio track: the smallest is enough
+  const smallest = [...master.variants].sort((a, b) => a.bandwidth - b.bandwidth)[0];
+  if (!smallest) {
+    throw new Error('Master playlist has no variants');
+  }
+  return { url: smallest.url, audioOnly: false };
+}
+
+/**
+ * Download a progressive file and keep only its audio track
+ * @param {string} url - File URL
+ * @param {Object} control - Job control from withJobControl
+ * @returns {Promise<{blob: Blob, extension: string}>}
+ */
+async function demuxFileAudio(url, control) {
+  const bytes = await fetchFile(url, control);
+  const container = MediaProbe.sniffContainer(bytes.subarray(0, 4096));
+
+  switch (container?.type) {
+    case 'MP4':
+    case 'M4A':
+    case 'MOV':
+    case '3GP':
+      return { blob: new Blob(Mp4.extractAudioTrack(bytes), { type: 'audio/mp4' }), extension: 'm4a' };
+
+    case 'WebM':
+    case 'MKV': {
+      const audio = Webm.extractAudioTrack(bytes);
+      return { blob: new Blob(audio.parts, { type: audio.mimeType }), extension: audio.extension };
+    }
+
+    case 'TS':
+      return { blob: await remuxTsParts([new Blob([bytes])], { audioOnly: true }), extension: 'm4a' };
+
+    default:
+      throw new Error('Audio can only be taken from MP4, WebM, Matroska and MPEG-TS files');
+  }
+}
+
+/* 6. Metadata */
+
+/**
+ * Read the duration, resolution and a thumbnail of a video
+ * @param {string} url - Video URL
+ * @param {string} type - Video type (HLS and DASH are read from their manifest)
+ * @returns {Promise<Object>} { poster, duration, width, height } (unknown ones are null)
+ */
+async function extractMetadata(url, type) {
+  if (type === 'HLS') return getHlsMetadata(url);
+  if (type === 'DASH') return getDashMetadata(url);
+
+  // Without CORS headers the frame can't be read, but the rest can
+  try {
+    return await getFileMetadata(url, 'anonymous');
+  } catch (error) {
+    return getFileMetadata(url, null);
+  }
+}
+
+/**
+ * Duration and resolution of an HLS stream, from its playlists
+ * @param {string} url - Master or media playlist URL
+ * @returns {Promise<Object>}
+ */
+async function getHlsMetadata(url) {
+  let playlist = HlsPlaylist.parsePlaylist(await fetchText(url), url);
+  let resolution = null;
+
+  if (playlist.type === 'master') {
+    const variant = HlsPlaylist.pickBestVariant(playlist.variants);
+    if (!variant) {
+      throw new Error('Master playlist has no variants');
+    }
+    resolution = variant.resolution;
+    playlist = HlsPlaylist.parsePlaylist(await fetchText(variant.url), variant.url);
+  }
+
+  // Live playlists only list the latest segments
+  const duration = playlist.endList
+    ? playlist.segments.reduce((sum, segment) => sum + segment.duration, 0)
+    : null;
+
+  return {
+    poster: null,
+    duration: duration || null,
+    width: resolution?.width || null,
+    height: resolution?.height || null
+  };
+}
+
+/**
+ * Duration and resolution of a DASH stream, from its manifest
+ * @param {string} url - MPD manifest URL
+ * @returns {Promise<Object>}
+ */
+async function getDashMetadata(url) {
+  const mpd = DashManifest.parseMpd(await fetchText(url), url);
+  const [best] = DashManifest.listTracks(mpd).video;
+
+  return {
+    poster: null,
+    duration: mpd.duration || null,
+    width: best?.width || null,
+    height: best?.height || null
+  };
+}
+
+/**
+ * Load a file's metadata in a muted <video> and draw a frame of it
+ * @param {string} url - Video URL
+ * @param {string|null} crossOrigin - 'anonymous' to be able to read the frame
+ * @returns {Promise<Object>}
+ */
+async function getFileMetadata(url, crossOrigin) {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.preload = 'metadata';
+  if (crossOrigin) video.crossOrigin = crossOrigin;
+
+  try {
+    video.src = url;
+    await waitForMediaEvent(video, 'loadedmetadata');
+
+    const meta = {
+      poster: null,
+      duration: Number.isFinite(video.duration) && video.duration > 0 ? video.duration : null,
+      width: video.videoWidth || null,
+      height: video.videoHeight || null
+    };
+
+    // Audio-only files have no picture
+    if (meta.width && meta.height) {
+      video.currentTime = Math.min(1, (meta.duration || 0) * 0.1);
+      try {
+        await waitForMediaEvent(video, 'seeked');
+        meta.poster = drawThumbnail(video);
+      } catch (error) {
+        // Duration and resolution are still worth showing
+      }
+    }
+    return meta;
+  } finally {
+    // Stop loading the file
+    video.removeAttribute('src');
+    video.load();
+  }
+}
+
+/**
+ * Draw the current frame of a video as a small JPEG
+ * @param {HTMLVideoElement} video - Video with a decoded frame
+ * @returns {string|null} data: URL, or null if the frame is cross-origin
+ */
+function drawThumbnail(video) {
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMBNAIL_WIDTH;
+  canvas.height = Math.round(THUMBNAIL_WIDTH * video.videoHeight / video.videoWidth) || 90;
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  try {
+    return canvas.toDataURL('image/jpeg', 0.7);
+  } catch (error) {
+    // Tainted canvas
+    return null;
+  }
+}
+
+/**
+ * Wait for a media event, failing on error or timeout
+ * @param {HTMLMediaElement} media - Media element
+ * @param {string} eventName - Event to wait for
+ * @returns {Promise<void>}
+ */
+function waitForMediaEvent(media, eventName) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => finish(new Error('Timed out reading the video')), METADATA_TIMEOUT);
+
+    function finish(error) {
+      clearTimeout(timer);
+      media.removeEventListener(eventName, onEvent);
+      media.removeEventListener('error', onError);
+      if (error) reject(error);
+      else resolve();
+    }
+    const onEvent = () => finish(null);
+    const onError = () => finish(new Error('Could not load the video'));
+
+    media.addEventListener(eventName, onEvent);
+    media.addEventListener('error', onError);
+  });
+}
+
+/* 7. Stream Segments */
+
+/**
+ * List the segment URLs of an HLS or DASH stream, over every variant,
+ * rendition and track, and the subtitle tracks it offers
+ * Byte-range parts are left out: their URL is a whole file.
+ * @param {string} url - Manifest URL
+ * @param {string} type - 'HLS' or 'DASH'
+ * @returns {Promise<{urls: Array<string>, subtitles: Array<Object>}>}
+ */
+async function listStreamSegments(url, type) {
+  const parts = [];
+  let subtitles = [];
+
+  if (type === 'DASH') {
+    const mpd = DashManifest.parseMpd(await fetchText(url), url);
+    const tracks = DashManifest.listTracks(mpd);
+    [...tracks.video, ...tracks.audio, ...tracks.text].forEach(track => {
+      parts.push(...DashManifest.getTrackParts(mpd, track.id));
+    });
+    subtitles = Subtitles.getDashSubtitles(tracks.text, url);
+  } else {
+    const playlist = HlsPlaylist.parsePlaylist(await fetchText(url), url);
+
+    // Variant playlists, and audio/subtitle renditions
+    const mediaUrls = playlist.type === 'master'
+      ? [
+          ...playlist.variants.slice(0, MAX_LISTED_VARIANTS).map(variant => variant.url),
+          ...playlist.renditions.filter(rendition => rendition.url).slice(0, MAX_LISTED_VARIANTS).map(rendition => rendition.url)
+        ]
+      : [];
+
+    // A playlist that fails to load only hides its own segments
+    const playlists = playlist.type === 'master'
+      ? await Promise.all(mediaUrls.map(mediaUrl =>
+          fetchText(mediaUrl)
+            .then(text => HlsPlaylist.parsePlaylist(text, mediaUrl))
+            .catch(() => null)
+        ))
+      : [playlist];
+
+    playlists.filter(Boolean).forEach(media => {
+      (media.segments || []).forEach(segment => {
+        parts.push(segment);
+        if (segment.map) parts.push(segment.map);
+      });
+    });
+    subtitles = Subtitles.getHlsSubtitles(playlist);
+  }
+
+  const urls = parts.filter(part => !part.byteRange).map(part => part.url);
+  return {
+    urls: Array.from(new Set(urls)).slice(0, MAX_LISTED_SEGMENTS),
+    subtitles: subtitles
+  };
+}
+
+/**
+ * Download a subtitle track as one WebVTT or SRT file
+ * Segmented tracks (HLS renditions, DASH text tracks) are joined first.
+ * @param {string} url - Subtitle file, HLS subtitle playlist or DASH manifest URL
+ * @param {Object} source - { format: 'vtt' | 'srt' | 'ttml' | 'hls' | 'dash', trackId (DASH) }
+ * @param {string} output - 'vtt' or 'srt'
+ * @param {Object} control - Job control from withJobControl
+ * @returns {Promise<{blobUrl: string, extension: string, size: number}>}
+ */
+async function downloadSubtitles(url, source, output, control) {
+  let cues;
+
+  if (source.format === 'hls' || source.format === 'dash') {
+    let segmentUrls;
+    let isTtml = false;
+
+    if (source.format === 'hls') {
+      segmentUrls = HlsPlaylist.parsePlaylist(await fetchText(url), url).segments.map(segment => segment.url);
+    } else {
+      const mpd = DashManifest.parseMpd(await fetchText(url), url);
+      const track = DashManifest.listTracks(mpd).text.find(textTrack => textTrack.id === source.trackId);
+      isTtml = track?.mimeType === 'application/ttml+xml';
+      segmentUrls = DashManifest.getTrackParts(mpd, source.trackId).map(part => part.url);
+    }
+
+    if (!segmentUrls || segmentUrls.length === 0) {
+      throw new Error('Subtitle playlist has no segments');
+    }
+    control.total = segmentUrls.length;
+
+    const texts = await runPool(segmentUrls, SEGMENT_CONCURRENCY, async segmentUrl => {
+      await checkpoint(control);
+      const text = await fetchText(segmentUrl);
+      countPart(control, text.length);
+      return text;
+    });
+    cues = isTtml ? Subtitles.joinTtmlSegments(texts) : Subtitles.joinVttSegments(texts);
+  } else {
+    const text = await fetchText(url);
+    const parsers = {
+      srt: Subtitles.parseSrt,
+      ttml: Subtitles.parseTtml,
+      vtt: body => Subtitles.parseVtt(body).cues
+    };
+    cues = (parsers[source.format] || parsers.vtt)(text);
+  }
+
+  if (cues.length === 0) {
+    throw new Error('No subtitles in this track');
+  }
+
+  const blob = output === 'srt'
+    ? new Blob([Subtitles.toSrt(cues)], { type: 'application/x-subrip' })
+    : new Blob([Subtitles.toVtt(cues)], { type: 'text/vtt' });
+
+  return {
+    blobUrl: URL.createObjectURL(blob),
+    extension: output === 'srt' ? 'srt' : 'vtt',
+    size: blob.size
+  };
+}
+
+/* 8. Job Control */
+
+/**
+ * Run a download with pause/cancel flags and progress counters
+ * @param {string} jobId - ID of the background job attempt
+ * @param {function(Object): Promise} task - Download using the control
+ * @returns {Promise}
+ */
+async function withJobControl(jobId, task) {
+  const control = {
+    jobId: jobId,
+    paused: false,
+    cancelled: false,
+    resumed: null,
+    resume: null,
+    bytes: 0,
+    totalBytes: null,
+    done: 0,
+    total: 0,
+    lastReport: 0
+  };
+  jobControls.set(jobId, control);
+
+  try {
+    return await task(control);
+  } finally {
+    jobControls.delete(jobId);
+  }
+}
+
+/**
+ * Pause a job: its workers wait on one shared promise at their next checkpoint
+ * @param {Object} control - Job control
+ */
+function pauseJob(control) {
+  if (control.paused || control.cancelled) return;
+
+  control.paused = true;
+  control.resumed = new Promise(resolve => {
+    control.resume = resolve;
+  });
+}
+
+/**
+ * Resume or cancel a job, releasing every waiting worker
+ * @param {Object} control - Job control
+ * @param {boolean} cancel - Cancel instead of resuming
+ */
+function resumeJob(control, cancel) {
+  control.paused = false;
+  control.cancelled = control.cancelled || cancel;
+  control.resume?.();
+  control.resume = null;
+  control.resumed = null;
+}
+
+/**
+ * Wait while the job is paused; stop it if it was cancelled
+ * @param {Object} control - Job control
+ */
+async function checkpoint(control) {
+  while (control.paused && !control.cancelled) {
+    await control.resumed;
+  }
+
+  if (control.cancelled) {
+    throw new Error('Cancelled');
+  }
+}
+
+/**
+ * Count a finished segment and report progress to the background
+ * @param {Object} control - Job control
+ * @param {number} size - Segment size in bytes
+ */
+function countPart(control, size) {
+  control.bytes += size;
+  control.done++;
+  reportProgress(control);
+}
+
+/**
+ * Report progress to the background, at most every PROGRESS_INTERVAL
+ * (and always for the last segment)
+ * @param {Object} control - Job control
+ */
+function reportProgress(control) {
+  const now = Date.now();
+  const isLast = control.total > 0 && control.done >= control.total;
+  if (now - control.lastReport < PROGRESS_INTERVAL && !isLast) return;
+  control.lastReport = now;
+
+  chrome.runtime.sendMessage({
+    action: 'jobProgress',
+    jobId: control.jobId,
+    bytesReceived: control.bytes,
+    totalBytes: control.totalBytes,
+    segmentsDone: control.done,
+    segmentsTotal: control.total
+  });
+}
+
+/* 9. Helper Functions */
+
+/**
+ * Copy text to the clipboard (for the context menu; the service worker
+ * has no clipboard and this document never has focus for the async API)
+ * @param {string} text - Text
+ * @returns {{ok: boolean, error?: string}}
+ */
+function copyText(text) {
+  const textarea = document.createElement('textarea');
+  textarea.value = String(text);
+  document.body.append(textarea);
+  textarea.select();
+
+  const ok = document.execCommand('copy');
+  textarea.remove();
+  return ok ? { ok } : { ok, error: 'Copy failed' };
+}
+
+/**
+ * Fetch a text resource
+ * @param {string} url - URL
+ * @returns {Promise<string>}
+ */
+async function fetchText(url) {
+  const bytes = await fetchBytes(url);
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Fetch a binary resource, retrying network and server errors
+ * @param {string} url - URL
+ * @param {{offset: number, length: number}|null} [byteRange=null] - Part to fetch
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function fetchBytes(url, byteRange = null) {
+  const headers = byteRange
+    ? { Range: `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}` }
+    : {};
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetch(url, { headers, credentials: 'include' });
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status} for ${url}`);
+        error.status = response.status;
+        throw error;
+      }
+      return await response.arrayBuffer();
+    } catch (error) {
+      // Client errors won't fix themselves (except timeouts and rate limits)
+      const isClientError = error.status >= 400 && error.status < 500 &&
+        error.status !== 408 && error.status !== 429;
+
+      if (attempt >= SEGMENT_RETRIES || isClientError) {
+        throw error;
+      }
+      await delay(500 * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Fetch a whole file, reporting its progress and stopping when the job
+ * is paused or cancelled
+ * @param {string} url - URL
+ * @param {Object} control - Job control from withJobControl
+ * @returns {Promise<Uint8Array>}
+ */
+async function fetchFile(url, control) {
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+
+  const length = parseInt(response.headers.get('content-length'), 10);
+  control.totalBytes = length > 0 ? length : null;
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  try {
+    for (;;) {
+      await checkpoint(control);
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      chunks.push(value);
+      control.bytes += value.byteLength;
+      reportProgress(control);
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+/**
+ * Run an async task over items with limited parallelism
+ * @param {Array} items - Items to process
+ * @param {number} limit - Max tasks at the same time
+ * @param {Function} task - async (item, index) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+async function runPool(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Wait for some milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
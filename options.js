@@ -0,0 +1,176 @@
+/* Video Downloader Extension - Options Page
+
+   Edits the detection filters and per-site rules kept in
+   chrome.storage.sync (lib/settings.js). The service worker, the content
+   scripts and the popup's scanner pick up changes on their own. */
+
+/**
+ * Initialization when the DOM is ready
+ */
+document.addEventListener('DOMContentLoaded', initializeOptions);
+
+async function initializeOptions() {
+  const form = document.getElementById('optionsForm');
+  const rulesContainer = document.getElementById('siteRules');
+
+  fillForm(await ExtensionSettings.getSettings());
+
+  document.getElementById('addRuleBtn').addEventListener('click', () => {
+    rulesContainer.insertAdjacentHTML('beforeend', createRuleHTML({ domain: '', action: 'ignore', filenameTemplate: '' }));
+    rulesContainer.lastElementChild.querySelector('input').focus();
+  });
+
+  // Remove buttons of the rule rows
+  rulesContainer.addEventListener('click', (event) => {
+    const btn = event.target.closest('[data-remove-rule]');
+    if (btn) btn.closest('.site-rule').remove();
+  });
+
+  document.getElementById('resetBtn').addEventListener('click', () => {
+    fillForm(ExtensionSettings.DEFAULT_SETTINGS);
+    showStatus('Defaults restored, save to keep them');
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveForm();
+  });
+}
+
+/* 1. Form */
+
+/**
+ * Show settings in the form
+ * @param {Object} settings - Settings from lib/settings.js
+ */
+function fillForm(settings) {
+  document.getElementById('includePatterns').value = settings.includePatterns.join('\n');
+  document.getElementById('excludePatterns').value = settings.excludePatterns.join('\n');
+  document.getElementById('minFileSize').value = Math.round(settings.minFileSize / 1024);
+  document.getElementById('maxVideosPerTab').value = settings.maxVideosPerTab;
+  document.getElementById('filenameTemplate').value = settings.filenameTemplate;
+  document.getElementById('maxConcurrentDownloads').value = settings.maxConcurrentDownloads;
+  document.getElementById('siteRules').innerHTML = settings.siteRules.map(createRuleHTML).join('');
+}
+
+/**
+ * Validate and save the form
+ */
+async function saveForm() {
+  const includePatterns = readLines('includePatterns');
+  const excludePatterns = readLines('excludePatterns');
+
+  // Invalid regular expressions would be ignored silently
+  const invalid = [...includePatterns, ...excludePatterns]
+    .filter(pattern => !VideoDetection.compilePattern(pattern));
+  if (invalid.length > 0) {
+    showStatus(`Invalid pattern: ${invalid[0]}`, true);
+    return;
+  }
+
+  const filenameTemplate = document.getElementById('filenameTemplate').value.trim() || ExtensionSettings.DEFAULT_SETTINGS.filenameTemplate;
+
+  const siteRules = Array.from(document.querySelectorAll('.site-rule'), row => ({
+    domain: row.querySelector('[name="domain"]').value.trim().toLowerCase(),
+    action: row.querySelector('[name="action"]').value,
+    filenameTemplate: row.querySelector('[name="filenameTemplate"]').value.trim()
+  })).filter(rule => rule.domain);
+
+  const unknown = getUnknownPlaceholders([filenameTemplate, ...siteRules.map(rule => rule.filenameTemplate)].join(' '));
+  if (unknown.length > 0) {
+    showStatus(`Unknown placeholder: {${unknown[0]}}`, true);
+    return;
+  }
+
+  try {
+    await ExtensionSettings.updateSettings({
+      includePatterns,
+      excludePatterns,
+      minFileSize: Math.max(0, parseInt(document.getElementById('minFileSize').value, 10) || 0) * 1024,
+      maxVideosPerTab: Math.min(500, Math.max(1, parseInt(document.getElementById('maxVideosPerTab').value, 10) || 50)),
+      siteRules,
+      filenameTemplate,
+      maxConcurrentDownloads: Math.min(6, Math.max(1, parseInt(document.getElementById('maxConcurrentDownloads').value, 10) || 2))
+    });
+    showStatus('✅ Saved');
+  } catch (error) {
+    // e.g. chrome.storage.sync quota exceeded
+    showStatus(`⚠️ ${error.message}`, true);
+  }
+}
+
+/* 2. Rendering */
+
+/**
+ * Create the HTML of a site rule row
+ * @param {Object} rule - { domain, action, filenameTemplate }
+ * @returns {string} HTML
+ */
+function createRuleHTML(rule) {
+  const actions = {
+    'default': 'Use the filters',
+    'ignore': 'Always ignore',
+    'include': 'Always include'
+  };
+
+  const options = Object.entries(actions)
+    .map(([value, label]) => `<option value="${value}" ${rule.action === value ? 'selected' : ''}>${label}</option>`)
+    .join('');
+
+  return `
+    <div class="site-rule">
+      <input class="options__input" name="domain" placeholder="example.com" value="${escapeHtml(rule.domain)}">
+      <select class="options__input" name="action">${options}</select>
+      <input class="options__input" name="filenameTemplate" placeholder="{site} - {name}" value="${escapeHtml(rule.filenameTemplate || '')}">
+      <button type="button" class="btn btn--copy" data-remove-rule title="Remove rule">✖️</button>
+    </div>
+  `;
+}
+
+/**
+ * Show a message next to the save button
+ * @param {string} text - Message
+ * @param {boolean} [isError=false] - Show as an error
+ */
+function showStatus(text, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.classList.toggle('is-error', isError);
+}
+
+/* 3. Utility functions */
+
+/**
+ * Placeholders of a template that lib/filename.js does not know
+ * @param {string} template - Filename template
+ * @returns {Array<string>}
+ */
+function getUnknownPlaceholders(template) {
+  return Array.from(template.matchAll(/\{(\w+)\}/g), match => match[1])
+    .filter(key => !FilenameTemplate.PLACEHOLDERS.includes(key));
+}
+
+/**
+ * Non-empty lines of a textarea
+ * @param {string} id - Textarea ID
+ * @returns {Array<string>}
+ */
+function readLines(id) {
+  return document.getElementById(id).value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Escape HTML to avoid XSS
+ * @param {string} str - Text
+ * @returns {string} Escaped text (safe inside attributes too)
+ */
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -1,5 +1,23 @@
 /* popup la logic */
 
+/**
+ * What the last scan knew about the page, so videos detected later can
+ * be added to the list as they arrive
+ */
+const scanState = {
+  // Active tab, settings and page titles of the scan (null until it ran)
+  context: null,
+  // MediaSource MIME types seen on the page
+  mediaSources: [],
+  // MediaSource recordings kept by the page's frames
+  recordings: [],
+  // URLs already listed
+  urls: new Set(),
+  // Live updates (new videos, refreshed links) that arrived while a scan was running
+  scanning: false,
+  pending: []
+};
+
 /**
  * Initialization when the DOM is ready
  */
@@ -9,9 +27,71 @@ function initializePopup() {
   // DOM references to elements
   const scanBtn = document.getElementById('scanBtn');
   const content = document.getElementById('content');
+  const downloads = document.getElementById('downloads');
 
   // Event listener for scan of the button
   scanBtn.addEventListener('click', () => handleScan(scanBtn, content));
+  document.getElementById('optionsBtn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+  // Tabs: videos / downloads
+  document.querySelectorAll('.tabs__tab').forEach(tab => {
+    tab.addEventListener('click', () => showPanel(tab.dataset.panel));
+  });
+
+  // Reconnect to the download queue, which keeps running without the popup,
+  // and receive the videos the background detects while the popup is open
+  const port = chrome.runtime.connect({ name: 'popup' });
+  port.onMessage.addListener((message) => {
+    if (message.type === 'jobs') {
+      displayJobs(message.jobs, downloads, message.batches);
+    } else if (message.type === 'videoAdded' || message.type === 'videoRefreshed') {
+      if (scanState.scanning) {
+        scanState.pending.push(message);
+      } else {
+        applyLiveUpdate(message, content);
+      }
+    } else if (message.type === 'recordings') {
+      scanState.recordings = message.recordings;
+      if (!scanState.scanning) updateRecordings(content);
+    }
+  });
+  chrome.tabs.query({ active: true, currentWindow: true }).then(([tab]) => {
+    if (tab) port.postMessage({ action: 'watchTab', tabId: tab.id });
+  });
+
+  initializeHistory(document.getElementById('history'));
+
+  // Countdowns of signed links
+  setInterval(() => updateExpiryLabels(content), 1000);
+
+  downloads.addEventListener('click', (event) => {
+    const btn = event.target.closest('button[data-command]');
+    if (!btn) return;
+
+    if (btn.dataset.command === 'clear') {
+      port.postMessage({ action: 'clearFinishedJobs' });
+    } else if (btn.dataset.command === 'retryBatch') {
+      port.postMessage({ action: 'retryBatch', batchId: btn.dataset.batchId });
+    } else {
+      port.postMessage({ action: 'controlJob', jobId: btn.dataset.jobId, command: btn.dataset.command });
+    }
+  });
+
+  // Scan right away; SCAN looks again
+  handleScan(scanBtn, content);
+}
+
+/**
+ * Show one of the popup panels
+ * @param {string} panelId - 'content' or 'downloads'
+ */
+function showPanel(panelId) {
+  document.querySelectorAll('.tabs__tab').forEach(tab => {
+    tab.classList.toggle('is-active', tab.dataset.panel === panelId);
+  });
+  document.querySelectorAll('.panel').forEach(panel => {
+    panel.hidden = panel.id !== panelId;
+  });
 }
 
 /* 1. Main functions of the scan
@@ -27,15 +107,22 @@ async function handleScan(scanBtn, content) {
   scanBtn.disabled = true;
   scanBtn.textContent = '⏳ Searching...';
   
+  // Items ticked before a new scan stay ticked
+  const selectedUrls = getSelectedUrls(content);
+  scanState.scanning = true;
+
   // Charge status
+  showPanel('content');
   content.innerHTML = createLoadingHTML();
 
   try {
     // Videos obtained of the active page
-    const videos = await scanCurrentTab();
+    const { videos, mediaSources, recordings, context } = await scanCurrentTab();
+    Object.assign(scanState, { context, mediaSources, recordings, urls: new Set(videos.map(video => video.url)) });
     
     // Results showed
-    displayVideos(videos, content);
+    displayVideos(videos, content, mediaSources);
+    restoreSelection(content, selectedUrls);
   } catch (error) {
     console.error('Error during scanning:', error);
     content.innerHTML = createErrorHTML();
@@ -43,24 +130,152 @@ async function handleScan(scanBtn, content) {
     // Rehabilitate button
     scanBtn.disabled = false;
     scanBtn.textContent = '🔍 SCAN';
+
+    // Detections that arrived during the scan
+    scanState.scanning = false;
+    scanState.pending.splice(0).forEach(message => applyLiveUpdate(message, content));
+  }
+}
+
+/**
+ * Apply a live update from the background to the list
+ * @param {Object} message - { type: 'videoAdded', video } or { type: 'videoRefreshed', oldUrl, video }
+ * @param {HTMLElement} container - Videos container
+ */
+function applyLiveUpdate(message, container) {
+  if (message.type === 'videoRefreshed') {
+    refreshLiveVideo(message.oldUrl, message.video, container);
+  } else {
+    addLiveVideo(message.video, container);
+  }
+}
+
+/**
+ * Replace the item of a video whose signed link the page renewed
+ * @param {string} oldUrl - Link the item shows
+ * @param {Object} video - Video from the background registry, with the new link
+ * @param {HTMLElement} container - Videos container
+ */
+function refreshLiveVideo(oldUrl, video, container) {
+  if (!scanState.context) return;
+
+  const item = Array.from(container.querySelectorAll('.video-item')).find(element => element.dataset.url === oldUrl);
+  scanState.urls.delete(oldUrl);
+  if (!item) {
+    addLiveVideo(video, container);
+    return;
+  }
+
+  scanState.urls.add(video.url);
+  prepareVideo(video, scanState.context);
+
+  const template = document.createElement('template');
+  template.innerHTML = createVideoItemHTML(video).trim();
+  const fresh = template.content.firstElementChild;
+  fresh.classList.add('video-item--new');
+
+  // Still selected for the batch
+  const selected = item.querySelector('.video-item__select')?.checked;
+  item.replaceWith(fresh);
+  if (selected && fresh.querySelector('.video-item__select')) {
+    fresh.querySelector('.video-item__select').checked = true;
+  }
+
+  attachButtonListeners(fresh);
+  if (fresh.dataset.stream) {
+    loadStreamVariants(fresh);
+    fillClipStart(fresh);
+  }
+  updateBatchToolbar(container);
+  probeVideos([video], container);
+  loadMetadata([video], container);
+}
+
+/**
+ * Add a video the background detected after the scan to the list
+ * @param {Object} video - Video from the background registry
+ * @param {HTMLElement} container - Videos container
+ */
+function addLiveVideo(video, container) {
+  if (!scanState.context || scanState.urls.has(video.url)) return;
+  scanState.urls.add(video.url);
+  prepareVideo(video, scanState.context);
+
+  // First video of the page: replaces the empty state
+  const list = container.querySelector('.video-list');
+  if (!list) {
+    displayVideos([video], container, scanState.mediaSources);
+    container.querySelector('.video-item')?.classList.add('video-item--new');
+    return;
+  }
+
+  // Newest first, like the scan, inside its player's group if it has one;
+  // other items keep their state
+  const group = video.frameId
+    ? list.querySelector(`.frame-group[data-frame-id="${Number(video.frameId)}"]`)
+    : null;
+
+  const template = document.createElement('template');
+  template.innerHTML = (video.frameId && !group ? createFrameGroupHTML([video]) : createVideoItemHTML(video)).trim();
+  const element = template.content.firstElementChild;
+  const item = element.matches('.video-item') ? element : element.querySelector('.video-item');
+  item.classList.add('video-item--new');
+
+  if (group) {
+    group.querySelector('.frame-group__title').after(item);
+  } else {
+    list.prepend(element);
   }
+  attachButtonListeners(item);
+  if (item.dataset.stream) {
+    loadStreamVariants(item);
+    fillClipStart(item);
+  }
+
+  container.querySelector('.results-count .badge').textContent = list.querySelectorAll('.video-item').length;
+  updateBatchToolbar(container);
+  probeVideos([video], container);
+  loadMetadata([video], container);
 }
 
 /**
  * Scan the current tab videos
- * @returns {Promise<Array>} Videos list found
+ * @returns {Promise<{videos: Array, mediaSources: Array<string>, recordings: Array, context: Object}>}
+ *   Videos found, MIME types of MediaSource streams seen on the page, their
+ *   recordings, and { tab, settings, pageTitles } for videos detected later
  */
 async function scanCurrentTab() {
   // Active tab
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   
-  // Detection script of the page
+  const settings = await ExtensionSettings.getSettings();
+  VideoDetection.applySettings(settings);
+
+  // Shared detection rules, then the detection script, in the page and
+  // every frame (embedded players). Frames with the content script have
+  // the rules already: loading them again would replace the instance it
+  // keeps its settings in.
+  const loaded = await chrome.scripting.executeScript({
+    target: { tabId: tab.id, allFrames: true },
+    func: () => Boolean(self.VideoDetection && self.FilenameTemplate)
+  });
+  const missingFrameIds = loaded.filter(({ result }) => !result).map(({ frameId }) => frameId);
+  if (missingFrameIds.length > 0) {
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id, frameIds: missingFrameIds },
+      files: ['lib/settings.js', 'lib/detect.js', 'lib/filename.js']
+    });
+  }
   const results = await chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    func: detectVideosInPage
+    target: { tabId: tab.id, allFrames: true },
+    func: detectVideosInPage,
+    args: [settings]
   });
 
-  const videosFromPage = results[0]?.result || [];
+  // Videos of a frame are tagged with it; the page titles come from the top frame
+  const videosFromPage = results.flatMap(({ frameId, result }) => (result?.videos || [])
+    .map(video => (frameId > 0 ? { ...video, frameId, frameUrl: result.frameUrl } : video)));
+  const pageTitles = results.find(({ frameId }) => frameId === 0)?.result?.titles || {};
   
   // Videos detected by the background script
   const videosFromBackground = await chrome.runtime.sendMessage({ 
@@ -68,8 +283,74 @@ async function scanCurrentTab() {
     tabId: tab.id 
   });
 
+  // MediaSource streams reported by the page hooks
+  const mediaSources = await chrome.runtime.sendMessage({
+    action: 'getMediaSources',
+    tabId: tab.id
+  });
+
+  // MediaSource recordings kept by the page (recordMediaSource setting)
+  const recordings = await chrome.runtime.sendMessage({
+    action: 'getRecordings',
+    tabId: tab.id
+  });
+
   // Merge and remove duplicates
-  return mergeAndDeduplicate(videosFromPage, videosFromBackground);
+  const videos = mergeAndDeduplicate(videosFromPage, videosFromBackground);
+
+  const context = { tab, settings, pageTitles };
+  videos.forEach(video => prepareVideo(video, context));
+
+  return {
+    videos: videos,
+    mediaSources: mediaSources || [],
+    recordings: recordings || [],
+    context: context
+  };
+}
+
+/**
+ * Complete a detected video with its page and download path
+ * @param {Object} video - Detected video
+ * @param {Object} context - { tab, settings, pageTitles } of the scan
+ */
+function prepareVideo(video, context) {
+  video.pageUrl = video.pageUrl || context.tab.url;
+  video.expiresAt = video.expiresAt || SignedUrl.getExpiry(video.url);
+  video.titles = mergeTitles(video.titles, context.pageTitles);
+  // Download path from the filename template
+  video.filename = buildDownloadPath(video, context.settings);
+}
+
+/**
+ * Fill the titles a detection lacks with the page's current ones
+ * (hooks report at document_start, before the page has a title)
+ * @param {Object} [titles] - Titles sent with the detection
+ * @param {Object} pageTitles - Titles read by the scan
+ * @returns {Object}
+ */
+function mergeTitles(titles = {}, pageTitles) {
+  const merged = { ...pageTitles };
+  Object.entries(titles || {}).forEach(([key, value]) => {
+    if (value) merged[key] = value;
+  });
+  return merged;
+}
+
+/**
+ * Build the download path of a video (without extension)
+ * @param {Object} video - Detected video
+ * @param {Object} settings - User settings (filename template, site rules)
+ * @returns {string} Path relative to the downloads folder, may include subfolders
+ */
+function buildDownloadPath(video, settings) {
+  const siteRule = VideoDetection.getSiteRule(video.url, video.pageUrl);
+  const template = siteRule?.filenameTemplate || settings.filenameTemplate;
+  const fields = FilenameTemplate.getFields(video, getExtensionFromUrl(video.url));
+
+  return FilenameTemplate.buildPath(template, fields) ||
+    FilenameTemplate.sanitizeName(video.filename) ||
+    'video';
 }
 
 /**
@@ -82,9 +363,18 @@ function mergeAndDeduplicate(videosA, videosB = []) {
   const allVideos = [...videosA];
   
   videosB.forEach(video => {
-    const isDuplicate = allVideos.some(existing => existing.url === video.url);
-    if (!isDuplicate) {
+    const existing = allVideos.find(candidate => candidate.url === video.url || SignedUrl.isSameResource(candidate.url, video.url));
+    if (!existing) {
       allVideos.push(video);
+    } else {
+      // Keep the preview the background already has
+      existing.meta = VideoDetection.mergeMetadata(existing.meta, video.meta);
+      existing.subtitles = VideoDetection.mergeSubtitles(existing.subtitles, video.subtitles);
+
+      // The same file signed twice: keep the link that lasts longer
+      if ((SignedUrl.getExpiry(video.url) || 0) > (SignedUrl.getExpiry(existing.url) || 0)) {
+        existing.url = video.url;
+      }
     }
   });
 
@@ -97,21 +387,24 @@ function mergeAndDeduplicate(videosA, videosB = []) {
  * Display the videos found in the interface
  * @param {Array} videos - Videos list
  * @param {HTMLElement} container - Show in container 
+ * @param {Array<string>} [mediaSources=[]] - MediaSource MIME types seen
  */
-function displayVideos(videos, container) {
+function displayVideos(videos, container, mediaSources = []) {
   // If there's no video, show empty state
   if (!videos || videos.length === 0) {
-    container.innerHTML = createEmptyStateHTML();
+    container.innerHTML = createEmptyStateHTML(mediaSources);
+    updateRecordings(container);
     return;
   }
 
   // Create HTML of the videos list
-  const videoListHTML = videos.map(video => createVideoItemHTML(video)).join('');
+  const videoListHTML = createVideoListHTML(videos);
 
   container.innerHTML = `
     <p class="results-count">
       We found <span class="badge">${videos.length}</span> video(s)
     </p>
+    ${createBatchToolbarHTML()}
     <div class="video-list">
       ${videoListHTML}
     </div>
@@ -119,6 +412,127 @@ function displayVideos(videos, container) {
 
   // Add event listeners to the buttons
   attachButtonListeners(container);
+  attachBatchListeners(container);
+  updateRecordings(container);
+
+  // Fill the quality dropdowns of HLS/DASH items from their manifests
+  container.querySelectorAll('.video-item[data-stream]').forEach(loadStreamVariants);
+
+  // Clips start where the page's player is by default
+  container.querySelectorAll('.video-item__clip').forEach(box => fillClipStart(box.closest('.video-item')));
+
+  // Check the real container and size of each file, and read previews
+  probeVideos(videos, container);
+  loadMetadata(videos, container);
+}
+
+/**
+ * Probe the listed videos and update their items with the real
+ * container, extension and size
+ * @param {Array} videos - Videos shown
+ * @param {HTMLElement} container - Videos container
+ */
+async function probeVideos(videos, container) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  videos
+    .filter(video => !isProtectedPlatform(video.type))
+    .forEach(async (video) => {
+      try {
+        const result = await chrome.runtime.sendMessage({ action: 'probeVideo', url: video.url, tabId: tab?.id });
+        if (!result?.ok) return;
+
+        const typeChanged = result.type && result.type !== video.type;
+        const changed = typeChanged ||
+          (result.extension && result.extension !== video.extension) ||
+          (result.size && result.size !== video.size);
+        if (!changed) return;
+
+        video.type = result.type || video.type;
+        video.extension = result.extension || video.extension;
+        video.size = result.size || video.size;
+        updateVideoItem(video, container, typeChanged);
+      } catch (error) {
+        // Keep what the URL suggested
+      }
+    });
+}
+
+/**
+ * Read thumbnail, duration and resolution of the listed videos
+ * (cached per URL by the background, so known videos answer at once)
+ * @param {Array} videos - Videos shown
+ * @param {HTMLElement} container - Videos container
+ */
+async function loadMetadata(videos, container) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  videos
+    .filter(video => !isProtectedPlatform(video.type) && !isMetadataComplete(video.meta))
+    .forEach(async (video) => {
+      try {
+        const result = await chrome.runtime.sendMessage({
+          action: 'getMetadata',
+          url: video.url,
+          type: video.type,
+          tabId: tab?.id,
+          hint: video.meta
+        });
+        if (!result?.ok) return;
+
+        video.meta = result.meta;
+        updateVideoItem(video, container, false);
+      } catch (error) {
+        // No preview then
+      }
+    });
+}
+
+/**
+ * Check if a video already has everything the item shows
+ * @param {Object} [meta] - { poster, duration, width, height }
+ * @returns {boolean}
+ */
+function isMetadataComplete(meta) {
+  return Boolean(meta?.poster && meta.duration && meta.height);
+}
+
+/**
+ * Update a video item after its data changed
+ * @param {Object} video - Video data
+ * @param {HTMLElement} container - Videos container
+ * @param {boolean} rebuild - Render the whole item again (its type changed)
+ */
+function updateVideoItem(video, container, rebuild) {
+  const item = Array.from(container.querySelectorAll('.video-item[data-url]'))
+    .find(element => element.dataset.url === video.url);
+  if (!item) return;
+
+  // Keep a variant the user already picked
+  if (!rebuild || item.querySelector('.video-item__variants select')) {
+    item.querySelector('.video-item__preview').innerHTML = createPreviewHTML(video);
+    item.querySelector('.video-item__meta').textContent = formatMetaLine(video);
+
+    const downloadBtn = item.querySelector('.btn--download[data-url]');
+    if (downloadBtn) downloadBtn.dataset.ext = video.extension || '';
+    return;
+  }
+
+  const template = document.createElement('template');
+  template.innerHTML = createVideoItemHTML(video).trim();
+  const newItem = template.content.firstElementChild;
+
+  // Keep the item in the batch selection
+  const checkbox = newItem.querySelector('.video-item__select');
+  if (checkbox) checkbox.checked = item.querySelector('.video-item__select')?.checked || false;
+
+  item.replaceWith(newItem);
+  attachButtonListeners(newItem);
+  if (newItem.dataset.stream) {
+    loadStreamVariants(newItem);
+    fillClipStart(newItem);
+  }
+  updateBatchToolbar(container);
 }
 
 /**
@@ -127,11 +541,11 @@ function displayVideos(videos, container) {
  * @returns {string} HTML del item
  */
 function createVideoItemHTML(video) {
-  const icon = getVideoIcon(video.type);
   const truncatedUrl = truncateUrl(video.url, 80);
   const quality = video.quality ? `• ${video.quality}` : '';
   const escapedUrl = escapeHtml(video.url);
   const escapedFilename = escapeHtml(video.filename || 'video');
+  const sourceLabel = getSourceLabel(video.source);
 
   // Check if it's a protected platform (Vimeo, YouTube)
   const isProtected = isProtectedPlatform(video.type);
@@ -141,35 +555,212 @@ function createVideoItemHTML(video) {
     ? `<button class="btn btn--download btn--disabled" disabled title="Protected video">
          🔒 Protected
        </button>`
-    : `<button class="btn btn--download" data-url="${escapedUrl}" data-filename="${escapedFilename}">
+    : `<button class="btn btn--download" data-url="${escapedUrl}" data-filename="${escapedFilename}" data-type="${escapeHtml(video.type || '')}" data-ext="${escapeHtml(video.extension || '')}" title="Save as ${escapedFilename}">
          ⬇️ Download
        </button>`;
 
+  // HLS/DASH streams get a variant dropdown and can be remuxed into MP4
+  const isStream = video.type === 'HLS' || video.type === 'DASH';
+
+  const mp4Button = isStream && !isProtected
+    ? `<button class="btn btn--mp4" data-url="${escapedUrl}" data-filename="${escapedFilename}" data-type="${escapeHtml(video.type)}" title="Save as MP4">
+         🎞️ MP4
+       </button>`
+    : '';
+
+  // The audio on its own, for what is not already an audio file
+  const audioButton = !isProtected && !['MP3', 'M4A'].includes(video.type)
+    ? `<button class="btn btn--audio" data-url="${escapedUrl}" data-filename="${escapedFilename}" data-type="${escapeHtml(video.type || '')}" title="Save the audio only">
+         🎧 Audio
+       </button>`
+    : '';
+
+  // Subtitle tracks (streams may add theirs once the manifest is read)
+  const subtitles = !isProtected && (isStream || video.subtitles?.length > 0)
+    ? `<div class="video-item__subtitles" data-filename="${escapedFilename}">${createSubtitlePickerHTML(video.subtitles || [])}</div>`
+    : '';
+
+  // Only a time range of a stream: the segments that cover it
+  const clip = isStream && !isProtected
+    ? `<div class="video-item__clip">
+         <input class="video-item__time" data-clip="start" placeholder="Start" title="Start (h:mm:ss, mm:ss or seconds)">
+         <button class="btn btn--now" data-target="start" title="Current playback position">⏱️</button>
+         <span>→</span>
+         <input class="video-item__time" data-clip="end" placeholder="End" title="End (empty: to the end)">
+         <button class="btn btn--now" data-target="end" title="Current playback position">⏱️</button>
+         <button class="btn btn--clip" data-url="${escapedUrl}" data-filename="${escapedFilename}" data-type="${escapeHtml(video.type)}" title="Save only this part as MP4">
+           ✂️ Clip
+         </button>
+       </div>`
+    : '';
+
   // Show tip for protected platforms
   const protectedTip = isProtected
-    ? `<p class="video-item__tip">💡 Use <strong>yt-dlp</strong> or <strong>cobalt.tools</strong> with the copied URL</p>`
+    ? `<p class="video-item__tip">💡 Run the copied <strong>yt-dlp</strong> command, or use <strong>cobalt.tools</strong> with the copied URL</p>`
+    : '';
+
+  // Protected videos can't join a batch export: copy their command here
+  const ytDlpButton = isProtected
+    ? `<button class="btn btn--copy btn--ytdlp" data-url="${escapedUrl}" data-filename="${escapedFilename}" title="Copy a yt-dlp command line">
+         📋 yt-dlp
+       </button>`
     : '';
 
+  // Only downloadable items can join a batch
+  const checkbox = isProtected
+    ? ''
+    : `<input type="checkbox" class="video-item__select" title="Select for batch download">`;
+
   return `
-    <article class="video-item">
+    <article class="video-item" data-url="${escapedUrl}" data-type="${escapeHtml(video.type || '')}" data-quality="${escapeHtml(video.quality || '')}" ${isStream ? `data-stream="${escapeHtml(video.type)}"` : ''}>
       <div class="video-item__info">
-        <span class="video-item__icon">${icon}</span>
+        ${checkbox}
+        <div class="video-item__preview">${createPreviewHTML(video)}</div>
         <div class="video-item__details">
-          <span class="video-item__type">${video.type || 'Video'} ${quality}</span>
+          <span class="video-item__type">${video.type || 'Video'} <span class="video-item__quality">${quality}</span></span>
+          <span class="video-item__source">${sourceLabel}</span>
+          <p class="video-item__meta">${escapeHtml(formatMetaLine(video))}</p>
+          ${video.expiresAt ? createExpiryHTML(video.expiresAt) : ''}
           <p class="video-item__url">${truncatedUrl}</p>
         </div>
       </div>
       ${protectedTip}
+      ${isStream ? '<div class="video-item__variants"></div>' : ''}
+      ${subtitles}
+      ${clip}
       <div class="video-item__actions">
         ${downloadButton}
+        ${mp4Button}
+        ${audioButton}
         <button class="btn btn--copy" data-url="${escapedUrl}">
           📋 Copy
         </button>
+        ${ytDlpButton}
       </div>
     </article>
   `;
 }
 
+/**
+ * Create the items of the list, the videos of each embedded player
+ * (iframe) grouped where the first of them appears
+ * @param {Array} videos - Videos list
+ * @returns {string} HTML
+ */
+function createVideoListHTML(videos) {
+  const entries = new Map();
+
+  videos.forEach((video, index) => {
+    const key = video.frameId ? `frame-${video.frameId}` : index;
+    if (!entries.has(key)) entries.set(key, []);
+    entries.get(key).push(video);
+  });
+
+  return Array.from(entries.values())
+    .map(group => (group[0].frameId ? createFrameGroupHTML(group) : createVideoItemHTML(group[0])))
+    .join('');
+}
+
+/**
+ * Create the group of the videos found in one frame
+ * @param {Array} videos - Videos of the frame (same frameId)
+ * @returns {string} HTML
+ */
+function createFrameGroupHTML(videos) {
+  const frameUrl = videos.map(video => video.frameUrl).find(Boolean);
+
+  return `
+    <section class="frame-group" data-frame-id="${Number(videos[0]?.frameId) || ''}">
+      <p class="frame-group__title">${createFrameTitleHTML(frameUrl)}</p>
+      ${videos.map(createVideoItemHTML).join('')}
+    </section>
+  `;
+}
+
+/**
+ * Create the title of a frame group
+ * @param {string} [frameUrl] - URL (or origin) of the frame
+ * @returns {string} HTML
+ */
+function createFrameTitleHTML(frameUrl) {
+  if (!frameUrl) return '🖼️ Embedded player';
+
+  let label = frameUrl;
+  try {
+    const url = new URL(frameUrl);
+    label = url.hostname + (url.pathname === '/' ? '' : url.pathname);
+  } catch {
+    // Shown as it is
+  }
+  return `🖼️ Embedded player • <span title="${escapeHtml(frameUrl)}">${escapeHtml(truncateUrl(label, 60))}</span>`;
+}
+
+/**
+ * Create the batch toolbar: select all, select by type / quality, download, export
+ * @returns {string} HTML
+ */
+function createBatchToolbarHTML() {
+  return `
+    <div class="batch">
+      <label class="batch__all"><input type="checkbox" class="batch__select-all"> All</label>
+      <select class="batch__filter" data-filter="type" title="Select by type"></select>
+      <select class="batch__filter" data-filter="quality" title="Select by quality"></select>
+      <button class="btn btn--download batch__download" disabled>⬇️ Download selected</button>
+      <select class="batch__filter batch__export" title="Export the selection for other tools" disabled>
+        <option value="">📤 Export…</option>
+        ${Object.entries(ExportFormats.FORMATS).map(([format, { label }]) => `<option value="${format}">${label}</option>`).join('')}
+      </select>
+    </div>
+  `;
+}
+
+/**
+ * Create the thumbnail of an item (or its type icon)
+ * @param {Object} video - Video data
+ * @returns {string} HTML
+ */
+function createPreviewHTML(video) {
+  const poster = video.meta?.poster;
+
+  // Page posters are any URL; decoded frames are data: URLs
+  if (poster && /^(https?:|data:image\/)/i.test(poster)) {
+    return `<img class="video-item__thumb" src="${escapeHtml(poster)}" alt="" loading="lazy">`;
+  }
+  return `<span class="video-item__icon">${getVideoIcon(video.type)}</span>`;
+}
+
+/**
+ * Duration, resolution and size of a video, for its item
+ * @param {Object} video - Video data
+ * @returns {string} e.g. "3:25 • 1920×1080 • 45.2 MB", or "🧩 120 segments" for
+ *   a manifest whose segment requests were folded into it
+ */
+function formatMetaLine(video) {
+  const meta = video.meta || {};
+
+  return [
+    meta.duration ? `⏱ ${formatDuration(meta.duration)}` : null,
+    meta.width && meta.height ? `${meta.width}×${meta.height}` : null,
+    video.size ? formatBytes(video.size) : null,
+    video.segmentCount ? `🧩 ${video.segmentCount} segments` : null
+  ].filter(Boolean).join(' • ');
+}
+
+/**
+ * Create the countdown of a signed link
+ * @param {number} expiresAt - Expiry (ms since the epoch)
+ * @returns {string} HTML
+ */
+function createExpiryHTML(expiresAt) {
+  const expired = expiresAt <= Date.now();
+  return `
+    <p class="video-item__expiry ${expired ? 'is-expired' : ''}" data-expires-at="${Number(expiresAt)}"
+       title="Signed link, valid until ${escapeHtml(new Date(expiresAt).toLocaleString())}. Once it expires, play the video again: the page asks for a new link and this item switches to it.">
+      ${escapeHtml(describeExpiry(expiresAt))}
+    </p>
+  `;
+}
+
 /**
  * Check if video is from a protected platform
  * @param {string} type - Video type
@@ -195,9 +786,21 @@ function createLoadingHTML() {
 
 /**
  * Crea HTML para el estado vacío
+ * @param {Array<string>} [mediaSources=[]] - MediaSource MIME types seen
  * @returns {string} HTML
  */
-function createEmptyStateHTML() {
+function createEmptyStateHTML(mediaSources = []) {
+  // The player streams through MediaSource (blob: URL), nothing to download directly
+  const recorderHint = scanState.context?.settings?.recordMediaSource
+    ? ''
+    : ' Turn on "Record MediaSource players" in History and reload the page to record it.';
+  const mediaSourceNote = mediaSources.length > 0
+    ? `<p class="empty-state__note">
+         This page streams through MediaSource
+         (${mediaSources.map(escapeHtml).join(', ')}).${recorderHint}
+       </p>`
+    : '';
+
   return `
     <div class="empty-state">
       <div class="empty-state__icon">🔍</div>
@@ -205,10 +808,82 @@ function createEmptyStateHTML() {
         No video in this page.<br>
         Try playing the video first and SCAN again.
       </p>
+      ${mediaSourceNote}
     </div>
   `;
 }
 
+/**
+ * Show the page's MediaSource recordings above the results
+ * While the list stays the same only sizes and states change, so the
+ * buttons keep their feedback.
+ * @param {HTMLElement} container - Videos container
+ */
+function updateRecordings(container) {
+  let section = container.querySelector('.recordings');
+  if (scanState.recordings.length === 0) {
+    section?.remove();
+    return;
+  }
+
+  if (!section) {
+    section = document.createElement('section');
+    section.className = 'recordings';
+    section.addEventListener('click', handleRecordingClick);
+    container.prepend(section);
+  }
+
+  const layout = scanState.recordings
+    .map(recording => `${recording.frameId}:${recording.id}:${recording.tracks.map(track => track.id).join(',')}`)
+    .join('|');
+  if (section.dataset.layout !== layout) {
+    section.dataset.layout = layout;
+    section.innerHTML = createRecordingsHTML(scanState.recordings);
+    return;
+  }
+
+  scanState.recordings.forEach(recording => {
+    const item = section.querySelector(`.recording[data-frame-id="${Number(recording.frameId)}"][data-recording-id="${Number(recording.id)}"]`);
+    item.querySelector('.recording__state').textContent = describeRecordingState(recording.state);
+    recording.tracks.forEach(track => {
+      const row = item.querySelector(`.recording__track[data-track-id="${Number(track.id)}"]`);
+      row.querySelector('.recording__info').textContent = describeRecordedTrack(track);
+      row.querySelector('.btn--download').disabled = track.bytes === 0;
+    });
+  });
+}
+
+/**
+ * Create the HTML of the page's MediaSource recordings
+ * @param {Array<Object>} recordings - { frameId, id, state, tracks } from the background
+ * @returns {string} HTML
+ */
+function createRecordingsHTML(recordings) {
+  const items = recordings.map(recording => {
+    const tracks = recording.tracks.map(track => `
+      <div class="recording__track" data-track-id="${Number(track.id)}">
+        <span class="recording__info">${escapeHtml(describeRecordedTrack(track))}</span>
+        <button class="btn btn--download" data-recording-command="save" ${track.bytes === 0 ? 'disabled' : ''}>💾 Save</button>
+      </div>
+    `).join('');
+
+    return `
+      <div class="recording" data-frame-id="${Number(recording.frameId)}" data-recording-id="${Number(recording.id)}">
+        <div class="recording__header">
+          <span class="recording__state">${escapeHtml(describeRecordingState(recording.state))}</span>
+          <button class="btn btn--copy" data-recording-command="discard" title="Free the memory the page keeps for it">🗑️ Discard</button>
+        </div>
+        ${tracks}
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <p class="recordings__title">MediaSource recordings</p>
+    ${items}
+  `;
+}
+
 /**
  * Crea HTML para el estado de error
  * @returns {string} HTML
@@ -225,52 +900,878 @@ function createErrorHTML() {
   `;
 }
 
-/* 3. Actions function (download, copy) */
-
 /**
- * Add event listeners to the buttons of download and copy
- * @param {HTMLElement} container - Buttons of container
+ * Display the download jobs
+ * @param {Array} jobs - Jobs from the background queue
+ * @param {HTMLElement} container - Downloads panel
+ * @param {Array} [batches=[]] - Batch summaries from the background queue
  */
-function attachButtonListeners(container) {
-  // Download buttons
-  container.querySelectorAll('.btn--download').forEach(btn => {
-    btn.addEventListener('click', () => {
-      downloadVideo(btn.dataset.url, btn.dataset.filename);
-    });
-  });
+function displayJobs(jobs, container, batches = []) {
+  const activeCount = jobs.filter(job => ['queued', 'running', 'paused', 'saving'].includes(job.state)).length;
+  const badge = document.getElementById('downloadsBadge');
+  badge.textContent = activeCount;
+  badge.hidden = activeCount === 0;
 
-  // Copy buttons
-  container.querySelectorAll('.btn--copy').forEach(btn => {
-    btn.addEventListener('click', () => copyUrl(btn));
-  });
+  if (jobs.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state__icon">⬇️</div>
+        <p class="empty-state__text">No downloads yet.</p>
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="jobs__header">
+      <button class="btn btn--copy" data-command="clear">🧹 Clear finished</button>
+    </div>
+    ${batches.map(createBatchSummaryHTML).join('')}
+    <div class="video-list">
+      ${jobs.map(createJobHTML).join('')}
+    </div>
+  `;
 }
 
 /**
- * Download a video
- * @param {string} url - URL of the video
- * @param {string} filename - Name of the archive
+ * Create the summary of a batch: progress, then what failed
+ * @param {Object} batch - { id, name, total, complete, cancelled, failed, finished }
+ * @returns {string} HTML
  */
-async function downloadVideo(url, filename) {
-  try {
-    // Determine extension of the URL
-    const extension = getExtensionFromUrl(url);
-    const finalFilename = filename.includes('.') ? filename : `${filename}.${extension}`;
+function createBatchSummaryHTML(batch) {
+  const status = batch.finished
+    ? [
+        `✅ ${batch.complete} saved`,
+        batch.failed.length > 0 ? `⚠️ ${batch.failed.length} failed` : null,
+        batch.cancelled > 0 ? `✖️ ${batch.cancelled} cancelled` : null
+      ].filter(Boolean).join(' • ')
+    : `⬇️ ${batch.complete}/${batch.total} done`;
 
-    // Start download
-    await chrome.downloads.download({
-      url: url,
-      filename: finalFilename,
-      saveAs: true
-    });
-  } catch (error) {
-    console.error('Error al descargar:', error);
-    // Fallback: open in a new tab
-    chrome.tabs.create({ url: url });
-  }
+  const failures = batch.failed.length > 0
+    ? `<ul class="batch-summary__failures">
+         ${batch.failed.map(failure => `<li>${escapeHtml(failure.filename)} — ${escapeHtml(failure.error || 'Failed')}</li>`).join('')}
+       </ul>`
+    : '';
+
+  const retryButton = batch.finished && (batch.failed.length > 0 || batch.cancelled > 0)
+    ? `<div class="video-item__actions">
+         <button class="btn btn--copy" data-command="retryBatch" data-batch-id="${escapeHtml(batch.id)}">🔁 Retry failed</button>
+       </div>`
+    : '';
+
+  return `
+    <article class="batch-summary ${batch.finished ? 'batch-summary--finished' : ''}">
+      <span class="video-item__type">📦 ${escapeHtml(batch.name)}</span>
+      <p class="job__stats">${status}</p>
+      ${failures}
+      ${retryButton}
+    </article>
+  `;
 }
 
 /**
- * Copy URL in clipboard
+ * Crea el HTML de un trabajo de descarga
+ * @param {Object} job - Job from the background queue
+ * @returns {string} HTML
+ */
+function createJobHTML(job) {
+  const stateLabels = {
+    'queued': '🕒 Queued',
+    'running': '⬇️ Downloading',
+    'paused': '⏸️ Paused',
+    'saving': '💾 Saving',
+    'complete': '✅ Done',
+    'failed': '⚠️ Failed',
+    'cancelled': '✖️ Cancelled'
+  };
+
+  // Bytes when the size is known, segments otherwise
+  const percent = job.state === 'complete' ? 100
+    : job.totalBytes ? Math.min(100, job.bytesReceived / job.totalBytes * 100)
+      : job.segmentsTotal ? job.segmentsDone / job.segmentsTotal * 100
+        : 0;
+
+  const stats = [
+    job.bytesReceived ? `${formatBytes(job.bytesReceived)}${job.totalBytes ? ` / ${formatBytes(job.totalBytes)}` : ''}` : null,
+    job.state === 'running' && job.speed ? `${formatBytes(job.speed)}/s` : null,
+    job.state === 'running' && job.eta !== null ? `${formatDuration(job.eta)} left` : null,
+    job.segmentsTotal ? `${job.segmentsDone}/${job.segmentsTotal} segments` : null
+  ].filter(Boolean).join(' • ');
+
+  const commands = {
+    'queued': ['cancel'],
+    'running': ['pause', 'cancel'],
+    'paused': ['resume', 'cancel'],
+    'saving': ['cancel'],
+    'failed': ['retry'],
+    'cancelled': ['retry']
+  }[job.state] || [];
+
+  const commandLabels = {
+    'pause': '⏸️ Pause',
+    'resume': '▶️ Resume',
+    'cancel': '✖️ Cancel',
+    'retry': '🔁 Retry'
+  };
+
+  const buttons = commands
+    .map(command => `<button class="btn btn--copy" data-command="${command}" data-job-id="${escapeHtml(job.id)}">${commandLabels[command]}</button>`)
+    .join('');
+
+  return `
+    <article class="video-item job job--${job.state}">
+      <div class="job__header">
+        <span class="video-item__type">${job.kind.toUpperCase()} • ${stateLabels[job.state]}</span>
+        <p class="video-item__url">${escapeHtml(job.filename || truncateUrl(job.url, 80))}</p>
+      </div>
+      <div class="progress"><div class="progress__bar" style="width: ${percent.toFixed(1)}%"></div></div>
+      ${stats ? `<p class="job__stats">${stats}</p>` : ''}
+      ${job.error ? `<p class="job__error">${escapeHtml(job.error)}</p>` : ''}
+      ${buttons ? `<div class="video-item__actions">${buttons}</div>` : ''}
+    </article>
+  `;
+}
+
+/* 3. Actions function (download, copy) */
+
+/**
+ * Add event listeners to the buttons of download and copy
+ * @param {HTMLElement} container - Buttons of container
+ */
+function attachButtonListeners(container) {
+  // Download buttons
+  container.querySelectorAll('.btn--download[data-url]').forEach(btn => {
+    btn.addEventListener('click', () => queueDownload(btn, createDownloadRequest(btn)));
+  });
+
+  // Save as MP4 buttons (HLS/DASH)
+  container.querySelectorAll('.btn--mp4').forEach(btn => {
+    btn.addEventListener('click', () => queueDownload(btn, createStreamRequest(btn, true)));
+  });
+
+  // Audio only buttons
+  container.querySelectorAll('.btn--audio').forEach(btn => {
+    btn.addEventListener('click', () => queueDownload(btn, createAudioRequest(btn)));
+  });
+
+  // Clip buttons (HLS/DASH)
+  container.querySelectorAll('.btn--clip').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const request = createClipRequest(btn);
+      if (request) queueDownload(btn, request);
+    });
+  });
+
+  // Take the page's playback position as clip start or end
+  container.querySelectorAll('.btn--now').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const item = btn.closest('.video-item');
+      const position = await getPlaybackPosition(item);
+      if (position !== null) {
+        item.querySelector(`[data-clip="${btn.dataset.target}"]`).value = formatDuration(position);
+      }
+    });
+  });
+
+  // Copy buttons
+  container.querySelectorAll('.btn--copy:not(.btn--ytdlp)').forEach(btn => {
+    btn.addEventListener('click', () => copyUrl(btn));
+  });
+
+  // yt-dlp command of a protected video
+  container.querySelectorAll('.btn--ytdlp').forEach(btn => {
+    btn.addEventListener('click', () => copyYtDlpCommand(btn));
+  });
+
+  // Subtitle buttons (the picker is filled again when a manifest is read)
+  container.querySelectorAll('.video-item__subtitles').forEach(box => {
+    box.addEventListener('click', (event) => {
+      const btn = event.target.closest('.btn--subtitle');
+      if (btn) queueDownload(btn, createSubtitleRequest(box, btn.dataset.output));
+    });
+  });
+}
+
+/**
+ * Build the background request of an item's download button
+ * @param {HTMLElement} btn - Download button (data-url, data-filename, data-type, data-ext)
+ * @returns {Object} Download request for the background queue
+ */
+function createDownloadRequest(btn) {
+  // HLS/DASH are assembled by the background, not saved as a manifest
+  if (btn.dataset.type === 'HLS' || btn.dataset.type === 'DASH') {
+    return createStreamRequest(btn, false);
+  }
+
+  const { url, filename, ext } = btn.dataset;
+
+  // Download paths never carry an extension: add the probed one, or the URL's
+  const extension = ext || getExtensionFromUrl(url);
+  return { kind: 'direct', url: url, filename: `${filename}.${extension}` };
+}
+
+/**
+ * Add a download to the background queue
+ * @param {HTMLElement} btn - Button clicked
+ * @param {Object} request - { kind: 'direct' | 'hls' | 'dash' | 'subtitles' | 'audio', url, filename, ... }
+ */
+async function queueDownload(btn, request) {
+  btn.disabled = true;
+
+  try {
+    // Page the video came from, for the download history
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const result = await chrome.runtime.sendMessage({
+      action: 'startDownload',
+      request: { pageUrl: tab?.url, tabId: tab?.id, ...request }
+    });
+
+    if (!result?.ok) {
+      throw new Error(result?.error || 'Download failed');
+    }
+    btn.innerHTML = '✅ Queued';
+  } catch (error) {
+    console.error('Error al descargar:', error);
+    btn.innerHTML = '⚠️ Failed';
+    btn.title = error.message;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Save or discard a MediaSource recording (the page's frame keeps the bytes)
+ * @param {MouseEvent} event - Click inside the recordings section
+ */
+async function handleRecordingClick(event) {
+  const btn = event.target.closest('button[data-recording-command]');
+  if (!btn || !scanState.context) return;
+
+  const item = btn.closest('.recording');
+  const recording = scanState.recordings.find(candidate =>
+    candidate.frameId === Number(item.dataset.frameId) && candidate.id === Number(item.dataset.recordingId));
+  if (!recording) return;
+
+  const tabId = scanState.context.tab.id;
+  const target = { frameId: recording.frameId };
+  btn.disabled = true;
+
+  try {
+    if (btn.dataset.recordingCommand === 'discard') {
+      // The frame reports the new list, which removes the item
+      await chrome.tabs.sendMessage(tabId, { action: 'discardRecording', recordingId: recording.id }, target);
+      return;
+    }
+
+    const track = recording.tracks.find(candidate => candidate.id === Number(btn.closest('.recording__track').dataset.trackId));
+    const result = await chrome.tabs.sendMessage(tabId, {
+      action: 'saveRecording',
+      recordingId: recording.id,
+      trackId: track.id,
+      filename: getRecordingFilename(recording, track)
+    }, target);
+
+    if (!result?.ok) {
+      throw new Error(result?.error || 'The page did not answer');
+    }
+    btn.innerHTML = '✅ Saved';
+  } catch (error) {
+    console.error('Saving the recording failed:', error);
+    btn.innerHTML = '⚠️ Failed';
+    btn.title = error.message;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * File name of a recorded track, from the filename template
+ * The page saves it through a link, which can not make subfolders.
+ * @param {Object} recording - Recording from the background
+ * @param {Object} track - { mimeType }
+ * @returns {string} Name with extension
+ */
+function getRecordingFilename(recording, track) {
+  const kind = track.mimeType.startsWith('audio/') ? 'audio' : 'video';
+  const video = {
+    url: recording.pageUrl,
+    pageUrl: recording.pageUrl,
+    titles: mergeTitles(recording.titles, scanState.context.pageTitles),
+    type: 'MediaSource',
+    quality: kind,
+    filename: `recording-${kind}`
+  };
+  const path = buildDownloadPath(video, scanState.context.settings);
+
+  return `${getBaseName(path)}.${getRecordingExtension(track.mimeType)}`;
+}
+
+/**
+ * Wire the batch toolbar and the item checkboxes
+ * @param {HTMLElement} container - Videos container
+ */
+function attachBatchListeners(container) {
+  const toolbar = container.querySelector('.batch');
+
+  toolbar.querySelector('.batch__select-all').addEventListener('change', (event) => {
+    getBatchCheckboxes(container).forEach(checkbox => {
+      checkbox.checked = event.target.checked;
+    });
+    updateBatchToolbar(container);
+  });
+
+  // Choosing a type or quality selects exactly the matching items
+  toolbar.querySelectorAll('.batch__filter:not(.batch__export)').forEach(select => {
+    select.addEventListener('change', () => {
+      if (!select.value) return;
+
+      getBatchCheckboxes(container).forEach(checkbox => {
+        checkbox.checked = checkbox.closest('.video-item').dataset[select.dataset.filter] === select.value;
+      });
+      select.value = '';
+      updateBatchToolbar(container);
+    });
+  });
+
+  container.querySelector('.video-list').addEventListener('change', (event) => {
+    if (event.target.matches('.video-item__select')) {
+      updateBatchToolbar(container);
+    }
+  });
+
+  toolbar.querySelector('.batch__download').addEventListener('click', (event) => {
+    downloadSelected(container, event.currentTarget);
+  });
+
+  toolbar.querySelector('.batch__export').addEventListener('change', (event) => {
+    const select = event.currentTarget;
+    if (!select.value) return;
+
+    exportSelected(container, select.value).catch(error => {
+      console.error('Export failed:', error);
+      select.title = `⚠️ ${error.message}`;
+    });
+    select.value = '';
+  });
+
+  updateBatchToolbar(container);
+}
+
+/**
+ * Refresh the selection count and the type / quality choices
+ * @param {HTMLElement} container - Videos container
+ */
+function updateBatchToolbar(container) {
+  const toolbar = container?.querySelector('.batch');
+  if (!toolbar) return;
+
+  const checkboxes = getBatchCheckboxes(container);
+  const selected = checkboxes.filter(checkbox => checkbox.checked).length;
+
+  const selectAll = toolbar.querySelector('.batch__select-all');
+  selectAll.checked = selected > 0 && selected === checkboxes.length;
+  selectAll.indeterminate = selected > 0 && selected < checkboxes.length;
+
+  const downloadBtn = toolbar.querySelector('.batch__download');
+  downloadBtn.disabled = selected === 0;
+  downloadBtn.textContent = selected > 0 ? `⬇️ Download selected (${selected})` : '⬇️ Download selected';
+
+  toolbar.querySelector('.batch__export').disabled = selected === 0;
+
+  const labels = { type: 'By type…', quality: 'By quality…' };
+  toolbar.querySelectorAll('.batch__filter:not(.batch__export)').forEach(select => {
+    const key = select.dataset.filter;
+    const values = Array.from(new Set(
+      checkboxes.map(checkbox => checkbox.closest('.video-item').dataset[key]).filter(Boolean)
+    )).sort();
+
+    select.innerHTML = `<option value="">${labels[key]}</option>` +
+      values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+    select.hidden = values.length < 2;
+  });
+}
+
+/**
+ * URLs of the items ticked for a batch
+ * @param {HTMLElement} container - Videos container
+ * @returns {Set<string>}
+ */
+function getSelectedUrls(container) {
+  return new Set(getBatchCheckboxes(container)
+    .filter(checkbox => checkbox.checked)
+    .map(checkbox => checkbox.closest('.video-item').dataset.url));
+}
+
+/**
+ * Tick the items of a previous selection again
+ * @param {HTMLElement} container - Videos container
+ * @param {Set<string>} urls - URLs that were ticked
+ */
+function restoreSelection(container, urls) {
+  if (urls.size === 0) return;
+
+  getBatchCheckboxes(container).forEach(checkbox => {
+    checkbox.checked = urls.has(checkbox.closest('.video-item').dataset.url);
+  });
+  updateBatchToolbar(container);
+}
+
+/**
+ * Checkboxes of the downloadable items
+ * @param {HTMLElement} container - Videos container
+ * @returns {Array<HTMLInputElement>}
+ */
+function getBatchCheckboxes(container) {
+  return Array.from(container.querySelectorAll('.video-item__select'));
+}
+
+/**
+ * Download the selected items into one folder, without save dialogs
+ * @param {HTMLElement} container - Videos container
+ * @param {HTMLElement} btn - Batch download button
+ */
+async function downloadSelected(container, btn) {
+  const checkboxes = getBatchCheckboxes(container).filter(checkbox => checkbox.checked);
+  btn.disabled = true;
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const folder = getBatchFolder(tab);
+
+    const requests = checkboxes.map(checkbox => {
+      const request = createDownloadRequest(checkbox.closest('.video-item').querySelector('.btn--download[data-url]'));
+      return { ...request, pageUrl: tab?.url, tabId: tab?.id, filename: `${folder}/${request.filename}` };
+    });
+
+    const result = await chrome.runtime.sendMessage({ action: 'startBatch', requests, name: folder });
+    if (!result?.ok) {
+      throw new Error(result?.error || 'Download failed');
+    }
+
+    checkboxes.forEach(checkbox => {
+      checkbox.checked = false;
+    });
+    updateBatchToolbar(container);
+    showPanel('downloads');
+  } catch (error) {
+    console.error('Error al descargar:', error);
+    btn.textContent = '⚠️ Failed';
+    btn.title = error.message;
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Save the selected items as a file for other tools (yt-dlp, aria2c,
+ * ffmpeg, M3U, JSON), with the headers their page sent
+ * @param {HTMLElement} container - Videos container
+ * @param {string} format - Key of ExportFormats.FORMATS
+ */
+async function exportSelected(container, format) {
+  const items = getBatchCheckboxes(container)
+    .filter(checkbox => checkbox.checked)
+    .map(checkbox => checkbox.closest('.video-item'));
+  if (items.length === 0) return;
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const videos = await getExportVideos(items, tab);
+  const { extension, mimeType } = ExportFormats.FORMATS[format];
+
+  const blob = new Blob([ExportFormats.buildExport(format, videos)], { type: mimeType });
+  const blobUrl = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.download = `${getBatchFolder(tab)} - ${format}.${extension}`;
+  link.click();
+
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 10000);
+}
+
+/**
+ * Copy the yt-dlp command line of a video
+ * @param {HTMLElement} btn - yt-dlp button (data-url, data-filename)
+ */
+async function copyYtDlpCommand(btn) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const [video] = await getExportVideos([btn.closest('.video-item')], tab);
+    await navigator.clipboard.writeText(ExportFormats.buildYtDlpCommand({ ...video, filename: getBaseName(btn.dataset.filename) }));
+    btn.innerHTML = '✅ Copied!';
+  } catch (error) {
+    console.error('Error al copiar:', error);
+    btn.textContent = '⚠️ Failed';
+    btn.title = error.message;
+  }
+}
+
+/**
+ * Describe items for an export: URL, name, container and the headers the
+ * page sent for them (or, for URLs it has not requested yet, the page as
+ * Referer and this browser's User-Agent)
+ * @param {Array<HTMLElement>} items - Video items
+ * @param {chrome.tabs.Tab} [tab] - Active tab
+ * @returns {Promise<Array<Object>>} Videos for ExportFormats
+ */
+async function getExportVideos(items, tab) {
+  const urls = items.map(item => item.dataset.url);
+  const captured = await chrome.runtime.sendMessage({ action: 'getRequestHeaders', tabId: tab?.id, urls }) || {};
+
+  return items.map(item => {
+    const url = item.dataset.url;
+    const btn = item.querySelector('.btn--download[data-url]');
+    const headers = captured[url] || { referer: tab?.url, 'user-agent': navigator.userAgent };
+
+    return {
+      url: url,
+      type: item.dataset.type || null,
+      filename: getBaseName(btn?.dataset.filename || 'video'),
+      // Streams have no file extension of their own
+      extension: btn && !item.dataset.stream ? btn.dataset.ext || getExtensionFromUrl(url) : null,
+      pageUrl: tab?.url || null,
+      headers: headers
+    };
+  });
+}
+
+/**
+ * Last part of a download path (exports name files, not folders)
+ * @param {string} path - e.g. "example.com/My video"
+ * @returns {string}
+ */
+function getBaseName(path) {
+  return path.split('/').pop() || 'video';
+}
+
+/**
+ * Folder of a batch: the page title, or its site
+ * @param {chrome.tabs.Tab} [tab] - Active tab
+ * @returns {string} Safe folder name
+ */
+function getBatchFolder(tab) {
+  let site = '';
+  try {
+    site = new URL(tab.url).hostname.replace(/^www\./, '');
+  } catch {
+    // No usable URL
+  }
+  return FilenameTemplate.sanitizeName(tab?.title || '') || FilenameTemplate.sanitizeName(site) || 'Videos';
+}
+
+/**
+ * Build the background request that downloads a stream item
+ * @param {HTMLElement} btn - Button clicked
+ * @param {boolean} asMp4 - Remux (HLS) or mux (DASH) into one MP4
+ * @returns {Object} Download request for the background queue
+ */
+function createStreamRequest(btn, asMp4) {
+  const item = btn.closest('.video-item');
+  const selects = Array.from(item.querySelectorAll('.video-item__variants select'));
+
+  if (btn.dataset.type === 'HLS') {
+    // The chosen variant playlist, or the master (best variant) while loading
+    return {
+      kind: 'hls',
+      url: selects[0]?.value || btn.dataset.url,
+      filename: btn.dataset.filename,
+      remux: asMp4
+    };
+  }
+
+  return {
+    kind: 'dash',
+    url: btn.dataset.url,
+    filename: btn.dataset.filename,
+    trackIds: selects.map(select => select.value).filter(Boolean),
+    mux: asMp4
+  };
+}
+
+/**
+ * Build the background request that saves a time range of a stream item
+ * @param {HTMLElement} btn - Clip button (data-url, data-filename, data-type)
+ * @returns {Object|null} Download request for the background queue, null if the times are invalid
+ */
+function createClipRequest(btn) {
+  const item = btn.closest('.video-item');
+  const start = parseTimeInput(item.querySelector('[data-clip="start"]').value) ?? 0;
+  const end = parseTimeInput(item.querySelector('[data-clip="end"]').value);
+
+  if (Number.isNaN(start) || Number.isNaN(end) || (end !== null && end <= start)) {
+    btn.textContent = '⚠️ Check times';
+    btn.title = 'Times are h:mm:ss, mm:ss or seconds, and the end comes after the start';
+    return null;
+  }
+
+  const request = createStreamRequest(btn, true);
+  const label = `${formatClipTime(start)}-${end === null ? 'end' : formatClipTime(end)}`;
+
+  return {
+    ...request,
+    filename: `${request.filename} (${label})`,
+    range: { start, end }
+  };
+}
+
+/**
+ * Read a clip time typed by the user
+ * @param {string} value - "1:02:03", "2:03" or "123.5"
+ * @returns {number|null} Seconds, null if empty, NaN if invalid
+ */
+function parseTimeInput(value) {
+  const text = value.trim();
+  if (!text) return null;
+  if (!/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(text)) return NaN;
+
+  return text.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Format a clip time for a filename (no ":", invalid on Windows)
+ * @param {number} seconds - Seconds
+ * @returns {string} e.g. "1h02m03s" or "2m03s"
+ */
+function formatClipTime(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = `${String(total % 60).padStart(2, '0')}s`;
+
+  return h > 0 ? `${h}h${String(m).padStart(2, '0')}m${sec}` : `${m}m${sec}`;
+}
+
+/**
+ * Start a stream item's clip at the page's playback position, if the
+ * start is still empty
+ * @param {HTMLElement} item - Video item with a clip row
+ */
+async function fillClipStart(item) {
+  const input = item.querySelector('[data-clip="start"]');
+  if (!input) return;
+
+  const position = await getPlaybackPosition(item);
+  if (position !== null && !input.value) {
+    input.value = formatDuration(position);
+  }
+}
+
+/**
+ * Current playback position of the <video> element playing an item
+ * @param {HTMLElement} item - Video item (data-url), maybe in a frame group
+ * @returns {Promise<number|null>} Seconds, null if no element is playing it
+ */
+async function getPlaybackPosition(item) {
+  const tab = scanState.context?.tab;
+  if (!tab) return null;
+
+  // Videos of an embedded player live in its frame
+  const frameId = Number(item.closest('.frame-group')?.dataset.frameId) || 0;
+
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, frameIds: [frameId] },
+      func: readPlaybackPosition,
+      args: [item.dataset.url]
+    });
+    return result?.result ?? null;
+  } catch {
+    // The frame is gone or can't be scripted
+    return null;
+  }
+}
+
+/**
+ * Build the background request that saves the audio of an item
+ * HLS/DASH take their audio rendition (the DASH track chosen in the
+ * dropdown, if any); files have their audio track demuxed.
+ * @param {HTMLElement} btn - Audio button (data-url, data-filename, data-type)
+ * @returns {Object} Download request for the background queue
+ */
+function createAudioRequest(btn) {
+  const audioSelect = btn.closest('.video-item').querySelector('.video-item__variants select[data-track-type="audio"]');
+
+  return {
+    kind: 'audio',
+    url: btn.dataset.url,
+    type: btn.dataset.type,
+    filename: btn.dataset.filename,
+    trackIds: audioSelect?.value ? [audioSelect.value] : []
+  };
+}
+
+/**
+ * Build the background request that downloads the chosen subtitle track
+ * @param {HTMLElement} box - Subtitles row of an item (data-filename)
+ * @param {string} output - 'vtt' or 'srt'
+ * @returns {Object} Download request for the background queue
+ */
+function createSubtitleRequest(box, output) {
+  const track = getSubtitleTracks(box)[box.querySelector('select').selectedIndex];
+  const language = FilenameTemplate.sanitizeName(track.language || '') || 'subtitles';
+
+  return {
+    kind: 'subtitles',
+    url: track.url,
+    source: { format: track.format, trackId: track.trackId },
+    output: output,
+    filename: `${box.dataset.filename}.${language}`
+  };
+}
+
+/**
+ * Subtitle tracks offered by an item's subtitles row
+ * @param {HTMLElement} box - Subtitles row
+ * @returns {Array<Object>} { url, trackId, language, label, format }
+ */
+function getSubtitleTracks(box) {
+  return Array.from(box.querySelectorAll('option'), option => ({
+    url: option.value,
+    trackId: option.dataset.trackId || null,
+    language: option.dataset.language || null,
+    label: option.dataset.label || null,
+    format: option.dataset.format
+  }));
+}
+
+/**
+ * Load an HLS/DASH manifest and show its variants in a dropdown
+ * @param {HTMLElement} item - Video item with data-stream and data-url
+ */
+async function loadStreamVariants(item) {
+  const url = item.dataset.url;
+  const variantsBox = item.querySelector('.video-item__variants');
+  variantsBox.innerHTML = '<p class="video-item__variants-status">⏳ Loading qualities...</p>';
+
+  try {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const text = await response.text();
+
+    let tracks;
+    let subtitles;
+    if (item.dataset.stream === 'HLS') {
+      const playlist = HlsPlaylist.parsePlaylist(text, url);
+      tracks = getHlsTracks(playlist);
+      subtitles = Subtitles.getHlsSubtitles(playlist);
+    } else {
+      tracks = DashManifest.listTracks(DashManifest.parseMpd(text, url));
+      subtitles = Subtitles.getDashSubtitles(tracks.text, url);
+    }
+
+    variantsBox.innerHTML = createVariantPickerHTML(tracks, item.dataset.stream);
+
+    // Subtitle tracks of the manifest join those already known
+    const subtitlesBox = item.querySelector('.video-item__subtitles');
+    if (subtitlesBox && subtitles.length > 0) {
+      subtitlesBox.innerHTML = createSubtitlePickerHTML(VideoDetection.mergeSubtitles(getSubtitleTracks(subtitlesBox), subtitles));
+    }
+
+    // The real quality replaces the guess made from the URL
+    const best = tracks.video[0];
+    if (best?.height) {
+      item.dataset.quality = formatQuality(best.height);
+      item.querySelector('.video-item__quality').textContent = `• ${item.dataset.quality}`;
+      updateBatchToolbar(item.closest('.content'));
+    }
+  } catch (error) {
+    console.error('Error al leer el manifiesto:', error);
+    variantsBox.innerHTML = '<p class="video-item__variants-status">⚠️ Qualities unavailable</p>';
+  }
+}
+
+/**
+ * Describe the variants of an HLS playlist like DASH tracks
+ * @param {Object} playlist - Parsed HLS playlist
+ * @returns {{video: Array, audio: Array}} Variants sorted by bandwidth (best first)
+ */
+function getHlsTracks(playlist) {
+  if (playlist.type !== 'master') {
+    return { video: [], audio: [] };
+  }
+
+  const video = playlist.variants
+    .map(variant => ({
+      id: variant.url,
+      bandwidth: variant.bandwidth,
+      width: variant.resolution?.width || null,
+      height: variant.resolution?.height || null,
+      codecs: variant.codecs
+    }))
+    .sort((a, b) => b.bandwidth - a.bandwidth);
+
+  return { video, audio: [] };
+}
+
+/**
+ * Crea el HTML de los selectores de calidad / pistas
+ * @param {{video: Array, audio: Array}} tracks - Variants or DASH tracks
+ * @param {string} streamType - 'HLS' or 'DASH'
+ * @returns {string} HTML
+ */
+function createVariantPickerHTML(tracks, streamType) {
+  const options = (list, describe) => list
+    .map(track => `<option value="${escapeHtml(track.id)}">${escapeHtml(describe(track))}</option>`)
+    .join('');
+
+  const describeVideo = track => [
+    track.height ? `${formatQuality(track.height)} (${track.width}x${track.height})` : null,
+    formatBitrate(track.bandwidth),
+    track.codecs
+  ].filter(Boolean).join(' • ');
+
+  const describeAudio = track => [
+    track.language,
+    formatBitrate(track.bandwidth),
+    track.codecs
+  ].filter(Boolean).join(' • ');
+
+  // A "none" option is only offered when the other kind of track exists
+  const noVideo = streamType === 'DASH' && tracks.audio.length > 0 ? '<option value="">No video</option>' : '';
+  const noAudio = tracks.video.length > 0 ? '<option value="">No audio</option>' : '';
+
+  const videoSelect = tracks.video.length > 0
+    ? `<label class="video-item__track">🎥
+         <select data-track-type="video">${options(tracks.video, describeVideo)}${noVideo}</select>
+       </label>`
+    : '';
+
+  const audioSelect = tracks.audio.length > 0
+    ? `<label class="video-item__track">🔊
+         <select data-track-type="audio">${options(tracks.audio, describeAudio)}${noAudio}</select>
+       </label>`
+    : '';
+
+  return videoSelect + audioSelect;
+}
+
+/**
+ * Create the subtitle track dropdown and its WebVTT / SRT buttons
+ * @param {Array<Object>} subtitles - { url, trackId, language, label, format }
+ * @returns {string} HTML ('' without tracks)
+ */
+function createSubtitlePickerHTML(subtitles) {
+  if (subtitles.length === 0) return '';
+
+  const options = subtitles
+    .map(track => {
+      const name = [track.label, track.language].filter(Boolean).join(' • ') || track.url.split(/[?#]/)[0].split('/').pop() || 'Subtitles';
+      return `<option value="${escapeHtml(track.url)}" data-format="${escapeHtml(track.format)}" data-track-id="${escapeHtml(track.trackId || '')}" data-language="${escapeHtml(track.language || '')}" data-label="${escapeHtml(track.label || '')}">${escapeHtml(name)}</option>`;
+    })
+    .join('');
+
+  return `
+    <label class="video-item__track">💬
+      <select>${options}</select>
+    </label>
+    <button class="btn btn--subtitle" data-output="vtt" title="Save as WebVTT">VTT</button>
+    <button class="btn btn--subtitle" data-output="srt" title="Save as SRT">SRT</button>
+  `;
+}
+
+/**
+ * Copy URL in clipboard
  * @param {HTMLElement} btn - Button clicked
  */
 async function copyUrl(btn) {
@@ -293,7 +1794,78 @@ async function copyUrl(btn) {
   }
 }
 
-/* 4. Utility functions */
+/* 4. History and privacy settings */
+
+/**
+ * Set up the history panel: opt-in toggles, search, export and wipe
+ * @param {HTMLElement} panel - History panel
+ */
+async function initializeHistory(panel) {
+  const toggles = panel.querySelectorAll('input[type="checkbox"][data-setting]');
+  const search = panel.querySelector('#historySearch');
+  const list = panel.querySelector('#historyList');
+
+  const settings = await ExtensionSettings.getSettings();
+  toggles.forEach(toggle => {
+    toggle.checked = settings[toggle.dataset.setting] === true;
+    toggle.addEventListener('change', () => {
+      ExtensionSettings.updateSettings({ [toggle.dataset.setting]: toggle.checked });
+    });
+  });
+
+  search.addEventListener('input', () => renderHistory(list, search.value));
+  panel.querySelector('#exportHistoryBtn').addEventListener('click', exportHistory);
+  panel.querySelector('#wipeHistoryBtn').addEventListener('click', async () => {
+    await DownloadHistory.clearEntries();
+    renderHistory(list, search.value);
+  });
+
+  renderHistory(list, search.value);
+}
+
+/**
+ * Display the history entries matching a search
+ * @param {HTMLElement} list - Container of the entries
+ * @param {string} query - Search text
+ */
+async function renderHistory(list, query) {
+  const entries = await DownloadHistory.getEntries(query);
+
+  if (entries.length === 0) {
+    list.innerHTML = `
+      <p class="history__empty">${query ? 'No downloads match your search.' : 'No downloads in the history.'}</p>
+    `;
+    return;
+  }
+
+  list.innerHTML = entries.map(entry => `
+    <article class="video-item history__entry">
+      <p class="video-item__url" title="${escapeHtml(entry.url)}">${escapeHtml(entry.filename)}</p>
+      <p class="job__stats">
+        ${new Date(entry.date).toLocaleString()}${entry.size ? ` • ${formatBytes(entry.size)}` : ''}
+      </p>
+      ${entry.pageUrl ? `<p class="history__page" title="${escapeHtml(entry.pageUrl)}">${escapeHtml(truncateUrl(entry.pageUrl, 60))}</p>` : ''}
+    </article>
+  `).join('');
+}
+
+/**
+ * Save the whole history as a JSON file
+ */
+async function exportHistory() {
+  const entries = await DownloadHistory.getEntries();
+  const blob = new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' });
+  const blobUrl = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.download = `video-downloader-history-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 10000);
+}
+
+/* 5. Utility functions */
 
 /**
  * Get the icon according to the video type
@@ -312,6 +1884,72 @@ function getVideoIcon(type) {
   return icons[type?.toLowerCase()] || '🎬';
 }
 
+/**
+ * Get the label of the detector that found a video
+ * @param {string} source - Detection source
+ * @returns {string} Label
+ */
+function getSourceLabel(source) {
+  const labels = {
+    'network': '📡 Network',
+    'dom': '🧩 DOM',
+    'hook': '🪝 Page hook',
+    'scan': '🔍 Scan'
+  };
+  return labels[source] || labels.scan;
+}
+
+/**
+ * Format a bitrate for display
+ * @param {number} bitsPerSecond - Bandwidth
+ * @returns {string|null} e.g. "2.5 Mbps", or null when unknown
+ */
+function formatBitrate(bitsPerSecond) {
+  if (!bitsPerSecond) return null;
+  if (bitsPerSecond >= 1000000) return `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`;
+  return `${Math.round(bitsPerSecond / 1000)} kbps`;
+}
+
+/**
+ * Quality label for a picture height
+ * @param {number} height - Height in pixels
+ * @returns {string} e.g. "1080p" or "4K"
+ */
+function formatQuality(height) {
+  return height >= 2160 ? '4K' : `${height}p`;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Bytes
+ * @returns {string} e.g. "12.3 MB"
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Format a duration for display
+ * @param {number} seconds - Seconds
+ * @returns {string} e.g. "1:05" or "1:02:03"
+ */
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, '0');
+
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
 /**
  * Truncate a URL to display
  * @param {string} url - Complete URL
@@ -337,143 +1975,185 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+/**
+ * Time left of a signed link for display
+ * @param {number} expiresAt - Expiry (ms since the epoch)
+ * @returns {string} e.g. "⏳ Link expires in 12:04"
+ */
+function describeExpiry(expiresAt) {
+  const remaining = expiresAt - Date.now();
+  if (remaining <= 0) {
+    return '⌛ Link expired: play the video again to renew it';
+  }
+  if (remaining < 24 * 3600 * 1000) {
+    return `⏳ Link expires in ${formatDuration(Math.ceil(remaining / 1000))}`;
+  }
+  return `⏳ Link valid until ${new Date(expiresAt).toLocaleDateString()}`;
+}
+
+/**
+ * Update the countdowns of signed links
+ * @param {HTMLElement} container - Videos container
+ */
+function updateExpiryLabels(container) {
+  container.querySelectorAll('.video-item__expiry[data-expires-at]').forEach(label => {
+    const expiresAt = Number(label.dataset.expiresAt);
+    label.textContent = describeExpiry(expiresAt);
+    label.classList.toggle('is-expired', expiresAt <= Date.now());
+  });
+}
+
+/**
+ * State of a recording for display
+ * @param {string} state - 'recording', 'full' or 'encrypted'
+ * @returns {string}
+ */
+function describeRecordingState(state) {
+  const states = {
+    recording: '🔴 Recording while the player plays',
+    full: '⏸️ Stopped: memory limit reached',
+    encrypted: '🔒 Stopped: the page uses DRM, nothing was kept'
+  };
+  return states[state] || state;
+}
+
+/**
+ * Recorded track for display
+ * @param {Object} track - { mimeType, bytes, segments }
+ * @returns {string} e.g. "Audio · audio/mp4; codecs="mp4a.40.2" · 4.2 MB"
+ */
+function describeRecordedTrack(track) {
+  const kind = track.mimeType.startsWith('audio/') ? 'Audio' : 'Video';
+  return `${kind} · ${track.mimeType} · ${formatBytes(track.bytes)}`;
+}
+
+/**
+ * File extension of a recorded SourceBuffer
+ * @param {string} mimeType - SourceBuffer MIME type, e.g. 'video/mp4; codecs="avc1.64001f"'
+ * @returns {string}
+ */
+function getRecordingExtension(mimeType) {
+  const extensions = {
+    'video/mp4': 'mp4',
+    'audio/mp4': 'm4a',
+    'video/webm': 'webm',
+    'audio/webm': 'weba',
+    'video/mp2t': 'ts',
+    'audio/mpeg': 'mp3',
+    'audio/aac': 'aac'
+  };
+  return extensions[mimeType.split(';')[0].trim().toLowerCase()] || 'bin';
+}
+
 /**
  * Get the file extension from the URL
  * @param {string} url - URL of the video
  * @returns {string} Extension for the archive
  */
 function getExtensionFromUrl(url) {
-  if (url.includes('.webm')) return 'webm';
-  if (url.includes('.m3u8')) return 'm3u8';
-  if (url.includes('.mkv')) return 'mkv';
-  if (url.includes('.avi')) return 'avi';
-  if (url.includes('.mov')) return 'mov';
-  return 'mp4';
+  const known = ['mp4', 'm4v', 'webm', 'm3u8', 'mpd', 'mkv', 'avi', 'mov', 'flv', 'ogv', '3gp', 'ts'];
+  const extension = VideoDetection.getExtension(url);
+
+  // Until the probe answers, MP4 is the most likely container
+  return known.includes(extension) ? extension : 'mp4';
 }
 
-/* 5. Detection function (injected into the page)*/
+/* 6. Detection function (injected into the page)*/
+
+/**
+ * Playback position of the <video> element playing a URL
+ * This function execute in the context of the web. Streams play from a
+ * blob: URL (MediaSource), so without a match the video that has played
+ * is taken, a playing one first.
+ * @param {string} url - Video URL
+ * @returns {number|null} Seconds
+ */
+function readPlaybackPosition(url) {
+  const videos = Array.from(document.querySelectorAll('video'));
+  const sources = (video) => [video.currentSrc, ...Array.from(video.querySelectorAll('source'), source => source.src)];
+
+  const video = videos.find(candidate => sources(candidate).includes(url))
+    || videos.find(candidate => !candidate.paused && candidate.currentTime > 0)
+    || videos.find(candidate => candidate.currentTime > 0);
+
+  return video ? video.currentTime : null;
+}
 
 /**
  * Detect videos in the actual page
  * This function execute in the context of the web
- * @returns {Array} List of videos founded
+ * @param {Object} settings - User settings (detection filters, site rules)
+ * @returns {{videos: Array, titles: Object}} List of videos founded and the page titles
  */
-function detectVideosInPage() {
+function detectVideosInPage(settings) {
   const videos = [];
   const foundUrls = new Set();
+  const pageUrl = location.href;
+
+  // Shared detection rules (lib/detect.js, injected just before)
+  const { getVideoType, generateFilename, detectQuality, extractVideoUrls, getElementMetadata, getElementSubtitles } = self.VideoDetection;
+  const { getPageTitles } = self.FilenameTemplate;
+  self.VideoDetection.applySettings(settings);
 
   // --- Helper functions ---
+
+  // Site rules depend on this page
+  function isVideoUrl(url, context = {}) {
+    return self.VideoDetection.isVideoUrl(url, { ...context, pageUrl });
+  }
   
-  function addVideo(url, type) {
+  function addVideo(url, element = null) {
     if (foundUrls.has(url)) return;
     foundUrls.add(url);
+
+    const type = getVideoType(url);
+    const quality = getElementQuality(element) || detectQuality(url);
     
     videos.push({
       url: url,
       type: type,
       filename: generateFilename(url),
-      quality: detectQuality(url)
+      quality: quality,
+      source: 'scan',
+      titles: element ? getPageTitles(document, element) : null,
+      meta: getElementMetadata(element),
+      subtitles: getElementSubtitles(element)
     });
   }
 
-  function isVideoUrl(url) {
-    const extensions = ['.mp4', '.webm', '.m3u8', '.mov', '.avi', '.mkv', '.flv'];
-    const keywords = ['video', 'stream', 'media', 'playback'];
-    
-    const urlLower = url.toLowerCase();
-    return extensions.some(ext => urlLower.includes(ext)) ||
-           keywords.some(kw => urlLower.includes(kw));
-  }
-
-  function isValidVideoUrl(url) {
-    try {
-      new URL(url);
-      
-      // Basic validation
-      if (!isVideoUrl(url) || url.includes('undefined') || url.length > 2000) {
-        return false;
-      }
-
-      // ===== FILTERS TO AVOID JUNK =====
-      
-      // Ignore video segments/chunks
-      if (url.includes('range=')) {
-        return false;
-      }
-
-      // Ignore Vimeo thumbnails
-      if (url.includes('i.vimeocdn.com')) {
-        return false;
-      }
-
-      // Ignore small previews
-      if (url.includes('mw=80') || url.includes('w=640')) {
-        return false;
-      }
-
-      return true;
-    } catch {
-      return false;
-    }
-  }
-
-  function getTypeFromUrl(url) {
-    if (url.includes('.m3u8')) return 'HLS';
-    if (url.includes('.webm')) return 'WebM';
-    if (url.includes('.mov')) return 'MOV';
-    if (url.includes('.mkv')) return 'MKV';
-    return 'MP4';
-  }
-
-  function generateFilename(url) {
-    try {
-      const urlObj = new URL(url);
-      const parts = urlObj.pathname.split('/').filter(p => p);
-      const lastPart = parts[parts.length - 1] || 'video';
-      return lastPart.replace(/\.[^.]+$/, '') || 'video';
-    } catch {
-      return 'video';
-    }
-  }
-
-  function detectQuality(url) {
-    const patterns = {
-      '4K': /4k|2160p|uhd/i,
-      '1080p': /1080p|fullhd|fhd/i,
-      '720p': /720p|hd/i,
-      '480p': /480p|sd/i,
-      '360p': /360p/i
-    };
-
-    for (const [quality, pattern] of Object.entries(patterns)) {
-      if (pattern.test(url)) return quality;
-    }
-    return null;
+  // The decoded picture size beats any guess from the URL
+  function getElementQuality(video) {
+    const height = video?.videoHeight;
+    if (!height) return null;
+    return height >= 2160 ? '4K' : `${height}p`;
   }
 
   // --- Videos detection ---
 
   // 1. Elements <video>
   document.querySelectorAll('video').forEach(video => {
-    if (video.src && !video.src.startsWith('blob:')) {
-      addVideo(video.src, 'MP4');
+    const context = { mediaElement: true };
+
+    if (isVideoUrl(video.currentSrc, context)) {
+      addVideo(video.currentSrc, video);
     }
-    if (video.currentSrc && !video.currentSrc.startsWith('blob:')) {
-      addVideo(video.currentSrc, 'MP4');
+    if (isVideoUrl(video.src, context)) {
+      addVideo(video.src, video);
     }
 
     // Sources inside the video
     video.querySelectorAll('source').forEach(source => {
-      if (source.src) {
-        addVideo(source.src, getTypeFromUrl(source.src));
+      if (isVideoUrl(source.src, context)) {
+        // Only the source actually playing has the element's picture size
+        addVideo(source.src, source.src === video.currentSrc ? video : null);
       }
     });
   });
 
   // 2. Standalone <source> elements
   document.querySelectorAll('source[src]').forEach(source => {
-    if (source.src && isVideoUrl(source.src)) {
-      addVideo(source.src, getTypeFromUrl(source.src));
+    if (isVideoUrl(source.src)) {
+      addVideo(source.src);
     }
   });
 
@@ -489,7 +2169,8 @@ function detectVideosInPage() {
         videos.push({
           url: `https://www.youtube.com/watch?v=${match[1]}`,
           type: 'YouTube',
-          filename: `youtube_${match[1]}`
+          filename: `youtube_${match[1]}`,
+          source: 'scan'
         });
       }
     }
@@ -498,38 +2179,34 @@ function detectVideosInPage() {
       videos.push({
         url: src,
         type: 'Vimeo',
-        filename: 'vimeo_video'
+        filename: 'vimeo_video',
+        source: 'scan'
       });
     }
   });
 
   // 4. URLs of HTML videos
-  const pageContent = document.documentElement.innerHTML;
-  const patterns = [
-    /https?:\/\/[^\s"'<>]+\.mp4[^\s"'<>]*/gi,
-    /https?:\/\/[^\s"'<>]+\.webm[^\s"'<>]*/gi,
-    /https?:\/\/[^\s"'<>]+\.m3u8[^\s"'<>]*/gi
-  ];
-
-  patterns.forEach(pattern => {
-    const matches = pageContent.match(pattern) || [];
-    matches.forEach(url => {
-      const cleanUrl = url.replace(/['"\\]/g, '');
-      if (isValidVideoUrl(cleanUrl)) {
-        addVideo(cleanUrl, getTypeFromUrl(cleanUrl));
-      }
-    });
-  });
+  extractVideoUrls(document.documentElement.innerHTML)
+    .filter(url => isVideoUrl(url))
+    .forEach(url => addVideo(url));
 
   // 5. Data attributes-*
   document.querySelectorAll('[data-src], [data-video], [data-video-src]').forEach(el => {
     ['data-src', 'data-video', 'data-video-src'].forEach(attr => {
       const value = el.getAttribute(attr);
-      if (value && isVideoUrl(value)) {
-        addVideo(value, getTypeFromUrl(value));
+      if (!value) return;
+
+      // Attribute values may be relative
+      try {
+        const url = new URL(value, document.baseURI).href;
+        if (isVideoUrl(url)) {
+          addVideo(url);
+        }
+      } catch {
+        // Not a URL
       }
     });
   });
 
-  return videos;
-}
\ No newline at end of file
+  return { videos, titles: getPageTitles(document), frameUrl: pageUrl };
+}
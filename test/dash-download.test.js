@@ -0,0 +1,109 @@
+/* DASH manifests (lib/dash.js) and their downloads in the offscreen
+   document, against manifests and segments from a local fixture server */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, installChromeStub, installDomParser, readBlobUrl, startFixtureServer } = require('./helpers');
+const fixtures = require('./fixtures/dash');
+
+installChromeStub();
+installDomParser();
+loadScripts('lib/dash.js', 'lib/mp4.js', 'offscreen.js');
+
+let server;
+
+test.before(async () => {
+  server = await startFixtureServer(fixtures.routes);
+});
+
+test.after(() => server.close());
+
+/**
+ * Parse a fixture manifest as the offscreen document does
+ * @param {string} path - Manifest path on the fixture server
+ * @returns {Object}
+ */
+function parse(path) {
+  const url = `${server.origin}${path}`;
+  return DashManifest.parseMpd(fixtures.routes[path].body, url);
+}
+
+/**
+ * Paths of the parts of a track
+ * @param {Object} mpd - Parsed manifest
+ * @param {string} trackId - Representation ID
+ * @param {Object} [range] - Clip range
+ * @returns {Array<string>}
+ */
+function partPaths(mpd, trackId, range) {
+  return DashManifest.getTrackParts(mpd, trackId, range).map(part => new URL(part.url).pathname);
+}
+
+test('lists the tracks of a manifest, best first, with their attributes', () => {
+  const tracks = DashManifest.listTracks(parse('/number/manifest.mpd'));
+
+  assert.deepEqual(tracks.video.map(track => [track.id, track.width, track.height, track.codecs]), [
+    ['v720', 1280, 720, 'avc1.4d401f'],
+    ['v360', 640, 360, 'avc1.4d401e']
+  ]);
+  assert.deepEqual(tracks.audio.map(track => [track.id, track.language, track.label]), [['a128', 'en', 'English']]);
+});
+
+test('expands $Number$ templates with padding over the period duration', () => {
+  assert.deepEqual(partPaths(parse('/number/manifest.mpd'), 'v360'), [
+    '/number/v360/init.mp4', '/number/v360/seg-001.m4s', '/number/v360/seg-002.m4s', '/number/v360/seg-003.m4s'
+  ]);
+});
+
+test('expands $Time$ over a SegmentTimeline, with explicit and open-ended repeats', () => {
+  const mpd = parse('/time/manifest.mpd');
+  const segments = mpd.periods[0].representations[0].segments;
+
+  assert.deepEqual(segments.map(segment => new URL(segment.url).pathname.slice(8, -4)), [
+    '0', '180000', '360000', '540000', '630000', '720000', '810000', '900000', '990000'
+  ]);
+  assert.deepEqual(segments.map(segment => segment.duration), [2, 2, 2, 1, 1, 1, 1, 1, 1]);
+  assert.equal(segments[3].time, 6);
+});
+
+test('keeps only the segments of a clip range', () => {
+  assert.deepEqual(partPaths(parse('/time/manifest.mpd'), 'v', { start: 5, end: 7.5 }), [
+    '/time/init.mp4', '/time/t-360000.m4s', '/time/t-540000.m4s', '/time/t-630000.m4s'
+  ]);
+  assert.throws(() => partPaths(parse('/base/manifest.mpd'), 'a128', { start: 0, end: 5 }), /can not be clipped/);
+});
+
+test('resolves nested BaseURLs from the manifest down to the representation', () => {
+  assert.deepEqual(partPaths(parse('/nested/manifest.mpd'), 'v'), [
+    '/nested/cdn/period-1/video/720p/init.mp4',
+    '/nested/cdn/period-1/video/720p/1.m4s'
+  ]);
+});
+
+test('downloads the best video and audio tracks when none is chosen', async () => {
+  const files = await withJobControl('dash-best', control => downloadDash(`${server.origin}/number/manifest.mpd`, [], control));
+  const contents = await Promise.all(files.map(file => readBlobUrl(file.blobUrl)));
+
+  assert.deepEqual(files.map(file => [file.contentType, file.extension]), [['video', 'mp4'], ['audio', 'm4a']]);
+  ['init.mp4', 'seg-001.m4s', 'seg-002.m4s', 'seg-003.m4s'].forEach((name, index) => {
+    assert.ok(contents[0].includes(`/number/v720/${name}`), `video part ${index} in order`);
+    assert.ok(contents[1].includes(`/number/a128/${name}`), `audio part ${index} in order`);
+  });
+  assert.ok(!server.requests.some(request => request.path.startsWith('/number/v360/')), 'the smaller video is not downloaded');
+});
+
+test('requests SegmentList parts with Range headers and joins them', async () => {
+  const [file] = await withJobControl('dash-list', control => downloadDash(`${server.origin}/list/manifest.mpd`, ['v'], control));
+
+  assert.deepEqual(await readBlobUrl(file.blobUrl), fixtures.listFile);
+  assert.equal(server.requests.filter(request => request.path === '/list/file.mp4' && request.range).length, 4);
+});
+
+test('downloads a SegmentBase representation as its one file', async () => {
+  const [file] = await withJobControl('dash-base', control => downloadDash(`${server.origin}/base/manifest.mpd`, ['a128'], control));
+
+  assert.deepEqual(await readBlobUrl(file.blobUrl), fixtures.routes['/base/audio-128.m4a'].body);
+  assert.equal(file.extension, 'm4a');
+});
@@ -0,0 +1,124 @@
+/* Detection rules (lib/detect.js) over a table of real-world URLs:
+   whether each is listed as a video, its type label and its quality */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+loadScripts('lib/settings.js', 'lib/detect.js');
+
+const { isVideoUrl, getVideoType, detectQuality, isSegmentUrl, applySettings } = VideoDetection;
+
+// [url, listed, type, quality, context?] — type and quality as shown for
+// listed URLs (getVideoType always answers; MP4 is its fallback)
+const URLS = [
+  // Progressive files
+  ['https://cdn.example.com/videos/trailer_1080p.mp4', true, 'MP4', '1080p'],
+  ['https://media.example.org/clips/interview.m4v?download=1', true, 'MP4', null],
+  ['https://example.com/talks/undefined-behaviour.mp4', true, 'MP4', null],
+  ['https://example.com/undefined.mp4?ref=undefinedness', true, 'MP4', null],
+  ['https://upload.wikimedia.org/wikipedia/commons/transcoded/c/c0/Elephants_Dream.webm/Elephants_Dream.webm.720p.webm', true, 'WebM', '720p'],
+  ['https://example.com/files/holiday%20video.MOV', true, 'MOV', null],
+  ['https://archive.example.net/old/show-480p.flv#t=10', true, 'FLV', '480p'],
+  ['https://example.com/downloads/movie.2160p.mkv', true, 'MKV', '4K'],
+  ['https://example.com/media/clip.ogv', true, 'OGG', null],
+  ['https://example.com/phone/recording.3gp', true, '3GP', null],
+  ['https://example.com/legacy/intro.avi', true, 'AVI', null],
+
+  // Streams
+  ['https://bitdash-a.akamaihd.net/content/sintel/hls/playlist.m3u8', true, 'HLS', null],
+  ['https://test-streams.mux.dev/x36xhzz/url_6/193039199_mp4_h264_aac_hq_7.m3u8', true, 'HLS', null],
+  ['https://dash.akamaized.net/envivio/EnvivioDash3/manifest.mpd', true, 'DASH', null],
+  ['https://live.example.com/hls/720p/index.m3u8?token=abc', true, 'HLS', '720p'],
+  ['https://api.example.com/manifest?format=m3u8', false, 'HLS', null],
+  ['https://api.example.com/manifest?format=m3u8', true, 'HLS', null, { videoResponse: true }],
+  ['https://vod.example.com/stream/dash/manifest', true, 'DASH', null, { mediaElement: true }],
+
+  // Extension-less files
+  ['https://rr3---sn-example.googlevideo.com/videoplayback?expire=1700000000&itag=22', true, 'MP4', null],
+  ['https://example.com/video/12345', true, 'MP4', null],
+  ['https://example.com/watch.php?id=42', false, 'MP4', null],
+  ['https://example.com/watch.php?id=42', true, 'MP4', null, { mediaElement: true }],
+
+  // Segments (listed, folded later under their manifest)
+  ['https://cdn.example.com/hls/seg-00012.ts', true, 'TS', null],
+  ['https://cdn.example.com/stream/media_segment_5.mp4', true, 'MP4', null],
+
+  // Quality tokens only as whole words
+  ['https://example.com/videos/hdr-demo.mp4', true, 'MP4', null],
+  ['https://example.com/videos/shdog-720p-final.mp4', true, 'MP4', '720p'],
+  ['https://example.com/uhd/sample.mp4', true, 'MP4', '4K'],
+  ['https://example.com/v/fullhd_clip.webm', true, 'WebM', '1080p'],
+  ['https://example.com/v/clip_1440p.mp4', true, 'MP4', '1440p'],
+  ['https://example.com/v/clip-360p.mp4', true, 'MP4', '360p'],
+  ['https://example.com/v/clip-144p.mp4', true, 'MP4', '144p'],
+
+  // Not videos
+  ['https://example.com/video/player.js', false, 'MP4', null],
+  ['https://example.com/video/thumbs/poster.jpg', false, 'MP4', null],
+  ['https://example.com/video/styles.css?v=3', false, 'MP4', null],
+  ['https://example.com/about', false, 'MP4', null],
+  ['blob:https://example.com/0b8f7f3e-1c7a-4a51-9d0b-2a0b6e7a1c11', false, 'MP4', null],
+  ['data:video/mp4;base64,AAAAIGZ0eXBpc29t', false, 'MP4', null],
+  ['ftp://example.com/movie.mp4', false, 'MP4', null],
+  ['https://example.com/undefined/video.mp4', false, 'MP4', null],
+  ['https://example.com/player/undefined', false, 'MP4', null],
+  ['https://example.com/stream.m3u8?token=undefined&t=1', false, 'HLS', null],
+  ['a.mp4', false, 'MP4', null],
+
+  // Default exclude patterns: byte-range chunks, Vimeo thumbnails, small previews
+  ['https://vod.example.com/video.mp4?range=0-1000', false, 'MP4', null],
+  ['https://i.vimeocdn.com/video/123456789-abc.mp4', false, 'MP4', null],
+  ['https://example.com/preview.mp4?mw=80&q=70', false, 'MP4', null],
+  ['https://cdn.example.com/segment/bytes/clip.mp4', false, 'MP4', null]
+];
+
+test.beforeEach(() => applySettings(ExtensionSettings.DEFAULT_SETTINGS));
+
+URLS.forEach(([url, listed, type, quality, context = {}]) => {
+  const where = Object.keys(context).length > 0 ? ` (${Object.keys(context).join(', ')})` : '';
+
+  test(`${url}${where}`, () => {
+    assert.equal(isVideoUrl(url, context), listed, 'listed');
+    assert.equal(getVideoType(url), type, 'type');
+    assert.equal(detectQuality(url), quality, 'quality');
+  });
+});
+
+test('segment URLs are told apart from whole files', () => {
+  assert.equal(isSegmentUrl('https://cdn.example.com/hls/seg-00012.ts'), true);
+  assert.equal(isSegmentUrl('https://cdn.example.com/dash/video/chunk-stream0-00042.m4s'), true);
+  assert.equal(isSegmentUrl('https://cdn.example.com/videos/trailer_1080p.mp4'), false);
+  assert.equal(isSegmentUrl('https://bitdash-a.akamaihd.net/content/sintel/hls/playlist.m3u8'), false);
+});
+
+test('user include patterns win over the exclude patterns', () => {
+  applySettings({ ...ExtensionSettings.DEFAULT_SETTINGS, includePatterns: ['cdn.example.net/get/*'] });
+
+  assert.equal(isVideoUrl('https://cdn.example.net/get/42?range=0-100'), true);
+  assert.equal(isVideoUrl('https://other.example.net/get/42?range=0-100'), false);
+});
+
+test('regex patterns with the g or y flag match every URL alike', () => {
+  const pattern = VideoDetection.compilePattern('/cdn\\.example\\.net/gy');
+
+  assert.equal(pattern.flags, '');
+  assert.equal(pattern.test('https://cdn.example.net/a.mp4'), true);
+  assert.equal(pattern.test('https://cdn.example.net/a.mp4'), true);
+});
+
+test('site rules ignore or always include a domain', () => {
+  applySettings({
+    ...ExtensionSettings.DEFAULT_SETTINGS,
+    siteRules: [
+      { domain: 'ads.example.com', action: 'ignore', filenameTemplate: '' },
+      { domain: 'vod.example.com', action: 'include', filenameTemplate: '' }
+    ]
+  });
+
+  assert.equal(isVideoUrl('https://ads.example.com/spot.mp4'), false);
+  assert.equal(isVideoUrl('https://cdn.example.com/spot.mp4', { pageUrl: 'https://www.ads.example.com/' }), false);
+  assert.equal(isVideoUrl('https://vod.example.com/video.mp4?range=0-1000'), true);
+});
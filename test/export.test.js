@@ -0,0 +1,33 @@
+/* Exports for other tools (lib/export.js): output names must reach the
+   tools as plain names */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+loadScripts('lib/export.js');
+
+const { buildExport, buildYtDlpCommand } = ExportFormats;
+
+const video = {
+  url: 'https://cdn.example.com/sale.mp4',
+  filename: '50% off',
+  extension: 'mp4',
+  type: 'MP4',
+  headers: { referer: 'https://shop.example.com/' }
+};
+
+test('yt-dlp output templates keep "%" in the filename literal', () => {
+  assert.equal(
+    buildYtDlpCommand(video),
+    "yt-dlp --referer 'https://shop.example.com/' -o '50%% off.%(ext)s' 'https://cdn.example.com/sale.mp4'"
+  );
+});
+
+test('ffmpeg output names are never read as options', () => {
+  const script = buildExport('ffmpeg', [{ ...video, filename: '-y clip' }]);
+
+  assert.match(script, / -c copy '\.\/-y clip\.mp4'$/m);
+});
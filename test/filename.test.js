@@ -0,0 +1,120 @@
+/* Filename templates (lib/filename.js): names safe on every filesystem,
+   built from a template and the titles of a video */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+loadScripts('lib/filename.js');
+
+const { buildPath, getFields, sanitizeName, isGenericName } = FilenameTemplate;
+
+const utf8Length = text => Buffer.byteLength(text, 'utf8');
+
+// [raw name, safe name]
+const NAMES = [
+  // Invalid characters are replaced so titles stay readable
+  ['Capítulo 3: El final | Canal', 'Capítulo 3 - El final - Canal'],
+  ['a/b\\c', 'a - b - c'],
+  ['"quoted" <tag>', "'quoted' (tag)"],
+  ['what?*', 'what'],
+  ['tab\there\nnew\u0000line', 'tab here new line'],
+  ['a -  - b', 'a - b'],
+
+  // Windows device names, with or without an extension
+  ['CON', '_CON'],
+  ['con.mp4', '_con.mp4'],
+  ['com1', '_com1'],
+  ['nul.tar.gz', '_nul.tar.gz'],
+  ['console', 'console'],
+
+  // Leading dots hide files; trailing dots and spaces are dropped by Windows
+  ['.hidden', 'hidden'],
+  ['..', ''],
+  ['...', ''],
+  ['name. ', 'name'],
+  ['  ', ''],
+
+  // Unicode is kept, composed (NFC)
+  ['été', 'été'],
+  ['日本語のタイトル', '日本語のタイトル'],
+  ['🎬 Movie', '🎬 Movie']
+];
+
+NAMES.forEach(([raw, safe]) => {
+  test(`sanitizeName(${JSON.stringify(raw)})`, () => {
+    assert.equal(sanitizeName(raw), safe);
+  });
+});
+
+test('long names are cut to 200 UTF-8 bytes without splitting a character', () => {
+  assert.equal(sanitizeName('x'.repeat(300)), 'x'.repeat(200));
+  assert.equal(sanitizeName('é'.repeat(150)), 'é'.repeat(100));
+  assert.ok(utf8Length(sanitizeName('日本'.repeat(100))) <= 200);
+  assert.equal(sanitizeName('🎬'.repeat(60)), '🎬'.repeat(50));
+});
+
+const FIELDS = {
+  title: 'My Video',
+  pageTitle: 'Page | Site',
+  name: '',
+  site: 'example.com',
+  quality: '',
+  type: 'HLS',
+  ext: 'mp4',
+  date: '2024-01-31'
+};
+
+// [template, path]
+const TEMPLATES = [
+  ['{site}/{title} - {quality}.{ext}', 'example.com/My Video'],
+  ['{title} ({quality})', 'My Video'],
+  ['{date} [{quality}] {title}', '2024-01-31 My Video'],
+  ['{pageTitle}', 'Page - Site'],
+  ['{type}/{title}.{ext}', 'HLS/My Video'],
+  // No way out of the downloads folder, and no empty folders
+  ['../{title}', 'My Video'],
+  ['{site}/../{title}', 'example.com/My Video'],
+  ['{name}/{title}', 'My Video'],
+  ['{unknown}/{title}', 'My Video'],
+  // A field never adds folders
+  ['{site}/{title}', 'example.com/A - B', { title: 'A/B' }],
+  ['', '']
+];
+
+TEMPLATES.forEach(([template, path, fields = {}]) => {
+  test(`buildPath(${JSON.stringify(template)})`, () => {
+    assert.equal(buildPath(template, { ...FIELDS, ...fields }), path);
+  });
+});
+
+test('fields take the most specific title and skip generic file names', () => {
+  const video = {
+    url: 'https://www.example.com/hls/master.m3u8',
+    filename: 'master',
+    quality: '720p',
+    type: 'HLS',
+    pageUrl: 'https://www.example.com/watch?v=1',
+    titles: { pageTitle: 'Watch - Example', ogTitle: 'Trip to the sea', ldName: null, elementTitle: null }
+  };
+  const fields = getFields(video, 'mp4');
+
+  assert.equal(fields.title, 'Trip to the sea');
+  assert.equal(fields.pageTitle, 'Watch - Example');
+  assert.equal(fields.name, 'Trip to the sea');
+  assert.equal(fields.site, 'example.com');
+  assert.match(fields.date, /^\d{4}-\d{2}-\d{2}$/);
+
+  assert.equal(getFields({ ...video, filename: 'my-trip', titles: {} }, 'mp4').title, 'my-trip');
+});
+
+test('generic names say nothing about the video', () => {
+  ['master', 'index_720', 'playlist', 'manifest', 'video_123', ''].forEach(name => {
+    assert.equal(isGenericName(name), true, name);
+  });
+  ['my-trip', 'chunklist_b800000', 'Holiday 2024'].forEach(name => {
+    assert.equal(isGenericName(name), false, name);
+  });
+});
@@ -0,0 +1,163 @@
+/* DASH fixtures: manifests and segments served by the fixture server.
+   Segments are fake fMP4 boxes tagged with their name: downloads
+   without muxing only join bytes. */
+
+'use strict';
+
+/**
+ * Fake MP4 box
+ * @param {string} type - Box type
+ * @param {string} payload - Box contents
+ * @returns {Buffer}
+ */
+function box(type, payload) {
+  const body = Buffer.from(payload, 'latin1');
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * MPD document around some periods
+ * @param {string} duration - mediaPresentationDuration
+ * @param {...string} body - Elements inside MPD
+ * @returns {string}
+ */
+function mpd(duration, ...body) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="${duration}" profiles="urn:mpeg:dash:profile:isoff-on-demand:2011">`,
+    ...body,
+    '</MPD>'
+  ].join('\n');
+}
+
+/**
+ * Routes of fake segments, each tagged with its path
+ * @param {Array<string>} paths - Paths on the server
+ * @returns {Object}
+ */
+function segmentRoutes(paths) {
+  return Object.fromEntries(paths.map(path => [path, { body: box(path.endsWith('init.mp4') ? 'moov' : 'moof', path) }]));
+}
+
+// One file holding the init segment and three media segments (SegmentList with ranges)
+const listInit = box('moov', 'list-init');
+const listSegments = [box('moof', 'list-0'), box('moof', 'list-1'), box('moof', 'list-2')];
+const listFile = Buffer.concat([listInit, ...listSegments]);
+
+/**
+ * "start-end" of a part of the SegmentList file
+ * @param {number} index - -1 for the init segment, else the media segment
+ * @returns {string}
+ */
+function listRange(index) {
+  const parts = [listInit, ...listSegments];
+  const start = parts.slice(0, index + 1).reduce((sum, part) => sum + part.length, 0);
+  return `${start}-${start + parts[index + 1].length - 1}`;
+}
+
+const routes = {
+  // $Number$ template on the AdaptationSet, two video and one audio representation
+  '/number/manifest.mpd': {
+    type: 'application/dash+xml',
+    body: mpd('PT10S',
+      '<Period>',
+      '  <AdaptationSet contentType="video" mimeType="video/mp4">',
+      '    <SegmentTemplate timescale="1000" duration="4000" startNumber="1" initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/seg-$Number%03d$.m4s"/>',
+      '    <Representation id="v360" bandwidth="800000" width="640" height="360" codecs="avc1.4d401e"/>',
+      '    <Representation id="v720" bandwidth="2400000" width="1280" height="720" codecs="avc1.4d401f"/>',
+      '  </AdaptationSet>',
+      '  <AdaptationSet contentType="audio" mimeType="audio/mp4" lang="en">',
+      '    <Label>English</Label>',
+      '    <SegmentTemplate timescale="1000" duration="4000" initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/seg-$Number%03d$.m4s"/>',
+      '    <Representation id="a128" bandwidth="128000" codecs="mp4a.40.2"/>',
+      '  </AdaptationSet>',
+      '</Period>')
+  },
+  ...segmentRoutes([
+    '/number/v720/init.mp4', '/number/v720/seg-001.m4s', '/number/v720/seg-002.m4s', '/number/v720/seg-003.m4s',
+    '/number/a128/init.mp4', '/number/a128/seg-001.m4s', '/number/a128/seg-002.m4s', '/number/a128/seg-003.m4s'
+  ]),
+
+  // $Time$ with a SegmentTimeline: an explicit repeat, then a repeat to the end of the period (r=-1)
+  '/time/manifest.mpd': {
+    type: 'application/dash+xml',
+    body: mpd('PT12S',
+      '<Period duration="PT12S">',
+      '  <AdaptationSet contentType="video" mimeType="video/mp4">',
+      '    <Representation id="v" bandwidth="1000000" width="1280" height="720">',
+      '      <SegmentTemplate timescale="90000" initialization="init.mp4" media="t-$Time$.m4s">',
+      '        <SegmentTimeline>',
+      '          <S t="0" d="180000" r="2"/>',
+      '          <S d="90000" r="-1"/>',
+      '        </SegmentTimeline>',
+      '      </SegmentTemplate>',
+      '    </Representation>',
+      '  </AdaptationSet>',
+      '</Period>')
+  },
+  ...segmentRoutes([
+    '/time/init.mp4',
+    '/time/t-0.m4s', '/time/t-180000.m4s', '/time/t-360000.m4s',
+    '/time/t-540000.m4s', '/time/t-630000.m4s', '/time/t-720000.m4s', '/time/t-810000.m4s',
+    '/time/t-900000.m4s', '/time/t-990000.m4s'
+  ]),
+
+  // BaseURL on every level, each relative to the one above
+  '/nested/manifest.mpd': {
+    type: 'application/dash+xml',
+    body: mpd('PT4S',
+      '<BaseURL>cdn/</BaseURL>',
+      '<Period>',
+      '  <BaseURL>period-1/</BaseURL>',
+      '  <AdaptationSet contentType="video" mimeType="video/mp4">',
+      '    <BaseURL>video/</BaseURL>',
+      '    <SegmentTemplate timescale="1" duration="4" initialization="init.mp4" media="$Number$.m4s"/>',
+      '    <Representation id="v" bandwidth="1000000">',
+      '      <BaseURL>720p/</BaseURL>',
+      '    </Representation>',
+      '  </AdaptationSet>',
+      '</Period>')
+  },
+  ...segmentRoutes(['/nested/cdn/period-1/video/720p/init.mp4', '/nested/cdn/period-1/video/720p/1.m4s']),
+
+  // SegmentList: byte ranges of one file
+  '/list/manifest.mpd': {
+    type: 'application/dash+xml',
+    body: mpd('PT6S',
+      '<Period>',
+      '  <AdaptationSet contentType="video" mimeType="video/mp4">',
+      '    <Representation id="v" bandwidth="1000000">',
+      '      <BaseURL>file.mp4</BaseURL>',
+      '      <SegmentList timescale="1" duration="2">',
+      `        <Initialization range="${listRange(-1)}"/>`,
+      `        <SegmentURL mediaRange="${listRange(0)}"/>`,
+      `        <SegmentURL mediaRange="${listRange(1)}"/>`,
+      `        <SegmentURL mediaRange="${listRange(2)}"/>`,
+      '      </SegmentList>',
+      '    </Representation>',
+      '  </AdaptationSet>',
+      '</Period>')
+  },
+  '/list/file.mp4': { body: listFile },
+
+  // SegmentBase: each representation is one file
+  '/base/manifest.mpd': {
+    type: 'application/dash+xml',
+    body: mpd('PT30S',
+      '<Period>',
+      '  <AdaptationSet contentType="audio" mimeType="audio/mp4">',
+      '    <Representation id="a64" bandwidth="64000"><BaseURL>audio-64.m4a</BaseURL><SegmentBase indexRange="0-99"/></Representation>',
+      '    <Representation id="a128" bandwidth="128000"><BaseURL>audio-128.m4a</BaseURL><SegmentBase indexRange="0-99"/></Representation>',
+      '  </AdaptationSet>',
+      '</Period>')
+  },
+  '/base/audio-128.m4a': { body: box('ftyp', 'audio-128') }
+};
+
+module.exports = {
+  listFile,
+  routes
+};
@@ -0,0 +1,159 @@
+/* HLS fixtures: playlists and segments served by the fixture server.
+   Segments are fake MPEG-TS (188-byte packets tagged with their name)
+   or fake fMP4 boxes: downloads without remuxing only join bytes. */
+
+'use strict';
+
+const crypto = require('node:crypto');
+
+// AES-128 key of the encrypted stream, and the IV of its second key
+const KEY = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+const EXPLICIT_IV = Buffer.from('f0e0d0c0b0a090807060504030201000', 'hex');
+
+/**
+ * Fake MPEG-TS segment
+ * @param {string} name - Text written in every packet
+ * @param {number} [packets=2] - 188-byte packets
+ * @returns {Buffer}
+ */
+function tsSegment(name, packets = 2) {
+  const segment = Buffer.alloc(188 * packets, 0xff);
+  for (let i = 0; i < packets; i++) {
+    segment[i * 188] = 0x47;
+    segment.write(name, i * 188 + 4, 'latin1');
+  }
+  return segment;
+}
+
+/**
+ * Fake MP4 box
+ * @param {string} type - Box type
+ * @param {string} payload - Box contents
+ * @returns {Buffer}
+ */
+function box(type, payload) {
+  const body = Buffer.from(payload, 'latin1');
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * AES-128-CBC encryption, as HLS servers do (PKCS#7 padding)
+ * @param {Buffer} data - Plain segment
+ * @param {Buffer} iv - 16-byte IV
+ * @returns {Buffer}
+ */
+function encrypt(data, iv) {
+  const cipher = crypto.createCipheriv('aes-128-cbc', KEY, iv);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+/**
+ * IV of a segment without an IV attribute: its media sequence number
+ * @param {number} sequence - Media sequence number
+ * @returns {Buffer}
+ */
+function sequenceIv(sequence) {
+  const iv = Buffer.alloc(16);
+  iv.writeUInt32BE(sequence, 12);
+  return iv;
+}
+
+const segments = {
+  low: [tsSegment('low-0'), tsSegment('low-1')],
+  high: [tsSegment('high-0'), tsSegment('high-1'), tsSegment('high-2')],
+  clear: [tsSegment('aes-0'), tsSegment('aes-1'), tsSegment('aes-2')],
+  init: box('moov', 'init'),
+  fragments: [box('moof', 'frag-0'), box('moof', 'frag-1')],
+  ranged: [tsSegment('range-0', 1), tsSegment('range-1', 2), tsSegment('range-2', 1)]
+};
+
+// The ranged stream is one file: its init segment, then its three segments
+const rangedFile = Buffer.concat([segments.init, ...segments.ranged]);
+const rangedInitLength = segments.init.length;
+
+const routes = {
+  // Master playlist with two variants (the highest bandwidth is taken)
+  '/master.m3u8': {
+    type: 'application/vnd.apple.mpegurl',
+    body: [
+      '#EXTM3U',
+      '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360',
+      'low/index.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=2400000,RESOLUTION=1280x720',
+      'high/index.m3u8'
+    ].join('\n')
+  },
+  '/low/index.m3u8': {
+    body: ['#EXTM3U', '#EXT-X-TARGETDURATION:4', '#EXTINF:4,', 'seg0.ts', '#EXTINF:4,', 'seg1.ts', '#EXT-X-ENDLIST'].join('\n')
+  },
+  '/low/seg0.ts': { body: segments.low[0] },
+  '/low/seg1.ts': { body: segments.low[1] },
+  '/high/index.m3u8': {
+    body: [
+      '#EXTM3U', '#EXT-X-TARGETDURATION:4',
+      '#EXTINF:4,', 'seg0.ts', '#EXTINF:4,', 'seg1.ts', '#EXTINF:4,', 'seg2.ts',
+      '#EXT-X-ENDLIST'
+    ].join('\n')
+  },
+  '/high/seg0.ts': { body: segments.high[0] },
+  '/high/seg1.ts': { body: segments.high[1] },
+  '/high/seg2.ts': { body: segments.high[2] },
+
+  // AES-128: the first two segments use their sequence number as IV, the last an explicit IV
+  '/aes/index.m3u8': {
+    body: [
+      '#EXTM3U', '#EXT-X-TARGETDURATION:4', '#EXT-X-MEDIA-SEQUENCE:7',
+      '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+      '#EXTINF:4,', 'seg0.ts', '#EXTINF:4,', 'seg1.ts',
+      `#EXT-X-KEY:METHOD=AES-128,URI="key.bin",IV=0x${EXPLICIT_IV.toString('hex')}`,
+      '#EXTINF:4,', 'seg2.ts',
+      '#EXT-X-ENDLIST'
+    ].join('\n')
+  },
+  '/aes/key.bin': { body: KEY },
+  '/aes/seg0.ts': { body: encrypt(segments.clear[0], sequenceIv(7)) },
+  '/aes/seg1.ts': { body: encrypt(segments.clear[1], sequenceIv(8)) },
+  '/aes/seg2.ts': { body: encrypt(segments.clear[2], EXPLICIT_IV) },
+
+  // fMP4 with an init segment (EXT-X-MAP)
+  '/fmp4/index.m3u8': {
+    body: [
+      '#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-TARGETDURATION:4',
+      '#EXT-X-MAP:URI="init.mp4"',
+      '#EXTINF:4,', 'frag0.m4s', '#EXTINF:4,', 'frag1.m4s',
+      '#EXT-X-ENDLIST'
+    ].join('\n')
+  },
+  '/fmp4/init.mp4': { body: segments.init },
+  '/fmp4/frag0.m4s': { body: segments.fragments[0] },
+  '/fmp4/frag1.m4s': { body: segments.fragments[1] },
+
+  // One file cut with EXT-X-BYTERANGE (the second range continues the first)
+  '/ranged/index.m3u8': {
+    body: [
+      '#EXTM3U', '#EXT-X-VERSION:4', '#EXT-X-TARGETDURATION:4',
+      `#EXT-X-MAP:URI="stream.bin",BYTERANGE="${rangedInitLength}@0"`,
+      `#EXT-X-BYTERANGE:${segments.ranged[0].length}@${rangedInitLength}`, '#EXTINF:4,', 'stream.bin',
+      `#EXT-X-BYTERANGE:${segments.ranged[1].length}`, '#EXTINF:4,', 'stream.bin',
+      `#EXT-X-BYTERANGE:${segments.ranged[2].length}`, '#EXTINF:4,', 'stream.bin',
+      '#EXT-X-ENDLIST'
+    ].join('\n')
+  },
+  '/ranged/stream.bin': { body: rangedFile },
+
+  // A segment the server refuses
+  '/broken/index.m3u8': {
+    body: ['#EXTM3U', '#EXT-X-TARGETDURATION:4', '#EXTINF:4,', 'seg0.ts', '#EXTINF:4,', 'gone.ts', '#EXT-X-ENDLIST'].join('\n')
+  },
+  '/broken/seg0.ts': { body: segments.low[0] },
+  '/broken/gone.ts': { status: 404 }
+};
+
+module.exports = {
+  KEY,
+  segments,
+  routes
+};
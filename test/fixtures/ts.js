@@ -0,0 +1,230 @@
+/* MPEG-TS fixtures: small but well-formed streams of H.264 video (a
+   320x240 baseline SPS, 25 fps) and ADTS AAC audio (48 kHz stereo), cut
+   into segments that each start with a PAT and a PMT. The frame data is
+   filler: the remuxer only moves samples, it never decodes them. */
+
+'use strict';
+
+const PACKET_SIZE = 188;
+const PMT_PID = 0x1000;
+const VIDEO_PID = 0x100;
+const AUDIO_PID = 0x101;
+
+// 90 kHz ticks per video frame (25 fps) and per AAC frame (1024 samples at 48 kHz)
+const VIDEO_FRAME_TICKS = 3600;
+const AUDIO_FRAME_TICKS = 1920;
+
+// Streams start 10 s in, as HLS segments cut from a longer stream do
+const START_TIME = 900000;
+
+/**
+ * Write bits and Exp-Golomb codes (SPS fields)
+ * @returns {{bits: Function, ue: Function, bytes: Function}}
+ */
+function createBitWriter() {
+  const bitList = [];
+  const bits = (value, count) => {
+    for (let i = count - 1; i >= 0; i--) bitList.push((value >> i) & 1);
+  };
+  const ue = (value) => {
+    const code = value + 1;
+    const length = Math.floor(Math.log2(code));
+    bits(0, length);
+    bits(code, length + 1);
+  };
+  const bytes = () => {
+    // rbsp_stop_one_bit, then zeros to a byte boundary
+    bitList.push(1);
+    while (bitList.length % 8) bitList.push(0);
+    return Buffer.from(Array.from({ length: bitList.length / 8 }, (_, i) =>
+      bitList.slice(i * 8, i * 8 + 8).reduce((byte, bit) => byte * 2 + bit, 0)));
+  };
+  return { bits, ue, bytes };
+}
+
+/**
+ * Baseline-profile SPS NAL unit of a picture size (multiples of 16)
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Buffer}
+ */
+function createSps(width, height) {
+  const writer = createBitWriter();
+  writer.bits(66, 8); // profile_idc: baseline
+  writer.bits(0xc0, 8); // constraint flags
+  writer.bits(30, 8); // level_idc
+  writer.ue(0); // seq_parameter_set_id
+  writer.ue(0); // log2_max_frame_num_minus4
+  writer.ue(2); // pic_order_cnt_type
+  writer.ue(1); // max_num_ref_frames
+  writer.bits(0, 1); // gaps_in_frame_num_value_allowed_flag
+  writer.ue(width / 16 - 1);
+  writer.ue(height / 16 - 1);
+  writer.bits(1, 1); // frame_mbs_only_flag
+  writer.bits(1, 1); // direct_8x8_inference_flag
+  writer.bits(0, 1); // frame_cropping_flag
+  writer.bits(0, 1); // vui_parameters_present_flag
+  return Buffer.concat([Buffer.from([0x67]), writer.bytes()]);
+}
+
+const SPS = createSps(320, 240);
+const PPS = Buffer.from([0x68, 0xce, 0x3c, 0x80]);
+
+/**
+ * PES timestamp field (5 bytes)
+ * @param {number} prefix - 0x2 (PTS only), 0x3 (PTS of PTS+DTS) or 0x1 (DTS)
+ * @param {number} time - 90 kHz timestamp
+ * @returns {Array<number>}
+ */
+function timestamp(prefix, time) {
+  return [
+    (prefix << 4) | (Math.floor(time / 2 ** 29) & 0x0e) | 1,
+    Math.floor(time / 2 ** 22) & 0xff,
+    (Math.floor(time / 2 ** 14) & 0xfe) | 1,
+    Math.floor(time / 2 ** 7) & 0xff,
+    ((time * 2) & 0xfe) | 1
+  ];
+}
+
+/**
+ * PES packet with a PTS (and a DTS for video)
+ * @param {number} streamId - 0xe0 video, 0xc0 audio
+ * @param {number} pts - Presentation time
+ * @param {number|null} dts - Decode time (null: same as PTS, not written)
+ * @param {Buffer} payload - Elementary stream data
+ * @returns {Buffer}
+ */
+function pesPacket(streamId, pts, dts, payload) {
+  const times = dts === null ? timestamp(0x2, pts) : [...timestamp(0x3, pts), ...timestamp(0x1, dts)];
+  const header = Buffer.from([0, 0, 1, streamId, 0, 0, 0x80, dts === null ? 0x80 : 0xc0, times.length, ...times]);
+  const packet = Buffer.concat([header, payload]);
+
+  // Video PES packets may leave their length unset (0)
+  if (streamId !== 0xe0) packet.writeUInt16BE(packet.length - 6, 4);
+  return packet;
+}
+
+/**
+ * Cut data into TS packets of one PID, stuffing the last one
+ * @param {number} pid - Packet ID
+ * @param {Buffer} data - PES packet or PSI section (with its pointer field)
+ * @returns {Array<Buffer>}
+ */
+function packetize(pid, data) {
+  const packets = [];
+  for (let offset = 0; offset < data.length || packets.length === 0;) {
+    const chunk = data.subarray(offset, offset + PACKET_SIZE - 4);
+    const stuffing = PACKET_SIZE - 4 - chunk.length;
+    const header = Buffer.from([0x47, (offset === 0 ? 0x40 : 0) | (pid >> 8), pid & 0xff, (stuffing > 0 ? 0x30 : 0x10) | (packets.length & 0x0f)]);
+
+    let adaptation = Buffer.alloc(0);
+    if (stuffing > 0) {
+      // Adaptation field of stuffing bytes: its length byte, then flags
+      adaptation = Buffer.alloc(stuffing, 0xff);
+      adaptation[0] = stuffing - 1;
+      if (stuffing > 1) adaptation[1] = 0;
+    }
+    packets.push(Buffer.concat([header, adaptation, chunk]));
+    offset += chunk.length;
+  }
+  return packets;
+}
+
+/**
+ * PAT and PMT packets (CRCs left at zero: the remuxer does not check them)
+ * @param {boolean} withVideo - List the video stream
+ * @param {boolean} withAudio - List the audio stream
+ * @returns {Array<Buffer>}
+ */
+function tables(withVideo, withAudio) {
+  const pat = Buffer.from([0, 0x00, 0xb0, 13, 0, 1, 0xc1, 0, 0, 0, 1, 0xe0 | (PMT_PID >> 8), PMT_PID & 0xff, 0, 0, 0, 0]);
+
+  const streams = [
+    ...(withVideo ? [0x1b, 0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0] : []),
+    ...(withAudio ? [0x0f, 0xe0 | (AUDIO_PID >> 8), AUDIO_PID & 0xff, 0xf0, 0] : [])
+  ];
+  const pmt = Buffer.from([
+    0, 0x02, 0xb0, 13 + streams.length, 0, 1, 0xc1, 0, 0,
+    0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0,
+    ...streams, 0, 0, 0, 0
+  ]);
+  return [...packetize(0, pat), ...packetize(PMT_PID, pmt)];
+}
+
+/**
+ * ADTS AAC frame (AAC LC, 48 kHz, stereo) around filler data
+ * @param {number} index - Frame number, written in the data
+ * @returns {Buffer}
+ */
+function adtsFrame(index) {
+  const data = Buffer.alloc(20, index & 0xff);
+  const length = 7 + data.length;
+  const header = Buffer.from([
+    0xff, 0xf1,
+    (1 << 6) | (3 << 2) | 0, // AAC LC, 48 kHz
+    (2 << 6) | (length >> 11),
+    (length >> 3) & 0xff,
+    ((length & 0x07) << 5) | 0x1f,
+    0xfc
+  ]);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * H.264 access unit: AUD, then SPS and PPS and an IDR slice for a
+ * keyframe, else a non-IDR slice
+ * @param {number} index - Frame number
+ * @param {boolean} isKeyframe - IDR frame
+ * @returns {Buffer}
+ */
+function accessUnit(index, isKeyframe) {
+  const startCode = Buffer.from([0, 0, 0, 1]);
+  const slice = Buffer.concat([Buffer.from([isKeyframe ? 0x65 : 0x41]), Buffer.alloc(40, (index % 200) + 1)]);
+  return Buffer.concat([
+    startCode, Buffer.from([0x09, 0xf0]),
+    ...(isKeyframe ? [startCode, SPS, startCode, PPS] : []),
+    startCode, slice
+  ]);
+}
+
+/**
+ * MPEG-TS stream cut into segments
+ * @param {Object} [options] - { segments, framesPerSegment (video frames,
+ *   a keyframe first), video, audio: which streams to include }
+ * @returns {Array<Buffer>} Segments
+ */
+function createTsSegments({ segments = 2, framesPerSegment = 8, video = true, audio = true } = {}) {
+  const audioFramesPerSegment = framesPerSegment * VIDEO_FRAME_TICKS / AUDIO_FRAME_TICKS;
+  const output = [];
+
+  for (let segment = 0; segment < segments; segment++) {
+    const packets = tables(video, audio);
+
+    if (video) {
+      for (let i = 0; i < framesPerSegment; i++) {
+        const index = segment * framesPerSegment + i;
+        const time = START_TIME + index * VIDEO_FRAME_TICKS;
+        packets.push(...packetize(VIDEO_PID, pesPacket(0xe0, time, time, accessUnit(index, i === 0))));
+      }
+    }
+
+    if (audio) {
+      // One PES packet per 5 AAC frames
+      for (let i = 0; i < audioFramesPerSegment; i += 5) {
+        const index = segment * audioFramesPerSegment + i;
+        const frames = Array.from({ length: Math.min(5, audioFramesPerSegment - i) }, (_, j) => adtsFrame(index + j));
+        packets.push(...packetize(AUDIO_PID, pesPacket(0xc0, START_TIME + index * AUDIO_FRAME_TICKS, null, Buffer.concat(frames))));
+      }
+    }
+
+    output.push(Buffer.concat(packets));
+  }
+  return output;
+}
+
+module.exports = {
+  SPS,
+  VIDEO_FRAME_TICKS,
+  AUDIO_FRAME_TICKS,
+  createTsSegments
+};
@@ -0,0 +1,122 @@
+/* Video Downloader Extension - Test Helpers
+
+   The extension has no build step: its lib modules and documents are
+   plain scripts. They are loaded here into the test process the way the
+   browser loads them (self is the global object, top-level functions
+   become globals), next to a stub of the chrome.* APIs they use and a
+   local HTTP server for fixtures. */
+
+'use strict';
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const vm = require('node:vm');
+const { resolveObjectURL } = require('node:buffer');
+
+const ROOT = path.join(__dirname, '..');
+
+// lib modules export through "self"
+globalThis.self = globalThis;
+
+/* 1. Scripts */
+
+/**
+ * Run extension scripts in the test process, in order
+ * @param {...string} files - Paths from the repository root
+ */
+function loadScripts(...files) {
+  files.forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+  });
+}
+
+/**
+ * Install a chrome.* stub: messages sent are recorded, listeners kept
+ * @returns {{sent: Array<Object>, listeners: Array<Function>}}
+ */
+function installChromeStub() {
+  const stub = { sent: [], listeners: [] };
+  globalThis.chrome = {
+    runtime: {
+      onMessage: { addListener: listener => stub.listeners.push(listener) },
+      sendMessage: message => {
+        stub.sent.push(message);
+        return Promise.resolve();
+      }
+    }
+  };
+  return stub;
+}
+
+/**
+ * Give the scripts the DOMParser of the documents they run in (MPD,
+ * TTML): Node has none, linkedom stands in
+ */
+function installDomParser() {
+  globalThis.DOMParser = require('linkedom').DOMParser;
+}
+
+/**
+ * Read the bytes behind a blob: URL made by the scripts
+ * @param {string} blobUrl - blob: URL
+ * @returns {Promise<Buffer>}
+ */
+async function readBlobUrl(blobUrl) {
+  const blob = resolveObjectURL(blobUrl);
+  if (!blob) throw new Error(`Unknown blob URL: ${blobUrl}`);
+  return Buffer.from(await blob.arrayBuffer());
+}
+
+/* 2. Fixture Server */
+
+/**
+ * Serve fixtures from 127.0.0.1, with Range requests
+ * @param {Object<string, {body: Buffer|string, type?: string, status?: number}>} routes - By path
+ * @returns {Promise<{origin: string, requests: Array<{path: string, range: string|null}>, close: Function}>}
+ */
+async function startFixtureServer(routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    requests.push({ path: req.url, range: req.headers.range || null });
+
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (route.status) {
+      res.writeHead(route.status).end();
+      return;
+    }
+
+    const body = Buffer.from(route.body);
+    const headers = { 'Content-Type': route.type || 'application/octet-stream' };
+    const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+    if (range) {
+      const start = Number(range[1]);
+      const end = Math.min(Number(range[2]), body.length - 1);
+      res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${end}/${body.length}` });
+      res.end(body.subarray(start, end + 1));
+      return;
+    }
+    res.writeHead(200, headers).end(body);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  ROOT,
+  loadScripts,
+  installChromeStub,
+  installDomParser,
+  readBlobUrl,
+  startFixtureServer
+};
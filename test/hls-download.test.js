@@ -0,0 +1,174 @@
+/* HLS downloads of the offscreen document, against playlists and
+   segments from a local fixture server */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, installChromeStub, readBlobUrl, startFixtureServer } = require('./helpers');
+const fixtures = require('./fixtures/hls');
+
+installChromeStub();
+loadScripts('lib/hls.js', 'lib/mp4.js', 'lib/ts-remux.js', 'lib/probe.js', 'offscreen.js');
+
+let server;
+
+/**
+ * Real fMP4 track (init segment and 4-second fragments) for muxing tests
+ * @param {Object} track - Track for Mp4.createInitSegment (id 1)
+ * @param {number} count - Fragments
+ * @returns {{init: Uint8Array, fragments: Array<Uint8Array>}}
+ */
+function fmp4Track(track, count) {
+  const fragmentDuration = 4 * track.timescale;
+  return {
+    init: Mp4.createInitSegment([track]),
+    fragments: Array.from({ length: count }, (_, index) => Mp4.createFragment(index + 1, [{
+      id: 1,
+      baseMediaDecodeTime: index * fragmentDuration,
+      samples: [{ data: new Uint8Array([0, 0, 0, 2, 0x65, index]), duration: fragmentDuration, cts: 0, isSync: true }]
+    }]))
+  };
+}
+
+/**
+ * Media playlist of fMP4 fragments named frag<n>.m4s after init.mp4
+ * @param {number} count - Fragments
+ * @returns {string}
+ */
+function fmp4Playlist(count) {
+  const entries = Array.from({ length: count }, (_, index) => ['#EXTINF:4,', `frag${index}.m4s`]).flat();
+  return ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-TARGETDURATION:4', '#EXT-X-MAP:URI="init.mp4"', ...entries, '#EXT-X-ENDLIST'].join('\n');
+}
+
+/**
+ * Serve a master playlist whose variant plays a separate audio rendition
+ * @param {string} name - Path prefix
+ * @param {Object} video - Video routes by file name
+ * @param {Object} audio - Audio routes by file name
+ */
+function addAudioRenditionStream(name, video, audio) {
+  fixtures.routes[`/${name}/master.m3u8`] = {
+    body: [
+      '#EXTM3U',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English",LANGUAGE="en",DEFAULT=YES,URI="audio/index.m3u8"',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="other",NAME="Other",URI="other/index.m3u8"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=2400000,RESOLUTION=1280x720,AUDIO="aud"',
+      'video/index.m3u8'
+    ].join('\n')
+  };
+  Object.entries(video).forEach(([file, route]) => { fixtures.routes[`/${name}/video/${file}`] = route; });
+  Object.entries(audio).forEach(([file, route]) => { fixtures.routes[`/${name}/audio/${file}`] = route; });
+}
+
+test.before(async () => {
+  server = await startFixtureServer(fixtures.routes);
+});
+
+test.after(() => server.close());
+
+/**
+ * Download a stream as the background would, without remuxing
+ * @param {string} path - Playlist path on the fixture server
+ * @param {Object} [options] - downloadHls options
+ * @returns {Promise<{file: Object, bytes: Buffer}>}
+ */
+async function download(path, options = {}) {
+  const file = await withJobControl(`job-${path}`, control => downloadHls(`${server.origin}${path}`, control, options));
+  return { file, bytes: await readBlobUrl(file.blobUrl) };
+}
+
+test('follows the best variant of a master playlist and joins its segments in order', async () => {
+  const { file, bytes } = await download('/master.m3u8');
+
+  assert.equal(file.extension, 'ts');
+  assert.deepEqual(bytes, Buffer.concat(fixtures.segments.high));
+  assert.ok(!server.requests.some(request => request.path.startsWith('/low/')), 'the low variant is not downloaded');
+});
+
+test('decrypts AES-128 segments with sequence-number and explicit IVs', async () => {
+  const { file, bytes } = await download('/aes/index.m3u8');
+
+  assert.equal(file.extension, 'ts');
+  assert.deepEqual(bytes, Buffer.concat(fixtures.segments.clear));
+  assert.equal(server.requests.filter(request => request.path === '/aes/key.bin').length, 1, 'the key is fetched once');
+});
+
+test('refuses an AES-128 key from another origin', async () => {
+  const playlist = [
+    '#EXTM3U', '#EXT-X-TARGETDURATION:4',
+    `#EXT-X-KEY:METHOD=AES-128,URI="${server.origin.replace('127.0.0.1', 'localhost')}/aes/key.bin"`,
+    '#EXTINF:4,', `${server.origin}/aes/seg0.ts`,
+    '#EXT-X-ENDLIST'
+  ].join('\n');
+  fixtures.routes['/foreign-key/index.m3u8'] = { body: playlist };
+
+  await assert.rejects(download('/foreign-key/index.m3u8'), /not served by the playlist origin/);
+});
+
+test('puts the EXT-X-MAP init segment first and saves fMP4 as .mp4', async () => {
+  const { file, bytes } = await download('/fmp4/index.m3u8');
+
+  assert.equal(file.extension, 'mp4');
+  assert.deepEqual(bytes, Buffer.concat([fixtures.segments.init, ...fixtures.segments.fragments]));
+});
+
+test('requests EXT-X-BYTERANGE segments and a ranged init segment with Range headers', async () => {
+  const { file, bytes } = await download('/ranged/index.m3u8');
+  const { init, ranged } = fixtures.segments;
+
+  assert.equal(file.extension, 'mp4');
+  assert.deepEqual(bytes, Buffer.concat([init, ...ranged]));
+
+  const ranges = server.requests.filter(request => request.path === '/ranged/stream.bin').map(request => request.range);
+  const firstEnd = init.length + ranged[0].length;
+  assert.deepEqual(ranges.sort(), [
+    `bytes=0-${init.length - 1}`,
+    `bytes=${init.length}-${firstEnd - 1}`,
+    `bytes=${firstEnd}-${firstEnd + ranged[1].length - 1}`,
+    `bytes=${firstEnd + ranged[1].length}-${firstEnd + ranged[1].length + ranged[2].length - 1}`
+  ].sort());
+});
+
+test('downloads only the segments of a clip range', async () => {
+  const { bytes } = await download('/high/index.m3u8', { range: { start: 5, end: 7 } });
+
+  assert.deepEqual(bytes, fixtures.segments.high[1]);
+});
+
+test('fails with the HTTP status of a refused segment', async () => {
+  await assert.rejects(download('/broken/index.m3u8'), /HTTP 404 for .*\/broken\/gone\.ts/);
+});
+
+test('muxes the audio rendition of the best variant into the video', async () => {
+  const video = fmp4Track({ id: 1, type: 'video', timescale: 90000, width: 1280, height: 720, sps: new Uint8Array([0x67, 0x42, 0xc0, 0x1f]), pps: new Uint8Array([0x68, 0xce, 0x3c, 0x80]) }, 2);
+  const audio = fmp4Track({ id: 1, type: 'audio', timescale: 48000, sampleRate: 48000, channels: 2, config: new Uint8Array([0x11, 0x90]) }, 2);
+  const routes = track => ({
+    'index.m3u8': { body: fmp4Playlist(2) },
+    'init.mp4': { body: track.init },
+    ...Object.fromEntries(track.fragments.map((fragment, index) => [`frag${index}.m4s`, { body: fragment }]))
+  });
+  addAudioRenditionStream('av', routes(video), routes(audio));
+
+  const { file, bytes } = await download('/av/master.m3u8');
+  const boxes = Mp4.readBoxes(new Uint8Array(bytes));
+  const moov = boxes.find(entry => entry.type === 'moov');
+
+  assert.equal(file.extension, 'mp4');
+  assert.deepEqual(boxes.map(entry => entry.type), ['ftyp', 'moov', 'moof', 'mdat', 'moof', 'mdat', 'moof', 'mdat', 'moof', 'mdat']);
+  assert.equal(Mp4.readBoxes(new Uint8Array(bytes), moov.start + 8, moov.start + moov.size).filter(entry => entry.type === 'trak').length, 2);
+  assert.ok(server.requests.some(request => request.path === '/av/audio/frag1.m4s'), 'the audio segments are downloaded');
+  assert.ok(!server.requests.some(request => request.path.startsWith('/av/other/')), 'only the variant\'s audio group is used');
+});
+
+test('fails instead of saving a silent file when the audio rendition can not be merged', async () => {
+  addAudioRenditionStream('packed', {
+    'index.m3u8': { body: ['#EXTM3U', '#EXT-X-TARGETDURATION:4', '#EXTINF:4,', 'seg0.ts', '#EXT-X-ENDLIST'].join('\n') },
+    'seg0.ts': { body: fixtures.segments.high[0] }
+  }, {
+    'index.m3u8': { body: ['#EXTM3U', '#EXT-X-TARGETDURATION:4', '#EXTINF:4,', 'seg0.aac', '#EXT-X-ENDLIST'].join('\n') },
+    'seg0.aac': { body: Buffer.from([0xff, 0xf1, 0x50, 0x80, 0x01, 0x7f, 0xfc]) }
+  });
+
+  await assert.rejects(download('/packed/master.m3u8'), /can not be merged with its video/);
+});
@@ -0,0 +1,77 @@
+/* Pausing, resuming and cancelling offscreen jobs whose segments are
+   fetched by several workers at once */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, installChromeStub } = require('./helpers');
+
+const chromeStub = installChromeStub();
+loadScripts('lib/hls.js', 'lib/mp4.js', 'lib/ts-remux.js', 'offscreen.js');
+
+/**
+ * Send a job control message as the background does
+ * @param {string} action - pauseJob, resumeJob or cancelJob
+ * @param {string} jobId - Job ID
+ */
+function sendControl(action, jobId) {
+  chromeStub.listeners.forEach(listener => listener({ target: 'offscreen', action, jobId }, {}, () => {}));
+}
+
+/**
+ * Run a pool of workers that stop at a checkpoint before each item
+ * @param {string} jobId - Job ID
+ * @param {number} count - Items
+ * @returns {{finished: Array<number>, done: Promise<Array<number>>}}
+ */
+function startPool(jobId, count) {
+  const finished = [];
+  const items = Array.from({ length: count }, (_, index) => index);
+  const done = withJobControl(jobId, control => runPool(items, SEGMENT_CONCURRENCY, async item => {
+    await checkpoint(control);
+    await delay(5);
+    finished.push(item);
+    return item;
+  }));
+  return { finished, done };
+}
+
+test('resuming a paused pool releases every worker', async () => {
+  const { finished, done } = startPool('pool-resume', 12);
+  await delay(1);
+  sendControl('pauseJob', 'pool-resume');
+
+  // Workers already past their checkpoint finish their item, then all wait
+  await delay(30);
+  const whilePaused = finished.length;
+  assert.ok(whilePaused < 12, 'paused before the end');
+  await delay(30);
+  assert.equal(finished.length, whilePaused, 'nothing runs while paused');
+
+  sendControl('resumeJob', 'pool-resume');
+  assert.deepEqual(await done, Array.from({ length: 12 }, (_, index) => index));
+  assert.equal(finished.length, 12);
+});
+
+test('pausing twice and resuming once still releases every worker', async () => {
+  const { done } = startPool('pool-twice', 8);
+  sendControl('pauseJob', 'pool-twice');
+  await delay(20);
+  sendControl('pauseJob', 'pool-twice');
+  sendControl('resumeJob', 'pool-twice');
+
+  assert.equal((await done).length, 8);
+});
+
+test('cancelling a paused pool stops every worker', async () => {
+  const { finished, done } = startPool('pool-cancel', 12);
+  sendControl('pauseJob', 'pool-cancel');
+  await delay(20);
+  const whilePaused = finished.length;
+  sendControl('cancelJob', 'pool-cancel');
+
+  await assert.rejects(done, /Cancelled/);
+  await delay(20);
+  assert.equal(finished.length, whilePaused);
+});
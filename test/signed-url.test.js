@@ -0,0 +1,82 @@
+/* Signed links (lib/signed-url.js): when they expire, and which file
+   they point at once the signature is left out */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+loadScripts('lib/signed-url.js');
+
+const { getExpiry, isSignedUrl, getResourceKey, isSameResource } = SignedUrl;
+
+// A JWT whose payload is {"sub":"viewer","exp":1706702400}
+const JWT = `eyJhbGciOiJIUzI1NiJ9.${Buffer.from('{"sub":"viewer","exp":1706702400}').toString('base64url')}.c2lnbmF0dXJl`;
+const EXPIRY = 1706702400000;
+
+// [url, expiry (ms) or null]
+const EXPIRIES = [
+  // S3 / Google Cloud Storage: signing time plus a lifetime
+  ['https://bucket.s3.amazonaws.com/v.mp4?X-Amz-Algorithm=AWS4-HMAC-SHA256&X-Amz-Date=20240131T120000Z&X-Amz-Expires=3600&X-Amz-Signature=ab12', Date.UTC(2024, 0, 31, 13)],
+  ['https://storage.googleapis.com/b/v.mp4?X-Goog-Date=20240131T120000Z&X-Goog-Expires=600&X-Goog-Signature=ab12', Date.UTC(2024, 0, 31, 12, 10)],
+  // Azure SAS: ISO 8601 end time, only next to a signature
+  ['https://acct.blob.core.windows.net/c/v.mp4?sv=2022-11-02&sr=b&sp=r&se=2024-01-31T12:00:00Z&sig=ab%2F12', Date.UTC(2024, 0, 31, 12)],
+  ['https://example.com/v.mp4?se=2024-01-31T12:00:00Z', null],
+  // CloudFront and friends: Unix time in seconds or milliseconds
+  ['https://d1.cloudfront.net/v.mp4?Expires=1706702400&Signature=ab12&Key-Pair-Id=K1', EXPIRY],
+  ['https://cdn.example.com/v.mp4?expire=1706702400000&sig=ab12', EXPIRY],
+  ['https://rr1---sn.googlevideo.com/videoplayback?expire=1706702400&itag=22', EXPIRY],
+  // Akamai tokens and JWTs
+  ['https://cdn.example.com/v.m3u8?hdnts=exp=1706702400~acl=/*~hmac=ab12', EXPIRY],
+  ['https://cdn.example.com/v.m3u8?hdnea=st=1706698800~exp=1706702400~hmac=ab12', EXPIRY],
+  [`https://cdn.example.com/v.m3u8?token=${JWT}`, EXPIRY],
+  // Not an expiry
+  ['https://example.com/v.mp4?expires=123', null],
+  ['https://example.com/v.mp4?exp=9999999999999', null],
+  ['https://example.com/v.mp4?token=abc.def', null],
+  ['https://example.com/v.mp4', null],
+  ['not a url', null]
+];
+
+EXPIRIES.forEach(([url, expiry]) => {
+  test(`expiry of ${url}`, () => {
+    assert.equal(getExpiry(url), expiry);
+  });
+});
+
+test('signed links carry a token or a readable expiry', () => {
+  assert.equal(isSignedUrl('https://cdn.example.com/v.mp4?token=abc'), true);
+  assert.equal(isSignedUrl('https://cdn.example.com/v.mp4?Policy=abc&Signature=def'), true);
+  assert.equal(isSignedUrl('https://cdn.example.com/v.mp4?expires=1706702400'), true);
+  assert.equal(isSignedUrl('https://cdn.example.com/v.mp4?id=42&quality=hd'), false);
+  assert.equal(isSignedUrl('blob:https://example.com/1234'), false);
+});
+
+// [url, resource key]
+const RESOURCE_KEYS = [
+  // Signing parameters go, the others stay (sorted)
+  ['https://bucket.s3.amazonaws.com/v.mp4?X-Amz-Date=20240131T120000Z&X-Amz-Expires=3600&X-Amz-Signature=ab12&part=2', 'https://bucket.s3.amazonaws.com/v.mp4?part=2'],
+  ['https://d1.cloudfront.net/v.mp4?Signature=ab&Key-Pair-Id=K1&Expires=1706702400&b=2&a=1', 'https://d1.cloudfront.net/v.mp4?a=1&b=2'],
+  ['https://cdn.example.com/v.m3u8?hdnts=exp=1706702400~hmac=ab#t=10', 'https://cdn.example.com/v.m3u8'],
+  // Azure SAS parameters only go with a SAS
+  ['https://acct.blob.core.windows.net/c/v.mp4?sv=2022-11-02&sr=b&sp=r&st=2024-01-31T11:00:00Z&se=2024-01-31T12:00:00Z&sig=ab', 'https://acct.blob.core.windows.net/c/v.mp4'],
+  ['https://cdn.example.com/clip.mp4?st=30&token=a', 'https://cdn.example.com/clip.mp4?st=30'],
+  ['https://cdn.example.com/clip.mp4?sp=2&sr=44100&sig=ab', 'https://cdn.example.com/clip.mp4?sp=2&sr=44100']
+];
+
+RESOURCE_KEYS.forEach(([url, key]) => {
+  test(`resource key of ${url}`, () => {
+    assert.equal(getResourceKey(url), key);
+  });
+});
+
+test('the same file signed twice is one resource; other start times are not', () => {
+  assert.equal(isSameResource(
+    'https://d1.cloudfront.net/v.mp4?Expires=1706702400&Signature=ab&Key-Pair-Id=K1',
+    'https://d1.cloudfront.net/v.mp4?Expires=1706706000&Signature=cd&Key-Pair-Id=K1'
+  ), true);
+  assert.equal(isSameResource('https://cdn.example.com/clip.mp4?st=30&token=a', 'https://cdn.example.com/clip.mp4?st=90&token=b'), false);
+  assert.equal(isSameResource('https://cdn.example.com/v.mp4?token=a', 'https://cdn.example.com/v.mp4?token=a'), false, 'not a second link');
+  assert.equal(isSameResource('https://cdn.example.com/v.mp4?id=1', 'https://cdn.example.com/v.mp4?id=1&x=2'), false, 'unsigned');
+});
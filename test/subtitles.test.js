@@ -0,0 +1,211 @@
+/* Subtitles (lib/subtitles.js): WebVTT, SRT and TTML timings, and the
+   WebVTT / SRT files written from them */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, installDomParser } = require('./helpers');
+
+installDomParser();
+loadScripts('lib/subtitles.js');
+
+const { parseVtt, parseSrt, parseTtml, joinVttSegments, joinTtmlSegments, toVtt, toSrt, getDashSubtitles } = Subtitles;
+
+/**
+ * Cue times and text, for comparisons
+ * @param {Array<Object>} cues - Cues
+ * @returns {Array<Array>} [start, end, text] with times in milliseconds
+ */
+const timings = cues => cues.map(cue => [Math.round(cue.start * 1000), Math.round(cue.end * 1000), cue.text]);
+
+// [timing line, start (ms), end (ms)]
+const VTT_TIMINGS = [
+  ['00:01.000 --> 00:02.500', 1000, 2500],
+  ['01:02.003 --> 01:04.250', 62003, 64250],
+  ['00:00:01.000 --> 00:00:02.500', 1000, 2500],
+  ['01:02:03.004 --> 01:02:05.000', 3723004, 3725000],
+  ['100:00:00.000 --> 100:00:01.000', 360000000, 360001000]
+];
+
+VTT_TIMINGS.forEach(([timing, start, end]) => {
+  test(`WebVTT timing "${timing}"`, () => {
+    const { cues } = parseVtt(`WEBVTT\n\n${timing}\nHello`);
+    assert.deepEqual(timings(cues), [[start, end, 'Hello']]);
+  });
+});
+
+test('WebVTT headers, notes and cue settings', () => {
+  const { cues, offset } = parseVtt([
+    '﻿WEBVTT - Episode 1',
+    'X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000',
+    '',
+    'NOTE not a cue',
+    '',
+    'intro',
+    '00:01.000 --> 00:02.000 align:start line:90%',
+    '<v Ann>Two</v>',
+    'lines',
+    '',
+    '00:03.000 --> 00:04.000',
+    ''
+  ].join('\r\n'));
+
+  assert.equal(offset, 10);
+  assert.deepEqual(timings(cues), [[1000, 2000, '<v Ann>Two</v>\nlines']]);
+  assert.equal(cues[0].settings, 'align:start line:90%');
+  assert.throws(() => parseVtt('1\n00:00:01,000 --> 00:00:02,000\nHi'), /Not a WebVTT file/);
+});
+
+test('SRT cues, with and without hours', () => {
+  const cues = parseSrt([
+    '1',
+    '00:00:01,500 --> 00:00:03,000',
+    'First',
+    '',
+    '2',
+    '01:00:00,000 --> 01:00:02,250',
+    'Second',
+    'line',
+    '',
+    '3',
+    '00:05,000 --> 00:06,000',
+    'Short'
+  ].join('\n'));
+
+  assert.deepEqual(timings(cues), [
+    [1500, 3000, 'First'],
+    [3600000, 3602250, 'Second\nline'],
+    [5000, 6000, 'Short']
+  ]);
+});
+
+test('segments are aligned on their X-TIMESTAMP-MAP and repeated cues kept once', () => {
+  const segment = (mpegts, body) => `WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:${mpegts},LOCAL:00:00:00.000\n\n${body}`;
+  const cues = joinVttSegments([
+    segment(900000, '00:00:01.000 --> 00:00:02.000\nOne\n\n00:00:05.000 --> 00:00:07.000\nAcross'),
+    segment(900000, '00:00:05.000 --> 00:00:07.000\nAcross\n\n00:00:08.000 --> 00:00:09.000\nTwo'),
+    // 6 s after the first segment's map
+    segment(1440000, '00:00:00.000 --> 00:00:00.500\nLate')
+  ]);
+
+  assert.deepEqual(timings(cues), [
+    [1000, 2000, 'One'],
+    [5000, 7000, 'Across'],
+    [6000, 6500, 'Late'],
+    [8000, 9000, 'Two']
+  ]);
+});
+
+/**
+ * A TTML document
+ * @param {string} attributes - Extra attributes of <tt>
+ * @param {string} body - Content of <body>
+ * @returns {string}
+ */
+function ttml(attributes, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xmlns:ttp="http://www.w3.org/ns/ttml#parameter"
+    xmlns:tts="http://www.w3.org/ns/ttml#styling" xml:lang="en" ${attributes}>
+  <head><styling><style xml:id="s1" tts:color="white"/></styling></head>
+  <body><div>${body}</div></body>
+</tt>`;
+}
+
+// [case, <tt> attributes, <p> timing, start (ms), end (ms)]
+const TTML_TIMINGS = [
+  ['seconds', '', 'begin="1.5s" end="3s"', 1500, 3000],
+  ['milliseconds', '', 'begin="1500ms" end="3000ms"', 1500, 3000],
+  ['minutes and hours', '', 'begin="0.5m" end="0.01h"', 30000, 36000],
+  ['ticks', 'ttp:tickRate="10000000"', 'begin="15000000t" end="30000000t"', 1500, 3000],
+  ['ticks at the frame rate', 'ttp:frameRate="25" ttp:subFrameRate="2"', 'begin="75t" end="150t"', 1500, 3000],
+  ['ticks without a rate', '', 'begin="1t" end="3t"', 1000, 3000],
+  ['clock time', '', 'begin="00:00:01.500" end="01:00:00.000"', 1500, 3600000],
+  ['clock time with frames', 'ttp:frameRate="25"', 'begin="00:00:01:12" end="00:00:03:00"', 1480, 3000],
+  ['NTSC frame rate', 'ttp:frameRate="30" ttp:frameRateMultiplier="1000 1001"', 'begin="30f" end="60f"', 1001, 2002],
+  ['duration', '', 'begin="2s" dur="1.5s"', 2000, 3500]
+];
+
+TTML_TIMINGS.forEach(([name, attributes, timing, start, end]) => {
+  test(`TTML timing: ${name}`, () => {
+    const cues = parseTtml(ttml(attributes, `<p ${timing}>Hello</p>`));
+    assert.deepEqual(timings(cues), [[start, end, 'Hello']]);
+  });
+});
+
+test('TTML text, nested timing and untimed paragraphs', () => {
+  const cues = parseTtml(ttml('ttp:tickRate="10000000"', `
+    <p begin="20000000t" end="30000000t" style="s1">
+      Two <span tts:fontStyle="italic">styled</span><br/>lines
+    </p>
+    <div begin="10s">
+      <p begin="1s" end="2s">Inside a timed div</p>
+    </div>
+    <p>No timing</p>
+    <p begin="5s" end="5s">Empty interval</p>
+    <p begin="1s" end="1.5s">First</p>`));
+
+  assert.deepEqual(timings(cues), [
+    [1000, 1500, 'First'],
+    [2000, 3000, 'Two styled\nlines'],
+    [11000, 12000, 'Inside a timed div']
+  ]);
+  assert.throws(() => parseTtml('<MPD/>'), /Not a TTML file/);
+});
+
+test('TTML segments are joined on the track timeline', () => {
+  const cues = joinTtmlSegments([
+    ttml('', '<p begin="1s" end="2s">One</p><p begin="3s" end="5s">Across</p>'),
+    ttml('', '<p begin="3s" end="5s">Across</p><p begin="6s" end="7s">Two</p>')
+  ]);
+
+  assert.deepEqual(timings(cues), [[1000, 2000, 'One'], [3000, 5000, 'Across'], [6000, 7000, 'Two']]);
+});
+
+test('cues are written back as WebVTT and SRT', () => {
+  const cues = [
+    { start: 1.5, end: 3, text: '<v Ann>Hello</v> <c.red>there</c>', settings: 'align:start' },
+    { start: 3723.004, end: 3725, text: 'Later', settings: '' }
+  ];
+
+  assert.equal(toVtt(cues), [
+    'WEBVTT',
+    '',
+    '00:00:01.500 --> 00:00:03.000 align:start',
+    '<v Ann>Hello</v> <c.red>there</c>',
+    '',
+    '01:02:03.004 --> 01:02:05.000',
+    'Later',
+    ''
+  ].join('\n'));
+
+  assert.equal(toSrt(cues), [
+    '1',
+    '00:00:01,500 --> 00:00:03,000',
+    'Hello there',
+    '',
+    '2',
+    '01:02:03,004 --> 01:02:05,000',
+    'Later',
+    ''
+  ].join('\n'));
+
+  // TTML in, SRT out
+  assert.equal(
+    toSrt(parseTtml(ttml('ttp:tickRate="1000"', '<p begin="1500t" end="3000t">Hi</p>'))),
+    '1\n00:00:01,500 --> 00:00:03,000\nHi\n'
+  );
+});
+
+test('DASH text tracks in WebVTT or TTML files are offered', () => {
+  const subtitles = getDashSubtitles([
+    { id: 'en', mimeType: 'text/vtt', language: 'en' },
+    { id: 'fr', mimeType: 'application/ttml+xml', language: 'fr', label: 'Français' },
+    { id: 'de', mimeType: 'application/mp4', language: 'de' }
+  ], 'https://cdn.example.com/manifest.mpd');
+
+  assert.deepEqual(subtitles.map(track => [track.trackId, track.label, track.format]), [
+    ['en', null, 'dash'],
+    ['fr', 'Français', 'dash']
+  ]);
+});
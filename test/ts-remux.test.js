@@ -0,0 +1,144 @@
+/* MPEG-TS to MP4 remuxing (lib/ts-remux.js) and the MP4 track muxer
+   (lib/mp4.js): the box structure of what they write */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+const { createTsSegments, VIDEO_FRAME_TICKS, AUDIO_FRAME_TICKS } = require('./fixtures/ts');
+
+loadScripts('lib/mp4.js', 'lib/ts-remux.js');
+
+/**
+ * Remux segments as the offscreen document does, into one file
+ * @param {Array<Buffer>} segments - MPEG-TS segments
+ * @param {Object} [options] - createTsRemuxer options
+ * @returns {Uint8Array}
+ */
+function remux(segments, options) {
+  const remuxer = TsRemux.createTsRemuxer(options);
+  const parts = segments.flatMap(segment => remuxer.push(new Uint8Array(segment)));
+  return Mp4.concat([...parts, ...remuxer.flush()]);
+}
+
+/**
+ * Child boxes of a box, or the top-level boxes
+ * @param {Uint8Array} bytes - File
+ * @param {Object} [parent] - Box from Mp4.readBoxes
+ * @returns {Array<Object>}
+ */
+function boxes(bytes, parent) {
+  return parent ? Mp4.readBoxes(bytes, parent.start + 8, parent.start + parent.size) : Mp4.readBoxes(bytes);
+}
+
+/**
+ * First box along a path of types
+ * @param {Uint8Array} bytes - File
+ * @param {Object|null} parent - Box to start from (null: the file)
+ * @param {...string} types - Box types, outermost first
+ * @returns {Object}
+ */
+function find(bytes, parent, ...types) {
+  return types.reduce((current, type) => boxes(bytes, current).find(entry => entry.type === type), parent);
+}
+
+/**
+ * Describe the tracks of a moov: handler, timescale, track ID and size
+ * @param {Uint8Array} bytes - File
+ * @returns {Array<Object>}
+ */
+function readTracks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const moov = find(bytes, null, 'moov');
+
+  return boxes(bytes, moov).filter(entry => entry.type === 'trak').map(trak => {
+    const tkhd = find(bytes, trak, 'tkhd');
+    const mdhd = find(bytes, trak, 'mdia', 'mdhd');
+    const hdlr = find(bytes, trak, 'mdia', 'hdlr');
+    return {
+      id: view.getUint32(tkhd.start + 20),
+      handler: String.fromCharCode(...bytes.subarray(hdlr.start + 16, hdlr.start + 20)),
+      timescale: view.getUint32(mdhd.start + 20),
+      width: view.getUint32(tkhd.start + 84) >> 16,
+      height: view.getUint32(tkhd.start + 88) >> 16
+    };
+  });
+}
+
+/**
+ * Samples of every fragment, by track: count, total duration, first decode time
+ * @param {Uint8Array} bytes - File
+ * @returns {Object<number, {samples: number, duration: number, firstDecodeTime: number, sequences: Array<number>}>}
+ */
+function readFragments(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const tracks = {};
+
+  boxes(bytes).filter(entry => entry.type === 'moof').forEach(moof => {
+    const sequence = view.getUint32(find(bytes, moof, 'mfhd').start + 12);
+
+    boxes(bytes, moof).filter(entry => entry.type === 'traf').forEach(traf => {
+      const id = view.getUint32(find(bytes, traf, 'tfhd').start + 12);
+      const tfdt = find(bytes, traf, 'tfdt');
+      const trun = find(bytes, traf, 'trun');
+      const count = view.getUint32(trun.start + 12);
+
+      const track = tracks[id] || (tracks[id] = { samples: 0, duration: 0, firstDecodeTime: null, sequences: [] });
+      track.firstDecodeTime ??= view.getUint32(tfdt.start + 12) * 2 ** 32 + view.getUint32(tfdt.start + 16);
+      track.samples += count;
+      // trun entries: duration, size, flags, composition offset
+      for (let i = 0; i < count; i++) track.duration += view.getUint32(trun.start + 20 + i * 16);
+      track.sequences.push(sequence);
+    });
+  });
+  return tracks;
+}
+
+test('remuxes H.264 and AAC segments into ftyp, moov and moof/mdat fragments', () => {
+  const bytes = remux(createTsSegments({ segments: 2, framesPerSegment: 8 }));
+  const types = boxes(bytes).map(entry => entry.type);
+
+  assert.deepEqual(types.slice(0, 2), ['ftyp', 'moov']);
+  assert.ok(types.length > 2 && types.slice(2).every((type, i) => type === (i % 2 ? 'mdat' : 'moof')), types.join(' '));
+
+  assert.deepEqual(readTracks(bytes), [
+    { id: 1, handler: 'vide', timescale: 90000, width: 320, height: 240 },
+    { id: 2, handler: 'soun', timescale: 48000, width: 0, height: 0 }
+  ]);
+
+  const fragments = readFragments(bytes);
+  assert.equal(fragments[1].samples, 16);
+  assert.equal(fragments[1].duration, 16 * VIDEO_FRAME_TICKS);
+  assert.equal(fragments[1].firstDecodeTime, 0, 'video starts at zero');
+  assert.equal(fragments[2].samples, 16 * VIDEO_FRAME_TICKS / AUDIO_FRAME_TICKS);
+  assert.equal(fragments[2].duration, fragments[2].samples * 1024);
+  assert.equal(fragments[2].firstDecodeTime, 0, 'audio starts at zero');
+});
+
+test('keeps only the audio track when asked', () => {
+  const bytes = remux(createTsSegments(), { audioOnly: true });
+
+  assert.deepEqual(readTracks(bytes).map(track => track.handler), ['soun']);
+  assert.equal(readFragments(bytes)[1].samples, 30);
+});
+
+test('rejects data that is not MPEG-TS', () => {
+  assert.throws(() => remux([Buffer.from('not a transport stream')]), /Not an MPEG-TS segment|Lost MPEG-TS sync/);
+});
+
+test('muxes a video file and an audio file into one MP4, fragments in decode order', () => {
+  const video = remux(createTsSegments({ audio: false }));
+  const audio = remux(createTsSegments({ video: false }));
+  const bytes = Mp4.concat(Mp4.muxFragmentedTracks(video, audio));
+
+  assert.deepEqual(readTracks(bytes).map(track => [track.id, track.handler]), [[1, 'vide'], [2, 'soun']]);
+
+  const fragments = readFragments(bytes);
+  assert.equal(fragments[1].samples, 16);
+  assert.equal(fragments[2].samples, 30);
+
+  // Sequence numbers run over both tracks, with no gap
+  const sequences = [...fragments[1].sequences, ...fragments[2].sequences].sort((a, b) => a - b);
+  assert.deepEqual(sequences, Array.from({ length: sequences.length }, (_, i) => i + 1));
+});